@@ -5,7 +5,7 @@ require('dotenv').config();
 const app = express();
 
 // Middlewares
-app.use(cors());
+app.use(cors({ exposedHeaders: ['X-Total-Count'] }));
 app.use(express.json());
 
 app.get("/", (req, res) => {
@@ -31,12 +31,42 @@ app.use('/atenciones', atencionesRoutes);
 const ventasRoutes = require('./routes/ventas');
 app.use('/ventas', ventasRoutes);
 
+const proveedoresRoutes = require('./routes/proveedores');
+app.use('/proveedores', proveedoresRoutes);
+
+const ordenesCompraRoutes = require('./routes/ordenesCompra');
+app.use('/ordenes-compra', ordenesCompraRoutes);
+
 const pagosVentaRoutes = require('./routes/pagosVenta');
 app.use('/pagos-venta', pagosVentaRoutes);
 
 const pagosAtencionRoutes = require('./routes/pagosAtencion');
 app.use('/pagos-atencion', pagosAtencionRoutes);
 
+const cuentasPorCobrarRoutes = require('./routes/cuentasPorCobrar');
+app.use('/cuentas-por-cobrar', cuentasPorCobrarRoutes);
+
+const cajaRoutes = require('./routes/caja');
+app.use('/caja', cajaRoutes);
+
+const paquetesRoutes = require('./routes/paquetes');
+app.use('/paquetes', paquetesRoutes);
+
+const giftcardsRoutes = require('./routes/giftcards');
+app.use('/giftcards', giftcardsRoutes);
+
+const promocionesRoutes = require('./routes/promociones');
+app.use('/promociones', promocionesRoutes);
+
+const dteRoutes = require('./routes/dte');
+app.use('/dte', dteRoutes);
+
+const reportesRoutes = require('./routes/reportes');
+app.use('/reportes', reportesRoutes);
+
+const comisionesRoutes = require('./routes/comisiones');
+app.use('/comisiones', comisionesRoutes);
+
 const rolesRoutes = require('./routes/roles');
 app.use('/roles', rolesRoutes);
 
@@ -0,0 +1,25 @@
+-- Jornada semanal, descansos y ausencias del personal.
+-- dia_semana sigue la convención de Date#getDay(): 0 = domingo ... 6 = sábado.
+
+CREATE TABLE IF NOT EXISTS horario_personal (
+  id_horario INT AUTO_INCREMENT PRIMARY KEY,
+  id_personal INT NOT NULL,
+  tipo ENUM('trabajo', 'descanso') NOT NULL DEFAULT 'trabajo',
+  dia_semana TINYINT NOT NULL,
+  hora_inicio TIME NOT NULL,
+  hora_fin TIME NOT NULL,
+  CONSTRAINT fk_horario_personal FOREIGN KEY (id_personal) REFERENCES personal (id_personal),
+  INDEX idx_horario_personal_dia (id_personal, dia_semana)
+);
+
+CREATE TABLE IF NOT EXISTS ausencia_personal (
+  id_ausencia INT AUTO_INCREMENT PRIMARY KEY,
+  id_personal INT NOT NULL,
+  tipo ENUM('vacaciones', 'licencia', 'permiso', 'otro') NOT NULL DEFAULT 'otro',
+  fecha_inicio DATETIME NOT NULL,
+  fecha_fin DATETIME NOT NULL,
+  motivo VARCHAR(255) NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  CONSTRAINT fk_ausencia_personal FOREIGN KEY (id_personal) REFERENCES personal (id_personal),
+  INDEX idx_ausencia_personal_rango (id_personal, fecha_inicio, fecha_fin)
+);
@@ -0,0 +1,21 @@
+-- Series de atenciones recurrentes (semanal, quincenal, mensual).
+
+CREATE TABLE IF NOT EXISTS serie_atencion (
+  id_serie INT AUTO_INCREMENT PRIMARY KEY,
+  id_clienta INT NOT NULL,
+  id_personal INT NOT NULL,
+  frecuencia ENUM('semanal', 'quincenal', 'mensual') NOT NULL,
+  fecha_inicio DATETIME NOT NULL,
+  cantidad INT NULL,
+  fecha_hasta DATE NULL,
+  creado_por INT NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  CONSTRAINT fk_serie_clienta FOREIGN KEY (id_clienta) REFERENCES clienta (id_clienta),
+  CONSTRAINT fk_serie_personal FOREIGN KEY (id_personal) REFERENCES personal (id_personal)
+);
+
+ALTER TABLE atencion
+  ADD COLUMN id_serie INT NULL,
+  ADD COLUMN serie_ocurrencia INT NULL,
+  ADD CONSTRAINT fk_atencion_serie FOREIGN KEY (id_serie) REFERENCES serie_atencion (id_serie),
+  ADD INDEX idx_atencion_serie (id_serie, fecha_inicio);
@@ -0,0 +1,19 @@
+-- Máquina de estados de la atención e historial de transiciones.
+
+ALTER TABLE atencion
+  MODIFY COLUMN estado_atencion
+    ENUM('pendiente', 'confirmada', 'en_curso', 'realizada', 'cancelada', 'no_asistio')
+    NOT NULL DEFAULT 'pendiente';
+
+CREATE TABLE IF NOT EXISTS atencion_estado_historial (
+  id_historial INT AUTO_INCREMENT PRIMARY KEY,
+  id_atencion INT NOT NULL,
+  estado_anterior VARCHAR(20) NULL,
+  estado_nuevo VARCHAR(20) NOT NULL,
+  motivo VARCHAR(255) NULL,
+  id_personal INT NULL,
+  fecha DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  CONSTRAINT fk_historial_atencion FOREIGN KEY (id_atencion) REFERENCES atencion (id_atencion),
+  CONSTRAINT fk_historial_personal FOREIGN KEY (id_personal) REFERENCES personal (id_personal),
+  INDEX idx_historial_atencion (id_atencion, fecha)
+);
@@ -0,0 +1,20 @@
+-- Anulación de pagos y registro de devoluciones. Los registros nunca se borran:
+-- un pago anulado deja de contar para el saldo y una devolución resta lo pagado.
+
+ALTER TABLE pago_venta
+  ADD COLUMN tipo ENUM('pago', 'devolucion') NOT NULL DEFAULT 'pago',
+  ADD COLUMN motivo VARCHAR(255) NULL,
+  ADD COLUMN registrado_por INT NULL,
+  ADD COLUMN anulado TINYINT(1) NOT NULL DEFAULT 0,
+  ADD COLUMN motivo_anulacion VARCHAR(255) NULL,
+  ADD COLUMN anulado_por INT NULL,
+  ADD COLUMN fecha_anulacion DATETIME NULL;
+
+ALTER TABLE pago_atencion
+  ADD COLUMN tipo ENUM('pago', 'devolucion') NOT NULL DEFAULT 'pago',
+  ADD COLUMN motivo VARCHAR(255) NULL,
+  ADD COLUMN registrado_por INT NULL,
+  ADD COLUMN anulado TINYINT(1) NOT NULL DEFAULT 0,
+  ADD COLUMN motivo_anulacion VARCHAR(255) NULL,
+  ADD COLUMN anulado_por INT NULL,
+  ADD COLUMN fecha_anulacion DATETIME NULL;
@@ -0,0 +1,35 @@
+-- Sesiones de caja (apertura y cierre) y vínculo de cada pago con su sesión.
+
+CREATE TABLE IF NOT EXISTS caja_sesion (
+  id_caja INT AUTO_INCREMENT PRIMARY KEY,
+  id_personal INT NOT NULL,
+  estado ENUM('abierta', 'cerrada') NOT NULL DEFAULT 'abierta',
+  fecha_apertura DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  monto_inicial DECIMAL(12, 2) NOT NULL DEFAULT 0,
+  fecha_cierre DATETIME NULL,
+  cerrado_por INT NULL,
+  efectivo_esperado DECIMAL(12, 2) NULL,
+  monto_contado DECIMAL(12, 2) NULL,
+  diferencia DECIMAL(12, 2) NULL,
+  observacion VARCHAR(255) NULL,
+  CONSTRAINT fk_caja_personal FOREIGN KEY (id_personal) REFERENCES personal (id_personal),
+  INDEX idx_caja_personal_estado (id_personal, estado)
+);
+
+-- Totales por medio de pago congelados al cerrar la sesión.
+CREATE TABLE IF NOT EXISTS caja_sesion_total (
+  id_caja INT NOT NULL,
+  medio_pago VARCHAR(50) NOT NULL,
+  cantidad INT NOT NULL,
+  total DECIMAL(12, 2) NOT NULL,
+  PRIMARY KEY (id_caja, medio_pago),
+  CONSTRAINT fk_caja_total_sesion FOREIGN KEY (id_caja) REFERENCES caja_sesion (id_caja)
+);
+
+ALTER TABLE pago_venta
+  ADD COLUMN id_caja INT NULL,
+  ADD CONSTRAINT fk_pago_venta_caja FOREIGN KEY (id_caja) REFERENCES caja_sesion (id_caja);
+
+ALTER TABLE pago_atencion
+  ADD COLUMN id_caja INT NULL,
+  ADD CONSTRAINT fk_pago_atencion_caja FOREIGN KEY (id_caja) REFERENCES caja_sesion (id_caja);
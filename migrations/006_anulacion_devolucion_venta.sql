@@ -0,0 +1,34 @@
+-- Anulación de ventas y devoluciones parciales de productos.
+-- detalle_venta no se modifica: lo devuelto queda en devolucion_venta_detalle.
+
+ALTER TABLE venta
+  ADD COLUMN estado_venta ENUM('vigente', 'anulada') NOT NULL DEFAULT 'vigente',
+  ADD COLUMN total_devuelto DECIMAL(12, 2) NOT NULL DEFAULT 0,
+  ADD COLUMN motivo_anulacion VARCHAR(255) NULL,
+  ADD COLUMN anulada_por INT NULL,
+  ADD COLUMN fecha_anulacion DATETIME NULL;
+
+CREATE TABLE IF NOT EXISTS devolucion_venta (
+  id_devolucion INT AUTO_INCREMENT PRIMARY KEY,
+  id_venta INT NOT NULL,
+  tipo ENUM('devolucion', 'anulacion') NOT NULL DEFAULT 'devolucion',
+  motivo VARCHAR(255) NOT NULL,
+  monto DECIMAL(12, 2) NOT NULL,
+  reembolso_adeudado DECIMAL(12, 2) NOT NULL DEFAULT 0,
+  id_pago_reembolso INT NULL,
+  id_personal INT NULL,
+  fecha DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  CONSTRAINT fk_devolucion_venta FOREIGN KEY (id_venta) REFERENCES venta (id_venta),
+  CONSTRAINT fk_devolucion_pago FOREIGN KEY (id_pago_reembolso) REFERENCES pago_venta (id_pago)
+);
+
+CREATE TABLE IF NOT EXISTS devolucion_venta_detalle (
+  id_devolucion_detalle INT AUTO_INCREMENT PRIMARY KEY,
+  id_devolucion INT NOT NULL,
+  id_detalle INT NOT NULL,
+  id_producto INT NOT NULL,
+  cantidad INT NOT NULL,
+  precio_unitario DECIMAL(12, 2) NOT NULL,
+  CONSTRAINT fk_devdet_devolucion FOREIGN KEY (id_devolucion) REFERENCES devolucion_venta (id_devolucion),
+  CONSTRAINT fk_devdet_detalle FOREIGN KEY (id_detalle) REFERENCES detalle_venta (id_detalle)
+);
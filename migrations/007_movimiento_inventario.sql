@@ -0,0 +1,17 @@
+-- Kardex: cada cambio de producto.stock deja un movimiento con su saldo resultante.
+
+CREATE TABLE IF NOT EXISTS movimiento_inventario (
+  id_movimiento INT AUTO_INCREMENT PRIMARY KEY,
+  id_producto INT NOT NULL,
+  tipo ENUM('venta', 'edicion_venta', 'ingreso', 'ajuste', 'devolucion', 'anulacion') NOT NULL,
+  cantidad INT NOT NULL,
+  saldo INT NOT NULL,
+  documento_tipo VARCHAR(30) NULL,
+  id_documento INT NULL,
+  motivo VARCHAR(255) NULL,
+  id_personal INT NULL,
+  fecha DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  CONSTRAINT fk_movimiento_producto FOREIGN KEY (id_producto) REFERENCES producto (id_producto),
+  CONSTRAINT fk_movimiento_personal FOREIGN KEY (id_personal) REFERENCES personal (id_personal),
+  INDEX idx_movimiento_producto_fecha (id_producto, fecha)
+);
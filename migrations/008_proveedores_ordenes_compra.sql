@@ -0,0 +1,64 @@
+-- Proveedores, órdenes de compra con recepción parcial y costo de compra por producto.
+
+CREATE TABLE IF NOT EXISTS proveedor (
+  id_proveedor INT AUTO_INCREMENT PRIMARY KEY,
+  nombre VARCHAR(120) NOT NULL,
+  rut VARCHAR(20) NULL UNIQUE,
+  contacto VARCHAR(120) NULL,
+  telefono VARCHAR(30) NULL,
+  email VARCHAR(120) NULL,
+  direccion VARCHAR(255) NULL,
+  activo TINYINT(1) NOT NULL DEFAULT 1
+);
+
+CREATE TABLE IF NOT EXISTS orden_compra (
+  id_orden INT AUTO_INCREMENT PRIMARY KEY,
+  id_proveedor INT NOT NULL,
+  estado ENUM('borrador', 'enviada', 'parcial', 'recibida', 'cancelada') NOT NULL DEFAULT 'borrador',
+  fecha DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  fecha_envio DATETIME NULL,
+  fecha_recepcion DATETIME NULL,
+  total DECIMAL(12, 2) NOT NULL DEFAULT 0,
+  observacion VARCHAR(255) NULL,
+  creado_por INT NULL,
+  CONSTRAINT fk_orden_proveedor FOREIGN KEY (id_proveedor) REFERENCES proveedor (id_proveedor)
+);
+
+CREATE TABLE IF NOT EXISTS orden_compra_detalle (
+  id_detalle_oc INT AUTO_INCREMENT PRIMARY KEY,
+  id_orden INT NOT NULL,
+  id_producto INT NOT NULL,
+  cantidad INT NOT NULL,
+  cantidad_recibida INT NOT NULL DEFAULT 0,
+  costo_unitario DECIMAL(12, 2) NOT NULL,
+  CONSTRAINT fk_ocdet_orden FOREIGN KEY (id_orden) REFERENCES orden_compra (id_orden),
+  CONSTRAINT fk_ocdet_producto FOREIGN KEY (id_producto) REFERENCES producto (id_producto)
+);
+
+CREATE TABLE IF NOT EXISTS recepcion_compra (
+  id_recepcion INT AUTO_INCREMENT PRIMARY KEY,
+  id_orden INT NOT NULL,
+  fecha DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  observacion VARCHAR(255) NULL,
+  id_personal INT NULL,
+  CONSTRAINT fk_recepcion_orden FOREIGN KEY (id_orden) REFERENCES orden_compra (id_orden)
+);
+
+CREATE TABLE IF NOT EXISTS recepcion_compra_detalle (
+  id_recepcion_detalle INT AUTO_INCREMENT PRIMARY KEY,
+  id_recepcion INT NOT NULL,
+  id_detalle_oc INT NOT NULL,
+  id_producto INT NOT NULL,
+  cantidad INT NOT NULL,
+  costo_unitario DECIMAL(12, 2) NOT NULL,
+  CONSTRAINT fk_recdet_recepcion FOREIGN KEY (id_recepcion) REFERENCES recepcion_compra (id_recepcion),
+  CONSTRAINT fk_recdet_detalle FOREIGN KEY (id_detalle_oc) REFERENCES orden_compra_detalle (id_detalle_oc)
+);
+
+-- Costo promedio ponderado, actualizado en cada recepción, y costo congelado
+-- en cada línea vendida para poder calcular margen.
+ALTER TABLE producto
+  ADD COLUMN costo_promedio DECIMAL(12, 2) NULL;
+
+ALTER TABLE detalle_venta
+  ADD COLUMN costo_unitario DECIMAL(12, 2) NULL;
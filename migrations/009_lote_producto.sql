@@ -0,0 +1,36 @@
+-- Stock por lote con fecha de vencimiento. producto.stock se mantiene como la
+-- suma de cantidad_disponible de sus lotes (incluidos los vencidos).
+
+CREATE TABLE IF NOT EXISTS lote_producto (
+  id_lote INT AUTO_INCREMENT PRIMARY KEY,
+  id_producto INT NOT NULL,
+  codigo_lote VARCHAR(60) NULL,
+  fecha_vencimiento DATE NULL,
+  cantidad_inicial INT NOT NULL,
+  cantidad_disponible INT NOT NULL,
+  fecha_ingreso DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  CONSTRAINT fk_lote_producto FOREIGN KEY (id_producto) REFERENCES producto (id_producto),
+  INDEX idx_lote_fefo (id_producto, fecha_vencimiento, id_lote)
+);
+
+-- Lotes consumidos por cada línea de venta, para reponer al mismo lote en
+-- devoluciones y ediciones.
+CREATE TABLE IF NOT EXISTS detalle_venta_lote (
+  id_detalle INT NOT NULL,
+  id_lote INT NOT NULL,
+  cantidad INT NOT NULL,
+  cantidad_devuelta INT NOT NULL DEFAULT 0,
+  PRIMARY KEY (id_detalle, id_lote),
+  CONSTRAINT fk_dvl_detalle FOREIGN KEY (id_detalle) REFERENCES detalle_venta (id_detalle),
+  CONSTRAINT fk_dvl_lote FOREIGN KEY (id_lote) REFERENCES lote_producto (id_lote)
+);
+
+ALTER TABLE movimiento_inventario
+  ADD COLUMN id_lote INT NULL,
+  ADD CONSTRAINT fk_movimiento_lote FOREIGN KEY (id_lote) REFERENCES lote_producto (id_lote);
+
+-- El stock existente queda en un lote sin vencimiento.
+INSERT INTO lote_producto (id_producto, codigo_lote, fecha_vencimiento, cantidad_inicial, cantidad_disponible)
+SELECT id_producto, 'INICIAL', NULL, stock, stock
+FROM producto
+WHERE stock > 0;
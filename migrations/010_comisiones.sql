@@ -0,0 +1,47 @@
+-- Reglas de comisión y cierre de periodos. Al cerrar un periodo se copia cada
+-- línea calculada a comision_detalle y desde ahí se informa, sin recalcular.
+
+CREATE TABLE IF NOT EXISTS regla_comision (
+  id_regla INT AUTO_INCREMENT PRIMARY KEY,
+  ambito ENUM('servicio', 'producto') NOT NULL,
+  id_servicio INT NULL,
+  id_producto INT NULL,
+  id_personal INT NULL,
+  tipo ENUM('porcentaje', 'fijo') NOT NULL,
+  valor DECIMAL(12, 2) NOT NULL,
+  activo TINYINT(1) NOT NULL DEFAULT 1,
+  fecha_creacion DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  CONSTRAINT fk_regla_servicio FOREIGN KEY (id_servicio) REFERENCES servicio (id_servicio),
+  CONSTRAINT fk_regla_producto FOREIGN KEY (id_producto) REFERENCES producto (id_producto),
+  CONSTRAINT fk_regla_personal FOREIGN KEY (id_personal) REFERENCES personal (id_personal)
+);
+
+CREATE TABLE IF NOT EXISTS periodo_comision (
+  id_periodo INT AUTO_INCREMENT PRIMARY KEY,
+  desde DATE NOT NULL,
+  hasta DATE NOT NULL,
+  total DECIMAL(12, 2) NOT NULL DEFAULT 0,
+  cerrado_por INT NULL,
+  fecha_cierre DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  observacion VARCHAR(255) NULL
+);
+
+CREATE TABLE IF NOT EXISTS comision_detalle (
+  id_comision INT AUTO_INCREMENT PRIMARY KEY,
+  id_periodo INT NOT NULL,
+  id_personal INT NOT NULL,
+  origen ENUM('atencion', 'venta') NOT NULL,
+  id_documento INT NOT NULL,
+  id_linea INT NOT NULL,
+  fecha_documento DATETIME NOT NULL,
+  id_item INT NOT NULL,
+  base DECIMAL(12, 2) NOT NULL,
+  cantidad INT NOT NULL DEFAULT 1,
+  id_regla INT NULL,
+  tipo ENUM('porcentaje', 'fijo') NULL,
+  valor DECIMAL(12, 2) NULL,
+  monto DECIMAL(12, 2) NOT NULL,
+  CONSTRAINT fk_comision_periodo FOREIGN KEY (id_periodo) REFERENCES periodo_comision (id_periodo),
+  CONSTRAINT fk_comision_personal FOREIGN KEY (id_personal) REFERENCES personal (id_personal),
+  INDEX idx_comision_personal (id_personal, id_periodo)
+);
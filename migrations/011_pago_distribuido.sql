@@ -0,0 +1,23 @@
+-- Pagos de una clienta repartidos entre varios documentos abiertos. Cada parte
+-- se registra como un pago normal en pago_venta / pago_atencion y apunta al
+-- registro que la originó.
+
+CREATE TABLE IF NOT EXISTS pago_distribuido (
+  id_pago_distribuido INT AUTO_INCREMENT PRIMARY KEY,
+  id_clienta INT NOT NULL,
+  monto DECIMAL(12, 2) NOT NULL,
+  medio_pago VARCHAR(50) NOT NULL,
+  registrado_por INT NULL,
+  id_caja INT NULL,
+  fecha DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  CONSTRAINT fk_pago_dist_clienta FOREIGN KEY (id_clienta) REFERENCES clienta (id_clienta),
+  CONSTRAINT fk_pago_dist_caja FOREIGN KEY (id_caja) REFERENCES caja_sesion (id_caja)
+);
+
+ALTER TABLE pago_venta
+  ADD COLUMN id_pago_distribuido INT NULL,
+  ADD CONSTRAINT fk_pago_venta_dist FOREIGN KEY (id_pago_distribuido) REFERENCES pago_distribuido (id_pago_distribuido);
+
+ALTER TABLE pago_atencion
+  ADD COLUMN id_pago_distribuido INT NULL,
+  ADD CONSTRAINT fk_pago_atencion_dist FOREIGN KEY (id_pago_distribuido) REFERENCES pago_distribuido (id_pago_distribuido);
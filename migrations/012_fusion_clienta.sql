@@ -0,0 +1,15 @@
+-- Registro de fusiones de clientas duplicadas. Se guarda una copia de la
+-- clienta absorbida y la cantidad de registros traspasados.
+
+CREATE TABLE IF NOT EXISTS fusion_clienta (
+  id_fusion INT AUTO_INCREMENT PRIMARY KEY,
+  id_clienta_destino INT NOT NULL,
+  id_clienta_origen INT NOT NULL,
+  datos_origen JSON NOT NULL,
+  traspasos JSON NOT NULL,
+  motivo VARCHAR(255) NULL,
+  fusionado_por INT NULL,
+  fecha DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  CONSTRAINT fk_fusion_destino FOREIGN KEY (id_clienta_destino) REFERENCES clienta (id_clienta),
+  CONSTRAINT fk_fusion_origen FOREIGN KEY (id_clienta_origen) REFERENCES clienta (id_clienta)
+);
@@ -0,0 +1,39 @@
+-- Ficha clínica de la clienta con versiones (cada cambio agrega una fila y la
+-- vigente es la de mayor versión) y notas por sesión de atención.
+
+CREATE TABLE IF NOT EXISTS ficha_clinica (
+  id_ficha INT AUTO_INCREMENT PRIMARY KEY,
+  id_clienta INT NOT NULL,
+  version INT NOT NULL,
+  embarazo TINYINT(1) NOT NULL DEFAULT 0,
+  lesiones TEXT NULL,
+  alergias TEXT NULL,
+  medicamentos TEXT NULL,
+  observaciones TEXT NULL,
+  registrado_por INT NULL,
+  fecha DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE KEY uq_ficha_version (id_clienta, version),
+  CONSTRAINT fk_ficha_clienta FOREIGN KEY (id_clienta) REFERENCES clienta (id_clienta)
+);
+
+-- Condiciones de la ficha que contraindican un servicio.
+CREATE TABLE IF NOT EXISTS servicio_contraindicacion (
+  id_servicio INT NOT NULL,
+  condicion ENUM('embarazo', 'lesiones', 'alergias', 'medicamentos') NOT NULL,
+  PRIMARY KEY (id_servicio, condicion),
+  CONSTRAINT fk_contraind_servicio FOREIGN KEY (id_servicio) REFERENCES servicio (id_servicio)
+);
+
+CREATE TABLE IF NOT EXISTS nota_sesion (
+  id_nota INT AUTO_INCREMENT PRIMARY KEY,
+  id_atencion INT NOT NULL UNIQUE,
+  zonas_trabajadas TEXT NULL,
+  presion ENUM('suave', 'media', 'firme') NULL,
+  recomendaciones TEXT NULL,
+  observaciones TEXT NULL,
+  registrado_por INT NULL,
+  actualizado_por INT NULL,
+  fecha_creacion DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  fecha_actualizacion DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  CONSTRAINT fk_nota_atencion FOREIGN KEY (id_atencion) REFERENCES atencion (id_atencion)
+);
@@ -0,0 +1,17 @@
+-- Solicitudes de acceso y eliminación de datos personales (Ley 19.628).
+-- La anonimización borra los datos identificatorios de la clienta pero deja
+-- ventas, atenciones y pagos para la contabilidad.
+
+ALTER TABLE clienta
+  ADD COLUMN anonimizada TINYINT(1) NOT NULL DEFAULT 0,
+  ADD COLUMN fecha_anonimizacion DATETIME NULL;
+
+CREATE TABLE IF NOT EXISTS registro_datos_personales (
+  id_registro INT AUTO_INCREMENT PRIMARY KEY,
+  id_clienta INT NOT NULL,
+  accion ENUM('exportacion', 'anonimizacion') NOT NULL,
+  motivo VARCHAR(255) NULL,
+  id_personal INT NULL,
+  fecha DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  CONSTRAINT fk_registro_dp_clienta FOREIGN KEY (id_clienta) REFERENCES clienta (id_clienta)
+);
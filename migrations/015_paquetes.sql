@@ -0,0 +1,66 @@
+-- Paquetes prepagados de sesiones. El paquete se paga completo al venderse;
+-- cada servicio agendado con cargo al paquete consume una sesión y la
+-- cancelación de la atención la devuelve.
+
+CREATE TABLE IF NOT EXISTS paquete (
+  id_paquete INT AUTO_INCREMENT PRIMARY KEY,
+  nombre VARCHAR(120) NOT NULL,
+  sesiones INT NOT NULL,
+  precio DECIMAL(12, 2) NOT NULL,
+  vigencia_dias INT NOT NULL,
+  activo TINYINT(1) NOT NULL DEFAULT 1
+);
+
+CREATE TABLE IF NOT EXISTS paquete_servicio (
+  id_paquete INT NOT NULL,
+  id_servicio INT NOT NULL,
+  PRIMARY KEY (id_paquete, id_servicio),
+  CONSTRAINT fk_paqserv_paquete FOREIGN KEY (id_paquete) REFERENCES paquete (id_paquete),
+  CONSTRAINT fk_paqserv_servicio FOREIGN KEY (id_servicio) REFERENCES servicio (id_servicio)
+);
+
+CREATE TABLE IF NOT EXISTS paquete_clienta (
+  id_paquete_clienta INT AUTO_INCREMENT PRIMARY KEY,
+  id_paquete INT NOT NULL,
+  id_clienta INT NOT NULL,
+  sesiones_total INT NOT NULL,
+  sesiones_usadas INT NOT NULL DEFAULT 0,
+  precio DECIMAL(12, 2) NOT NULL,
+  medio_pago VARCHAR(50) NOT NULL,
+  fecha_compra DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  fecha_vencimiento DATE NOT NULL,
+  vendido_por INT NULL,
+  id_caja INT NULL,
+  CONSTRAINT fk_paqcli_paquete FOREIGN KEY (id_paquete) REFERENCES paquete (id_paquete),
+  CONSTRAINT fk_paqcli_clienta FOREIGN KEY (id_clienta) REFERENCES clienta (id_clienta),
+  CONSTRAINT fk_paqcli_caja FOREIGN KEY (id_caja) REFERENCES caja_sesion (id_caja),
+  INDEX idx_paqcli_clienta (id_clienta, fecha_vencimiento)
+);
+
+-- Servicios cubiertos, copiados de paquete_servicio al vender: cambiar la
+-- definición del paquete no altera los ya vendidos.
+CREATE TABLE IF NOT EXISTS paquete_clienta_servicio (
+  id_paquete_clienta INT NOT NULL,
+  id_servicio INT NOT NULL,
+  PRIMARY KEY (id_paquete_clienta, id_servicio),
+  CONSTRAINT fk_paqcliserv_paqcli FOREIGN KEY (id_paquete_clienta) REFERENCES paquete_clienta (id_paquete_clienta),
+  CONSTRAINT fk_paqcliserv_servicio FOREIGN KEY (id_servicio) REFERENCES servicio (id_servicio)
+);
+
+-- Sin FK a atencion_servicio: esas filas se reemplazan al editar la atención.
+CREATE TABLE IF NOT EXISTS paquete_consumo (
+  id_consumo INT AUTO_INCREMENT PRIMARY KEY,
+  id_paquete_clienta INT NOT NULL,
+  id_atencion INT NOT NULL,
+  id_servicio INT NOT NULL,
+  estado ENUM('consumida', 'devuelta') NOT NULL DEFAULT 'consumida',
+  fecha DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  fecha_devolucion DATETIME NULL,
+  CONSTRAINT fk_consumo_paqcli FOREIGN KEY (id_paquete_clienta) REFERENCES paquete_clienta (id_paquete_clienta),
+  CONSTRAINT fk_consumo_atencion FOREIGN KEY (id_atencion) REFERENCES atencion (id_atencion),
+  INDEX idx_consumo_atencion (id_atencion, estado)
+);
+
+ALTER TABLE atencion_servicio
+  ADD COLUMN id_paquete_clienta INT NULL,
+  ADD CONSTRAINT fk_atserv_paqcli FOREIGN KEY (id_paquete_clienta) REFERENCES paquete_clienta (id_paquete_clienta);
@@ -0,0 +1,53 @@
+-- Giftcards: se venden como un producto marcado con es_giftcard (sin stock) y
+-- cada unidad vendida emite una tarjeta con código y saldo. Se aceptan como
+-- medio_pago 'giftcard'; cada cambio de saldo queda en giftcard_movimiento.
+
+ALTER TABLE producto
+  ADD COLUMN es_giftcard TINYINT(1) NOT NULL DEFAULT 0;
+
+-- Sin FK a detalle_venta: esas filas se reemplazan al editar la venta.
+CREATE TABLE IF NOT EXISTS giftcard (
+  id_giftcard INT AUTO_INCREMENT PRIMARY KEY,
+  codigo VARCHAR(20) NOT NULL,
+  saldo_inicial DECIMAL(12, 2) NOT NULL,
+  saldo DECIMAL(12, 2) NOT NULL,
+  estado ENUM('activa', 'anulada') NOT NULL DEFAULT 'activa',
+  fecha_emision DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  fecha_vencimiento DATE NOT NULL,
+  id_venta INT NOT NULL,
+  id_detalle INT NULL,
+  emitida_por INT NULL,
+  motivo_anulacion VARCHAR(255) NULL,
+  fecha_anulacion DATETIME NULL,
+  UNIQUE KEY uq_giftcard_codigo (codigo),
+  CONSTRAINT fk_giftcard_venta FOREIGN KEY (id_venta) REFERENCES venta (id_venta),
+  INDEX idx_giftcard_detalle (id_detalle)
+);
+
+CREATE TABLE IF NOT EXISTS giftcard_movimiento (
+  id_movimiento INT AUTO_INCREMENT PRIMARY KEY,
+  id_giftcard INT NOT NULL,
+  tipo ENUM('emision', 'canje', 'reintegro', 'reverso', 'anulacion') NOT NULL,
+  monto DECIMAL(12, 2) NOT NULL,
+  saldo_resultante DECIMAL(12, 2) NOT NULL,
+  origen ENUM('venta', 'atencion', 'paquete') NULL,
+  id_documento INT NULL,
+  id_pago INT NULL,
+  motivo VARCHAR(255) NULL,
+  registrado_por INT NULL,
+  fecha DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  CONSTRAINT fk_gcmov_giftcard FOREIGN KEY (id_giftcard) REFERENCES giftcard (id_giftcard),
+  INDEX idx_gcmov_giftcard (id_giftcard, fecha)
+);
+
+ALTER TABLE pago_venta
+  ADD COLUMN id_giftcard INT NULL,
+  ADD CONSTRAINT fk_pago_venta_giftcard FOREIGN KEY (id_giftcard) REFERENCES giftcard (id_giftcard);
+
+ALTER TABLE pago_atencion
+  ADD COLUMN id_giftcard INT NULL,
+  ADD CONSTRAINT fk_pago_atencion_giftcard FOREIGN KEY (id_giftcard) REFERENCES giftcard (id_giftcard);
+
+ALTER TABLE paquete_clienta
+  ADD COLUMN id_giftcard INT NULL,
+  ADD CONSTRAINT fk_paqcli_giftcard FOREIGN KEY (id_giftcard) REFERENCES giftcard (id_giftcard);
@@ -0,0 +1,65 @@
+-- Promociones y cupones. El descuento se calcula en el servidor al crear o
+-- editar ventas y atenciones; cada línea guarda precio de lista, descuento
+-- unitario y precio final (precio_unitario / precio_aplicado).
+
+ALTER TABLE producto
+  ADD COLUMN categoria VARCHAR(80) NULL;
+
+ALTER TABLE servicio
+  ADD COLUMN categoria VARCHAR(80) NULL;
+
+-- Sin id_producto, id_servicio ni categoria la promoción aplica a todo el
+-- ámbito. Con codigo_cupon solo aplica si se ingresa el cupón.
+CREATE TABLE IF NOT EXISTS promocion (
+  id_promocion INT AUTO_INCREMENT PRIMARY KEY,
+  nombre VARCHAR(120) NOT NULL,
+  ambito ENUM('producto', 'servicio') NOT NULL,
+  tipo ENUM('porcentaje', 'fijo') NOT NULL,
+  valor DECIMAL(12, 2) NOT NULL,
+  id_producto INT NULL,
+  id_servicio INT NULL,
+  categoria VARCHAR(80) NULL,
+  fecha_inicio DATE NULL,
+  fecha_fin DATE NULL,
+  compra_minima DECIMAL(12, 2) NULL,
+  codigo_cupon VARCHAR(40) NULL,
+  usos_maximos INT NULL,
+  usos INT NOT NULL DEFAULT 0,
+  activo TINYINT(1) NOT NULL DEFAULT 1,
+  fecha_creacion DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE KEY uq_promocion_cupon (codigo_cupon),
+  CONSTRAINT fk_promocion_producto FOREIGN KEY (id_producto) REFERENCES producto (id_producto),
+  CONSTRAINT fk_promocion_servicio FOREIGN KEY (id_servicio) REFERENCES servicio (id_servicio)
+);
+
+-- Un uso por documento y promoción; se libera al editar, anular o cancelar.
+CREATE TABLE IF NOT EXISTS promocion_uso (
+  id_uso INT AUTO_INCREMENT PRIMARY KEY,
+  id_promocion INT NOT NULL,
+  origen ENUM('venta', 'atencion') NOT NULL,
+  id_documento INT NOT NULL,
+  monto_descuento DECIMAL(12, 2) NOT NULL,
+  fecha DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  CONSTRAINT fk_promouso_promocion FOREIGN KEY (id_promocion) REFERENCES promocion (id_promocion),
+  INDEX idx_promouso_documento (origen, id_documento)
+);
+
+ALTER TABLE venta
+  ADD COLUMN codigo_cupon VARCHAR(40) NULL,
+  ADD COLUMN descuento_total DECIMAL(12, 2) NOT NULL DEFAULT 0;
+
+ALTER TABLE detalle_venta
+  ADD COLUMN precio_lista DECIMAL(12, 2) NULL,
+  ADD COLUMN descuento DECIMAL(12, 2) NOT NULL DEFAULT 0,
+  ADD COLUMN id_promocion INT NULL,
+  ADD CONSTRAINT fk_detalle_venta_promocion FOREIGN KEY (id_promocion) REFERENCES promocion (id_promocion);
+
+ALTER TABLE atencion
+  ADD COLUMN codigo_cupon VARCHAR(40) NULL,
+  ADD COLUMN descuento_total DECIMAL(12, 2) NOT NULL DEFAULT 0;
+
+ALTER TABLE atencion_servicio
+  ADD COLUMN precio_lista DECIMAL(12, 2) NULL,
+  ADD COLUMN descuento DECIMAL(12, 2) NOT NULL DEFAULT 0,
+  ADD COLUMN id_promocion INT NULL,
+  ADD CONSTRAINT fk_atserv_promocion FOREIGN KEY (id_promocion) REFERENCES promocion (id_promocion);
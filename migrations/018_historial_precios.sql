@@ -0,0 +1,36 @@
+-- Historial de precios de lista. producto.precio y servicio.precio_base
+-- siguen siendo el precio vigente; cada cambio cierra el tramo abierto
+-- (vigente_hasta) y abre uno nuevo. Ventas y atenciones usan siempre el precio
+-- de lista; un precio distinto queda registrado en la línea con quién lo fijó
+-- y por qué.
+
+CREATE TABLE IF NOT EXISTS precio_historial (
+  id_precio INT AUTO_INCREMENT PRIMARY KEY,
+  ambito ENUM('producto', 'servicio') NOT NULL,
+  id_producto INT NULL,
+  id_servicio INT NULL,
+  precio DECIMAL(12, 2) NOT NULL,
+  vigente_desde DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  vigente_hasta DATETIME NULL,
+  motivo VARCHAR(255) NULL,
+  registrado_por INT NULL,
+  CONSTRAINT fk_precio_hist_producto FOREIGN KEY (id_producto) REFERENCES producto (id_producto),
+  CONSTRAINT fk_precio_hist_servicio FOREIGN KEY (id_servicio) REFERENCES servicio (id_servicio),
+  INDEX idx_precio_hist_producto (id_producto, vigente_desde),
+  INDEX idx_precio_hist_servicio (id_servicio, vigente_desde)
+);
+
+-- Tramo inicial con el precio actual de cada ítem.
+INSERT INTO precio_historial (ambito, id_producto, precio, motivo)
+SELECT 'producto', id_producto, precio, 'Precio inicial' FROM producto;
+
+INSERT INTO precio_historial (ambito, id_servicio, precio, motivo)
+SELECT 'servicio', id_servicio, precio_base, 'Precio inicial' FROM servicio;
+
+ALTER TABLE detalle_venta
+  ADD COLUMN precio_modificado_por INT NULL,
+  ADD COLUMN motivo_precio VARCHAR(255) NULL;
+
+ALTER TABLE atencion_servicio
+  ADD COLUMN precio_modificado_por INT NULL,
+  ADD COLUMN motivo_precio VARCHAR(255) NULL;
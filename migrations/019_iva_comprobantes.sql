@@ -0,0 +1,48 @@
+-- Desglose de IVA por documento y comprobantes con folio correlativo. Los
+-- precios incluyen IVA: total es el monto bruto y exento + neto + iva = total.
+-- En ventas, exento es lo vendido en giftcards, que no es base imponible.
+
+ALTER TABLE venta
+  ADD COLUMN tasa_iva DECIMAL(5, 4) NOT NULL DEFAULT 0.1900,
+  ADD COLUMN exento DECIMAL(12, 2) NOT NULL DEFAULT 0,
+  ADD COLUMN neto DECIMAL(12, 2) NOT NULL DEFAULT 0,
+  ADD COLUMN iva DECIMAL(12, 2) NOT NULL DEFAULT 0;
+
+UPDATE venta v
+SET v.exento = (
+  SELECT COALESCE(SUM(dv.cantidad * dv.precio_unitario), 0)
+  FROM detalle_venta dv
+  INNER JOIN producto pr ON pr.id_producto = dv.id_producto
+  WHERE dv.id_venta = v.id_venta AND pr.es_giftcard = 1
+);
+
+UPDATE venta SET neto = ROUND((total - exento) / (1 + tasa_iva), 2), iva = total - exento - neto;
+
+ALTER TABLE atencion
+  ADD COLUMN tasa_iva DECIMAL(5, 4) NOT NULL DEFAULT 0.1900,
+  ADD COLUMN neto DECIMAL(12, 2) NOT NULL DEFAULT 0,
+  ADD COLUMN iva DECIMAL(12, 2) NOT NULL DEFAULT 0;
+
+UPDATE atencion SET neto = ROUND(total / (1 + tasa_iva), 2), iva = total - neto;
+
+-- Último folio entregado por secuencia. Se lee con FOR UPDATE dentro de la
+-- misma transacción que inserta el comprobante, así no hay saltos ni repetidos.
+CREATE TABLE IF NOT EXISTS secuencia_folio (
+  nombre VARCHAR(40) PRIMARY KEY,
+  ultimo INT NOT NULL DEFAULT 0
+);
+
+INSERT INTO secuencia_folio (nombre, ultimo) VALUES ('comprobante', 0);
+
+-- Un comprobante por documento; se emite al imprimirlo por primera vez y
+-- conserva su folio aunque el documento se anule.
+CREATE TABLE IF NOT EXISTS comprobante (
+  id_comprobante INT AUTO_INCREMENT PRIMARY KEY,
+  folio INT NOT NULL,
+  origen ENUM('venta', 'atencion') NOT NULL,
+  id_documento INT NOT NULL,
+  emitido_por INT NULL,
+  fecha_emision DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE KEY uq_comprobante_folio (folio),
+  UNIQUE KEY uq_comprobante_documento (origen, id_documento)
+);
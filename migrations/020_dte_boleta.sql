@@ -0,0 +1,40 @@
+-- Boleta electrónica (DTE tipo 39). Los folios salen de los CAF cargados
+-- localmente; cada DTE firmado se guarda con su XML y el estado de envío.
+
+CREATE TABLE IF NOT EXISTS dte_caf (
+  id_caf INT AUTO_INCREMENT PRIMARY KEY,
+  tipo_dte INT NOT NULL,
+  rut_emisor VARCHAR(12) NOT NULL,
+  folio_desde INT NOT NULL,
+  folio_hasta INT NOT NULL,
+  siguiente_folio INT NOT NULL,
+  fecha_autorizacion DATE NULL,
+  caf_xml TEXT NOT NULL,
+  clave_privada TEXT NOT NULL,
+  cargado_por INT NULL,
+  fecha_carga DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE KEY uq_dte_caf_rango (tipo_dte, folio_desde)
+);
+
+-- Sin FK al documento: origen indica si id_documento es venta o atención.
+CREATE TABLE IF NOT EXISTS dte (
+  id_dte INT AUTO_INCREMENT PRIMARY KEY,
+  tipo_dte INT NOT NULL,
+  folio INT NOT NULL,
+  id_caf INT NOT NULL,
+  origen ENUM('venta', 'atencion') NOT NULL,
+  id_documento INT NOT NULL,
+  monto_neto INT NOT NULL,
+  iva INT NOT NULL,
+  monto_total INT NOT NULL,
+  xml MEDIUMTEXT NOT NULL,
+  estado ENUM('generado', 'enviado', 'error') NOT NULL DEFAULT 'generado',
+  track_id VARCHAR(40) NULL,
+  respuesta_envio VARCHAR(255) NULL,
+  fecha_envio DATETIME NULL,
+  generado_por INT NULL,
+  fecha_generacion DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE KEY uq_dte_folio (tipo_dte, folio),
+  UNIQUE KEY uq_dte_documento (origen, id_documento),
+  CONSTRAINT fk_dte_caf FOREIGN KEY (id_caf) REFERENCES dte_caf (id_caf)
+);
@@ -0,0 +1,9 @@
+-- Boleta electrónica de paquetes vendidos. El paquete se boletea completo al
+-- venderse; los servicios que luego lo consumen no vuelven a boletearse. La
+-- tasa de IVA queda guardada con la venta del paquete, como en venta y atención.
+
+ALTER TABLE paquete_clienta
+  ADD COLUMN tasa_iva DECIMAL(5, 4) NOT NULL DEFAULT 0.1900;
+
+ALTER TABLE dte
+  MODIFY COLUMN origen ENUM('venta', 'atencion', 'paquete') NOT NULL;
@@ -3,11 +3,29 @@ const router = express.Router();
 const pool = require('../config/db');
 
 const { auth, requireRole } = require('../middlewares/auth');
+const { resumirPagos, recalcularEstadoPagoAtencion } = require('../utils/pagos');
+const {
+  parsePaginacion,
+  parseOrden,
+  parseRangoFechas,
+  parseIdFiltro,
+  parseListaFiltro,
+  agregarBusqueda,
+  responderListado,
+  limitSql,
+  limitParams
+} = require('../utils/listado');
+const { evaluarContraindicaciones } = require('../utils/fichaClinica');
+const { usaPaquete, totalServicios, validarUsoPaquetes, consumirSesion, devolverSesionesAtencion } = require('../utils/paquetes');
+const { evaluarPromociones, registrarUsosPromocion, liberarUsosPromocion } = require('../utils/promociones');
+const { asociarLineasExistentes, autorizarPreciosModificados } = require('../utils/precios');
+const { tasaIva, actualizarDesgloseIva } = require('../utils/iva');
+const { datosEmpresa, fetchComprobante, fetchFoliosEmitidos, emitirComprobante, renderComprobanteHtml } = require('../utils/comprobantes');
+const { fetchDte, fetchFoliosDte, emitirBoleta, responderDte } = require('../utils/dte');
+const { minToMs, parseFechaDia, parseHora } = require('../utils/fechas');
 
 router.use(auth, requireRole('masoterapeuta', 'administradora'));
 
-const minToMs = (min) => Number(min) * 60 * 1000;
-
 function toMysqlDatetimeLocal(date) {
   const pad = (n) => String(n).padStart(2, '0');
   return (
@@ -125,9 +143,472 @@ async function checkConflicts(conn, { id_personal, bloque_inicio, bloque_fin, ex
   return { ok: true };
 }
 
+async function validarBloque(conn, { id_personal, inicioDate, traslado, totalDuracion, excludeIdAtencion = null }) {
+  const fecha_fin = toMysqlDatetimeLocal(new Date(inicioDate.getTime() + minToMs(totalDuracion)));
+  const bloque_inicio = toMysqlDatetimeLocal(new Date(inicioDate.getTime() - minToMs(traslado)));
+  const bloque_fin = fecha_fin;
+
+  const horarioOk = await checkHorarioLaboral(conn, { id_personal, bloque_inicio, bloque_fin });
+  if (!horarioOk.ok) return horarioOk;
+
+  const conf = await checkConflicts(conn, { id_personal, bloque_inicio, bloque_fin, excludeIdAtencion });
+  if (!conf.ok) return conf;
+
+  return { ok: true, fecha_fin, bloque_inicio, bloque_fin };
+}
+
+// Los servicios con id_paquete_clienta van a precio 0 y consumen una sesión.
+async function insertarServiciosAtencion(conn, id_atencion, servicios) {
+  for (const s of servicios) {
+    const conPaquete = usaPaquete(s);
+    await conn.query(
+      `
+      INSERT INTO atencion_servicio
+        (id_atencion, id_servicio, precio_aplicado, id_paquete_clienta, precio_lista, descuento, id_promocion,
+         precio_modificado_por, motivo_precio)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `,
+      [
+        id_atencion,
+        s.id_servicio,
+        conPaquete ? 0 : s.precio_aplicado,
+        conPaquete ? Number(s.id_paquete_clienta) : null,
+        s.precio_lista ?? s.precio_aplicado,
+        conPaquete ? 0 : Number(s.descuento || 0),
+        conPaquete ? null : s.id_promocion || null,
+        conPaquete ? null : s.precio_modificado_por || null,
+        conPaquete ? null : s.motivo_precio || null
+      ]
+    );
+
+    if (conPaquete) {
+      const consumo = await consumirSesion(conn, {
+        id_paquete_clienta: Number(s.id_paquete_clienta),
+        id_atencion,
+        id_servicio: s.id_servicio
+      });
+      if (!consumo.ok) return consumo;
+    }
+  }
+  return { ok: true };
+}
+
+// Cada servicio parte de su precio de lista. Un precio_aplicado distinto
+// requiere permiso y motivo_precio (por servicio o de la atención); si no, se
+// reemplaza por el precio final tras aplicar promociones. Al editar,
+// "existentes" son las líneas guardadas: las cobradas que no cambian de precio
+// se conservan como estaban. Las de paquete no se asocian (van a precio 0).
+async function aplicarPromocionesServicios(conn, servicios, { codigo_cupon, reemplaza = [], documentos = 1, existentes = [], user, motivo_precio }) {
+  const cobradas = asociarLineasExistentes(
+    servicios.filter((s) => !usaPaquete(s)),
+    existentes.filter((e) => !e.id_paquete_clienta),
+    { id_linea: 'id_atencion_servicio', id_item: 'id_servicio' }
+  );
+  let k = 0;
+  const asociadas = servicios.map((s) => (usaPaquete(s) ? { ...s, existente: null } : cobradas[k++]));
+
+  const ev = await evaluarPromociones(conn, {
+    ambito: 'servicio',
+    lineas: asociadas.map((s) => ({
+      ...s,
+      id_item: s.id_servicio,
+      cantidad: 1,
+      precio_manual: usaPaquete(s) ? null : s.precio_aplicado,
+      sin_promocion: usaPaquete(s)
+    })),
+    codigo_cupon,
+    reemplaza: { origen: 'atencion', ids: reemplaza },
+    documentos
+  });
+  if (!ev.ok) return ev;
+
+  const precios = autorizarPreciosModificados(user, ev.lineas, motivo_precio);
+  if (!precios.ok) return precios;
+
+  return {
+    ok: true,
+    servicios: precios.lineas.map(({ id_item, cantidad, sin_promocion, precio_final, existente, id_atencion_servicio, ...s }) => ({
+      ...s,
+      precio_aplicado: precio_final
+    })),
+    descuento_total: ev.descuento_total,
+    codigo_cupon: ev.codigo_cupon
+  };
+}
+
+// Un total 0 solo es válido si algún servicio va con cargo a un paquete.
+function validarTotalAtencion(servicios) {
+  const total = totalServicios(servicios);
+  if (total < 0 || (total === 0 && !servicios.some(usaPaquete))) {
+    return { ok: false, status: 400, message: 'El total debe ser mayor a 0' };
+  }
+  return { ok: true, total };
+}
+
+const ESTADOS_ATENCION = ['pendiente', 'confirmada', 'en_curso', 'realizada', 'cancelada', 'no_asistio'];
+const TRANSICIONES_ATENCION = {
+  pendiente: ['confirmada', 'en_curso', 'cancelada', 'no_asistio'],
+  confirmada: ['pendiente', 'en_curso', 'cancelada', 'no_asistio'],
+  en_curso: ['realizada', 'cancelada'],
+  realizada: [],
+  cancelada: [],
+  no_asistio: []
+};
+// Estados en los que la atención todavía puede reprogramarse o cancelarse en bloque.
+const ESTADOS_AGENDADOS = ['pendiente', 'confirmada'];
+// Sin transiciones de salida: la atención ya no se edita (horario, servicios ni total).
+const esEstadoTerminal = (estado) => (TRANSICIONES_ATENCION[estado] || []).length === 0;
+const ESTADOS_PAGO = ['pendiente', 'parcial', 'pagado'];
+
+function validarTransicion(estadoActual, estadoNuevo, motivo) {
+  if (!ESTADOS_ATENCION.includes(String(estadoNuevo))) {
+    return { ok: false, status: 400, message: `estado_atencion inválido. Usa: ${ESTADOS_ATENCION.join(', ')}` };
+  }
+
+  const permitidos = TRANSICIONES_ATENCION[estadoActual] || [];
+  if (!permitidos.includes(estadoNuevo)) {
+    return { ok: false, status: 409, message: `Transición no permitida: ${estadoActual} -> ${estadoNuevo}`, permitidos };
+  }
+
+  if (estadoNuevo === 'cancelada' && !String(motivo || '').trim()) {
+    return { ok: false, status: 400, message: 'Campo obligatorio para cancelar: motivo' };
+  }
+
+  return { ok: true };
+}
+
+async function registrarHistorialEstado(conn, { id_atencion, estado_anterior, estado_nuevo, motivo, id_personal }) {
+  await conn.query(
+    `
+    INSERT INTO atencion_estado_historial (id_atencion, estado_anterior, estado_nuevo, motivo, id_personal)
+    VALUES (?, ?, ?, ?, ?)
+    `,
+    [id_atencion, estado_anterior, estado_nuevo, motivo ? String(motivo).trim() : null, id_personal || null]
+  );
+}
+
+const FRECUENCIAS_SERIE = ['semanal', 'quincenal', 'mensual'];
+const ALCANCES_SERIE = ['esta', 'siguientes', 'todas'];
+const MAX_OCURRENCIAS_SERIE = 52;
+
+// Para la frecuencia mensual se conserva el día del mes; si el mes es más
+// corto (p. ej. 31) se usa su último día.
+function calcularOcurrencias(inicioDate, frecuencia, { cantidad = null, hastaExclusive = null }) {
+  const y = inicioDate.getFullYear();
+  const mo = inicioDate.getMonth();
+  const d = inicioDate.getDate();
+  const h = inicioDate.getHours();
+  const mi = inicioDate.getMinutes();
+  const fechas = [];
+
+  for (let i = 0; fechas.length < MAX_OCURRENCIAS_SERIE; i++) {
+    let fecha;
+    if (frecuencia === 'mensual') {
+      fecha = new Date(y, mo + i, d, h, mi);
+      if (fecha.getDate() !== d) fecha = new Date(y, mo + i + 1, 0, h, mi);
+    } else {
+      fecha = new Date(y, mo, d + i * (frecuencia === 'quincenal' ? 14 : 7), h, mi);
+    }
+
+    if (hastaExclusive && fecha >= hastaExclusive) break;
+    fechas.push(fecha);
+    if (cantidad && fechas.length >= cantidad) break;
+  }
+
+  return fechas;
+}
+
+async function fetchOcurrenciasSerie(conn, atencion, alcance) {
+  const params = [atencion.id_serie];
+  let extra = '';
+  if (alcance === 'esta') {
+    extra = 'AND a.id_atencion = ?';
+    params.push(atencion.id_atencion);
+  } else if (alcance === 'siguientes') {
+    extra = 'AND a.fecha_inicio >= ?';
+    params.push(atencion.fecha_inicio);
+  }
+
+  const [rows] = await conn.query(
+    `
+    SELECT a.id_atencion, a.id_personal, a.fecha_inicio, a.fecha_fin, a.traslado_min, a.total,
+           a.estado_atencion, a.serie_ocurrencia
+    FROM atencion a
+    WHERE a.id_serie = ?
+      ${extra}
+    ORDER BY a.fecha_inicio ASC
+    `,
+    params
+  );
+
+  return rows;
+}
+
+// Líneas guardadas con lo necesario para conservar su precio al editar.
+async function fetchLineasGuardadas(conn, id_atencion) {
+  const [rows] = await conn.query(
+    `SELECT id_atencion_servicio, id_servicio, id_paquete_clienta, precio_lista, precio_aplicado AS precio_unitario,
+            descuento, id_promocion, precio_modificado_por, motivo_precio
+     FROM atencion_servicio
+     WHERE id_atencion = ?
+     ORDER BY id_atencion_servicio ASC`,
+    [id_atencion]
+  );
+  return rows;
+}
+
+async function fetchServiciosAtencion(conn, id_atencion) {
+  const [rows] = await conn.query(
+    `SELECT id_servicio, precio_aplicado FROM atencion_servicio WHERE id_atencion = ?`,
+    [id_atencion]
+  );
+  return rows;
+}
+
+function bloqueSeSolapa(bloqueInicio, bloqueFin, ocupada) {
+  const ocupadaInicio = new Date(new Date(ocupada.fecha_inicio).getTime() - minToMs(ocupada.traslado_min || 0));
+  return bloqueFin > ocupadaInicio && bloqueInicio < new Date(ocupada.fecha_fin);
+}
+
+function parseIdList(value) {
+  if (value == null) return [];
+  return [].concat(value)
+    .flatMap((v) => String(v).split(','))
+    .map((v) => Number(v))
+    .filter((v) => Number.isInteger(v) && v > 0);
+}
+
+const minutosDelDia = (date) => date.getHours() * 60 + date.getMinutes();
+
+async function fetchHorarioPersonal(conn, id_personal, { desde, hasta }) {
+  const [tramos] = await conn.query(
+    `
+    SELECT tipo, dia_semana, hora_inicio, hora_fin
+    FROM horario_personal
+    WHERE id_personal = ?
+    ORDER BY dia_semana ASC, hora_inicio ASC
+    `,
+    [id_personal]
+  );
+
+  const [ausencias] = await conn.query(
+    `
+    SELECT id_ausencia, tipo, fecha_inicio, fecha_fin, motivo
+    FROM ausencia_personal
+    WHERE id_personal = ?
+      AND fecha_fin > ?
+      AND fecha_inicio < ?
+    `,
+    [id_personal, toMysqlDatetimeLocal(desde), toMysqlDatetimeLocal(hasta)]
+  );
+
+  const toTramo = (t) => ({
+    dia_semana: Number(t.dia_semana),
+    inicioMin: parseHora(t.hora_inicio),
+    finMin: parseHora(t.hora_fin)
+  });
+
+  return {
+    trabajo: tramos.filter((t) => t.tipo === 'trabajo').map(toTramo),
+    descansos: tramos.filter((t) => t.tipo === 'descanso').map(toTramo),
+    ausencias
+  };
+}
+
+// Sin jornada semanal configurada solo se aplican las ausencias.
+function evaluarHorario(horario, bloqueInicio, bloqueFin) {
+  const ausencia = horario.ausencias.find(
+    (a) => bloqueFin > new Date(a.fecha_inicio) && bloqueInicio < new Date(a.fecha_fin)
+  );
+  if (ausencia) {
+    return {
+      ok: false,
+      message: `Personal ausente (${ausencia.tipo}) en ese horario`,
+      detalle: { id_ausencia: ausencia.id_ausencia, tipo: ausencia.tipo, fecha_inicio: toIsoLocal(ausencia.fecha_inicio), fecha_fin: toIsoLocal(ausencia.fecha_fin) }
+    };
+  }
+
+  if (horario.trabajo.length === 0) return { ok: true };
+
+  const ultimoInstante = new Date(bloqueFin.getTime() - 1);
+  if (bloqueInicio.toDateString() !== ultimoInstante.toDateString()) {
+    return { ok: false, message: 'El bloque de la atención (incluye traslado) cruza la medianoche, fuera de la jornada laboral' };
+  }
+
+  const dia = bloqueInicio.getDay();
+  const ini = minutosDelDia(bloqueInicio);
+  const fin = ini + Math.round((bloqueFin - bloqueInicio) / 60000);
+
+  const dentroDeJornada = horario.trabajo.some((t) => t.dia_semana === dia && ini >= t.inicioMin && fin <= t.finMin);
+  if (!dentroDeJornada) {
+    return { ok: false, message: 'El bloque de la atención (incluye traslado) está fuera de la jornada laboral del personal' };
+  }
+
+  const descanso = horario.descansos.find((d) => d.dia_semana === dia && fin > d.inicioMin && ini < d.finMin);
+  if (descanso) {
+    return { ok: false, message: 'El bloque de la atención (incluye traslado) coincide con un descanso del personal' };
+  }
+
+  return { ok: true };
+}
+
+async function checkHorarioLaboral(conn, { id_personal, bloque_inicio, bloque_fin }) {
+  const inicio = parseInicio(bloque_inicio);
+  const fin = parseInicio(bloque_fin);
+
+  const horario = await fetchHorarioPersonal(conn, id_personal, { desde: inicio, hasta: fin });
+  const ev = evaluarHorario(horario, inicio, fin);
+
+  if (!ev.ok) return { ok: false, status: 409, message: ev.message, detalle: ev.detalle };
+  return { ok: true };
+}
+
+async function fetchMasoterapeutasActivas(conn, id_personal = null) {
+  const params = [];
+  let extra = '';
+  if (id_personal != null) {
+    extra = 'AND p.id_personal = ?';
+    params.push(id_personal);
+  }
+
+  const [rows] = await conn.query(
+    `
+    SELECT DISTINCT p.id_personal, p.nombre, p.apellido
+    FROM personal p
+    INNER JOIN rol_personal rp ON rp.id_personal = p.id_personal
+    INNER JOIN rol r ON r.id_rol = rp.id_rol
+    WHERE r.nombre = 'masoterapeuta'
+      AND p.activo = 1
+      ${extra}
+    ORDER BY p.id_personal ASC
+    `,
+    params
+  );
+
+  return rows;
+}
+
+async function fetchAtencionesOcupadas(conn, { ids_personal, desde, hasta }) {
+  if (ids_personal.length === 0) return [];
+
+  const [rows] = await conn.query(
+    `
+    SELECT a.id_atencion, a.id_personal, a.fecha_inicio, a.fecha_fin, a.traslado_min
+    FROM atencion a
+    WHERE a.id_personal IN (${ids_personal.map(() => '?').join(',')})
+      AND a.estado_atencion <> 'cancelada'
+      AND a.fecha_fin > ?
+      AND DATE_SUB(a.fecha_inicio, INTERVAL a.traslado_min MINUTE) < ?
+    ORDER BY a.fecha_inicio ASC
+    `,
+    [...ids_personal, toMysqlDatetimeLocal(desde), toMysqlDatetimeLocal(hasta)]
+  );
+
+  return rows;
+}
+
+// Recorre cada día del rango y propone inicios cada paso_min cuyo bloque
+// (traslado + duración) quepa en la jornada del personal (o en la ventana
+// por defecto si no tiene jornada) y no choque con descansos, ausencias ni
+// otras atenciones, con las mismas reglas que se aplican al reservar.
+function calcularHorariosLibres({ desdeDia, hastaDia, ventanaDefecto, duracionMin, trasladoMin, pasoMin, horario, ocupadas, ahora }) {
+  const horarios = [];
+
+  for (let dia = new Date(desdeDia); dia <= hastaDia; dia.setDate(dia.getDate() + 1)) {
+    const ventanas = horario.trabajo.length > 0
+      ? horario.trabajo.filter((t) => t.dia_semana === dia.getDay())
+      : [ventanaDefecto];
+    const inicios = new Set();
+
+    for (const v of ventanas) {
+      for (let m = v.inicioMin + trasladoMin; m + duracionMin <= v.finMin; m += pasoMin) inicios.add(m);
+    }
+
+    for (const m of [...inicios].sort((a, b) => a - b)) {
+      const inicio = new Date(dia.getFullYear(), dia.getMonth(), dia.getDate(), 0, m);
+      if (inicio < ahora) continue;
+
+      const bloqueInicio = new Date(inicio.getTime() - minToMs(trasladoMin));
+      const bloqueFin = new Date(inicio.getTime() + minToMs(duracionMin));
+
+      if (!evaluarHorario(horario, bloqueInicio, bloqueFin).ok) continue;
+      if (ocupadas.some((o) => bloqueSeSolapa(bloqueInicio, bloqueFin, o))) continue;
+
+      horarios.push(toIsoLocal(inicio));
+    }
+  }
+
+  return horarios;
+}
+
 router.get('/', async (req, res) => {
   const conn = await pool.getConnection();
   try {
+    const paginacion = parsePaginacion(req.query);
+    if (!paginacion.ok) return res.status(400).json({ message: paginacion.message });
+
+    const orden = parseOrden(req.query.sort, {
+      fecha_inicio: 'a.fecha_inicio',
+      total: 'a.total',
+      id_atencion: 'a.id_atencion'
+    }, 'a.fecha_inicio ASC');
+    if (!orden.ok) return res.status(400).json({ message: orden.message });
+
+    const rango = parseRangoFechas(req.query);
+    if (!rango.ok) return res.status(400).json({ message: rango.message });
+
+    const clienta = parseIdFiltro(req.query.id_clienta, 'id_clienta');
+    if (!clienta.ok) return res.status(400).json({ message: clienta.message });
+    const personal = parseIdFiltro(req.query.id_personal, 'id_personal');
+    if (!personal.ok) return res.status(400).json({ message: personal.message });
+
+    const estados = parseListaFiltro(req.query.estado_atencion, 'estado_atencion', ESTADOS_ATENCION);
+    if (!estados.ok) return res.status(400).json({ message: estados.message });
+    const estadosPago = parseListaFiltro(req.query.estado_pago, 'estado_pago', ESTADOS_PAGO);
+    if (!estadosPago.ok) return res.status(400).json({ message: estadosPago.message });
+
+    const where = [];
+    const params = [];
+
+    // Sin desde ni hasta se muestra la agenda desde hoy; el historial se pide
+    // con un rango explícito.
+    if (rango.desde) {
+      where.push('a.fecha_inicio >= ?');
+      params.push(rango.desde);
+    } else if (!rango.hasta) {
+      where.push('a.fecha_inicio >= CURDATE()');
+    }
+    if (rango.hasta) {
+      where.push('a.fecha_inicio < DATE_ADD(?, INTERVAL 1 DAY)');
+      params.push(rango.hasta);
+    }
+    if (clienta.id) {
+      where.push('a.id_clienta = ?');
+      params.push(clienta.id);
+    }
+    if (personal.id) {
+      where.push('a.id_personal = ?');
+      params.push(personal.id);
+    }
+    if (estados.valores.length) {
+      where.push('a.estado_atencion IN (?)');
+      params.push(estados.valores);
+    }
+    if (estadosPago.valores.length) {
+      where.push('a.estado_pago IN (?)');
+      params.push(estadosPago.valores);
+    }
+    agregarBusqueda(where, params, req.query.q, ['c.nombre', 'c.apellido', 'p.nombre', 'p.apellido']);
+
+    const from = `
+      FROM atencion a
+      INNER JOIN clienta c ON c.id_clienta = a.id_clienta
+      INNER JOIN personal p ON p.id_personal = a.id_personal
+      ${where.length ? `WHERE ${where.join(' AND ')}` : ''}
+    `;
+
+    const [countRows] = await conn.query(`SELECT COUNT(*) AS total ${from}`, params);
+
     const [rows] = await conn.query(
       `
       SELECT
@@ -140,17 +621,18 @@ router.get('/', async (req, res) => {
         a.total,
         a.estado_atencion,
         a.estado_pago,
+        a.id_serie,
 
         c.nombre  AS clienta_nombre,
         c.apellido AS clienta_apellido,
 
         p.nombre AS personal_nombre,
         p.apellido AS personal_apellido
-      FROM atencion a
-      INNER JOIN clienta c ON c.id_clienta = a.id_clienta
-      INNER JOIN personal p ON p.id_personal = a.id_personal
-      ORDER BY a.fecha_inicio ASC
-      `
+      ${from}
+      ORDER BY ${orden.sql}, a.id_atencion ASC
+      ${limitSql(paginacion)}
+      `,
+      [...params, ...limitParams(paginacion)]
     );
 
     rows.forEach((r) => {
@@ -158,7 +640,7 @@ router.get('/', async (req, res) => {
       r.fecha_fin = toIsoLocal(r.fecha_fin);
     });
 
-    res.json(rows);
+    responderListado(res, { rows, total: Number(countRows[0].total), paginacion });
   } catch (e) {
     res.status(500).json({ message: 'Error al listar atenciones', error: e.message });
   } finally {
@@ -166,6 +648,102 @@ router.get('/', async (req, res) => {
   }
 });
 
+router.get('/disponibilidad', async (req, res) => {
+  const conn = await pool.getConnection();
+  try {
+    const { desde, hasta, id_personal, traslado_min, paso_min, hora_inicio, hora_fin } = req.query;
+
+    const desdeDia = parseFechaDia(desde);
+    const hastaDia = parseFechaDia(hasta ?? desde);
+    if (!desdeDia || !hastaDia) {
+      return res.status(400).json({ message: 'desde/hasta inválidos. Usa "YYYY-MM-DD"' });
+    }
+    if (hastaDia < desdeDia) return res.status(400).json({ message: 'hasta no puede ser anterior a desde' });
+
+    const dias = Math.round((hastaDia - desdeDia) / (24 * 60 * 60 * 1000)) + 1;
+    if (dias > 31) return res.status(400).json({ message: 'El rango no puede superar 31 días' });
+
+    const idsServicio = parseIdList(req.query.servicios ?? req.query.id_servicio);
+    if (idsServicio.length === 0) {
+      return res.status(400).json({ message: 'Campos obligatorios: servicios (lista de id_servicio)' });
+    }
+
+    const traslado = traslado_min == null ? 0 : Number(traslado_min);
+    if (!Number.isFinite(traslado) || traslado < 0) {
+      return res.status(400).json({ message: 'traslado_min no puede ser negativo' });
+    }
+
+    const paso = paso_min == null ? 15 : Number(paso_min);
+    if (!Number.isInteger(paso) || paso <= 0) {
+      return res.status(400).json({ message: 'paso_min debe ser un entero mayor a 0' });
+    }
+
+    const horaInicioMin = parseHora(hora_inicio ?? '09:00');
+    const horaFinMin = parseHora(hora_fin ?? '20:00');
+    if (horaInicioMin == null || horaFinMin == null || horaFinMin <= horaInicioMin) {
+      return res.status(400).json({ message: 'hora_inicio/hora_fin inválidas. Usa "HH:mm"' });
+    }
+
+    if (id_personal) {
+      const okPers = await validatePersonalActiveWithRole(conn, id_personal, 'masoterapeuta');
+      if (!okPers.ok) return res.status(400).json({ message: okPers.reason });
+    }
+
+    const infoSrv = await fetchServiciosInfo(conn, idsServicio.map((id_servicio) => ({ id_servicio })));
+    if (!infoSrv.ok) return res.status(infoSrv.status).json({ message: infoSrv.message });
+
+    const masoterapeutas = await fetchMasoterapeutasActivas(conn, id_personal ? Number(id_personal) : null);
+
+    const finRango = new Date(hastaDia);
+    finRango.setDate(finRango.getDate() + 1);
+
+    const ocupadas = await fetchAtencionesOcupadas(conn, {
+      ids_personal: masoterapeutas.map((p) => p.id_personal),
+      desde: desdeDia,
+      hasta: finRango
+    });
+
+    const ahora = new Date();
+    const disponibilidad = [];
+
+    for (const p of masoterapeutas) {
+      const horario = await fetchHorarioPersonal(conn, p.id_personal, { desde: desdeDia, hasta: finRango });
+
+      disponibilidad.push({
+        id_personal: p.id_personal,
+        nombre: p.nombre,
+        apellido: p.apellido,
+        jornada_configurada: horario.trabajo.length > 0,
+        horarios: calcularHorariosLibres({
+          desdeDia,
+          hastaDia,
+          ventanaDefecto: { inicioMin: horaInicioMin, finMin: horaFinMin },
+          duracionMin: infoSrv.totalDuracion,
+          trasladoMin: traslado,
+          pasoMin: paso,
+          horario,
+          ocupadas: ocupadas.filter((o) => Number(o.id_personal) === Number(p.id_personal)),
+          ahora
+        })
+      });
+    }
+
+    res.json({
+      desde: toMysqlDatetimeLocal(desdeDia).slice(0, 10),
+      hasta: toMysqlDatetimeLocal(hastaDia).slice(0, 10),
+      servicios: idsServicio,
+      duracion_total_min: infoSrv.totalDuracion,
+      traslado_min: traslado,
+      paso_min: paso,
+      disponibilidad
+    });
+  } catch (e) {
+    res.status(500).json({ message: 'Error al calcular disponibilidad', error: e.message });
+  } finally {
+    conn.release();
+  }
+});
+
 router.get('/:id', async (req, res) => {
   const conn = await pool.getConnection();
   try {
@@ -200,7 +778,13 @@ router.get('/:id', async (req, res) => {
         ats.id_servicio,
         s.nombre AS servicio_nombre,
         s.duracion_min,
-        ats.precio_aplicado
+        ats.precio_lista,
+        ats.descuento,
+        ats.precio_aplicado,
+        ats.id_paquete_clienta,
+        ats.id_promocion,
+        ats.precio_modificado_por,
+        ats.motivo_precio
       FROM atencion_servicio ats
       INNER JOIN servicio s ON s.id_servicio = ats.id_servicio
       WHERE ats.id_atencion = ?
@@ -210,7 +794,7 @@ router.get('/:id', async (req, res) => {
 
     const [pagos] = await conn.query(
       `
-      SELECT id_pago, fecha, monto, medio_pago
+      SELECT id_pago, fecha, monto, medio_pago, tipo, motivo, anulado, motivo_anulacion
       FROM pago_atencion
       WHERE id_atencion = ?
       ORDER BY fecha ASC
@@ -224,14 +808,63 @@ router.get('/:id', async (req, res) => {
       p.fecha = toIsoLocal(p.fecha);
     });
 
+    const [historialEstados] = await conn.query(
+      `
+      SELECT h.id_historial, h.estado_anterior, h.estado_nuevo, h.motivo, h.fecha,
+             h.id_personal, p.nombre AS personal_nombre, p.apellido AS personal_apellido
+      FROM atencion_estado_historial h
+      LEFT JOIN personal p ON p.id_personal = h.id_personal
+      WHERE h.id_atencion = ?
+      ORDER BY h.fecha ASC, h.id_historial ASC
+      `,
+      [id]
+    );
+    historialEstados.forEach((h) => {
+      h.fecha = toIsoLocal(h.fecha);
+    });
+
+    const [notaRows] = await conn.query(
+      `
+      SELECT id_nota, zonas_trabajadas, presion, recomendaciones, observaciones,
+             registrado_por, actualizado_por, fecha_creacion, fecha_actualizacion
+      FROM nota_sesion
+      WHERE id_atencion = ?
+      `,
+      [id]
+    );
+
+    let serie = null;
+    if (atRows[0].id_serie) {
+      const [serieRows] = await conn.query(
+        `SELECT id_serie, frecuencia, fecha_inicio, cantidad, fecha_hasta FROM serie_atencion WHERE id_serie = ?`,
+        [atRows[0].id_serie]
+      );
+      const ocurrencias = await fetchOcurrenciasSerie(conn, atRows[0], 'todas');
+
+      serie = {
+        ...serieRows[0],
+        fecha_inicio: toIsoLocal(serieRows[0]?.fecha_inicio),
+        ocurrencia_actual: atRows[0].serie_ocurrencia,
+        ocurrencias: ocurrencias.map((o) => ({
+          id_atencion: o.id_atencion,
+          serie_ocurrencia: o.serie_ocurrencia,
+          fecha_inicio: toIsoLocal(o.fecha_inicio),
+          estado_atencion: o.estado_atencion
+        }))
+      };
+    }
+
     const totalAtencion = Number(atRows[0].total || 0);
-    const totalPagado = pagos.reduce((acc, p) => acc + Number(p.monto || 0), 0);
+    const totalPagado = resumirPagos(pagos);
     const saldo = Math.max(0, totalAtencion - totalPagado);
 
     res.json({
       atencion: atRows[0],
       servicios,
       pagos,
+      serie,
+      historialEstados,
+      nota: notaRows[0] || null,
       resumenPago: { totalAtencion, totalPagado, saldo }
     });
   } catch (e) {
@@ -241,10 +874,208 @@ router.get('/:id', async (req, res) => {
   }
 });
 
+const FORMATOS_COMPROBANTE = ['html', 'json'];
+
+// Comprobante imprimible (HTML, o ?formato=json con los mismos datos). La
+// primera impresión asigna el folio; una atención cancelada solo se reimprime
+// si ya lo tenía.
+router.get('/:id/comprobante', async (req, res) => {
+  const conn = await pool.getConnection();
+  try {
+    const { id } = req.params;
+    const formato = req.query.formato || 'html';
+
+    if (!FORMATOS_COMPROBANTE.includes(formato)) {
+      return res.status(400).json({ message: `formato debe ser uno de: ${FORMATOS_COMPROBANTE.join(', ')}` });
+    }
+
+    const [atRows] = await conn.query(
+      `
+      SELECT a.id_atencion, a.fecha_inicio, a.total, a.neto, a.iva, a.tasa_iva, a.descuento_total, a.estado_atencion,
+             c.nombre AS clienta_nombre, c.apellido AS clienta_apellido,
+             p.nombre AS personal_nombre, p.apellido AS personal_apellido
+      FROM atencion a
+      INNER JOIN clienta c ON c.id_clienta = a.id_clienta
+      INNER JOIN personal p ON p.id_personal = a.id_personal
+      WHERE a.id_atencion = ?
+      `,
+      [id]
+    );
+    if (atRows.length === 0) return res.status(404).json({ message: 'Atención no encontrada' });
+
+    const at = atRows[0];
+    const cancelada = at.estado_atencion === 'cancelada';
+
+    await conn.beginTransaction();
+    const comprobante = cancelada
+      ? await fetchComprobante(conn, 'atencion', Number(id))
+      : await emitirComprobante(conn, { origen: 'atencion', id_documento: Number(id), id_personal: req.user?.id_personal });
+    await conn.commit();
+
+    if (!comprobante) {
+      return res.status(409).json({ message: 'La atención está cancelada y no tiene comprobante emitido' });
+    }
+
+    const [servicios] = await conn.query(
+      `
+      SELECT s.nombre AS servicio_nombre, ats.precio_lista, ats.descuento, ats.precio_aplicado, ats.id_paquete_clienta
+      FROM atencion_servicio ats
+      INNER JOIN servicio s ON s.id_servicio = ats.id_servicio
+      WHERE ats.id_atencion = ?
+      ORDER BY ats.id_atencion_servicio ASC
+      `,
+      [id]
+    );
+
+    const [pagos] = await conn.query(
+      `
+      SELECT fecha, monto, medio_pago, tipo, anulado
+      FROM pago_atencion
+      WHERE id_atencion = ? AND anulado = 0
+      ORDER BY fecha ASC
+      `,
+      [id]
+    );
+
+    const pagado = resumirPagos(pagos);
+
+    const detalleServicio = (s) => {
+      if (s.id_paquete_clienta != null) return 'Con cargo a paquete';
+      if (Number(s.descuento) > 0) return `Precio lista ${s.precio_lista}, descuento ${s.descuento}`;
+      return null;
+    };
+
+    const datos = {
+      titulo: 'Comprobante de atención',
+      folio: comprobante.folio,
+      fecha_emision: comprobante.fecha_emision,
+      empresa: datosEmpresa(),
+      documento: { etiqueta: `Atención N° ${at.id_atencion}`, fecha: at.fecha_inicio },
+      cliente: [at.clienta_nombre, at.clienta_apellido].filter(Boolean).join(' '),
+      atendido_por: [at.personal_nombre, at.personal_apellido].filter(Boolean).join(' '),
+      anulado: cancelada ? 'CANCELADO' : null,
+      lineas: servicios.map((s) => ({
+        descripcion: s.servicio_nombre,
+        detalle: detalleServicio(s),
+        cantidad: 1,
+        precio_unitario: Number(s.precio_aplicado),
+        subtotal: Number(s.precio_aplicado)
+      })),
+      totales: {
+        descuento: Number(at.descuento_total || 0),
+        neto: Number(at.neto),
+        iva: Number(at.iva),
+        tasa_iva: Number(at.tasa_iva),
+        total: Number(at.total)
+      },
+      pagos: pagos.map((p) => ({ fecha: p.fecha, medio_pago: p.medio_pago, tipo: p.tipo, monto: Number(p.monto) })),
+      resumen: {
+        devuelto: 0,
+        pagado,
+        saldo: Math.max(Number(at.total) - pagado, 0)
+      }
+    };
+
+    if (formato === 'json') return res.json(datos);
+    res.type('html').send(renderComprobanteHtml(datos));
+  } catch (e) {
+    try { await conn.rollback(); } catch {}
+    res.status(500).json({ message: 'Error al generar comprobante', error: e.message });
+  } finally {
+    conn.release();
+  }
+});
+
+const FORMATOS_DTE = ['xml', 'json'];
+
+// Genera la boleta electrónica (DTE 39) de una atención pagada y no cancelada.
+// Los servicios con cargo a paquete no van en la boleta: van en la del paquete
+// vendido (POST /paquetes/vendidos/:id/dte).
+router.post('/:id/dte', async (req, res) => {
+  const conn = await pool.getConnection();
+  try {
+    const { id } = req.params;
+
+    await conn.beginTransaction();
+
+    const [atRows] = await conn.query(
+      `SELECT id_atencion, estado_atencion, estado_pago, tasa_iva FROM atencion WHERE id_atencion = ? FOR UPDATE`,
+      [id]
+    );
+    if (atRows.length === 0) {
+      await conn.rollback();
+      return res.status(404).json({ message: 'Atención no encontrada' });
+    }
+
+    const at = atRows[0];
+    if (at.estado_atencion === 'cancelada' || at.estado_pago !== 'pagado') {
+      await conn.rollback();
+      return res.status(409).json({ message: 'Solo se emite boleta de una atención pagada y no cancelada' });
+    }
+
+    const existente = await fetchDte(conn, 'atencion', Number(id));
+    if (existente) {
+      await conn.rollback();
+      return res.status(409).json({ message: 'La atención ya tiene boleta electrónica', folio: existente.folio });
+    }
+
+    const [servicios] = await conn.query(
+      `
+      SELECT s.nombre, 1 AS cantidad, ats.precio_aplicado AS precio_unitario
+      FROM atencion_servicio ats
+      INNER JOIN servicio s ON s.id_servicio = ats.id_servicio
+      WHERE ats.id_atencion = ? AND ats.id_paquete_clienta IS NULL
+      ORDER BY ats.id_atencion_servicio ASC
+      `,
+      [id]
+    );
+
+    const boleta = await emitirBoleta(conn, {
+      origen: 'atencion',
+      id_documento: Number(id),
+      lineas: servicios,
+      tasa_iva: at.tasa_iva,
+      id_personal: req.user?.id_personal
+    });
+    if (!boleta.ok) {
+      await conn.rollback();
+      return res.status(boleta.status).json({ message: boleta.message });
+    }
+
+    await conn.commit();
+
+    const { xml, ...dte } = boleta.dte;
+    res.status(201).json({ message: 'Boleta electrónica generada', ...dte });
+  } catch (e) {
+    try { await conn.rollback(); } catch {}
+    res.status(500).json({ message: 'Error al generar boleta electrónica', error: e.message });
+  } finally {
+    conn.release();
+  }
+});
+
+router.get('/:id/dte', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const formato = req.query.formato || 'xml';
+
+    if (!FORMATOS_DTE.includes(formato)) {
+      return res.status(400).json({ message: `formato debe ser uno de: ${FORMATOS_DTE.join(', ')}` });
+    }
+
+    const dte = await fetchDte(pool, 'atencion', Number(id));
+    if (!dte) return res.status(404).json({ message: 'La atención no tiene boleta electrónica' });
+
+    responderDte(res, dte, formato);
+  } catch (e) {
+    res.status(500).json({ message: 'Error al obtener boleta electrónica', error: e.message });
+  }
+});
+
 router.post('/', async (req, res) => {
   const conn = await pool.getConnection();
   try {
-    let { id_clienta, id_personal, fecha_inicio, traslado_min, servicios } = req.body;
+    let { id_clienta, id_personal, fecha_inicio, traslado_min, servicios, codigo_cupon } = req.body;
 
     if (!id_clienta || !fecha_inicio || !Array.isArray(servicios) || servicios.length === 0) {
       return res.status(400).json({ message: 'Campos obligatorios: id_clienta, fecha_inicio, servicios[]' });
@@ -270,39 +1101,66 @@ router.post('/', async (req, res) => {
 
     const totalDuracion = infoSrv.totalDuracion;
 
-    const finDate = new Date(inicioDate.getTime() + minToMs(totalDuracion));
-    const fecha_fin = toMysqlDatetimeLocal(finDate);
+    const promo = await aplicarPromocionesServicios(conn, servicios, {
+      codigo_cupon,
+      user: req.user,
+      motivo_precio: req.body.motivo_precio
+    });
+    if (!promo.ok) return res.status(promo.status).json({ message: promo.message });
+    servicios = promo.servicios;
+
+    const advertencias = await evaluarContraindicaciones(conn, id_clienta, servicios.map((x) => Number(x.id_servicio)));
 
-    const bloque_inicio = toMysqlDatetimeLocal(new Date(inicioDate.getTime() - minToMs(traslado)));
-    const bloque_fin = fecha_fin;
+    const bloque = await validarBloque(conn, { id_personal, inicioDate, traslado, totalDuracion });
+    if (!bloque.ok) {
+      return res.status(bloque.status).json({ message: bloque.message, conflicto: bloque.conflicto, detalle: bloque.detalle });
+    }
+    const { fecha_fin, bloque_inicio, bloque_fin } = bloque;
 
-    const conf = await checkConflicts(conn, { id_personal, bloque_inicio, bloque_fin });
-    if (!conf.ok) return res.status(conf.status).json({ message: conf.message, conflicto: conf.conflicto });
+    const totalOk = validarTotalAtencion(servicios);
+    if (!totalOk.ok) return res.status(totalOk.status).json({ message: totalOk.message });
+    const { total } = totalOk;
 
-    const total = servicios.reduce((acc, s) => acc + Number(s.precio_aplicado || 0), 0);
-    if (total <= 0) return res.status(400).json({ message: 'El total debe ser mayor a 0' });
+    const paquetes = await validarUsoPaquetes(conn, { id_clienta, servicios, fechas: [inicioDate] });
+    if (!paquetes.ok) {
+      return res.status(paquetes.status).json({ message: paquetes.message, disponibles: paquetes.disponibles, requeridas: paquetes.requeridas });
+    }
 
     await conn.beginTransaction();
 
     const [insAt] = await conn.query(
       `
-      INSERT INTO atencion (id_clienta, id_personal, fecha_inicio, fecha_fin, traslado_min, total)
-      VALUES (?, ?, ?, ?, ?, ?)
+      INSERT INTO atencion
+        (id_clienta, id_personal, fecha_inicio, fecha_fin, traslado_min, total, codigo_cupon, descuento_total, tasa_iva)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
       `,
-      [id_clienta, id_personal, toMysqlDatetimeLocal(inicioDate), fecha_fin, traslado, total]
+      [
+        id_clienta, id_personal, toMysqlDatetimeLocal(inicioDate), fecha_fin, traslado, total,
+        promo.codigo_cupon, promo.descuento_total, tasaIva()
+      ]
     );
 
     const id_atencion = insAt.insertId;
+    await actualizarDesgloseIva(conn, 'atencion', id_atencion);
 
-    for (const s of servicios) {
-      await conn.query(
-        `
-        INSERT INTO atencion_servicio (id_atencion, id_servicio, precio_aplicado)
-        VALUES (?, ?, ?)
-        `,
-        [id_atencion, s.id_servicio, s.precio_aplicado]
-      );
+    const ins = await insertarServiciosAtencion(conn, id_atencion, servicios);
+    if (!ins.ok) {
+      await conn.rollback();
+      return res.status(ins.status).json({ message: ins.message });
     }
+    const usos = await registrarUsosPromocion(conn, { origen: 'atencion', id_documento: id_atencion, lineas: servicios });
+    if (!usos.ok) {
+      await conn.rollback();
+      return res.status(usos.status).json({ message: usos.message });
+    }
+    await recalcularEstadoPagoAtencion(conn, id_atencion, total);
+
+    await registrarHistorialEstado(conn, {
+      id_atencion,
+      estado_anterior: null,
+      estado_nuevo: 'pendiente',
+      id_personal: req.user?.id_personal
+    });
 
     await conn.commit();
 
@@ -315,7 +1173,10 @@ router.post('/', async (req, res) => {
       bloque_fin,
       traslado_min: traslado,
       duracion_total_min: totalDuracion,
-      total
+      total,
+      descuento_total: promo.descuento_total,
+      servicios,
+      advertencias
     });
   } catch (e) {
     try { await conn.rollback(); } catch {}
@@ -325,19 +1186,197 @@ router.post('/', async (req, res) => {
   }
 });
 
+router.post('/series', async (req, res) => {
+  const conn = await pool.getConnection();
+  try {
+    let { id_clienta, id_personal, fecha_inicio, traslado_min, servicios, frecuencia, cantidad, fecha_hasta, omitir_conflictos, codigo_cupon } = req.body;
+
+    if (!id_clienta || !fecha_inicio || !Array.isArray(servicios) || servicios.length === 0) {
+      return res.status(400).json({ message: 'Campos obligatorios: id_clienta, fecha_inicio, servicios[], frecuencia' });
+    }
+
+    if (!FRECUENCIAS_SERIE.includes(String(frecuencia))) {
+      return res.status(400).json({ message: `frecuencia inválida. Usa: ${FRECUENCIAS_SERIE.join(', ')}` });
+    }
+
+    const cant = cantidad == null || cantidad === '' ? null : Number(cantidad);
+    if (cant != null && (!Number.isInteger(cant) || cant < 1 || cant > MAX_OCURRENCIAS_SERIE)) {
+      return res.status(400).json({ message: `cantidad debe ser un entero entre 1 y ${MAX_OCURRENCIAS_SERIE}` });
+    }
+
+    const hastaDia = fecha_hasta ? parseFechaDia(fecha_hasta) : null;
+    if (fecha_hasta && !hastaDia) return res.status(400).json({ message: 'fecha_hasta inválida. Usa "YYYY-MM-DD"' });
+    if (cant == null && !hastaDia) {
+      return res.status(400).json({ message: 'Debes indicar cantidad o fecha_hasta' });
+    }
+
+    if (!id_personal) id_personal = req.user?.id_personal;
+    if (!id_personal) return res.status(400).json({ message: 'Campos obligatorios: id_personal' });
+
+    const okPers = await validatePersonalActiveWithRole(conn, id_personal, 'masoterapeuta');
+    if (!okPers.ok) return res.status(400).json({ message: okPers.reason });
+
+    const traslado = traslado_min == null ? 0 : Number(traslado_min);
+    if (traslado < 0) return res.status(400).json({ message: 'traslado_min no puede ser negativo' });
+
+    const inicioDate = parseInicio(fecha_inicio);
+    if (!inicioDate) return res.status(400).json({ message: 'fecha_inicio inválida. Usa "YYYY-MM-DD HH:mm:ss"' });
+
+    const infoSrv = await fetchServiciosInfo(conn, servicios);
+    if (!infoSrv.ok) return res.status(infoSrv.status).json({ message: infoSrv.message });
+
+    const advertencias = await evaluarContraindicaciones(conn, id_clienta, servicios.map((x) => Number(x.id_servicio)));
+
+    let hastaExclusive = null;
+    if (hastaDia) {
+      hastaExclusive = new Date(hastaDia);
+      hastaExclusive.setDate(hastaExclusive.getDate() + 1);
+    }
+
+    const fechas = calcularOcurrencias(inicioDate, frecuencia, { cantidad: cant, hastaExclusive });
+    if (fechas.length === 0) return res.status(400).json({ message: 'La serie no genera ninguna fecha' });
+
+    const validas = [];
+    const conflictos = [];
+
+    for (let i = 0; i < fechas.length; i++) {
+      const bloque = await validarBloque(conn, { id_personal, inicioDate: fechas[i], traslado, totalDuracion: infoSrv.totalDuracion });
+      if (bloque.ok) {
+        validas.push({ serie_ocurrencia: i + 1, inicioDate: fechas[i], fecha_fin: bloque.fecha_fin });
+      } else {
+        conflictos.push({
+          serie_ocurrencia: i + 1,
+          fecha_inicio: toMysqlDatetimeLocal(fechas[i]),
+          message: bloque.message,
+          conflicto: bloque.conflicto,
+          detalle: bloque.detalle
+        });
+      }
+    }
+
+    if (conflictos.length > 0 && (!omitir_conflictos || validas.length === 0)) {
+      return res.status(409).json({ message: 'Una o más fechas de la serie no están disponibles', conflictos });
+    }
+
+    // Cada ocurrencia registra su propio uso de las promociones aplicadas.
+    const promo = await aplicarPromocionesServicios(conn, servicios, {
+      codigo_cupon,
+      documentos: validas.length,
+      user: req.user,
+      motivo_precio: req.body.motivo_precio
+    });
+    if (!promo.ok) return res.status(promo.status).json({ message: promo.message });
+    servicios = promo.servicios;
+
+    const totalOk = validarTotalAtencion(servicios);
+    if (!totalOk.ok) return res.status(totalOk.status).json({ message: totalOk.message });
+    const { total } = totalOk;
+
+    const paquetes = await validarUsoPaquetes(conn, { id_clienta, servicios, fechas: validas.map((o) => o.inicioDate) });
+    if (!paquetes.ok) {
+      return res.status(paquetes.status).json({ message: paquetes.message, disponibles: paquetes.disponibles, requeridas: paquetes.requeridas });
+    }
+
+    await conn.beginTransaction();
+
+    const [insSerie] = await conn.query(
+      `
+      INSERT INTO serie_atencion (id_clienta, id_personal, frecuencia, fecha_inicio, cantidad, fecha_hasta, creado_por)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+      `,
+      [id_clienta, id_personal, frecuencia, toMysqlDatetimeLocal(inicioDate), cant, hastaDia ? toMysqlDatetimeLocal(hastaDia).slice(0, 10) : null, req.user?.id_personal || null]
+    );
+
+    const id_serie = insSerie.insertId;
+    const atenciones = [];
+
+    for (const o of validas) {
+      const [insAt] = await conn.query(
+        `
+        INSERT INTO atencion
+          (id_clienta, id_personal, fecha_inicio, fecha_fin, traslado_min, total, id_serie, serie_ocurrencia, codigo_cupon,
+           descuento_total, tasa_iva)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `,
+        [
+          id_clienta, id_personal, toMysqlDatetimeLocal(o.inicioDate), o.fecha_fin, traslado, total, id_serie, o.serie_ocurrencia,
+          promo.codigo_cupon, promo.descuento_total, tasaIva()
+        ]
+      );
+      await actualizarDesgloseIva(conn, 'atencion', insAt.insertId);
+
+      const ins = await insertarServiciosAtencion(conn, insAt.insertId, servicios);
+      if (!ins.ok) {
+        await conn.rollback();
+        return res.status(ins.status).json({ message: ins.message });
+      }
+      const usos = await registrarUsosPromocion(conn, { origen: 'atencion', id_documento: insAt.insertId, lineas: servicios });
+      if (!usos.ok) {
+        await conn.rollback();
+        return res.status(usos.status).json({ message: usos.message });
+      }
+      await recalcularEstadoPagoAtencion(conn, insAt.insertId, total);
+
+      await registrarHistorialEstado(conn, {
+        id_atencion: insAt.insertId,
+        estado_anterior: null,
+        estado_nuevo: 'pendiente',
+        id_personal: req.user?.id_personal
+      });
+
+      atenciones.push({
+        id_atencion: insAt.insertId,
+        serie_ocurrencia: o.serie_ocurrencia,
+        fecha_inicio: toMysqlDatetimeLocal(o.inicioDate),
+        fecha_fin: o.fecha_fin
+      });
+    }
+
+    await conn.commit();
+
+    res.status(201).json({
+      message: 'Serie registrada',
+      id_serie,
+      frecuencia,
+      traslado_min: traslado,
+      duracion_total_min: infoSrv.totalDuracion,
+      total,
+      descuento_total: promo.descuento_total,
+      atenciones,
+      omitidas: conflictos,
+      advertencias
+    });
+  } catch (e) {
+    try { await conn.rollback(); } catch {}
+    res.status(500).json({ message: 'Error al registrar serie', error: e.message });
+  } finally {
+    conn.release();
+  }
+});
+
 router.put('/:id', async (req, res) => {
   const conn = await pool.getConnection();
   try {
     const { id } = req.params;
-    let { id_clienta, id_personal, fecha_inicio, traslado_min, servicios, estado_atencion } = req.body;
+    let { id_clienta, id_personal, fecha_inicio, traslado_min, servicios, estado_atencion, motivo, codigo_cupon } = req.body;
 
     if (!id_clienta || !fecha_inicio || !Array.isArray(servicios) || servicios.length === 0) {
       return res.status(400).json({ message: 'Campos obligatorios: id_clienta, fecha_inicio, servicios[]' });
     }
 
-    const [existe] = await conn.query(`SELECT id_atencion FROM atencion WHERE id_atencion = ?`, [id]);
+    const [existe] = await conn.query(`SELECT id_atencion, estado_atencion FROM atencion WHERE id_atencion = ?`, [id]);
     if (existe.length === 0) return res.status(404).json({ message: 'Atención no encontrada' });
 
+    const estadoActual = existe[0].estado_atencion;
+    if (esEstadoTerminal(estadoActual)) {
+      return res.status(409).json({ message: `No se puede editar una atención en estado ${estadoActual}` });
+    }
+    const cambiaEstado = estado_atencion != null && estado_atencion !== '' && estado_atencion !== estadoActual;
+    if (cambiaEstado) {
+      const tr = validarTransicion(estadoActual, estado_atencion, motivo);
+      if (!tr.ok) return res.status(tr.status).json({ message: tr.message, permitidos: tr.permitidos });
+    }
+
     if (!id_personal) id_personal = req.user?.id_personal;
     if (!id_personal) return res.status(400).json({ message: 'Campos obligatorios: id_personal' });
 
@@ -355,40 +1394,93 @@ router.put('/:id', async (req, res) => {
 
     const totalDuracion = infoSrv.totalDuracion;
 
-    const finDate = new Date(inicioDate.getTime() + minToMs(totalDuracion));
-    const fecha_fin = toMysqlDatetimeLocal(finDate);
+    const promo = await aplicarPromocionesServicios(conn, servicios, {
+      codigo_cupon,
+      reemplaza: [Number(id)],
+      existentes: await fetchLineasGuardadas(conn, id),
+      user: req.user,
+      motivo_precio: req.body.motivo_precio
+    });
+    if (!promo.ok) return res.status(promo.status).json({ message: promo.message });
+    servicios = promo.servicios;
 
-    const bloque_inicio = toMysqlDatetimeLocal(new Date(inicioDate.getTime() - minToMs(traslado)));
-    const bloque_fin = fecha_fin;
+    const bloque = await validarBloque(conn, { id_personal, inicioDate, traslado, totalDuracion, excludeIdAtencion: id });
+    if (!bloque.ok) {
+      return res.status(bloque.status).json({ message: bloque.message, conflicto: bloque.conflicto, detalle: bloque.detalle });
+    }
+    const { fecha_fin, bloque_inicio, bloque_fin } = bloque;
 
-    const conf = await checkConflicts(conn, { id_personal, bloque_inicio, bloque_fin, excludeIdAtencion: id });
-    if (!conf.ok) return res.status(conf.status).json({ message: conf.message, conflicto: conf.conflicto });
+    const totalOk = validarTotalAtencion(servicios);
+    if (!totalOk.ok) return res.status(totalOk.status).json({ message: totalOk.message });
+    const { total } = totalOk;
 
-    const total = servicios.reduce((acc, s) => acc + Number(s.precio_aplicado || 0), 0);
-    if (total <= 0) return res.status(400).json({ message: 'El total debe ser mayor a 0' });
+    const paquetes = await validarUsoPaquetes(conn, { id_clienta, servicios, fechas: [inicioDate], reemplaza: [Number(id)] });
+    if (!paquetes.ok) {
+      return res.status(paquetes.status).json({ message: paquetes.message, disponibles: paquetes.disponibles, requeridas: paquetes.requeridas });
+    }
 
     await conn.beginTransaction();
 
+    const [lockRows] = await conn.query(`SELECT estado_atencion FROM atencion WHERE id_atencion = ? FOR UPDATE`, [id]);
+    if (lockRows[0].estado_atencion !== estadoActual) {
+      await conn.rollback();
+      return res.status(409).json({ message: 'La atención cambió de estado mientras se editaba. Vuelve a intentarlo' });
+    }
+
+    const [emitido] = await fetchFoliosEmitidos(conn, 'atencion', [Number(id)]);
+    if (emitido) {
+      await conn.rollback();
+      return res.status(409).json({ message: `La atención ya tiene comprobante emitido (folio ${emitido.folio}) y no se puede editar` });
+    }
+
+    const [boletaDte] = await fetchFoliosDte(conn, 'atencion', [Number(id)]);
+    if (boletaDte) {
+      await conn.rollback();
+      return res.status(409).json({ message: `La atención tiene boleta electrónica (folio ${boletaDte.folio}); requiere nota de crédito` });
+    }
+
     await conn.query(
       `
       UPDATE atencion
       SET id_clienta = ?, id_personal = ?, fecha_inicio = ?, fecha_fin = ?, traslado_min = ?, total = ?,
-          estado_atencion = COALESCE(?, estado_atencion)
+          estado_atencion = ?, codigo_cupon = ?, descuento_total = ?
       WHERE id_atencion = ?
       `,
-      [id_clienta, id_personal, toMysqlDatetimeLocal(inicioDate), fecha_fin, traslado, total, estado_atencion || null, id]
+      [
+        id_clienta, id_personal, toMysqlDatetimeLocal(inicioDate), fecha_fin, traslado, total,
+        cambiaEstado ? estado_atencion : estadoActual, promo.codigo_cupon, promo.descuento_total, id
+      ]
     );
+    await actualizarDesgloseIva(conn, 'atencion', Number(id));
+
+    if (cambiaEstado) {
+      await registrarHistorialEstado(conn, {
+        id_atencion: id,
+        estado_anterior: estadoActual,
+        estado_nuevo: estado_atencion,
+        motivo,
+        id_personal: req.user?.id_personal
+      });
+    }
 
+    await devolverSesionesAtencion(conn, id);
+    await liberarUsosPromocion(conn, { origen: 'atencion', id_documento: id });
     await conn.query(`DELETE FROM atencion_servicio WHERE id_atencion = ?`, [id]);
 
-    for (const s of servicios) {
-      await conn.query(
-        `
-        INSERT INTO atencion_servicio (id_atencion, id_servicio, precio_aplicado)
-        VALUES (?, ?, ?)
-        `,
-        [id, s.id_servicio, s.precio_aplicado]
-      );
+    const ins = await insertarServiciosAtencion(conn, id, servicios);
+    if (!ins.ok) {
+      await conn.rollback();
+      return res.status(ins.status).json({ message: ins.message });
+    }
+    await recalcularEstadoPagoAtencion(conn, id, total);
+    if ((cambiaEstado ? estado_atencion : estadoActual) === 'cancelada') {
+      await devolverSesionesAtencion(conn, id);
+    } else {
+      const usos = await registrarUsosPromocion(conn, { origen: 'atencion', id_documento: Number(id), lineas: servicios });
+      if (!usos.ok) {
+        await conn.rollback();
+        return res.status(usos.status).json({ message: usos.message });
+      }
     }
 
     await conn.commit();
@@ -402,7 +1494,8 @@ router.put('/:id', async (req, res) => {
       bloque_fin,
       traslado_min: traslado,
       duracion_total_min: totalDuracion,
-      total
+      total,
+      descuento_total: promo.descuento_total
     });
   } catch (e) {
     try { await conn.rollback(); } catch {}
@@ -412,26 +1505,411 @@ router.put('/:id', async (req, res) => {
   }
 });
 
+// Edita "esta", "esta y las siguientes" o "todas" las ocurrencias aún agendadas
+// de la serie. Para mover una sola ocurrencia a otro día usar PUT /atenciones/:id.
+router.put('/:id/serie', async (req, res) => {
+  const conn = await pool.getConnection();
+  try {
+    const { id } = req.params;
+    const { alcance, id_personal, hora_inicio, traslado_min, servicios, codigo_cupon } = req.body;
+
+    if (!ALCANCES_SERIE.includes(String(alcance))) {
+      return res.status(400).json({ message: `alcance inválido. Usa: ${ALCANCES_SERIE.join(', ')}` });
+    }
+
+    if (id_personal == null && hora_inicio == null && traslado_min == null && servicios == null) {
+      return res.status(400).json({ message: 'No se enviaron campos para actualizar (id_personal, hora_inicio, traslado_min, servicios[])' });
+    }
+
+    const [atRows] = await conn.query(
+      `SELECT id_atencion, id_clienta, id_serie, fecha_inicio, estado_atencion FROM atencion WHERE id_atencion = ?`,
+      [id]
+    );
+    if (atRows.length === 0) return res.status(404).json({ message: 'Atención no encontrada' });
+    if (!atRows[0].id_serie) return res.status(400).json({ message: 'La atención no pertenece a una serie' });
+    if (esEstadoTerminal(atRows[0].estado_atencion)) {
+      return res.status(409).json({
+        message: `No se puede editar la serie desde una atención en estado ${atRows[0].estado_atencion}. Usa una ocurrencia agendada`
+      });
+    }
+
+    if (id_personal != null) {
+      const okPers = await validatePersonalActiveWithRole(conn, id_personal, 'masoterapeuta');
+      if (!okPers.ok) return res.status(400).json({ message: okPers.reason });
+    }
+
+    const traslado = traslado_min == null ? null : Number(traslado_min);
+    if (traslado != null && traslado < 0) return res.status(400).json({ message: 'traslado_min no puede ser negativo' });
+
+    const horaMin = hora_inicio == null ? null : parseHora(hora_inicio);
+    if (hora_inicio != null && horaMin == null) return res.status(400).json({ message: 'hora_inicio inválida. Usa "HH:mm"' });
+
+    const ocurrencias = await fetchOcurrenciasSerie(conn, atRows[0], alcance);
+    const pendientes = ocurrencias.filter((o) => ESTADOS_AGENDADOS.includes(o.estado_atencion));
+
+    let infoNueva = null;
+    // Cada ocurrencia se evalúa contra sus propias líneas guardadas, así que
+    // puede quedar con precios y total distintos a los de las demás.
+    const nuevos = new Map();
+    if (servicios != null) {
+      if (!Array.isArray(servicios) || servicios.length === 0) {
+        return res.status(400).json({ message: 'servicios[] no puede estar vacío' });
+      }
+      infoNueva = await fetchServiciosInfo(conn, servicios);
+      if (!infoNueva.ok) return res.status(infoNueva.status).json({ message: infoNueva.message });
+
+      for (const o of pendientes) {
+        const promo = await aplicarPromocionesServicios(conn, servicios, {
+          codigo_cupon,
+          reemplaza: pendientes.map((p) => p.id_atencion),
+          documentos: pendientes.length,
+          existentes: await fetchLineasGuardadas(conn, o.id_atencion),
+          user: req.user,
+          motivo_precio: req.body.motivo_precio
+        });
+        if (!promo.ok) return res.status(promo.status).json({ message: promo.message });
+
+        const totalOk = validarTotalAtencion(promo.servicios);
+        if (!totalOk.ok) return res.status(totalOk.status).json({ message: totalOk.message });
+        nuevos.set(o.id_atencion, { ...promo, total: totalOk.total });
+      }
+    }
+
+    const cambios = [];
+    const conflictos = [];
+
+    for (const o of pendientes) {
+      let totalDuracion = infoNueva?.totalDuracion;
+      if (totalDuracion == null) {
+        const info = await fetchServiciosInfo(conn, await fetchServiciosAtencion(conn, o.id_atencion));
+        if (!info.ok) {
+          conflictos.push({ id_atencion: o.id_atencion, fecha_inicio: toIsoLocal(o.fecha_inicio), message: info.message });
+          continue;
+        }
+        totalDuracion = info.totalDuracion;
+      }
+
+      const actual = new Date(o.fecha_inicio);
+      const inicioDate = horaMin == null
+        ? actual
+        : new Date(actual.getFullYear(), actual.getMonth(), actual.getDate(), 0, horaMin);
+      const personal = id_personal ?? o.id_personal;
+      const trasladoOc = traslado ?? Number(o.traslado_min);
+
+      const bloque = await validarBloque(conn, {
+        id_personal: personal,
+        inicioDate,
+        traslado: trasladoOc,
+        totalDuracion,
+        excludeIdAtencion: o.id_atencion
+      });
+
+      if (!bloque.ok) {
+        conflictos.push({
+          id_atencion: o.id_atencion,
+          fecha_inicio: toMysqlDatetimeLocal(inicioDate),
+          message: bloque.message,
+          conflicto: bloque.conflicto,
+          detalle: bloque.detalle
+        });
+        continue;
+      }
+
+      cambios.push({
+        id_atencion: o.id_atencion,
+        id_personal: Number(personal),
+        fecha_inicio: toMysqlDatetimeLocal(inicioDate),
+        fecha_fin: bloque.fecha_fin,
+        traslado_min: trasladoOc,
+        total: nuevos.get(o.id_atencion)?.total ?? Number(o.total)
+      });
+    }
+
+    if (conflictos.length > 0) {
+      return res.status(409).json({ message: 'Una o más ocurrencias no pueden modificarse', conflictos });
+    }
+
+    if (servicios != null) {
+      const paquetes = await validarUsoPaquetes(conn, {
+        id_clienta: atRows[0].id_clienta,
+        servicios,
+        fechas: cambios.map((c) => parseInicio(c.fecha_inicio)),
+        reemplaza: cambios.map((c) => c.id_atencion)
+      });
+      if (!paquetes.ok) {
+        return res.status(paquetes.status).json({ message: paquetes.message, disponibles: paquetes.disponibles, requeridas: paquetes.requeridas });
+      }
+    }
+
+    await conn.beginTransaction();
+
+    if (cambios.length > 0) {
+      const [lockRows] = await conn.query(
+        `SELECT id_atencion, estado_atencion FROM atencion WHERE id_atencion IN (?) FOR UPDATE`,
+        [cambios.map((c) => c.id_atencion)]
+      );
+      const yaNoAgendada = lockRows.find((r) => !ESTADOS_AGENDADOS.includes(r.estado_atencion));
+      if (yaNoAgendada) {
+        await conn.rollback();
+        return res.status(409).json({
+          message: `La atención ${yaNoAgendada.id_atencion} cambió a ${yaNoAgendada.estado_atencion} mientras se editaba la serie`
+        });
+      }
+
+      const emitidos = await fetchFoliosEmitidos(conn, 'atencion', cambios.map((c) => c.id_atencion));
+      if (emitidos.length > 0) {
+        await conn.rollback();
+        return res.status(409).json({
+          message: 'Una o más ocurrencias ya tienen comprobante emitido y no se pueden editar',
+          comprobantes: emitidos
+        });
+      }
+
+      const boletas = await fetchFoliosDte(conn, 'atencion', cambios.map((c) => c.id_atencion));
+      if (boletas.length > 0) {
+        await conn.rollback();
+        return res.status(409).json({
+          message: 'Una o más ocurrencias tienen boleta electrónica; editarlas requiere nota de crédito',
+          boletas
+        });
+      }
+    }
+
+    for (const c of cambios) {
+      await conn.query(
+        `
+        UPDATE atencion
+        SET id_personal = ?, fecha_inicio = ?, fecha_fin = ?, traslado_min = ?, total = ?
+        WHERE id_atencion = ?
+        `,
+        [c.id_personal, c.fecha_inicio, c.fecha_fin, c.traslado_min, c.total, c.id_atencion]
+      );
+      await actualizarDesgloseIva(conn, 'atencion', c.id_atencion);
+      await recalcularEstadoPagoAtencion(conn, c.id_atencion, c.total);
+
+      const nuevo = nuevos.get(c.id_atencion);
+      if (nuevo) {
+        await devolverSesionesAtencion(conn, c.id_atencion);
+        await liberarUsosPromocion(conn, { origen: 'atencion', id_documento: c.id_atencion });
+        await conn.query(`DELETE FROM atencion_servicio WHERE id_atencion = ?`, [c.id_atencion]);
+        const ins = await insertarServiciosAtencion(conn, c.id_atencion, nuevo.servicios);
+        if (!ins.ok) {
+          await conn.rollback();
+          return res.status(ins.status).json({ message: ins.message });
+        }
+        const usos = await registrarUsosPromocion(conn, { origen: 'atencion', id_documento: c.id_atencion, lineas: nuevo.servicios });
+        if (!usos.ok) {
+          await conn.rollback();
+          return res.status(usos.status).json({ message: usos.message });
+        }
+        await conn.query(
+          `UPDATE atencion SET codigo_cupon = ?, descuento_total = ? WHERE id_atencion = ?`,
+          [nuevo.codigo_cupon, nuevo.descuento_total, c.id_atencion]
+        );
+      }
+    }
+
+    await conn.commit();
+
+    res.json({
+      message: 'Serie actualizada',
+      id_serie: atRows[0].id_serie,
+      alcance,
+      actualizadas: cambios,
+      omitidas: ocurrencias.length - pendientes.length
+    });
+  } catch (e) {
+    try { await conn.rollback(); } catch {}
+    res.status(500).json({ message: 'Error al actualizar serie', error: e.message });
+  } finally {
+    conn.release();
+  }
+});
+
+router.post('/:id/serie/cancelar', async (req, res) => {
+  const conn = await pool.getConnection();
+  try {
+    const { id } = req.params;
+    const { alcance, motivo } = req.body;
+
+    if (!ALCANCES_SERIE.includes(String(alcance))) {
+      return res.status(400).json({ message: `alcance inválido. Usa: ${ALCANCES_SERIE.join(', ')}` });
+    }
+    if (!String(motivo || '').trim()) {
+      return res.status(400).json({ message: 'Campo obligatorio para cancelar: motivo' });
+    }
+
+    const [atRows] = await conn.query(
+      `SELECT id_atencion, id_serie, fecha_inicio FROM atencion WHERE id_atencion = ?`,
+      [id]
+    );
+    if (atRows.length === 0) return res.status(404).json({ message: 'Atención no encontrada' });
+    if (!atRows[0].id_serie) return res.status(400).json({ message: 'La atención no pertenece a una serie' });
+
+    await conn.beginTransaction();
+
+    const ocurrencias = await fetchOcurrenciasSerie(conn, atRows[0], alcance);
+    const cancelables = ocurrencias.filter((o) => ESTADOS_AGENDADOS.includes(o.estado_atencion));
+
+    if (cancelables.length > 0) {
+      const ids = cancelables.map((o) => o.id_atencion);
+      await conn.query(`SELECT id_atencion FROM atencion WHERE id_atencion IN (?) FOR UPDATE`, [ids]);
+      const boletas = await fetchFoliosDte(conn, 'atencion', ids);
+      if (boletas.length > 0) {
+        await conn.rollback();
+        return res.status(409).json({
+          message: 'Una o más ocurrencias tienen boleta electrónica; cancelarlas requiere nota de crédito',
+          boletas
+        });
+      }
+    }
+
+    for (const o of cancelables) {
+      await conn.query(
+        `UPDATE atencion SET estado_atencion = 'cancelada' WHERE id_atencion = ?`,
+        [o.id_atencion]
+      );
+      await devolverSesionesAtencion(conn, o.id_atencion);
+      await liberarUsosPromocion(conn, { origen: 'atencion', id_documento: o.id_atencion });
+      await registrarHistorialEstado(conn, {
+        id_atencion: o.id_atencion,
+        estado_anterior: o.estado_atencion,
+        estado_nuevo: 'cancelada',
+        motivo,
+        id_personal: req.user?.id_personal
+      });
+    }
+
+    await conn.commit();
+
+    res.json({
+      message: 'Serie cancelada',
+      id_serie: atRows[0].id_serie,
+      alcance,
+      canceladas: cancelables.map((o) => o.id_atencion),
+      omitidas: ocurrencias.length - cancelables.length
+    });
+  } catch (e) {
+    try { await conn.rollback(); } catch {}
+    res.status(500).json({ message: 'Error al cancelar serie', error: e.message });
+  } finally {
+    conn.release();
+  }
+});
+
+// Nota de la sesión: una por atención, editable solo por la masoterapeuta
+// asignada o por administradora.
+const PRESIONES_NOTA = ['suave', 'media', 'firme'];
+
+router.put('/:id/nota', async (req, res) => {
+  const conn = await pool.getConnection();
+  try {
+    const { id } = req.params;
+    const { zonas_trabajadas, presion, recomendaciones, observaciones } = req.body;
+
+    if (presion != null && presion !== '' && !PRESIONES_NOTA.includes(presion)) {
+      return res.status(400).json({ message: `presion debe ser una de: ${PRESIONES_NOTA.join(', ')}` });
+    }
+    const texto = (v) => (v == null ? null : String(v).trim() || null);
+
+    const [atRows] = await conn.query(`SELECT id_atencion, id_personal FROM atencion WHERE id_atencion = ?`, [id]);
+    if (atRows.length === 0) return res.status(404).json({ message: 'Atención no encontrada' });
+
+    const esAdmin = (req.user?.roles || []).includes('administradora');
+    if (!esAdmin && Number(atRows[0].id_personal) !== Number(req.user?.id_personal)) {
+      return res.status(403).json({ message: 'Solo la masoterapeuta asignada o administradora pueden editar la nota' });
+    }
+
+    await conn.query(
+      `
+      INSERT INTO nota_sesion (id_atencion, zonas_trabajadas, presion, recomendaciones, observaciones, registrado_por, actualizado_por)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+      ON DUPLICATE KEY UPDATE
+        zonas_trabajadas = VALUES(zonas_trabajadas),
+        presion = VALUES(presion),
+        recomendaciones = VALUES(recomendaciones),
+        observaciones = VALUES(observaciones),
+        actualizado_por = VALUES(actualizado_por)
+      `,
+      [id, texto(zonas_trabajadas), presion || null, texto(recomendaciones), texto(observaciones),
+        req.user?.id_personal || null, req.user?.id_personal || null]
+    );
+
+    res.json({ message: 'Nota de sesión guardada', id_atencion: Number(id) });
+  } catch (e) {
+    res.status(500).json({ message: 'Error al guardar nota de sesión', error: e.message });
+  } finally {
+    conn.release();
+  }
+});
+
 router.patch('/:id/estado', async (req, res) => {
   const conn = await pool.getConnection();
   try {
     const { id } = req.params;
-    const { estado_atencion } = req.body;
+    const { estado_atencion, motivo } = req.body;
 
-    const allowed = ['pendiente', 'realizada', 'cancelada'];
-    if (!allowed.includes(String(estado_atencion))) {
-      return res.status(400).json({ message: `estado_atencion inválido. Usa: ${allowed.join(', ')}` });
+    if (!ESTADOS_ATENCION.includes(String(estado_atencion))) {
+      return res.status(400).json({ message: `estado_atencion inválido. Usa: ${ESTADOS_ATENCION.join(', ')}` });
     }
 
-    const [r] = await conn.query(
+    await conn.beginTransaction();
+
+    const [rows] = await conn.query(
+      `SELECT estado_atencion FROM atencion WHERE id_atencion = ? FOR UPDATE`,
+      [id]
+    );
+
+    if (rows.length === 0) {
+      await conn.rollback();
+      return res.status(404).json({ message: 'Atención no encontrada' });
+    }
+
+    const estadoActual = rows[0].estado_atencion;
+    const tr = validarTransicion(estadoActual, estado_atencion, motivo);
+    if (!tr.ok) {
+      await conn.rollback();
+      return res.status(tr.status).json({ message: tr.message, estado_actual: estadoActual, permitidos: tr.permitidos });
+    }
+
+    if (estado_atencion === 'cancelada') {
+      const [boletaDte] = await fetchFoliosDte(conn, 'atencion', [Number(id)]);
+      if (boletaDte) {
+        await conn.rollback();
+        return res.status(409).json({ message: `La atención tiene boleta electrónica (folio ${boletaDte.folio}); cancelarla requiere nota de crédito` });
+      }
+    }
+
+    await conn.query(
       `UPDATE atencion SET estado_atencion = ? WHERE id_atencion = ?`,
       [estado_atencion, id]
     );
 
-    if (r.affectedRows === 0) return res.status(404).json({ message: 'Atención no encontrada' });
+    let sesionesDevueltas = 0;
+    if (estado_atencion === 'cancelada') {
+      sesionesDevueltas = await devolverSesionesAtencion(conn, id);
+      await liberarUsosPromocion(conn, { origen: 'atencion', id_documento: id });
+    }
 
-    res.json({ message: 'Estado actualizado', id_atencion: Number(id), estado_atencion });
+    await registrarHistorialEstado(conn, {
+      id_atencion: id,
+      estado_anterior: estadoActual,
+      estado_nuevo: estado_atencion,
+      motivo,
+      id_personal: req.user?.id_personal
+    });
+
+    await conn.commit();
+
+    res.json({
+      message: 'Estado actualizado',
+      id_atencion: Number(id),
+      estado_anterior: estadoActual,
+      estado_atencion,
+      sesiones_devueltas: sesionesDevueltas
+    });
   } catch (e) {
+    try { await conn.rollback(); } catch {}
     res.status(500).json({ message: 'Error al actualizar estado', error: e.message });
   } finally {
     conn.release();
@@ -0,0 +1,240 @@
+const express = require('express');
+const router = express.Router();
+const pool = require('../config/db');
+const { auth, requireRole } = require('../middlewares/auth');
+const { MEDIO_EFECTIVO, cajaObligatoria, obtenerCajaAbierta, calcularTotalesCaja } = require('../utils/caja');
+
+router.use(auth);
+router.use(requireRole('vendedora', 'masoterapeuta', 'administradora'));
+
+const esAdministradora = (req) => (req.user?.roles || []).includes('administradora');
+
+function resumirCaja(caja, totales) {
+  const efectivo = totales.find((t) => t.medio_pago === MEDIO_EFECTIVO);
+  const totalCobrado = totales.reduce((acc, t) => acc + t.total, 0);
+  const efectivoEsperado = Number(caja.monto_inicial) + (efectivo ? efectivo.total : 0);
+
+  return { totales, totalCobrado, efectivoEsperado };
+}
+
+router.get('/', async (req, res) => {
+  try {
+    const { estado, id_personal } = req.query;
+
+    const where = [];
+    const params = [];
+
+    if (!esAdministradora(req)) {
+      where.push('cs.id_personal = ?');
+      params.push(req.user.id_personal);
+    } else if (id_personal) {
+      where.push('cs.id_personal = ?');
+      params.push(id_personal);
+    }
+
+    if (estado) {
+      if (!['abierta', 'cerrada'].includes(String(estado))) {
+        return res.status(400).json({ message: 'Query "estado" debe ser abierta o cerrada' });
+      }
+      where.push('cs.estado = ?');
+      params.push(estado);
+    }
+
+    const [rows] = await pool.query(
+      `SELECT cs.id_caja, cs.id_personal, cs.estado, cs.fecha_apertura, cs.monto_inicial,
+              cs.fecha_cierre, cs.efectivo_esperado, cs.monto_contado, cs.diferencia,
+              p.nombre AS personal_nombre, p.apellido AS personal_apellido
+       FROM caja_sesion cs
+       JOIN personal p ON p.id_personal = cs.id_personal
+       ${where.length ? `WHERE ${where.join(' AND ')}` : ''}
+       ORDER BY cs.id_caja DESC`,
+      params
+    );
+
+    res.json(rows);
+  } catch (error) {
+    res.status(500).json({ message: 'Error al obtener cajas', error: error.message });
+  }
+});
+
+router.get('/actual', async (req, res) => {
+  try {
+    const caja = await obtenerCajaAbierta(pool, req.user.id_personal);
+
+    if (!caja) {
+      return res.json({ abierta: false, caja_obligatoria: cajaObligatoria() });
+    }
+
+    const totales = await calcularTotalesCaja(pool, caja.id_caja);
+
+    res.json({
+      abierta: true,
+      caja_obligatoria: cajaObligatoria(),
+      caja,
+      resumen: resumirCaja(caja, totales)
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Error al obtener caja actual', error: error.message });
+  }
+});
+
+router.post('/abrir', async (req, res) => {
+  const conn = await pool.getConnection();
+  try {
+    const { monto_inicial } = req.body;
+    const inicial = monto_inicial == null || monto_inicial === '' ? 0 : Number(monto_inicial);
+
+    if (!Number.isFinite(inicial) || inicial < 0) {
+      return res.status(400).json({ message: 'monto_inicial debe ser >= 0' });
+    }
+
+    await conn.beginTransaction();
+
+    const [abiertas] = await conn.query(
+      `SELECT id_caja FROM caja_sesion WHERE id_personal = ? AND estado = 'abierta' FOR UPDATE`,
+      [req.user.id_personal]
+    );
+
+    if (abiertas.length > 0) {
+      await conn.rollback();
+      return res.status(409).json({ message: 'Ya tienes una caja abierta', id_caja: abiertas[0].id_caja });
+    }
+
+    const [result] = await conn.query(
+      `INSERT INTO caja_sesion (id_personal, monto_inicial) VALUES (?, ?)`,
+      [req.user.id_personal, inicial]
+    );
+
+    await conn.commit();
+
+    res.status(201).json({ message: 'Caja abierta', id_caja: result.insertId, monto_inicial: inicial });
+  } catch (error) {
+    try { await conn.rollback(); } catch {}
+    res.status(500).json({ message: 'Error al abrir caja', error: error.message });
+  } finally {
+    conn.release();
+  }
+});
+
+router.get('/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const [rows] = await pool.query(
+      `SELECT cs.*, p.nombre AS personal_nombre, p.apellido AS personal_apellido
+       FROM caja_sesion cs
+       JOIN personal p ON p.id_personal = cs.id_personal
+       WHERE cs.id_caja = ?`,
+      [id]
+    );
+
+    if (rows.length === 0) return res.status(404).json({ message: 'Caja no encontrada' });
+
+    const caja = rows[0];
+    if (!esAdministradora(req) && Number(caja.id_personal) !== Number(req.user.id_personal)) {
+      return res.status(403).json({ message: 'No autorizado (caja de otra persona)' });
+    }
+
+    let totales;
+    if (caja.estado === 'cerrada') {
+      const [frozen] = await pool.query(
+        `SELECT medio_pago, cantidad, total FROM caja_sesion_total WHERE id_caja = ? ORDER BY medio_pago ASC`,
+        [id]
+      );
+      totales = frozen.map((t) => ({ medio_pago: t.medio_pago, cantidad: Number(t.cantidad), total: Number(t.total) }));
+    } else {
+      totales = await calcularTotalesCaja(pool, id);
+    }
+
+    const [pagos] = await pool.query(
+      `SELECT 'venta' AS origen, id_pago, id_venta AS id_documento, monto, medio_pago, tipo, anulado, fecha
+       FROM pago_venta WHERE id_caja = ?
+       UNION ALL
+       SELECT 'atencion' AS origen, id_pago, id_atencion AS id_documento, monto, medio_pago, tipo, anulado, fecha
+       FROM pago_atencion WHERE id_caja = ?
+       UNION ALL
+       SELECT 'paquete' AS origen, id_paquete_clienta AS id_pago, id_paquete_clienta AS id_documento,
+              precio AS monto, medio_pago, 'pago' AS tipo, 0 AS anulado, fecha_compra AS fecha
+       FROM paquete_clienta WHERE id_caja = ?
+       ORDER BY fecha ASC`,
+      [id, id, id]
+    );
+
+    res.json({ caja, resumen: resumirCaja(caja, totales), pagos });
+  } catch (error) {
+    res.status(500).json({ message: 'Error al obtener caja', error: error.message });
+  }
+});
+
+router.post('/:id/cerrar', async (req, res) => {
+  const conn = await pool.getConnection();
+  try {
+    const { id } = req.params;
+    const { monto_contado, observacion } = req.body;
+
+    const contado = Number(monto_contado);
+    if (monto_contado == null || monto_contado === '' || !Number.isFinite(contado) || contado < 0) {
+      return res.status(400).json({ message: 'Campo obligatorio: monto_contado (>= 0)' });
+    }
+
+    await conn.beginTransaction();
+
+    const [rows] = await conn.query(
+      `SELECT id_caja, id_personal, estado, monto_inicial FROM caja_sesion WHERE id_caja = ? FOR UPDATE`,
+      [id]
+    );
+
+    if (rows.length === 0) {
+      await conn.rollback();
+      return res.status(404).json({ message: 'Caja no encontrada' });
+    }
+
+    const caja = rows[0];
+    if (!esAdministradora(req) && Number(caja.id_personal) !== Number(req.user.id_personal)) {
+      await conn.rollback();
+      return res.status(403).json({ message: 'No autorizado (caja de otra persona)' });
+    }
+    if (caja.estado !== 'abierta') {
+      await conn.rollback();
+      return res.status(409).json({ message: 'La caja ya está cerrada' });
+    }
+
+    const totales = await calcularTotalesCaja(conn, id);
+    const resumen = resumirCaja(caja, totales);
+    const diferencia = contado - resumen.efectivoEsperado;
+
+    if (totales.length > 0) {
+      const values = totales.map((t) => [Number(id), t.medio_pago, t.cantidad, t.total]);
+      await conn.query(
+        `INSERT INTO caja_sesion_total (id_caja, medio_pago, cantidad, total) VALUES ?`,
+        [values]
+      );
+    }
+
+    await conn.query(
+      `UPDATE caja_sesion
+       SET estado = 'cerrada', fecha_cierre = NOW(), cerrado_por = ?,
+           efectivo_esperado = ?, monto_contado = ?, diferencia = ?, observacion = ?
+       WHERE id_caja = ?`,
+      [req.user.id_personal, resumen.efectivoEsperado, contado, diferencia, observacion ? String(observacion).trim() : null, id]
+    );
+
+    await conn.commit();
+
+    res.json({
+      message: 'Caja cerrada',
+      id_caja: Number(id),
+      monto_inicial: Number(caja.monto_inicial),
+      ...resumen,
+      monto_contado: contado,
+      diferencia
+    });
+  } catch (error) {
+    try { await conn.rollback(); } catch {}
+    res.status(500).json({ message: 'Error al cerrar caja', error: error.message });
+  } finally {
+    conn.release();
+  }
+});
+
+module.exports = router;
@@ -2,14 +2,148 @@ const express = require('express');
 const router = express.Router();
 const pool = require('../config/db');
 const { auth, requireRole } = require('../middlewares/auth');
+const { resumirPagos } = require('../utils/pagos');
+const { parsePaginacion, parseOrden, agregarBusqueda, responderListado, limitSql, limitParams } = require('../utils/listado');
+const { ROLES_FICHA, puedeVerFicha, fetchFichaVigente, condicionesPresentes, combinarFichas } = require('../utils/fichaClinica');
 
 router.use(auth, requireRole('masoterapeuta', 'administradora', 'vendedora'));
 
+const ESTADOS_SIN_COBRO = ['cancelada', 'no_asistio'];
+const MAX_SERVICIOS_FAVORITOS = 3;
+
+// La información de las sesiones (ficha clínica, notas y motivos de cambio
+// de estado) es solo para quienes atienden; vendedora ve agenda, montos y pagos.
+const puedeVerSesiones = (req) => puedeVerFicha(req.user);
+
+const agruparPor = (rows, key) => {
+  const map = new Map();
+  rows.forEach((r) => {
+    const k = Number(r[key]);
+    if (!map.has(k)) map.set(k, []);
+    map.get(k).push(r);
+  });
+  return map;
+};
+
+// ===== DUPLICADOS =====
+// Se compara teléfono (últimos 8 dígitos), email sin mayúsculas y nombre
+// completo sin tildes con una distancia de edición pequeña. SQL trae solo las
+// candidatas con el mismo teléfono, el mismo email o un nombre o apellido que
+// empieza igual (la collation ignora tildes y mayúsculas); la distancia se
+// calcula sobre esas.
+
+const DIGITOS_TELEFONO = 8;
+const SIMILITUD_NOMBRE_MIN = 0.85;
+const LARGO_PREFIJO_NOMBRE = 3;
+
+function normalizarTelefono(telefono) {
+  const digitos = String(telefono || '').replace(/\D/g, '');
+  return digitos.length >= DIGITOS_TELEFONO ? digitos.slice(-DIGITOS_TELEFONO) : null;
+}
+
+function normalizarEmail(email) {
+  const e = String(email || '').trim().toLowerCase();
+  return e || null;
+}
+
+function normalizarNombre(nombre, apellido) {
+  return `${nombre || ''} ${apellido || ''}`
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+function distanciaEdicion(a, b) {
+  let previa = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const actual = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const costo = a[i - 1] === b[j - 1] ? 0 : 1;
+      actual[j] = Math.min(previa[j] + 1, actual[j - 1] + 1, previa[j - 1] + costo);
+    }
+    previa = actual;
+  }
+  return previa[b.length];
+}
+
+function similitudNombre(a, b) {
+  if (!a || !b) return 0;
+  const max = Math.max(a.length, b.length);
+  return 1 - distanciaEdicion(a, b) / max;
+}
+
+const prefijoNombre = (texto) => {
+  const p = normalizarNombre(texto, '').slice(0, LARGO_PREFIJO_NOMBRE);
+  return p ? `${p.replace(/[\\%_]/g, (c) => `\\${c}`)}%` : null;
+};
+
+async function buscarDuplicados(conn, { nombre, apellido, telefono, email }, excluirId = null) {
+  const tel = normalizarTelefono(telefono);
+  const mail = normalizarEmail(email);
+  const nom = normalizarNombre(nombre, apellido);
+
+  const coincide = [];
+  const params = [];
+  if (tel) {
+    coincide.push(`RIGHT(REGEXP_REPLACE(telefono, '[^0-9]', ''), ${DIGITOS_TELEFONO}) = ?`);
+    params.push(tel);
+  }
+  if (mail) {
+    coincide.push('LOWER(TRIM(email)) = ?');
+    params.push(mail);
+  }
+  for (const [columna, valor] of [['nombre', nombre], ['apellido', apellido]]) {
+    const prefijo = prefijoNombre(valor);
+    if (prefijo) {
+      coincide.push(`${columna} LIKE ?`);
+      params.push(prefijo);
+    }
+  }
+  if (coincide.length === 0) return [];
+  if (excluirId) params.push(excluirId);
+
+  const [rows] = await conn.query(
+    `SELECT id_clienta, nombre, apellido, telefono, email, activo
+     FROM clienta
+     WHERE activo = 1 AND (${coincide.join(' OR ')}) ${excluirId ? 'AND id_clienta <> ?' : ''}`,
+    params
+  );
+
+  const candidatos = [];
+  for (const c of rows) {
+    const motivos = [];
+    if (tel && normalizarTelefono(c.telefono) === tel) motivos.push('telefono');
+    if (mail && normalizarEmail(c.email) === mail) motivos.push('email');
+    const similitud = similitudNombre(nom, normalizarNombre(c.nombre, c.apellido));
+    if (similitud >= SIMILITUD_NOMBRE_MIN) motivos.push('nombre');
+
+    if (motivos.length > 0) {
+      candidatos.push({ ...c, motivos, similitud_nombre: Math.round(similitud * 100) / 100 });
+    }
+  }
+
+  return candidatos.sort((a, b) => b.motivos.length - a.motivos.length || b.similitud_nombre - a.similitud_nombre);
+}
+
+const esForzado = (value) => value === true || value === 1 || ['1', 'true'].includes(String(value));
+
 router.get('/', async (req, res) => {
   try {
     const { activo } = req.query;
 
-    let sql = 'SELECT * FROM clienta';
+    const paginacion = parsePaginacion(req.query);
+    if (!paginacion.ok) return res.status(400).json({ message: paginacion.message });
+
+    const orden = parseOrden(req.query.sort, {
+      id_clienta: 'id_clienta',
+      nombre: 'nombre',
+      apellido: 'apellido'
+    }, 'id_clienta DESC');
+    if (!orden.ok) return res.status(400).json({ message: orden.message });
+
+    const where = [];
     const params = [];
 
     if (activo !== undefined) {
@@ -17,19 +151,313 @@ router.get('/', async (req, res) => {
       if (Number.isNaN(a) || (a !== 0 && a !== 1)) {
         return res.status(400).json({ message: 'Query "activo" debe ser 0 o 1' });
       }
-      sql += ' WHERE activo = ?';
+      where.push('activo = ?');
       params.push(a);
     }
+    agregarBusqueda(where, params, req.query.q, ['nombre', 'apellido', 'telefono', 'email']);
 
-    sql += ' ORDER BY id_clienta DESC';
+    const whereSql = where.length ? `WHERE ${where.join(' AND ')}` : '';
 
-    const [rows] = await pool.query(sql, params);
-    res.json(rows);
+    const [countRows] = await pool.query(`SELECT COUNT(*) AS total FROM clienta ${whereSql}`, params);
+    const [rows] = await pool.query(
+      `SELECT * FROM clienta ${whereSql} ORDER BY ${orden.sql} ${limitSql(paginacion)}`,
+      [...params, ...limitParams(paginacion)]
+    );
+
+    responderListado(res, { rows, total: Number(countRows[0].total), paginacion });
   } catch (error) {
     res.status(500).json({ message: 'Error al obtener clientas', error: error.message });
   }
 });
 
+// Permite revisar antes de guardar, con los mismos criterios que POST/PUT.
+router.get('/duplicados', async (req, res) => {
+  const conn = await pool.getConnection();
+  try {
+    const { nombre, apellido, telefono, email, excluir } = req.query;
+
+    if (!nombre && !apellido && !telefono && !email) {
+      return res.status(400).json({ message: 'Indica al menos nombre, apellido, telefono o email' });
+    }
+
+    const candidatos = await buscarDuplicados(conn, { nombre, apellido, telefono, email }, excluir ? Number(excluir) : null);
+    res.json(candidatos);
+  } catch (error) {
+    res.status(500).json({ message: 'Error al buscar duplicados', error: error.message });
+  } finally {
+    conn.release();
+  }
+});
+
+router.get('/:id/historial', async (req, res) => {
+  const conn = await pool.getConnection();
+  try {
+    const { id } = req.params;
+
+    const [clientaRows] = await conn.query('SELECT * FROM clienta WHERE id_clienta = ?', [id]);
+    if (clientaRows.length === 0) return res.status(404).json({ message: 'Clienta no encontrada' });
+
+    const verSesiones = puedeVerSesiones(req);
+
+    // ===== ATENCIONES =====
+    const [atenciones] = await conn.query(
+      `SELECT a.id_atencion, a.id_personal, a.fecha_inicio, a.fecha_fin, a.traslado_min, a.total,
+              a.estado_atencion, a.estado_pago, a.id_serie,
+              p.nombre AS personal_nombre, p.apellido AS personal_apellido
+       FROM atencion a
+       INNER JOIN personal p ON p.id_personal = a.id_personal
+       WHERE a.id_clienta = ?
+       ORDER BY a.fecha_inicio DESC`,
+      [id]
+    );
+    const idsAtencion = atenciones.map((a) => a.id_atencion);
+
+    let serviciosPorAtencion = new Map();
+    let pagosPorAtencion = new Map();
+    let historialPorAtencion = new Map();
+    const notaPorAtencion = new Map();
+
+    if (idsAtencion.length > 0) {
+      const [servicios] = await conn.query(
+        `SELECT ats.id_atencion, ats.id_atencion_servicio, ats.id_servicio, s.nombre AS servicio_nombre,
+                s.duracion_min, ats.precio_aplicado
+         FROM atencion_servicio ats
+         INNER JOIN servicio s ON s.id_servicio = ats.id_servicio
+         WHERE ats.id_atencion IN (?)`,
+        [idsAtencion]
+      );
+      serviciosPorAtencion = agruparPor(servicios, 'id_atencion');
+
+      const [pagos] = await conn.query(
+        `SELECT id_pago, id_atencion, fecha, monto, medio_pago, tipo, anulado
+         FROM pago_atencion
+         WHERE id_atencion IN (?)
+         ORDER BY fecha ASC`,
+        [idsAtencion]
+      );
+      pagosPorAtencion = agruparPor(pagos, 'id_atencion');
+
+      if (verSesiones) {
+        const [historial] = await conn.query(
+          `SELECT id_atencion, estado_anterior, estado_nuevo, motivo, fecha, id_personal
+           FROM atencion_estado_historial
+           WHERE id_atencion IN (?)
+           ORDER BY fecha ASC, id_historial ASC`,
+          [idsAtencion]
+        );
+        historialPorAtencion = agruparPor(historial, 'id_atencion');
+
+        const [notas] = await conn.query(
+          `SELECT id_nota, id_atencion, zonas_trabajadas, presion, recomendaciones, observaciones,
+                  registrado_por, fecha_creacion, fecha_actualizacion
+           FROM nota_sesion
+           WHERE id_atencion IN (?)`,
+          [idsAtencion]
+        );
+        notas.forEach((n) => notaPorAtencion.set(Number(n.id_atencion), n));
+      }
+    }
+
+    let saldoAtenciones = 0;
+    atenciones.forEach((a) => {
+      a.servicios = serviciosPorAtencion.get(Number(a.id_atencion)) || [];
+      a.pagos = pagosPorAtencion.get(Number(a.id_atencion)) || [];
+      a.total_pagado = resumirPagos(a.pagos);
+      a.saldo = ESTADOS_SIN_COBRO.includes(a.estado_atencion) ? 0 : Math.max(0, Number(a.total) - a.total_pagado);
+      saldoAtenciones += a.saldo;
+      if (verSesiones) {
+        a.historialEstados = historialPorAtencion.get(Number(a.id_atencion)) || [];
+        a.nota = notaPorAtencion.get(Number(a.id_atencion)) || null;
+      }
+    });
+
+    // ===== VENTAS =====
+    const [ventas] = await conn.query(
+      `SELECT v.id_venta, v.id_personal, v.fecha, v.total, v.total_devuelto, v.estado_pago, v.estado_venta,
+              p.nombre AS personal_nombre, p.apellido AS personal_apellido
+       FROM venta v
+       INNER JOIN personal p ON p.id_personal = v.id_personal
+       WHERE v.id_clienta = ?
+       ORDER BY v.fecha DESC`,
+      [id]
+    );
+    const idsVenta = ventas.map((v) => v.id_venta);
+
+    let itemsPorVenta = new Map();
+    let pagosPorVenta = new Map();
+
+    if (idsVenta.length > 0) {
+      const [items] = await conn.query(
+        `SELECT dv.id_venta, dv.id_detalle, dv.id_producto, dv.cantidad, dv.precio_unitario,
+                pr.nombre AS producto_nombre, pr.marca AS producto_marca
+         FROM detalle_venta dv
+         INNER JOIN producto pr ON pr.id_producto = dv.id_producto
+         WHERE dv.id_venta IN (?)
+         ORDER BY dv.id_detalle ASC`,
+        [idsVenta]
+      );
+      itemsPorVenta = agruparPor(items, 'id_venta');
+
+      const [pagos] = await conn.query(
+        `SELECT id_pago, id_venta, fecha, monto, medio_pago, tipo, anulado
+         FROM pago_venta
+         WHERE id_venta IN (?)
+         ORDER BY fecha ASC`,
+        [idsVenta]
+      );
+      pagosPorVenta = agruparPor(pagos, 'id_venta');
+    }
+
+    let saldoVentas = 0;
+    ventas.forEach((v) => {
+      v.items = itemsPorVenta.get(Number(v.id_venta)) || [];
+      v.pagos = pagosPorVenta.get(Number(v.id_venta)) || [];
+      v.total_pagado = resumirPagos(v.pagos);
+      v.saldo = v.estado_venta === 'anulada'
+        ? 0
+        : Math.max(0, Number(v.total) - Number(v.total_devuelto || 0) - v.total_pagado);
+      saldoVentas += v.saldo;
+    });
+
+    // ===== RESUMEN =====
+    const realizadas = atenciones.filter((a) => a.estado_atencion === 'realizada');
+    const ventasVigentes = ventas.filter((v) => v.estado_venta !== 'anulada');
+
+    const conteoServicios = new Map();
+    realizadas.forEach((a) => {
+      a.servicios.forEach((s) => {
+        const actual = conteoServicios.get(s.id_servicio) || { id_servicio: s.id_servicio, nombre: s.servicio_nombre, veces: 0 };
+        actual.veces += 1;
+        conteoServicios.set(s.id_servicio, actual);
+      });
+    });
+
+    const gastoAtenciones = realizadas.reduce((acc, a) => acc + Number(a.total), 0);
+    const gastoVentas = ventasVigentes.reduce((acc, v) => acc + Number(v.total) - Number(v.total_devuelto || 0), 0);
+
+    let ficha;
+    if (verSesiones) {
+      const vigente = await fetchFichaVigente(conn, id);
+      ficha = vigente ? { ...vigente, condiciones: condicionesPresentes(vigente) } : null;
+    }
+
+    res.json({
+      clienta: clientaRows[0],
+      ...(verSesiones ? { ficha } : {}),
+      atenciones,
+      ventas,
+      resumen: {
+        ultima_visita: realizadas.length > 0 ? realizadas[0].fecha_inicio : null,
+        servicios_favoritos: [...conteoServicios.values()]
+          .sort((a, b) => b.veces - a.veces)
+          .slice(0, MAX_SERVICIOS_FAVORITOS),
+        gasto_total: gastoAtenciones + gastoVentas,
+        gasto_atenciones: gastoAtenciones,
+        gasto_ventas: gastoVentas,
+        saldo_pendiente: {
+          atenciones: saldoAtenciones,
+          ventas: saldoVentas,
+          total: saldoAtenciones + saldoVentas
+        }
+      }
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Error al obtener historial de la clienta', error: error.message });
+  } finally {
+    conn.release();
+  }
+});
+
+// ===== FICHA CLÍNICA =====
+// Cada PUT guarda una versión nueva; las anteriores quedan como historial.
+
+const TEXTOS_FICHA = ['lesiones', 'alergias', 'medicamentos', 'observaciones'];
+
+router.get('/:id/ficha', requireRole(...ROLES_FICHA), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const [clientaRows] = await pool.query('SELECT id_clienta FROM clienta WHERE id_clienta = ?', [id]);
+    if (clientaRows.length === 0) return res.status(404).json({ message: 'Clienta no encontrada' });
+
+    const ficha = await fetchFichaVigente(pool, id);
+    res.json({ ficha, condiciones: condicionesPresentes(ficha) });
+  } catch (error) {
+    res.status(500).json({ message: 'Error al obtener ficha clínica', error: error.message });
+  }
+});
+
+router.get('/:id/ficha/versiones', requireRole(...ROLES_FICHA), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const [rows] = await pool.query(
+      `SELECT f.id_ficha, f.version, f.embarazo, f.lesiones, f.alergias, f.medicamentos, f.observaciones,
+              f.registrado_por, f.fecha, p.nombre AS registrado_por_nombre, p.apellido AS registrado_por_apellido
+       FROM ficha_clinica f
+       LEFT JOIN personal p ON p.id_personal = f.registrado_por
+       WHERE f.id_clienta = ?
+       ORDER BY f.version DESC`,
+      [id]
+    );
+
+    res.json(rows);
+  } catch (error) {
+    res.status(500).json({ message: 'Error al obtener versiones de la ficha clínica', error: error.message });
+  }
+});
+
+router.put('/:id/ficha', requireRole(...ROLES_FICHA), async (req, res) => {
+  const conn = await pool.getConnection();
+  try {
+    const { id } = req.params;
+    const { embarazo } = req.body;
+
+    if (embarazo !== undefined && ![0, 1, true, false, '0', '1'].includes(embarazo)) {
+      return res.status(400).json({ message: '"embarazo" debe ser 0 o 1' });
+    }
+    const textos = {};
+    for (const campo of TEXTOS_FICHA) {
+      const v = req.body[campo];
+      if (v != null && typeof v !== 'string') {
+        return res.status(400).json({ message: `"${campo}" debe ser texto` });
+      }
+      textos[campo] = v && v.trim() ? v.trim() : null;
+    }
+
+    await conn.beginTransaction();
+
+    // Bloquea la clienta para que dos ediciones simultáneas no tomen la misma versión
+    const [clientaRows] = await conn.query('SELECT id_clienta FROM clienta WHERE id_clienta = ? FOR UPDATE', [id]);
+    if (clientaRows.length === 0) {
+      await conn.rollback();
+      return res.status(404).json({ message: 'Clienta no encontrada' });
+    }
+
+    const [verRows] = await conn.query(
+      'SELECT COALESCE(MAX(version), 0) AS version FROM ficha_clinica WHERE id_clienta = ?',
+      [id]
+    );
+    const version = Number(verRows[0].version) + 1;
+
+    const [result] = await conn.query(
+      `INSERT INTO ficha_clinica (id_clienta, version, embarazo, lesiones, alergias, medicamentos, observaciones, registrado_por)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+      [id, version, [1, true, '1'].includes(embarazo) ? 1 : 0, textos.lesiones, textos.alergias,
+        textos.medicamentos, textos.observaciones, req.user?.id_personal || null]
+    );
+
+    await conn.commit();
+
+    res.status(201).json({ message: 'Ficha clínica actualizada', id_ficha: result.insertId, version });
+  } catch (error) {
+    try { await conn.rollback(); } catch {}
+    res.status(500).json({ message: 'Error al actualizar ficha clínica', error: error.message });
+  } finally {
+    conn.release();
+  }
+});
+
 router.get('/:id', async (req, res) => {
   try {
     const { id } = req.params;
@@ -52,6 +480,16 @@ router.post('/', async (req, res) => {
       });
     }
 
+    if (!esForzado(req.body.forzar)) {
+      const candidatos = await buscarDuplicados(pool, { nombre, apellido, telefono, email });
+      if (candidatos.length > 0) {
+        return res.status(409).json({
+          message: 'Posible clienta duplicada. Reenvía con "forzar": true para guardar de todas formas',
+          candidatos
+        });
+      }
+    }
+
     const [result] = await pool.query(
       `INSERT INTO clienta (nombre, apellido, telefono, email, direccion, activo)
        VALUES (?, ?, ?, ?, ?, 1)`,
@@ -75,6 +513,16 @@ router.put('/:id', async (req, res) => {
       });
     }
 
+    if (!esForzado(req.body.forzar)) {
+      const candidatos = await buscarDuplicados(pool, { nombre, apellido, telefono, email }, Number(id));
+      if (candidatos.length > 0) {
+        return res.status(409).json({
+          message: 'Posible clienta duplicada. Reenvía con "forzar": true para guardar de todas formas',
+          candidatos
+        });
+      }
+    }
+
     const [result] = await pool.query(
       `UPDATE clienta
        SET nombre = ?, apellido = ?, telefono = ?, email = ?, direccion = ?
@@ -100,6 +548,13 @@ router.put('/:id/activo', async (req, res) => {
       return res.status(400).json({ message: '"activo" debe ser 0 o 1' });
     }
 
+    if (a === 1) {
+      const [anon] = await pool.query('SELECT anonimizada FROM clienta WHERE id_clienta = ?', [id]);
+      if (anon.length > 0 && Number(anon[0].anonimizada) === 1) {
+        return res.status(409).json({ message: 'Una clienta anonimizada no puede reactivarse' });
+      }
+    }
+
     const [result] = await pool.query(
       `UPDATE clienta SET activo = ? WHERE id_clienta = ?`,
       [a, id]
@@ -114,4 +569,399 @@ router.put('/:id/activo', async (req, res) => {
   }
 });
 
+// :id es la clienta que se conserva; id_duplicada queda inactiva y sus
+// atenciones, series, ventas, pagos y paquetes pasan a :id. Los pagos y los
+// consumos de paquete siguen a su documento, así que basta con mover
+// atenciones, ventas y paquetes.
+router.post('/:id/fusionar', requireRole('administradora'), async (req, res) => {
+  const conn = await pool.getConnection();
+  try {
+    const id_destino = Number(req.params.id);
+    const id_origen = Number(req.body.id_duplicada);
+    const { motivo } = req.body;
+
+    if (!Number.isInteger(id_origen) || id_origen <= 0) {
+      return res.status(400).json({ message: 'Campo obligatorio: id_duplicada' });
+    }
+    if (id_origen === id_destino) {
+      return res.status(400).json({ message: 'Una clienta no puede fusionarse consigo misma' });
+    }
+
+    await conn.beginTransaction();
+
+    const [clientas] = await conn.query(
+      `SELECT * FROM clienta WHERE id_clienta IN (?, ?) FOR UPDATE`,
+      [id_destino, id_origen]
+    );
+    const destino = clientas.find((c) => Number(c.id_clienta) === id_destino);
+    const origen = clientas.find((c) => Number(c.id_clienta) === id_origen);
+
+    if (!destino || !origen) {
+      await conn.rollback();
+      return res.status(404).json({ message: 'Clienta no encontrada' });
+    }
+    if (Number(destino.activo) !== 1) {
+      await conn.rollback();
+      return res.status(409).json({ message: 'La clienta que se conserva está inactiva' });
+    }
+
+    const traspasos = {};
+    const mover = async (tabla) => {
+      const [r] = await conn.query(`UPDATE ${tabla} SET id_clienta = ? WHERE id_clienta = ?`, [id_destino, id_origen]);
+      traspasos[tabla] = r.affectedRows;
+    };
+
+    await mover('atencion');
+    await mover('serie_atencion');
+    await mover('venta');
+    await mover('pago_distribuido');
+    await mover('paquete_clienta');
+
+    // Si la clienta que se conserva no tiene ficha, hereda las versiones de la
+    // duplicada. Si ambas tienen, se le agrega una versión que une las dos
+    // vigentes, para que ninguna condición deje de advertir contraindicaciones.
+    const fichaDestino = await fetchFichaVigente(conn, id_destino);
+    const fichaOrigen = await fetchFichaVigente(conn, id_origen);
+    if (!fichaDestino) {
+      await mover('ficha_clinica');
+    } else if (fichaOrigen) {
+      const f = combinarFichas(fichaDestino, fichaOrigen);
+      const version = Number(fichaDestino.version) + 1;
+      await conn.query(
+        `INSERT INTO ficha_clinica (id_clienta, version, embarazo, lesiones, alergias, medicamentos, observaciones, registrado_por)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+        [id_destino, version, f.embarazo, f.lesiones, f.alergias, f.medicamentos, f.observaciones, req.user?.id_personal || null]
+      );
+      traspasos.ficha_clinica_combinada = version;
+    }
+
+    // Completa datos de contacto que faltan en la clienta que se conserva
+    if (!destino.email && origen.email) {
+      await conn.query(`UPDATE clienta SET email = ? WHERE id_clienta = ?`, [origen.email, id_destino]);
+    }
+
+    await conn.query(`UPDATE clienta SET activo = 0 WHERE id_clienta = ?`, [id_origen]);
+
+    const [result] = await conn.query(
+      `INSERT INTO fusion_clienta (id_clienta_destino, id_clienta_origen, datos_origen, traspasos, motivo, fusionado_por)
+       VALUES (?, ?, ?, ?, ?, ?)`,
+      [id_destino, id_origen, JSON.stringify(origen), JSON.stringify(traspasos),
+        motivo ? String(motivo).trim() : null, req.user?.id_personal || null]
+    );
+
+    await conn.commit();
+
+    res.json({
+      message: 'Clientas fusionadas',
+      id_fusion: result.insertId,
+      id_clienta: id_destino,
+      id_duplicada: id_origen,
+      traspasos
+    });
+  } catch (error) {
+    try { await conn.rollback(); } catch {}
+    res.status(500).json({ message: 'Error al fusionar clientas', error: error.message });
+  } finally {
+    conn.release();
+  }
+});
+
+router.get('/:id/fusiones', requireRole('administradora'), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const [rows] = await pool.query(
+      `SELECT id_fusion, id_clienta_destino, id_clienta_origen, datos_origen, traspasos, motivo, fusionado_por, fecha
+       FROM fusion_clienta
+       WHERE id_clienta_destino = ? OR id_clienta_origen = ?
+       ORDER BY fecha DESC`,
+      [id, id]
+    );
+
+    res.json(rows);
+  } catch (error) {
+    res.status(500).json({ message: 'Error al obtener fusiones', error: error.message });
+  }
+});
+
+// ===== DATOS PERSONALES =====
+// Exportación y anonimización a pedido de la clienta. Ambas quedan en
+// registro_datos_personales con quién y cuándo las hizo.
+
+async function registrarAccionDatos(conn, { id_clienta, accion, motivo, id_personal }) {
+  await conn.query(
+    `INSERT INTO registro_datos_personales (id_clienta, accion, motivo, id_personal) VALUES (?, ?, ?, ?)`,
+    [id_clienta, accion, motivo ? String(motivo).trim() : null, id_personal || null]
+  );
+}
+
+router.get('/:id/exportar', requireRole('administradora'), async (req, res) => {
+  const conn = await pool.getConnection();
+  try {
+    const { id } = req.params;
+
+    const [clientaRows] = await conn.query('SELECT * FROM clienta WHERE id_clienta = ?', [id]);
+    if (clientaRows.length === 0) return res.status(404).json({ message: 'Clienta no encontrada' });
+
+    const [ficha] = await conn.query(
+      `SELECT version, embarazo, lesiones, alergias, medicamentos, observaciones, fecha
+       FROM ficha_clinica WHERE id_clienta = ? ORDER BY version ASC`,
+      [id]
+    );
+
+    const [atenciones] = await conn.query(
+      `SELECT id_atencion, id_personal, fecha_inicio, fecha_fin, traslado_min, total, estado_atencion, estado_pago, id_serie
+       FROM atencion WHERE id_clienta = ? ORDER BY fecha_inicio ASC`,
+      [id]
+    );
+    const idsAtencion = atenciones.map((a) => a.id_atencion);
+
+    if (idsAtencion.length > 0) {
+      const [servicios] = await conn.query(
+        `SELECT ats.id_atencion, ats.id_servicio, s.nombre AS servicio_nombre, ats.precio_aplicado
+         FROM atencion_servicio ats INNER JOIN servicio s ON s.id_servicio = ats.id_servicio
+         WHERE ats.id_atencion IN (?)`,
+        [idsAtencion]
+      );
+      const [pagos] = await conn.query(
+        `SELECT id_pago, id_atencion, fecha, monto, medio_pago, tipo, anulado
+         FROM pago_atencion WHERE id_atencion IN (?) ORDER BY fecha ASC`,
+        [idsAtencion]
+      );
+      const [notas] = await conn.query(
+        `SELECT id_atencion, zonas_trabajadas, presion, recomendaciones, observaciones, fecha_creacion, fecha_actualizacion
+         FROM nota_sesion WHERE id_atencion IN (?)`,
+        [idsAtencion]
+      );
+      const [historial] = await conn.query(
+        `SELECT id_atencion, estado_anterior, estado_nuevo, motivo, fecha
+         FROM atencion_estado_historial WHERE id_atencion IN (?) ORDER BY fecha ASC, id_historial ASC`,
+        [idsAtencion]
+      );
+
+      const serviciosPor = agruparPor(servicios, 'id_atencion');
+      const pagosPor = agruparPor(pagos, 'id_atencion');
+      const historialPor = agruparPor(historial, 'id_atencion');
+      const notaPor = new Map(notas.map((n) => [Number(n.id_atencion), n]));
+
+      atenciones.forEach((a) => {
+        a.servicios = serviciosPor.get(Number(a.id_atencion)) || [];
+        a.pagos = pagosPor.get(Number(a.id_atencion)) || [];
+        a.historialEstados = historialPor.get(Number(a.id_atencion)) || [];
+        a.nota = notaPor.get(Number(a.id_atencion)) || null;
+      });
+    }
+
+    const [ventas] = await conn.query(
+      `SELECT id_venta, id_personal, fecha, total, total_devuelto, estado_pago, estado_venta
+       FROM venta WHERE id_clienta = ? ORDER BY fecha ASC`,
+      [id]
+    );
+    const idsVenta = ventas.map((v) => v.id_venta);
+
+    if (idsVenta.length > 0) {
+      const [items] = await conn.query(
+        `SELECT dv.id_venta, dv.id_producto, pr.nombre AS producto_nombre, dv.cantidad, dv.precio_unitario
+         FROM detalle_venta dv INNER JOIN producto pr ON pr.id_producto = dv.id_producto
+         WHERE dv.id_venta IN (?)`,
+        [idsVenta]
+      );
+      const [pagos] = await conn.query(
+        `SELECT id_pago, id_venta, fecha, monto, medio_pago, tipo, anulado
+         FROM pago_venta WHERE id_venta IN (?) ORDER BY fecha ASC`,
+        [idsVenta]
+      );
+      const [devoluciones] = await conn.query(
+        `SELECT id_devolucion, id_venta, tipo, motivo, monto, fecha
+         FROM devolucion_venta WHERE id_venta IN (?) ORDER BY fecha ASC`,
+        [idsVenta]
+      );
+
+      const itemsPor = agruparPor(items, 'id_venta');
+      const pagosPor = agruparPor(pagos, 'id_venta');
+      const devolucionesPor = agruparPor(devoluciones, 'id_venta');
+
+      ventas.forEach((v) => {
+        v.items = itemsPor.get(Number(v.id_venta)) || [];
+        v.pagos = pagosPor.get(Number(v.id_venta)) || [];
+        v.devoluciones = devolucionesPor.get(Number(v.id_venta)) || [];
+      });
+    }
+
+    const [series] = await conn.query(
+      `SELECT id_serie, id_personal, frecuencia, fecha_inicio, cantidad, fecha_hasta
+       FROM serie_atencion WHERE id_clienta = ?`,
+      [id]
+    );
+
+    const [pagosDistribuidos] = await conn.query(
+      `SELECT id_pago_distribuido, monto, medio_pago, fecha
+       FROM pago_distribuido WHERE id_clienta = ? ORDER BY fecha ASC`,
+      [id]
+    );
+
+    const [fusiones] = await conn.query(
+      `SELECT id_fusion, id_clienta_destino, id_clienta_origen, datos_origen, traspasos, motivo, fecha
+       FROM fusion_clienta
+       WHERE id_clienta_destino = ? OR id_clienta_origen = ?
+       ORDER BY fecha ASC`,
+      [id, id]
+    );
+
+    const [paquetes] = await conn.query(
+      `SELECT pc.id_paquete_clienta, pc.id_paquete, p.nombre AS paquete_nombre, pc.sesiones_total, pc.sesiones_usadas,
+              pc.precio, pc.medio_pago, pc.fecha_compra, pc.fecha_vencimiento
+       FROM paquete_clienta pc INNER JOIN paquete p ON p.id_paquete = pc.id_paquete
+       WHERE pc.id_clienta = ? ORDER BY pc.fecha_compra ASC`,
+      [id]
+    );
+    const idsPaquete = paquetes.map((p) => p.id_paquete_clienta);
+
+    if (idsPaquete.length > 0) {
+      const [consumos] = await conn.query(
+        `SELECT pco.id_paquete_clienta, pco.id_atencion, pco.id_servicio, s.nombre AS servicio_nombre,
+                pco.estado, pco.fecha, pco.fecha_devolucion
+         FROM paquete_consumo pco INNER JOIN servicio s ON s.id_servicio = pco.id_servicio
+         WHERE pco.id_paquete_clienta IN (?) ORDER BY pco.fecha ASC, pco.id_consumo ASC`,
+        [idsPaquete]
+      );
+      const consumosPor = agruparPor(consumos, 'id_paquete_clienta');
+      paquetes.forEach((p) => {
+        p.consumos = consumosPor.get(Number(p.id_paquete_clienta)) || [];
+      });
+    }
+
+    await registrarAccionDatos(conn, {
+      id_clienta: id,
+      accion: 'exportacion',
+      motivo: req.query.motivo,
+      id_personal: req.user?.id_personal
+    });
+
+    res.set('Content-Disposition', `attachment; filename="clienta-${Number(id)}.json"`);
+    res.json({
+      generado: new Date().toISOString(),
+      clienta: clientaRows[0],
+      fichaClinica: ficha,
+      atenciones,
+      series,
+      ventas,
+      pagosDistribuidos,
+      paquetes,
+      fusiones
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Error al exportar datos de la clienta', error: error.message });
+  } finally {
+    conn.release();
+  }
+});
+
+router.post('/:id/anonimizar', requireRole('administradora'), async (req, res) => {
+  const conn = await pool.getConnection();
+  try {
+    const { id } = req.params;
+    const { motivo } = req.body;
+
+    if (!String(motivo || '').trim()) {
+      return res.status(400).json({ message: 'Campo obligatorio: motivo' });
+    }
+
+    await conn.beginTransaction();
+
+    const [clientaRows] = await conn.query(
+      'SELECT id_clienta, anonimizada FROM clienta WHERE id_clienta = ? FOR UPDATE',
+      [id]
+    );
+    if (clientaRows.length === 0) {
+      await conn.rollback();
+      return res.status(404).json({ message: 'Clienta no encontrada' });
+    }
+    if (Number(clientaRows[0].anonimizada) === 1) {
+      await conn.rollback();
+      return res.status(409).json({ message: 'La clienta ya está anonimizada' });
+    }
+
+    // Las duplicadas fusionadas en ella (también en cadena) son la misma
+    // persona y conservan sus datos en clienta: se anonimizan junto con ella.
+    const ids = [Number(id)];
+    for (let i = 0; i < ids.length; i++) {
+      const [origenes] = await conn.query(
+        `SELECT id_clienta_origen FROM fusion_clienta WHERE id_clienta_destino = ?`,
+        [ids[i]]
+      );
+      origenes.forEach((o) => {
+        if (!ids.includes(Number(o.id_clienta_origen))) ids.push(Number(o.id_clienta_origen));
+      });
+    }
+    const duplicadas = ids.slice(1);
+    if (duplicadas.length > 0) {
+      await conn.query(`SELECT id_clienta FROM clienta WHERE id_clienta IN (?) FOR UPDATE`, [duplicadas]);
+    }
+
+    await conn.query(
+      `UPDATE clienta
+       SET nombre = 'Anonimizada', apellido = CONCAT('#', id_clienta), telefono = '', email = NULL, direccion = '',
+           activo = 0, anonimizada = 1, fecha_anonimizacion = COALESCE(fecha_anonimizacion, NOW())
+       WHERE id_clienta IN (?)`,
+      [ids]
+    );
+
+    // Datos de salud: se eliminan la ficha y el contenido de las notas de sesión
+    await conn.query(`DELETE FROM ficha_clinica WHERE id_clienta IN (?)`, [ids]);
+    await conn.query(
+      `UPDATE nota_sesion ns
+       INNER JOIN atencion a ON a.id_atencion = ns.id_atencion
+       SET ns.zonas_trabajadas = NULL, ns.presion = NULL, ns.recomendaciones = NULL, ns.observaciones = NULL
+       WHERE a.id_clienta IN (?)`,
+      [ids]
+    );
+
+    // Copias de sus datos guardadas al fusionar duplicados
+    await conn.query(
+      `UPDATE fusion_clienta SET datos_origen = JSON_OBJECT('id_clienta', id_clienta_origen)
+       WHERE id_clienta_origen IN (?) OR id_clienta_destino IN (?)`,
+      [ids, ids]
+    );
+
+    for (const id_clienta of ids) {
+      await registrarAccionDatos(conn, {
+        id_clienta,
+        accion: 'anonimizacion',
+        motivo,
+        id_personal: req.user?.id_personal
+      });
+    }
+
+    await conn.commit();
+
+    res.json({ message: 'Clienta anonimizada', id_clienta: Number(id), duplicadas });
+  } catch (error) {
+    try { await conn.rollback(); } catch {}
+    res.status(500).json({ message: 'Error al anonimizar clienta', error: error.message });
+  } finally {
+    conn.release();
+  }
+});
+
+router.get('/:id/registro-datos', requireRole('administradora'), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const [rows] = await pool.query(
+      `SELECT r.id_registro, r.accion, r.motivo, r.id_personal, r.fecha,
+              p.nombre AS personal_nombre, p.apellido AS personal_apellido
+       FROM registro_datos_personales r
+       LEFT JOIN personal p ON p.id_personal = r.id_personal
+       WHERE r.id_clienta = ?
+       ORDER BY r.fecha DESC`,
+      [id]
+    );
+
+    res.json(rows);
+  } catch (error) {
+    res.status(500).json({ message: 'Error al obtener registro de datos personales', error: error.message });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
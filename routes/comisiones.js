@@ -0,0 +1,495 @@
+const express = require('express');
+const router = express.Router();
+const pool = require('../config/db');
+const { auth, requireRole } = require('../middlewares/auth');
+const { parseFechaDia } = require('../utils/fechas');
+
+router.use(auth);
+router.use(requireRole('administradora'));
+
+const AMBITOS_REGLA = ['servicio', 'producto'];
+const TIPOS_REGLA = ['porcentaje', 'fijo'];
+
+// Un documento cuya fecha cae en un periodo cerrado ya no se recalcula.
+const FUERA_DE_PERIODO_CERRADO_SQL = (columnaFecha) => `NOT EXISTS (
+  SELECT 1 FROM periodo_comision pc
+  WHERE ${columnaFecha} >= pc.desde AND ${columnaFecha} < DATE_ADD(pc.hasta, INTERVAL 1 DAY)
+)`;
+
+function parseRango(desde, hasta) {
+  const desdeDia = parseFechaDia(desde);
+  const hastaDia = parseFechaDia(hasta);
+  if (!desdeDia || !hastaDia) {
+    return { ok: false, message: 'desde/hasta obligatorios en formato "YYYY-MM-DD"' };
+  }
+  if (hastaDia < desdeDia) {
+    return { ok: false, message: '"hasta" debe ser mayor o igual a "desde"' };
+  }
+  return { ok: true, desde: String(desde).trim(), hasta: String(hasta).trim() };
+}
+
+const parseOptionalId = (value) => {
+  if (value == null || value === '') return { ok: true, id: null };
+  const n = Number(value);
+  return Number.isInteger(n) && n > 0 ? { ok: true, id: n } : { ok: false };
+};
+
+async function normalizeRegla(conn, body) {
+  const { ambito, tipo, valor } = body;
+
+  if (!AMBITOS_REGLA.includes(ambito)) {
+    return { ok: false, status: 400, message: `ambito debe ser uno de: ${AMBITOS_REGLA.join(', ')}` };
+  }
+  if (!TIPOS_REGLA.includes(tipo)) {
+    return { ok: false, status: 400, message: `tipo debe ser uno de: ${TIPOS_REGLA.join(', ')}` };
+  }
+
+  const v = Number(valor);
+  if (!Number.isFinite(v) || v < 0) {
+    return { ok: false, status: 400, message: 'valor debe ser un número >= 0' };
+  }
+  if (tipo === 'porcentaje' && v > 100) {
+    return { ok: false, status: 400, message: 'Un porcentaje no puede superar 100' };
+  }
+
+  const servicio = parseOptionalId(body.id_servicio);
+  const producto = parseOptionalId(body.id_producto);
+  const personal = parseOptionalId(body.id_personal);
+  if (!servicio.ok || !producto.ok || !personal.ok) {
+    return { ok: false, status: 400, message: 'id_servicio, id_producto e id_personal deben ser enteros > 0' };
+  }
+  if (ambito === 'servicio' && producto.id) {
+    return { ok: false, status: 400, message: 'Una regla de servicio no puede indicar id_producto' };
+  }
+  if (ambito === 'producto' && servicio.id) {
+    return { ok: false, status: 400, message: 'Una regla de producto no puede indicar id_servicio' };
+  }
+
+  if (servicio.id) {
+    const [rows] = await conn.query(`SELECT id_servicio FROM servicio WHERE id_servicio = ?`, [servicio.id]);
+    if (rows.length === 0) return { ok: false, status: 404, message: 'Servicio no encontrado' };
+  }
+  if (producto.id) {
+    const [rows] = await conn.query(`SELECT id_producto FROM producto WHERE id_producto = ?`, [producto.id]);
+    if (rows.length === 0) return { ok: false, status: 404, message: 'Producto no encontrado' };
+  }
+  if (personal.id) {
+    const [rows] = await conn.query(`SELECT id_personal FROM personal WHERE id_personal = ?`, [personal.id]);
+    if (rows.length === 0) return { ok: false, status: 404, message: 'Personal no encontrado' };
+  }
+
+  return {
+    ok: true,
+    regla: {
+      ambito,
+      tipo,
+      valor: v,
+      id_servicio: servicio.id,
+      id_producto: producto.id,
+      id_personal: personal.id
+    }
+  };
+}
+
+// Gana la regla más específica: item + personal, luego solo item, luego solo
+// personal y por último la general del ámbito. Ante empate, la más reciente.
+function elegirRegla(reglas, { ambito, id_item, id_personal }) {
+  const columnaItem = ambito === 'servicio' ? 'id_servicio' : 'id_producto';
+  let mejor = null;
+  let mejorPeso = 0;
+
+  for (const r of reglas) {
+    if (r.ambito !== ambito) continue;
+    if (r[columnaItem] != null && Number(r[columnaItem]) !== Number(id_item)) continue;
+    if (r.id_personal != null && Number(r.id_personal) !== Number(id_personal)) continue;
+
+    const peso = 1 + (r.id_personal != null ? 1 : 0) + (r[columnaItem] != null ? 2 : 0);
+    if (peso > mejorPeso || (peso === mejorPeso && r.id_regla > mejor.id_regla)) {
+      mejor = r;
+      mejorPeso = peso;
+    }
+  }
+
+  return mejor;
+}
+
+function aplicarRegla(regla, { base, cantidad }) {
+  if (!regla) return 0;
+  const monto = regla.tipo === 'porcentaje'
+    ? (Number(base) * Number(regla.valor)) / 100
+    : Number(regla.valor) * Number(cantidad);
+  return Math.round(monto * 100) / 100;
+}
+
+// Líneas comisionables todavía abiertas: atenciones realizadas y ventas
+// vigentes pagadas por completo, netas de devoluciones.
+async function calcularLineas(conn, { desde, hasta, id_personal = null }) {
+  const filtroPersonal = (col) => (id_personal ? `AND ${col} = ?` : '');
+  const paramsPersonal = id_personal ? [id_personal] : [];
+
+  const [reglas] = await conn.query(
+    `SELECT id_regla, ambito, id_servicio, id_producto, id_personal, tipo, valor
+     FROM regla_comision
+     WHERE activo = 1`
+  );
+
+  const [atenciones] = await conn.query(
+    `SELECT ats.id_atencion_servicio AS id_linea, a.id_atencion AS id_documento, a.id_personal,
+            a.fecha_inicio AS fecha_documento, ats.id_servicio AS id_item,
+            ats.precio_aplicado AS base, 1 AS cantidad
+     FROM atencion_servicio ats
+     JOIN atencion a ON a.id_atencion = ats.id_atencion
+     WHERE a.estado_atencion = 'realizada'
+       AND a.fecha_inicio >= ? AND a.fecha_inicio < DATE_ADD(?, INTERVAL 1 DAY)
+       AND ${FUERA_DE_PERIODO_CERRADO_SQL('a.fecha_inicio')}
+       ${filtroPersonal('a.id_personal')}`,
+    [desde, hasta, ...paramsPersonal]
+  );
+
+  const [ventas] = await conn.query(
+    `SELECT dv.id_detalle AS id_linea, v.id_venta AS id_documento, v.id_personal,
+            v.fecha AS fecha_documento, dv.id_producto AS id_item,
+            (dv.cantidad - COALESCE(dd.devuelto, 0)) AS cantidad,
+            (dv.cantidad - COALESCE(dd.devuelto, 0)) * dv.precio_unitario AS base
+     FROM detalle_venta dv
+     JOIN venta v ON v.id_venta = dv.id_venta
+     LEFT JOIN (
+       SELECT id_detalle, SUM(cantidad) AS devuelto
+       FROM devolucion_venta_detalle
+       GROUP BY id_detalle
+     ) dd ON dd.id_detalle = dv.id_detalle
+     WHERE v.estado_venta = 'vigente'
+       AND v.estado_pago = 'pagado'
+       AND dv.cantidad - COALESCE(dd.devuelto, 0) > 0
+       AND v.fecha >= ? AND v.fecha < DATE_ADD(?, INTERVAL 1 DAY)
+       AND ${FUERA_DE_PERIODO_CERRADO_SQL('v.fecha')}
+       ${filtroPersonal('v.id_personal')}`,
+    [desde, hasta, ...paramsPersonal]
+  );
+
+  const armar = (origen, ambito) => (l) => {
+    const regla = elegirRegla(reglas, { ambito, id_item: l.id_item, id_personal: l.id_personal });
+    return {
+      id_periodo: null,
+      id_personal: l.id_personal,
+      origen,
+      id_documento: l.id_documento,
+      id_linea: l.id_linea,
+      fecha_documento: l.fecha_documento,
+      id_item: l.id_item,
+      base: Number(l.base),
+      cantidad: Number(l.cantidad),
+      id_regla: regla ? regla.id_regla : null,
+      tipo: regla ? regla.tipo : null,
+      valor: regla ? Number(regla.valor) : null,
+      monto: aplicarRegla(regla, l)
+    };
+  };
+
+  return [
+    ...atenciones.map(armar('atencion', 'servicio')),
+    ...ventas.map(armar('venta', 'producto'))
+  ];
+}
+
+async function resumirPorPersonal(conn, lineas) {
+  const ids = [...new Set(lineas.map((l) => Number(l.id_personal)))];
+  const nombres = new Map();
+  if (ids.length > 0) {
+    const [rows] = await conn.query(
+      `SELECT id_personal, nombre, apellido FROM personal WHERE id_personal IN (?)`,
+      [ids]
+    );
+    rows.forEach((r) => nombres.set(Number(r.id_personal), r));
+  }
+
+  const porPersonal = new Map();
+  for (const l of lineas) {
+    const id = Number(l.id_personal);
+    if (!porPersonal.has(id)) {
+      const p = nombres.get(id) || {};
+      porPersonal.set(id, {
+        id_personal: id,
+        nombre: p.nombre ?? null,
+        apellido: p.apellido ?? null,
+        total_atenciones: 0,
+        total_ventas: 0,
+        total: 0,
+        lineas: []
+      });
+    }
+    const r = porPersonal.get(id);
+    const monto = Number(l.monto);
+    if (l.origen === 'atencion') r.total_atenciones += monto;
+    else r.total_ventas += monto;
+    r.total += monto;
+    r.lineas.push(l);
+  }
+
+  return [...porPersonal.values()].map((r) => ({
+    ...r,
+    total_atenciones: Math.round(r.total_atenciones * 100) / 100,
+    total_ventas: Math.round(r.total_ventas * 100) / 100,
+    total: Math.round(r.total * 100) / 100
+  }));
+}
+
+// ===== REGLAS =====
+
+router.get('/reglas', async (req, res) => {
+  try {
+    const { activo } = req.query;
+
+    let sql = `SELECT r.id_regla, r.ambito, r.id_servicio, r.id_producto, r.id_personal, r.tipo, r.valor,
+                      r.activo, r.fecha_creacion,
+                      s.nombre AS servicio_nombre, pr.nombre AS producto_nombre,
+                      pe.nombre AS personal_nombre, pe.apellido AS personal_apellido
+               FROM regla_comision r
+               LEFT JOIN servicio s ON s.id_servicio = r.id_servicio
+               LEFT JOIN producto pr ON pr.id_producto = r.id_producto
+               LEFT JOIN personal pe ON pe.id_personal = r.id_personal`;
+    const params = [];
+
+    if (activo !== undefined) {
+      const a = Number(activo);
+      if (Number.isNaN(a) || (a !== 0 && a !== 1)) {
+        return res.status(400).json({ message: 'Query "activo" debe ser 0 o 1' });
+      }
+      sql += ' WHERE r.activo = ?';
+      params.push(a);
+    }
+
+    sql += ' ORDER BY r.ambito ASC, r.id_regla ASC';
+
+    const [rows] = await pool.query(sql, params);
+    res.json(rows);
+  } catch (error) {
+    res.status(500).json({ message: 'Error al obtener reglas de comisión', error: error.message });
+  }
+});
+
+router.post('/reglas', async (req, res) => {
+  const conn = await pool.getConnection();
+  try {
+    const n = await normalizeRegla(conn, req.body);
+    if (!n.ok) return res.status(n.status).json({ message: n.message });
+
+    const r = n.regla;
+    const [result] = await conn.query(
+      `INSERT INTO regla_comision (ambito, id_servicio, id_producto, id_personal, tipo, valor, activo)
+       VALUES (?, ?, ?, ?, ?, ?, 1)`,
+      [r.ambito, r.id_servicio, r.id_producto, r.id_personal, r.tipo, r.valor]
+    );
+
+    res.status(201).json({ message: 'Regla de comisión creada', id_regla: result.insertId });
+  } catch (error) {
+    res.status(500).json({ message: 'Error al crear regla de comisión', error: error.message });
+  } finally {
+    conn.release();
+  }
+});
+
+// Cambiar una regla no altera periodos ya cerrados.
+router.put('/reglas/:id', async (req, res) => {
+  const conn = await pool.getConnection();
+  try {
+    const { id } = req.params;
+
+    const n = await normalizeRegla(conn, req.body);
+    if (!n.ok) return res.status(n.status).json({ message: n.message });
+
+    const r = n.regla;
+    const [result] = await conn.query(
+      `UPDATE regla_comision
+       SET ambito = ?, id_servicio = ?, id_producto = ?, id_personal = ?, tipo = ?, valor = ?
+       WHERE id_regla = ?`,
+      [r.ambito, r.id_servicio, r.id_producto, r.id_personal, r.tipo, r.valor, id]
+    );
+
+    if (result.affectedRows === 0) {
+      return res.status(404).json({ message: 'Regla de comisión no encontrada' });
+    }
+
+    res.json({ message: 'Regla de comisión actualizada correctamente' });
+  } catch (error) {
+    res.status(500).json({ message: 'Error al actualizar regla de comisión', error: error.message });
+  } finally {
+    conn.release();
+  }
+});
+
+router.delete('/reglas/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const [result] = await pool.query(
+      `UPDATE regla_comision SET activo = 0
+       WHERE id_regla = ? AND activo = 1`,
+      [id]
+    );
+
+    if (result.affectedRows === 0) {
+      return res.status(404).json({ message: 'Regla no encontrada o ya está inactiva' });
+    }
+
+    res.json({ message: 'Regla de comisión desactivada correctamente' });
+  } catch (error) {
+    res.status(500).json({ message: 'Error al desactivar regla de comisión', error: error.message });
+  }
+});
+
+// ===== REPORTE =====
+
+// Combina lo congelado en periodos cerrados con el cálculo vigente del resto.
+router.get('/', async (req, res) => {
+  const conn = await pool.getConnection();
+  try {
+    const rango = parseRango(req.query.desde, req.query.hasta);
+    if (!rango.ok) return res.status(400).json({ message: rango.message });
+
+    const personal = parseOptionalId(req.query.id_personal);
+    if (!personal.ok) return res.status(400).json({ message: 'id_personal inválido' });
+
+    const [congeladas] = await conn.query(
+      `SELECT id_periodo, id_personal, origen, id_documento, id_linea, fecha_documento, id_item,
+              base, cantidad, id_regla, tipo, valor, monto
+       FROM comision_detalle
+       WHERE fecha_documento >= ? AND fecha_documento < DATE_ADD(?, INTERVAL 1 DAY)
+         ${personal.id ? 'AND id_personal = ?' : ''}
+       ORDER BY fecha_documento ASC, id_comision ASC`,
+      [rango.desde, rango.hasta, ...(personal.id ? [personal.id] : [])]
+    );
+
+    const abiertas = await calcularLineas(conn, { desde: rango.desde, hasta: rango.hasta, id_personal: personal.id });
+    const lineas = [...congeladas, ...abiertas];
+
+    const [periodos] = await conn.query(
+      `SELECT id_periodo, desde, hasta, total, fecha_cierre
+       FROM periodo_comision
+       WHERE desde <= ? AND hasta >= ?
+       ORDER BY desde ASC`,
+      [rango.hasta, rango.desde]
+    );
+
+    const resumen = await resumirPorPersonal(conn, lineas);
+
+    res.json({
+      desde: rango.desde,
+      hasta: rango.hasta,
+      periodos_cerrados: periodos,
+      personal: resumen,
+      total: Math.round(resumen.reduce((acc, r) => acc + r.total, 0) * 100) / 100
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Error al calcular comisiones', error: error.message });
+  } finally {
+    conn.release();
+  }
+});
+
+// ===== PERIODOS =====
+
+router.get('/periodos', async (req, res) => {
+  try {
+    const [rows] = await pool.query(
+      `SELECT pc.id_periodo, pc.desde, pc.hasta, pc.total, pc.cerrado_por, pc.fecha_cierre, pc.observacion,
+              p.nombre AS cerrado_por_nombre, p.apellido AS cerrado_por_apellido
+       FROM periodo_comision pc
+       LEFT JOIN personal p ON p.id_personal = pc.cerrado_por
+       ORDER BY pc.desde DESC`
+    );
+    res.json(rows);
+  } catch (error) {
+    res.status(500).json({ message: 'Error al obtener periodos de comisión', error: error.message });
+  }
+});
+
+router.get('/periodos/:id', async (req, res) => {
+  const conn = await pool.getConnection();
+  try {
+    const { id } = req.params;
+
+    const [periodoRows] = await conn.query(
+      `SELECT id_periodo, desde, hasta, total, cerrado_por, fecha_cierre, observacion
+       FROM periodo_comision
+       WHERE id_periodo = ?`,
+      [id]
+    );
+    if (periodoRows.length === 0) {
+      return res.status(404).json({ message: 'Periodo de comisión no encontrado' });
+    }
+
+    const [lineas] = await conn.query(
+      `SELECT id_periodo, id_personal, origen, id_documento, id_linea, fecha_documento, id_item,
+              base, cantidad, id_regla, tipo, valor, monto
+       FROM comision_detalle
+       WHERE id_periodo = ?
+       ORDER BY id_personal ASC, fecha_documento ASC`,
+      [id]
+    );
+
+    res.json({ periodo: periodoRows[0], personal: await resumirPorPersonal(conn, lineas) });
+  } catch (error) {
+    res.status(500).json({ message: 'Error al obtener periodo de comisión', error: error.message });
+  } finally {
+    conn.release();
+  }
+});
+
+// Cierra el periodo congelando los montos calculados en este momento.
+// Los periodos cerrados no pueden solaparse.
+router.post('/periodos', async (req, res) => {
+  const conn = await pool.getConnection();
+  try {
+    const { desde, hasta, observacion } = req.body;
+
+    const rango = parseRango(desde, hasta);
+    if (!rango.ok) return res.status(400).json({ message: rango.message });
+
+    await conn.beginTransaction();
+
+    const [solapados] = await conn.query(
+      `SELECT id_periodo, desde, hasta
+       FROM periodo_comision
+       WHERE desde <= ? AND hasta >= ?
+       FOR UPDATE`,
+      [rango.hasta, rango.desde]
+    );
+    if (solapados.length > 0) {
+      await conn.rollback();
+      return res.status(409).json({ message: 'El rango se solapa con un periodo ya cerrado', periodos: solapados });
+    }
+
+    const lineas = await calcularLineas(conn, { desde: rango.desde, hasta: rango.hasta });
+    const total = Math.round(lineas.reduce((acc, l) => acc + l.monto, 0) * 100) / 100;
+
+    const [result] = await conn.query(
+      `INSERT INTO periodo_comision (desde, hasta, total, cerrado_por, observacion)
+       VALUES (?, ?, ?, ?, ?)`,
+      [rango.desde, rango.hasta, total, req.user?.id_personal || null, observacion ? String(observacion).trim() : null]
+    );
+    const id_periodo = result.insertId;
+
+    for (const l of lineas) {
+      await conn.query(
+        `INSERT INTO comision_detalle
+           (id_periodo, id_personal, origen, id_documento, id_linea, fecha_documento, id_item,
+            base, cantidad, id_regla, tipo, valor, monto)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [id_periodo, l.id_personal, l.origen, l.id_documento, l.id_linea, l.fecha_documento, l.id_item,
+          l.base, l.cantidad, l.id_regla, l.tipo, l.valor, l.monto]
+      );
+    }
+
+    await conn.commit();
+
+    res.status(201).json({ message: 'Periodo de comisión cerrado', id_periodo, total, lineas: lineas.length });
+  } catch (error) {
+    try { await conn.rollback(); } catch {}
+    res.status(500).json({ message: 'Error al cerrar periodo de comisión', error: error.message });
+  } finally {
+    conn.release();
+  }
+});
+
+module.exports = router;
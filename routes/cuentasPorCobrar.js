@@ -0,0 +1,293 @@
+const express = require('express');
+const router = express.Router();
+const pool = require('../config/db');
+const { auth, requireRole } = require('../middlewares/auth');
+const { SUMA_PAGADO_SQL, recalcularEstadoPagoVenta, recalcularEstadoPagoAtencion } = require('../utils/pagos');
+const { resolverCajaParaPago } = require('../utils/caja');
+const { prepararGiftcardPago, aplicarGiftcardPago } = require('../utils/giftcards');
+const { redondear } = require('../utils/montos');
+
+router.use(auth);
+router.use(requireRole('vendedora', 'masoterapeuta', 'administradora'));
+
+// Son documentos por cobrar las ventas vigentes y las atenciones realizadas
+// con estado_pago pendiente o parcial. La antigüedad se cuenta desde la fecha
+// de la venta o del inicio de la atención.
+
+const TRAMOS_ANTIGUEDAD = [
+  { tramo: '0-30', hasta: 30 },
+  { tramo: '31-60', hasta: 60 },
+  { tramo: '61-90', hasta: 90 },
+  { tramo: '90+', hasta: Infinity }
+];
+
+const TIPOS_DOCUMENTO = ['venta', 'atencion'];
+
+// Mismos permisos que /pagos-venta y /pagos-atencion.
+function tiposCobrables(req) {
+  const roles = req.user?.roles || [];
+  const tipos = [];
+  if (roles.includes('vendedora') || roles.includes('administradora')) tipos.push('venta');
+  if (roles.includes('masoterapeuta') || roles.includes('administradora')) tipos.push('atencion');
+  return tipos;
+}
+
+function tramoAntiguedad(dias) {
+  return TRAMOS_ANTIGUEDAD.find((t) => Number(dias) <= t.hasta).tramo;
+}
+
+const tramosVacios = () => Object.fromEntries(TRAMOS_ANTIGUEDAD.map((t) => [t.tramo, 0]));
+
+async function fetchDocumentosAbiertos(conn, { id_clienta = null, forUpdate = false } = {}) {
+  const filtroClienta = (col) => (id_clienta ? `AND ${col} = ?` : '');
+  const params = id_clienta ? [id_clienta] : [];
+  const lock = forUpdate ? 'FOR UPDATE' : '';
+
+  const [ventas] = await conn.query(
+    `SELECT 'venta' AS tipo, v.id_venta AS id_documento, v.id_clienta, v.fecha,
+            v.total - v.total_devuelto AS total,
+            (SELECT ${SUMA_PAGADO_SQL} FROM pago_venta WHERE id_venta = v.id_venta AND anulado = 0) AS pagado,
+            DATEDIFF(CURDATE(), v.fecha) AS dias
+     FROM venta v
+     WHERE v.estado_venta = 'vigente'
+       AND v.estado_pago IN ('pendiente', 'parcial')
+       ${filtroClienta('v.id_clienta')}
+     ${lock}`,
+    params
+  );
+
+  const [atenciones] = await conn.query(
+    `SELECT 'atencion' AS tipo, a.id_atencion AS id_documento, a.id_clienta, a.fecha_inicio AS fecha,
+            a.total,
+            (SELECT ${SUMA_PAGADO_SQL} FROM pago_atencion WHERE id_atencion = a.id_atencion AND anulado = 0) AS pagado,
+            DATEDIFF(CURDATE(), a.fecha_inicio) AS dias
+     FROM atencion a
+     WHERE a.estado_atencion = 'realizada'
+       AND a.estado_pago IN ('pendiente', 'parcial')
+       ${filtroClienta('a.id_clienta')}
+     ${lock}`,
+    params
+  );
+
+  return [...ventas, ...atenciones]
+    .map((d) => {
+      const total = Number(d.total);
+      const pagado = Number(d.pagado);
+      const dias = Math.max(0, Number(d.dias));
+      return { ...d, total, pagado, saldo: redondear(total - pagado), dias, tramo: tramoAntiguedad(dias) };
+    })
+    .filter((d) => d.saldo > 0)
+    .sort((a, b) => new Date(a.fecha) - new Date(b.fecha));
+}
+
+router.get('/', async (req, res) => {
+  const conn = await pool.getConnection();
+  try {
+    let id_clienta = null;
+    if (req.query.id_clienta != null && req.query.id_clienta !== '') {
+      id_clienta = Number(req.query.id_clienta);
+      if (!Number.isInteger(id_clienta) || id_clienta <= 0) {
+        return res.status(400).json({ message: 'id_clienta inválido' });
+      }
+    }
+
+    const documentos = await fetchDocumentosAbiertos(conn, { id_clienta });
+
+    const ids = [...new Set(documentos.map((d) => Number(d.id_clienta)))];
+    const clientasInfo = new Map();
+    if (ids.length > 0) {
+      const [rows] = await conn.query(
+        `SELECT id_clienta, nombre, apellido, telefono, email FROM clienta WHERE id_clienta IN (?)`,
+        [ids]
+      );
+      rows.forEach((r) => clientasInfo.set(Number(r.id_clienta), r));
+    }
+
+    const porClienta = new Map();
+    const totales = tramosVacios();
+
+    for (const d of documentos) {
+      const id = Number(d.id_clienta);
+      if (!porClienta.has(id)) {
+        porClienta.set(id, { ...clientasInfo.get(id), id_clienta: id, saldo_total: 0, tramos: tramosVacios(), documentos: [] });
+      }
+      const c = porClienta.get(id);
+      c.saldo_total = redondear(c.saldo_total + d.saldo);
+      c.tramos[d.tramo] = redondear(c.tramos[d.tramo] + d.saldo);
+      c.documentos.push(d);
+      totales[d.tramo] = redondear(totales[d.tramo] + d.saldo);
+    }
+
+    const clientas = [...porClienta.values()].sort((a, b) => b.saldo_total - a.saldo_total);
+
+    res.json({
+      tramos: totales,
+      total: redondear(Object.values(totales).reduce((acc, n) => acc + n, 0)),
+      clientas
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Error al obtener cuentas por cobrar', error: error.message });
+  } finally {
+    conn.release();
+  }
+});
+
+// Reparte un pago entre documentos abiertos de la clienta: en el orden indicado
+// en "documentos" o, si no se indica, del más antiguo al más reciente.
+router.post('/pagos', async (req, res) => {
+  const conn = await pool.getConnection();
+  try {
+    const { id_clienta, monto, medio_pago, documentos, codigo_giftcard } = req.body;
+
+    if (!id_clienta || monto == null || !medio_pago) {
+      return res.status(400).json({ message: 'Campos obligatorios: id_clienta, monto, medio_pago' });
+    }
+    const montoNum = redondear(monto);
+    if (!Number.isFinite(montoNum) || montoNum <= 0) {
+      return res.status(400).json({ message: 'monto debe ser > 0' });
+    }
+
+    const permitidos = tiposCobrables(req);
+
+    let seleccion = null;
+    if (documentos !== undefined) {
+      if (!Array.isArray(documentos) || documentos.length === 0) {
+        return res.status(400).json({ message: 'documentos debe ser un arreglo no vacío' });
+      }
+      seleccion = [];
+      for (const d of documentos) {
+        if (!TIPOS_DOCUMENTO.includes(d?.tipo) || !Number.isInteger(Number(d?.id_documento))) {
+          return res.status(400).json({ message: 'Cada documento requiere tipo (venta|atencion) e id_documento' });
+        }
+        if (!permitidos.includes(d.tipo)) {
+          return res.status(403).json({ message: `No autorizado para registrar pagos de ${d.tipo}` });
+        }
+        if (seleccion.some((s) => s.tipo === d.tipo && s.id_documento === Number(d.id_documento))) {
+          return res.status(400).json({ message: `Documento repetido: ${d.tipo} ${d.id_documento}` });
+        }
+        seleccion.push({ tipo: d.tipo, id_documento: Number(d.id_documento) });
+      }
+    }
+
+    await conn.beginTransaction();
+
+    const caja = await resolverCajaParaPago(conn, req.user?.id_personal);
+    if (!caja.ok) {
+      await conn.rollback();
+      return res.status(caja.status).json({ message: caja.message });
+    }
+
+    const [clientaRows] = await conn.query(`SELECT id_clienta FROM clienta WHERE id_clienta = ?`, [id_clienta]);
+    if (clientaRows.length === 0) {
+      await conn.rollback();
+      return res.status(404).json({ message: 'Clienta no encontrada' });
+    }
+
+    const abiertos = (await fetchDocumentosAbiertos(conn, { id_clienta, forUpdate: true }))
+      .filter((d) => permitidos.includes(d.tipo));
+
+    let destino = abiertos;
+    if (seleccion) {
+      destino = [];
+      for (const s of seleccion) {
+        const doc = abiertos.find((d) => d.tipo === s.tipo && Number(d.id_documento) === s.id_documento);
+        if (!doc) {
+          await conn.rollback();
+          return res.status(409).json({ message: `El documento ${s.tipo} ${s.id_documento} no tiene saldo pendiente para esta clienta` });
+        }
+        destino.push(doc);
+      }
+    }
+
+    if (destino.length === 0) {
+      await conn.rollback();
+      return res.status(409).json({ message: 'La clienta no tiene documentos con saldo pendiente' });
+    }
+    const deuda = redondear(destino.reduce((acc, d) => acc + d.saldo, 0));
+    if (montoNum > deuda) {
+      await conn.rollback();
+      return res.status(400).json({ message: 'El monto supera el saldo pendiente de los documentos', deuda });
+    }
+
+    const gc = await prepararGiftcardPago(conn, { medio_pago, codigo_giftcard, monto: montoNum });
+    if (!gc.ok) {
+      await conn.rollback();
+      return res.status(gc.status).json({ message: gc.message, saldo: gc.saldo });
+    }
+    const id_giftcard = gc.giftcard?.id_giftcard || null;
+
+    const [distResult] = await conn.query(
+      `INSERT INTO pago_distribuido (id_clienta, monto, medio_pago, registrado_por, id_caja)
+       VALUES (?, ?, ?, ?, ?)`,
+      [id_clienta, montoNum, medio_pago, req.user?.id_personal || null, caja.id_caja]
+    );
+    const id_pago_distribuido = distResult.insertId;
+
+    let restante = montoNum;
+    let saldoGiftcard = null;
+    const aplicados = [];
+
+    for (const d of destino) {
+      if (restante <= 0) break;
+      const parte = redondear(Math.min(restante, d.saldo));
+      let id_pago;
+
+      if (d.tipo === 'venta') {
+        const [r] = await conn.query(
+          `INSERT INTO pago_venta (id_venta, monto, medio_pago, registrado_por, id_caja, id_pago_distribuido, id_giftcard)
+           VALUES (?, ?, ?, ?, ?, ?, ?)`,
+          [d.id_documento, parte, medio_pago, req.user?.id_personal || null, caja.id_caja, id_pago_distribuido, id_giftcard]
+        );
+        id_pago = r.insertId;
+        const { totalPagado, estado_pago } = await recalcularEstadoPagoVenta(conn, d.id_documento, d.total);
+        aplicados.push({ tipo: 'venta', id_documento: d.id_documento, id_pago: r.insertId, monto: parte, totalPagado, estado_pago });
+      } else {
+        const [r] = await conn.query(
+          `INSERT INTO pago_atencion (id_atencion, monto, medio_pago, registrado_por, id_caja, id_pago_distribuido, id_giftcard)
+           VALUES (?, ?, ?, ?, ?, ?, ?)`,
+          [d.id_documento, parte, medio_pago, req.user?.id_personal || null, caja.id_caja, id_pago_distribuido, id_giftcard]
+        );
+        id_pago = r.insertId;
+        const { totalPagado, estado_pago } = await recalcularEstadoPagoAtencion(conn, d.id_documento, d.total);
+        aplicados.push({ tipo: 'atencion', id_documento: d.id_documento, id_pago: r.insertId, monto: parte, totalPagado, estado_pago });
+      }
+
+      if (gc.giftcard) {
+        const canje = await aplicarGiftcardPago(conn, {
+          giftcard: gc.giftcard,
+          monto: parte,
+          origen: d.tipo,
+          id_documento: d.id_documento,
+          id_pago,
+          id_personal: req.user?.id_personal
+        });
+        if (!canje.ok) {
+          await conn.rollback();
+          return res.status(canje.status).json({ message: canje.message });
+        }
+        saldoGiftcard = canje.saldo;
+      }
+
+      restante = redondear(restante - parte);
+    }
+
+    await conn.commit();
+
+    res.status(201).json({
+      message: 'Pago distribuido registrado',
+      id_pago_distribuido,
+      monto: montoNum,
+      aplicados,
+      saldo_restante: redondear(deuda - montoNum),
+      id_caja: caja.id_caja,
+      ...(gc.giftcard ? { saldo_giftcard: saldoGiftcard } : {})
+    });
+  } catch (e) {
+    try { await conn.rollback(); } catch {}
+    res.status(500).json({ message: 'Error al registrar pago distribuido', error: e.message });
+  } finally {
+    conn.release();
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,180 @@
+const express = require('express');
+const router = express.Router();
+const pool = require('../config/db');
+const { auth, requireRole } = require('../middlewares/auth');
+const { TIPO_BOLETA, normalizarRut, parseCaf } = require('../utils/dte');
+const { enviarDte } = require('../utils/dteTransporte');
+const { parsePaginacion, parseListaFiltro, responderListado, limitSql, limitParams } = require('../utils/listado');
+
+router.use(auth);
+router.use(requireRole('administradora'));
+
+const ESTADOS_DTE = ['generado', 'enviado', 'error'];
+const ORIGENES_DTE = ['venta', 'atencion', 'paquete'];
+
+// ===== CAF =====
+
+// Body: { caf_xml } con el contenido del archivo de folios descargado del SII.
+router.post('/caf', async (req, res) => {
+  const conn = await pool.getConnection();
+  try {
+    const parsed = parseCaf(req.body?.caf_xml);
+    if (!parsed.ok) return res.status(parsed.status).json({ message: parsed.message });
+
+    const caf = parsed.caf;
+    if (caf.tipo_dte !== TIPO_BOLETA) {
+      return res.status(400).json({ message: `Solo se aceptan CAF de boleta electrónica (tipo ${TIPO_BOLETA})` });
+    }
+    const rutEmpresa = normalizarRut(process.env.EMPRESA_RUT);
+    if (rutEmpresa && caf.rut_emisor !== rutEmpresa) {
+      return res.status(409).json({ message: 'El CAF no corresponde al RUT de la empresa' });
+    }
+
+    await conn.beginTransaction();
+
+    const [solapados] = await conn.query(
+      `SELECT id_caf, folio_desde, folio_hasta FROM dte_caf
+       WHERE tipo_dte = ? AND folio_desde <= ? AND folio_hasta >= ?
+       FOR UPDATE`,
+      [caf.tipo_dte, caf.folio_hasta, caf.folio_desde]
+    );
+    if (solapados.length > 0) {
+      await conn.rollback();
+      return res.status(409).json({ message: 'El rango de folios se solapa con un CAF ya cargado', cafs: solapados });
+    }
+
+    const [result] = await conn.query(
+      `INSERT INTO dte_caf
+         (tipo_dte, rut_emisor, folio_desde, folio_hasta, siguiente_folio, fecha_autorizacion, caf_xml, clave_privada, cargado_por)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        caf.tipo_dte, caf.rut_emisor, caf.folio_desde, caf.folio_hasta, caf.folio_desde,
+        caf.fecha_autorizacion || null, caf.caf_xml, caf.clave_privada, req.user?.id_personal || null
+      ]
+    );
+
+    await conn.commit();
+
+    res.status(201).json({
+      message: 'CAF cargado',
+      id_caf: result.insertId,
+      tipo_dte: caf.tipo_dte,
+      folio_desde: caf.folio_desde,
+      folio_hasta: caf.folio_hasta
+    });
+  } catch (error) {
+    try { await conn.rollback(); } catch {}
+    res.status(500).json({ message: 'Error al cargar CAF', error: error.message });
+  } finally {
+    conn.release();
+  }
+});
+
+router.get('/caf', async (req, res) => {
+  try {
+    const [rows] = await pool.query(
+      `SELECT id_caf, tipo_dte, rut_emisor, folio_desde, folio_hasta, siguiente_folio,
+              GREATEST(folio_hasta - siguiente_folio + 1, 0) AS disponibles,
+              fecha_autorizacion, cargado_por, fecha_carga
+       FROM dte_caf
+       ORDER BY tipo_dte ASC, folio_desde ASC`
+    );
+    res.json(rows.map((r) => ({ ...r, disponibles: Number(r.disponibles) })));
+  } catch (error) {
+    res.status(500).json({ message: 'Error al obtener CAF', error: error.message });
+  }
+});
+
+// ===== DTE =====
+
+router.get('/', async (req, res) => {
+  try {
+    const paginacion = parsePaginacion(req.query);
+    if (!paginacion.ok) return res.status(400).json({ message: paginacion.message });
+
+    const estados = parseListaFiltro(req.query.estado, 'estado', ESTADOS_DTE);
+    if (!estados.ok) return res.status(400).json({ message: estados.message });
+
+    const origenes = parseListaFiltro(req.query.origen, 'origen', ORIGENES_DTE);
+    if (!origenes.ok) return res.status(400).json({ message: origenes.message });
+
+    const where = [];
+    const params = [];
+
+    if (estados.valores.length > 0) {
+      where.push('estado IN (?)');
+      params.push(estados.valores);
+    }
+    if (origenes.valores.length > 0) {
+      where.push('origen IN (?)');
+      params.push(origenes.valores);
+    }
+
+    const whereSql = where.length ? `WHERE ${where.join(' AND ')}` : '';
+
+    const [countRows] = await pool.query(`SELECT COUNT(*) AS total FROM dte ${whereSql}`, params);
+    const [rows] = await pool.query(
+      `SELECT id_dte, tipo_dte, folio, origen, id_documento, monto_neto, iva, monto_total, estado,
+              track_id, respuesta_envio, fecha_envio, generado_por, fecha_generacion
+       FROM dte
+       ${whereSql}
+       ORDER BY id_dte DESC
+       ${limitSql(paginacion)}`,
+      [...params, ...limitParams(paginacion)]
+    );
+
+    responderListado(res, { rows, total: Number(countRows[0].total), paginacion });
+  } catch (error) {
+    res.status(500).json({ message: 'Error al obtener DTE', error: error.message });
+  }
+});
+
+// Envía el DTE con el transporte configurado. Un DTE con error puede
+// reintentarse; uno ya enviado no. La fila queda bloqueada durante el envío
+// para que dos pedidos simultáneos no manden el mismo DTE.
+router.post('/:id/enviar', async (req, res) => {
+  const conn = await pool.getConnection();
+  try {
+    const { id } = req.params;
+
+    await conn.beginTransaction();
+
+    const [rows] = await conn.query(
+      `SELECT id_dte, tipo_dte, folio, xml, estado FROM dte WHERE id_dte = ? FOR UPDATE`,
+      [id]
+    );
+    if (rows.length === 0) {
+      await conn.rollback();
+      return res.status(404).json({ message: 'DTE no encontrado' });
+    }
+    if (rows[0].estado === 'enviado') {
+      await conn.rollback();
+      return res.status(409).json({ message: 'El DTE ya fue enviado' });
+    }
+
+    const envio = await enviarDte(rows[0]);
+
+    await conn.query(
+      `UPDATE dte SET estado = ?, track_id = ?, respuesta_envio = ?, fecha_envio = NOW() WHERE id_dte = ?`,
+      [
+        envio.ok ? 'enviado' : 'error',
+        envio.ok ? envio.track_id || null : null,
+        String((envio.ok ? envio.respuesta : envio.message) || '').slice(0, 255) || null,
+        id
+      ]
+    );
+
+    await conn.commit();
+
+    if (!envio.ok) return res.status(502).json({ message: 'No se pudo enviar el DTE', error: envio.message });
+
+    res.json({ message: 'DTE enviado', track_id: envio.track_id, respuesta: envio.respuesta });
+  } catch (error) {
+    try { await conn.rollback(); } catch {}
+    res.status(500).json({ message: 'Error al enviar DTE', error: error.message });
+  } finally {
+    conn.release();
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,95 @@
+const express = require('express');
+const router = express.Router();
+const pool = require('../config/db');
+const { auth, requireRole } = require('../middlewares/auth');
+const { normalizarCodigo } = require('../utils/giftcards');
+const { parsePaginacion, parseListaFiltro, agregarBusqueda, responderListado, limitSql, limitParams } = require('../utils/listado');
+
+router.use(auth);
+router.use(requireRole('vendedora', 'masoterapeuta', 'administradora'));
+
+const ESTADOS_GIFTCARD = ['activa', 'anulada'];
+
+const SELECT_GIFTCARD = `
+  SELECT g.id_giftcard, g.codigo, g.saldo_inicial, g.saldo, g.estado, g.fecha_emision, g.fecha_vencimiento,
+         g.fecha_vencimiento < CURDATE() AS vencida, g.id_venta, v.estado_pago AS estado_pago_venta,
+         g.emitida_por, g.motivo_anulacion, g.fecha_anulacion
+  FROM giftcard g
+  INNER JOIN venta v ON v.id_venta = g.id_venta
+`;
+
+// Se puede canjear si está activa, vigente, con saldo y su venta pagada.
+const normalizarGiftcard = (g) => {
+  const vencida = Boolean(g.vencida);
+  return {
+    ...g,
+    saldo_inicial: Number(g.saldo_inicial),
+    saldo: Number(g.saldo),
+    vencida,
+    canjeable: g.estado === 'activa' && !vencida && g.estado_pago_venta === 'pagado' && Number(g.saldo) > 0
+  };
+};
+
+router.get('/', requireRole('administradora'), async (req, res) => {
+  try {
+    const paginacion = parsePaginacion(req.query);
+    if (!paginacion.ok) return res.status(400).json({ message: paginacion.message });
+
+    const estados = parseListaFiltro(req.query.estado, 'estado', ESTADOS_GIFTCARD);
+    if (!estados.ok) return res.status(400).json({ message: estados.message });
+
+    const where = [];
+    const params = [];
+
+    if (estados.valores.length > 0) {
+      where.push('g.estado IN (?)');
+      params.push(estados.valores);
+    }
+    if (req.query.vigentes !== undefined) {
+      if (!['0', '1'].includes(String(req.query.vigentes))) {
+        return res.status(400).json({ message: 'Query "vigentes" debe ser 0 o 1' });
+      }
+      where.push(String(req.query.vigentes) === '1' ? 'g.fecha_vencimiento >= CURDATE()' : 'g.fecha_vencimiento < CURDATE()');
+    }
+    agregarBusqueda(where, params, req.query.q, ['g.codigo']);
+
+    const whereSql = where.length ? `WHERE ${where.join(' AND ')}` : '';
+
+    const [countRows] = await pool.query(`SELECT COUNT(*) AS total FROM giftcard g ${whereSql}`, params);
+    const [rows] = await pool.query(
+      `${SELECT_GIFTCARD}
+       ${whereSql}
+       ORDER BY g.id_giftcard DESC
+       ${limitSql(paginacion)}`,
+      [...params, ...limitParams(paginacion)]
+    );
+
+    responderListado(res, { rows: rows.map(normalizarGiftcard), total: Number(countRows[0].total), paginacion });
+  } catch (error) {
+    res.status(500).json({ message: 'Error al obtener giftcards', error: error.message });
+  }
+});
+
+// Consulta en mesón: saldo, vigencia y movimientos por código.
+router.get('/:codigo', async (req, res) => {
+  try {
+    const codigo = normalizarCodigo(req.params.codigo);
+
+    const [rows] = await pool.query(`${SELECT_GIFTCARD} WHERE g.codigo = ?`, [codigo]);
+    if (rows.length === 0) return res.status(404).json({ message: 'Giftcard no encontrada' });
+
+    const [movimientos] = await pool.query(
+      `SELECT id_movimiento, tipo, monto, saldo_resultante, origen, id_documento, id_pago, motivo, registrado_por, fecha
+       FROM giftcard_movimiento
+       WHERE id_giftcard = ?
+       ORDER BY fecha ASC, id_movimiento ASC`,
+      [rows[0].id_giftcard]
+    );
+
+    res.json({ ...normalizarGiftcard(rows[0]), movimientos });
+  } catch (error) {
+    res.status(500).json({ message: 'Error al obtener giftcard', error: error.message });
+  }
+});
+
+module.exports = router;
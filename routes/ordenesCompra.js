@@ -0,0 +1,428 @@
+const express = require('express');
+const router = express.Router();
+const pool = require('../config/db');
+const { auth, requireRole } = require('../middlewares/auth');
+const { normalizarLote, moverStock } = require('../utils/inventario');
+
+router.use(auth);
+router.use(requireRole('vendedora', 'administradora'));
+
+const ESTADOS_ORDEN = ['borrador', 'enviada', 'parcial', 'recibida', 'cancelada'];
+
+function normalizeLineas(items) {
+  if (!Array.isArray(items) || items.length === 0) return null;
+
+  const lineas = [];
+  for (const it of items) {
+    const id_producto = Number(it?.id_producto);
+    const cantidad = Number(it?.cantidad);
+    const costo_unitario = Number(it?.costo_unitario);
+
+    if (!Number.isInteger(id_producto) || id_producto <= 0) return null;
+    if (!Number.isInteger(cantidad) || cantidad <= 0) return null;
+    if (!Number.isFinite(costo_unitario) || costo_unitario < 0) return null;
+
+    lineas.push({ id_producto, cantidad, costo_unitario });
+  }
+  return lineas;
+}
+
+async function validarProductos(conn, lineas) {
+  const ids = [...new Set(lineas.map((l) => l.id_producto))];
+  const [rows] = await conn.query(
+    `SELECT id_producto FROM producto WHERE id_producto IN (${ids.map(() => '?').join(',')})`,
+    ids
+  );
+  return rows.length === ids.length;
+}
+
+async function validarProveedorActivo(conn, id_proveedor) {
+  const [rows] = await conn.query(
+    `SELECT id_proveedor, activo FROM proveedor WHERE id_proveedor = ?`,
+    [id_proveedor]
+  );
+  if (rows.length === 0) return { ok: false, status: 404, message: 'Proveedor no encontrado' };
+  if (Number(rows[0].activo) === 0) return { ok: false, status: 409, message: 'Proveedor inactivo' };
+  return { ok: true };
+}
+
+async function insertarLineas(conn, id_orden, lineas) {
+  const values = lineas.map((l) => [id_orden, l.id_producto, l.cantidad, l.costo_unitario]);
+  await conn.query(
+    `INSERT INTO orden_compra_detalle (id_orden, id_producto, cantidad, costo_unitario) VALUES ?`,
+    [values]
+  );
+  return lineas.reduce((acc, l) => acc + l.cantidad * l.costo_unitario, 0);
+}
+
+// Costo promedio ponderado entre el stock existente y lo recibido.
+async function actualizarCostoPromedio(conn, id_producto, cantidad, costo_unitario) {
+  const [rows] = await conn.query(
+    `SELECT stock, costo_promedio FROM producto WHERE id_producto = ? FOR UPDATE`,
+    [id_producto]
+  );
+
+  const stock = Math.max(0, Number(rows[0].stock));
+  const costoActual = rows[0].costo_promedio == null ? null : Number(rows[0].costo_promedio);
+  const nuevoCosto = costoActual == null || stock === 0
+    ? costo_unitario
+    : (stock * costoActual + cantidad * costo_unitario) / (stock + cantidad);
+
+  await conn.query(
+    `UPDATE producto SET costo_promedio = ? WHERE id_producto = ?`,
+    [Math.round(nuevoCosto * 100) / 100, id_producto]
+  );
+}
+
+router.get('/', async (req, res) => {
+  try {
+    const { estado, id_proveedor } = req.query;
+
+    const where = [];
+    const params = [];
+
+    if (estado) {
+      if (!ESTADOS_ORDEN.includes(String(estado))) {
+        return res.status(400).json({ message: `estado inválido. Usa: ${ESTADOS_ORDEN.join(', ')}` });
+      }
+      where.push('oc.estado = ?');
+      params.push(estado);
+    }
+    if (id_proveedor) {
+      where.push('oc.id_proveedor = ?');
+      params.push(id_proveedor);
+    }
+
+    const [rows] = await pool.query(
+      `SELECT oc.id_orden, oc.id_proveedor, oc.estado, oc.fecha, oc.fecha_envio, oc.fecha_recepcion,
+              oc.total, oc.observacion,
+              pr.nombre AS proveedor_nombre
+       FROM orden_compra oc
+       JOIN proveedor pr ON pr.id_proveedor = oc.id_proveedor
+       ${where.length ? `WHERE ${where.join(' AND ')}` : ''}
+       ORDER BY oc.id_orden DESC`,
+      params
+    );
+
+    res.json(rows);
+  } catch (error) {
+    res.status(500).json({ message: 'Error al obtener órdenes de compra', error: error.message });
+  }
+});
+
+router.get('/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const [ordenRows] = await pool.query(
+      `SELECT oc.*, pr.nombre AS proveedor_nombre, pr.rut AS proveedor_rut
+       FROM orden_compra oc
+       JOIN proveedor pr ON pr.id_proveedor = oc.id_proveedor
+       WHERE oc.id_orden = ?`,
+      [id]
+    );
+
+    if (ordenRows.length === 0) return res.status(404).json({ message: 'Orden de compra no encontrada' });
+
+    const [items] = await pool.query(
+      `SELECT d.id_detalle_oc, d.id_producto, d.cantidad, d.cantidad_recibida, d.costo_unitario,
+              p.nombre AS producto_nombre, p.marca AS producto_marca
+       FROM orden_compra_detalle d
+       JOIN producto p ON p.id_producto = d.id_producto
+       WHERE d.id_orden = ?
+       ORDER BY d.id_detalle_oc ASC`,
+      [id]
+    );
+
+    const [recepciones] = await pool.query(
+      `SELECT r.id_recepcion, r.fecha, r.observacion, r.id_personal,
+              COALESCE(
+                (SELECT JSON_ARRAYAGG(JSON_OBJECT('id_detalle_oc', rd.id_detalle_oc, 'id_producto', rd.id_producto,
+                                                  'cantidad', rd.cantidad, 'costo_unitario', rd.costo_unitario))
+                 FROM recepcion_compra_detalle rd
+                 WHERE rd.id_recepcion = r.id_recepcion),
+                JSON_ARRAY()
+              ) AS lineas
+       FROM recepcion_compra r
+       WHERE r.id_orden = ?
+       ORDER BY r.fecha ASC`,
+      [id]
+    );
+
+    res.json({ ...ordenRows[0], items, recepciones });
+  } catch (error) {
+    res.status(500).json({ message: 'Error al obtener orden de compra', error: error.message });
+  }
+});
+
+router.post('/', async (req, res) => {
+  const conn = await pool.getConnection();
+  try {
+    const { id_proveedor, items, observacion } = req.body;
+    const lineas = normalizeLineas(items);
+
+    if (!id_proveedor || !lineas) {
+      return res.status(400).json({
+        message: 'Campos obligatorios: id_proveedor, items[] (id_producto, cantidad > 0, costo_unitario >= 0)'
+      });
+    }
+
+    const okProv = await validarProveedorActivo(conn, id_proveedor);
+    if (!okProv.ok) return res.status(okProv.status).json({ message: okProv.message });
+
+    if (!(await validarProductos(conn, lineas))) {
+      return res.status(400).json({ message: 'Uno o más id_producto no existen' });
+    }
+
+    await conn.beginTransaction();
+
+    const [result] = await conn.query(
+      `INSERT INTO orden_compra (id_proveedor, observacion, creado_por) VALUES (?, ?, ?)`,
+      [id_proveedor, observacion || null, req.user?.id_personal || null]
+    );
+
+    const id_orden = result.insertId;
+    const total = await insertarLineas(conn, id_orden, lineas);
+
+    await conn.query(`UPDATE orden_compra SET total = ? WHERE id_orden = ?`, [total, id_orden]);
+
+    await conn.commit();
+
+    res.status(201).json({ message: 'Orden de compra creada', id_orden, estado: 'borrador', total });
+  } catch (error) {
+    try { await conn.rollback(); } catch {}
+    res.status(500).json({ message: 'Error al crear orden de compra', error: error.message });
+  } finally {
+    conn.release();
+  }
+});
+
+router.put('/:id', async (req, res) => {
+  const conn = await pool.getConnection();
+  try {
+    const { id } = req.params;
+    const { id_proveedor, items, observacion } = req.body;
+    const lineas = normalizeLineas(items);
+
+    if (!id_proveedor || !lineas) {
+      return res.status(400).json({
+        message: 'Campos obligatorios: id_proveedor, items[] (id_producto, cantidad > 0, costo_unitario >= 0)'
+      });
+    }
+
+    const okProv = await validarProveedorActivo(conn, id_proveedor);
+    if (!okProv.ok) return res.status(okProv.status).json({ message: okProv.message });
+
+    if (!(await validarProductos(conn, lineas))) {
+      return res.status(400).json({ message: 'Uno o más id_producto no existen' });
+    }
+
+    await conn.beginTransaction();
+
+    const [ordenRows] = await conn.query(
+      `SELECT estado FROM orden_compra WHERE id_orden = ? FOR UPDATE`,
+      [id]
+    );
+
+    if (ordenRows.length === 0) {
+      await conn.rollback();
+      return res.status(404).json({ message: 'Orden de compra no encontrada' });
+    }
+    if (ordenRows[0].estado !== 'borrador') {
+      await conn.rollback();
+      return res.status(409).json({ message: 'Solo se puede editar una orden en borrador' });
+    }
+
+    await conn.query(`DELETE FROM orden_compra_detalle WHERE id_orden = ?`, [id]);
+    const total = await insertarLineas(conn, id, lineas);
+
+    await conn.query(
+      `UPDATE orden_compra SET id_proveedor = ?, observacion = ?, total = ? WHERE id_orden = ?`,
+      [id_proveedor, observacion || null, total, id]
+    );
+
+    await conn.commit();
+
+    res.json({ message: 'Orden de compra actualizada', id_orden: Number(id), total });
+  } catch (error) {
+    try { await conn.rollback(); } catch {}
+    res.status(500).json({ message: 'Error al actualizar orden de compra', error: error.message });
+  } finally {
+    conn.release();
+  }
+});
+
+router.post('/:id/enviar', async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const [result] = await pool.query(
+      `UPDATE orden_compra SET estado = 'enviada', fecha_envio = NOW()
+       WHERE id_orden = ? AND estado = 'borrador'`,
+      [id]
+    );
+
+    if (result.affectedRows === 0) {
+      return res.status(409).json({ message: 'Orden no encontrada o no está en borrador' });
+    }
+
+    res.json({ message: 'Orden de compra enviada', id_orden: Number(id), estado: 'enviada' });
+  } catch (error) {
+    res.status(500).json({ message: 'Error al enviar orden de compra', error: error.message });
+  }
+});
+
+router.post('/:id/cancelar', async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const [result] = await pool.query(
+      `UPDATE orden_compra SET estado = 'cancelada'
+       WHERE id_orden = ? AND estado IN ('borrador', 'enviada')`,
+      [id]
+    );
+
+    if (result.affectedRows === 0) {
+      return res.status(409).json({ message: 'Orden no encontrada o ya tiene recepciones' });
+    }
+
+    res.json({ message: 'Orden de compra cancelada', id_orden: Number(id), estado: 'cancelada' });
+  } catch (error) {
+    res.status(500).json({ message: 'Error al cancelar orden de compra', error: error.message });
+  }
+});
+
+// Recepción (parcial o total): suma stock, deja movimiento de ingreso en el
+// kardex y actualiza el costo promedio del producto.
+router.post('/:id/recepciones', async (req, res) => {
+  const conn = await pool.getConnection();
+  try {
+    const { id } = req.params;
+    const { items, observacion } = req.body;
+
+    if (!Array.isArray(items) || items.length === 0) {
+      return res.status(400).json({ message: 'Campos obligatorios: items[] (id_detalle_oc, cantidad, fecha_vencimiento opcional)' });
+    }
+
+    await conn.beginTransaction();
+
+    const [ordenRows] = await conn.query(
+      `SELECT estado FROM orden_compra WHERE id_orden = ? FOR UPDATE`,
+      [id]
+    );
+
+    if (ordenRows.length === 0) {
+      await conn.rollback();
+      return res.status(404).json({ message: 'Orden de compra no encontrada' });
+    }
+    if (!['enviada', 'parcial'].includes(ordenRows[0].estado)) {
+      await conn.rollback();
+      return res.status(409).json({ message: `No se puede recibir una orden en estado ${ordenRows[0].estado}` });
+    }
+
+    const [detalle] = await conn.query(
+      `SELECT id_detalle_oc, id_producto, cantidad, cantidad_recibida, costo_unitario
+       FROM orden_compra_detalle
+       WHERE id_orden = ?
+       FOR UPDATE`,
+      [id]
+    );
+    const porDetalle = new Map(detalle.map((d) => [Number(d.id_detalle_oc), d]));
+
+    const lineas = [];
+    for (const it of items) {
+      const d = porDetalle.get(Number(it?.id_detalle_oc));
+      const cant = Number(it?.cantidad);
+
+      if (!d) {
+        await conn.rollback();
+        return res.status(400).json({ message: `La línea ${it?.id_detalle_oc} no pertenece a la orden` });
+      }
+      if (!Number.isInteger(cant) || cant <= 0) {
+        await conn.rollback();
+        return res.status(400).json({ message: 'cantidad debe ser un entero mayor a 0' });
+      }
+
+      const pendiente = Number(d.cantidad) - Number(d.cantidad_recibida);
+      if (cant > pendiente) {
+        await conn.rollback();
+        return res.status(409).json({
+          message: `Cantidad recibida supera lo pendiente en la línea ${d.id_detalle_oc}`,
+          id_detalle_oc: d.id_detalle_oc,
+          pendiente
+        });
+      }
+
+      const lote = normalizarLote(it);
+      if (!lote.ok) {
+        await conn.rollback();
+        return res.status(400).json({ message: lote.message });
+      }
+
+      d.cantidad_recibida = Number(d.cantidad_recibida) + cant;
+      lineas.push({ d, cantidad: cant, lote: lote.lote });
+    }
+
+    const [insRec] = await conn.query(
+      `INSERT INTO recepcion_compra (id_orden, observacion, id_personal) VALUES (?, ?, ?)`,
+      [id, observacion || null, req.user?.id_personal || null]
+    );
+    const id_recepcion = insRec.insertId;
+
+    for (const { d, cantidad, lote } of lineas) {
+      await actualizarCostoPromedio(conn, d.id_producto, cantidad, Number(d.costo_unitario));
+
+      await moverStock(conn, {
+        id_producto: d.id_producto,
+        cantidad,
+        tipo: 'ingreso',
+        documento_tipo: 'orden_compra',
+        id_documento: Number(id),
+        id_personal: req.user?.id_personal,
+        lote
+      });
+
+      await conn.query(
+        `UPDATE orden_compra_detalle SET cantidad_recibida = cantidad_recibida + ? WHERE id_detalle_oc = ?`,
+        [cantidad, d.id_detalle_oc]
+      );
+
+      await conn.query(
+        `INSERT INTO recepcion_compra_detalle (id_recepcion, id_detalle_oc, id_producto, cantidad, costo_unitario)
+         VALUES (?, ?, ?, ?, ?)`,
+        [id_recepcion, d.id_detalle_oc, d.id_producto, cantidad, d.costo_unitario]
+      );
+    }
+
+    const completa = detalle.every((d) => Number(d.cantidad_recibida) >= Number(d.cantidad));
+    const estado = completa ? 'recibida' : 'parcial';
+
+    await conn.query(
+      `UPDATE orden_compra SET estado = ?, fecha_recepcion = IF(? = 'recibida', NOW(), fecha_recepcion)
+       WHERE id_orden = ?`,
+      [estado, estado, id]
+    );
+
+    await conn.commit();
+
+    res.status(201).json({
+      message: 'Recepción registrada',
+      id_orden: Number(id),
+      id_recepcion,
+      estado,
+      lineas: lineas.map(({ d, cantidad }) => ({
+        id_detalle_oc: d.id_detalle_oc,
+        id_producto: d.id_producto,
+        cantidad,
+        pendiente: Number(d.cantidad) - Number(d.cantidad_recibida)
+      }))
+    });
+  } catch (error) {
+    try { await conn.rollback(); } catch {}
+    res.status(500).json({ message: 'Error al registrar recepción', error: error.message });
+  } finally {
+    conn.release();
+  }
+});
+
+module.exports = router;
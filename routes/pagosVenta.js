@@ -2,6 +2,9 @@ const express = require('express');
 const router = express.Router();
 const pool = require('../config/db');
 const { auth, requireRole } = require('../middlewares/auth');
+const { totalPagadoVenta, recalcularEstadoPagoVenta } = require('../utils/pagos');
+const { resolverCajaParaPago } = require('../utils/caja');
+const { prepararGiftcardPago, aplicarGiftcardPago, revertirGiftcardPago } = require('../utils/giftcards');
 
 router.use(auth);
 router.use(requireRole('vendedora', 'administradora'));
@@ -9,7 +12,7 @@ router.use(requireRole('vendedora', 'administradora'));
 router.post('/', async (req, res) => {
   const conn = await pool.getConnection();
   try {
-    const { id_venta, monto, medio_pago } = req.body;
+    const { id_venta, monto, medio_pago, codigo_giftcard } = req.body;
 
     if (!id_venta || monto == null || !medio_pago) {
       return res.status(400).json({ message: 'Campos obligatorios: id_venta, monto, medio_pago' });
@@ -18,13 +21,14 @@ router.post('/', async (req, res) => {
 
     await conn.beginTransaction();
 
-    await conn.query(
-      `INSERT INTO pago_venta (id_venta, monto, medio_pago) VALUES (?, ?, ?)`,
-      [id_venta, monto, medio_pago]
-    );
+    const caja = await resolverCajaParaPago(conn, req.user?.id_personal);
+    if (!caja.ok) {
+      await conn.rollback();
+      return res.status(caja.status).json({ message: caja.message });
+    }
 
     const [ventaRows] = await conn.query(
-      `SELECT total FROM venta WHERE id_venta = ? FOR UPDATE`,
+      `SELECT total - total_devuelto AS total, estado_venta FROM venta WHERE id_venta = ? FOR UPDATE`,
       [id_venta]
     );
 
@@ -32,29 +36,211 @@ router.post('/', async (req, res) => {
       await conn.rollback();
       return res.status(404).json({ message: 'Venta no encontrada' });
     }
+    if (ventaRows[0].estado_venta === 'anulada') {
+      await conn.rollback();
+      return res.status(409).json({ message: 'La venta está anulada' });
+    }
 
     const totalVenta = Number(ventaRows[0].total);
 
-    const [sumRows] = await conn.query(
-      `SELECT COALESCE(SUM(monto),0) AS total_pagado FROM pago_venta WHERE id_venta = ?`,
+    const gc = await prepararGiftcardPago(conn, {
+      medio_pago,
+      codigo_giftcard,
+      monto,
+      saldo_pendiente: totalVenta - (await totalPagadoVenta(conn, id_venta))
+    });
+    if (!gc.ok) {
+      await conn.rollback();
+      return res.status(gc.status).json({ message: gc.message, saldo: gc.saldo, saldo_pendiente: gc.saldo_pendiente });
+    }
+
+    const [ins] = await conn.query(
+      `INSERT INTO pago_venta (id_venta, monto, medio_pago, registrado_por, id_caja, id_giftcard) VALUES (?, ?, ?, ?, ?, ?)`,
+      [id_venta, monto, medio_pago, req.user?.id_personal || null, caja.id_caja, gc.giftcard?.id_giftcard || null]
+    );
+
+    const canje = await aplicarGiftcardPago(conn, {
+      giftcard: gc.giftcard,
+      monto,
+      origen: 'venta',
+      id_documento: id_venta,
+      id_pago: ins.insertId,
+      id_personal: req.user?.id_personal
+    });
+    if (!canje.ok) {
+      await conn.rollback();
+      return res.status(canje.status).json({ message: canje.message });
+    }
+
+    const { totalPagado, estado_pago } = await recalcularEstadoPagoVenta(conn, id_venta, totalVenta);
+
+    await conn.commit();
+
+    res.status(201).json({
+      message: 'Pago registrado',
+      id_pago: ins.insertId,
+      id_venta,
+      totalVenta,
+      totalPagado,
+      estado_pago,
+      id_caja: caja.id_caja,
+      ...(gc.giftcard ? { saldo_giftcard: canje.saldo } : {})
+    });
+
+  } catch (e) {
+    try { await conn.rollback(); } catch {}
+    res.status(500).json({ message: 'Error al registrar pago', error: e.message });
+  } finally {
+    conn.release();
+  }
+});
+
+router.post('/devoluciones', async (req, res) => {
+  const conn = await pool.getConnection();
+  try {
+    const { id_venta, monto, medio_pago, motivo, codigo_giftcard } = req.body;
+
+    if (!id_venta || monto == null || !medio_pago || !String(motivo || '').trim()) {
+      return res.status(400).json({ message: 'Campos obligatorios: id_venta, monto, medio_pago, motivo' });
+    }
+    if (Number(monto) <= 0) return res.status(400).json({ message: 'monto debe ser > 0' });
+
+    await conn.beginTransaction();
+
+    const caja = await resolverCajaParaPago(conn, req.user?.id_personal);
+    if (!caja.ok) {
+      await conn.rollback();
+      return res.status(caja.status).json({ message: caja.message });
+    }
+
+    const [ventaRows] = await conn.query(
+      `SELECT total - total_devuelto AS total FROM venta WHERE id_venta = ? FOR UPDATE`,
       [id_venta]
     );
 
-    const totalPagado = Number(sumRows[0].total_pagado);
+    if (ventaRows.length === 0) {
+      await conn.rollback();
+      return res.status(404).json({ message: 'Venta no encontrada' });
+    }
 
-    let estado_pago = 'pendiente';
-    if (totalPagado >= totalVenta) estado_pago = 'pagado';
-    else if (totalPagado > 0) estado_pago = 'parcial';
+    const totalVenta = Number(ventaRows[0].total);
+    const pagadoActual = await totalPagadoVenta(conn, id_venta);
 
-    await conn.query(
-      `UPDATE venta SET estado_pago = ? WHERE id_venta = ?`,
-      [estado_pago, id_venta]
+    if (Number(monto) > pagadoActual) {
+      await conn.rollback();
+      return res.status(409).json({ message: 'La devolución supera el monto pagado', totalPagado: pagadoActual });
+    }
+
+    const gc = await prepararGiftcardPago(conn, { medio_pago, codigo_giftcard, monto, tipo: 'devolucion' });
+    if (!gc.ok) {
+      await conn.rollback();
+      return res.status(gc.status).json({ message: gc.message });
+    }
+
+    const [ins] = await conn.query(
+      `INSERT INTO pago_venta (id_venta, monto, medio_pago, tipo, motivo, registrado_por, id_caja, id_giftcard)
+       VALUES (?, ?, ?, 'devolucion', ?, ?, ?, ?)`,
+      [id_venta, monto, medio_pago, String(motivo).trim(), req.user?.id_personal || null, caja.id_caja, gc.giftcard?.id_giftcard || null]
     );
 
+    const reintegro = await aplicarGiftcardPago(conn, {
+      giftcard: gc.giftcard,
+      tipo: 'devolucion',
+      monto,
+      origen: 'venta',
+      id_documento: id_venta,
+      id_pago: ins.insertId,
+      id_personal: req.user?.id_personal
+    });
+
+    const { totalPagado, estado_pago } = await recalcularEstadoPagoVenta(conn, id_venta, totalVenta);
+
     await conn.commit();
 
     res.status(201).json({
-      message: 'Pago registrado',
+      message: 'Devolución registrada',
+      id_pago: ins.insertId,
+      id_venta,
+      totalVenta,
+      totalPagado,
+      estado_pago,
+      id_caja: caja.id_caja,
+      ...(gc.giftcard ? { saldo_giftcard: reintegro.saldo } : {})
+    });
+
+  } catch (e) {
+    try { await conn.rollback(); } catch {}
+    res.status(500).json({ message: 'Error al registrar devolución', error: e.message });
+  } finally {
+    conn.release();
+  }
+});
+
+router.post('/:id_pago/anular', async (req, res) => {
+  const conn = await pool.getConnection();
+  try {
+    const { id_pago } = req.params;
+    const { motivo } = req.body;
+
+    if (!String(motivo || '').trim()) {
+      return res.status(400).json({ message: 'Campo obligatorio: motivo' });
+    }
+
+    await conn.beginTransaction();
+
+    const [pagoRows] = await conn.query(
+      `SELECT id_pago, id_venta, monto, tipo, id_giftcard, anulado FROM pago_venta WHERE id_pago = ? FOR UPDATE`,
+      [id_pago]
+    );
+
+    if (pagoRows.length === 0) {
+      await conn.rollback();
+      return res.status(404).json({ message: 'Pago no encontrado' });
+    }
+    if (Number(pagoRows[0].anulado) === 1) {
+      await conn.rollback();
+      return res.status(409).json({ message: 'El pago ya está anulado' });
+    }
+
+    const { id_venta } = pagoRows[0];
+
+    const [ventaRows] = await conn.query(
+      `SELECT total - total_devuelto AS total FROM venta WHERE id_venta = ? FOR UPDATE`,
+      [id_venta]
+    );
+    const totalVenta = Number(ventaRows[0].total);
+
+    await conn.query(
+      `UPDATE pago_venta
+       SET anulado = 1, motivo_anulacion = ?, anulado_por = ?, fecha_anulacion = NOW()
+       WHERE id_pago = ?`,
+      [String(motivo).trim(), req.user?.id_personal || null, id_pago]
+    );
+
+    const { totalPagado, estado_pago } = await recalcularEstadoPagoVenta(conn, id_venta, totalVenta);
+
+    if (totalPagado < 0) {
+      await conn.rollback();
+      return res.status(409).json({ message: 'No se puede anular: las devoluciones registradas superarían lo pagado' });
+    }
+
+    const reverso = await revertirGiftcardPago(conn, {
+      pago: pagoRows[0],
+      origen: 'venta',
+      id_documento: id_venta,
+      motivo: String(motivo).trim(),
+      id_personal: req.user?.id_personal
+    });
+    if (!reverso.ok) {
+      await conn.rollback();
+      return res.status(reverso.status).json({ message: reverso.message });
+    }
+
+    await conn.commit();
+
+    res.json({
+      message: 'Pago anulado',
+      id_pago: Number(id_pago),
       id_venta,
       totalVenta,
       totalPagado,
@@ -63,7 +249,7 @@ router.post('/', async (req, res) => {
 
   } catch (e) {
     try { await conn.rollback(); } catch {}
-    res.status(500).json({ message: 'Error al registrar pago', error: e.message });
+    res.status(500).json({ message: 'Error al anular pago', error: e.message });
   } finally {
     conn.release();
   }
@@ -74,7 +260,8 @@ router.get('/:id_venta', async (req, res) => {
     const { id_venta } = req.params;
 
     const [rows] = await pool.query(
-      `SELECT id_pago, id_venta, monto, medio_pago, fecha
+      `SELECT id_pago, id_venta, monto, medio_pago, fecha, tipo, motivo, registrado_por, id_caja, id_giftcard,
+              anulado, motivo_anulacion, anulado_por, fecha_anulacion
        FROM pago_venta
        WHERE id_venta = ?
        ORDER BY fecha ASC`,
@@ -0,0 +1,453 @@
+const express = require('express');
+const router = express.Router();
+const pool = require('../config/db');
+const { auth, requireRole } = require('../middlewares/auth');
+const { resolverCajaParaPago } = require('../utils/caja');
+const { prepararGiftcardPago, aplicarGiftcardPago } = require('../utils/giftcards');
+const { tasaIva } = require('../utils/iva');
+const { fetchDte, emitirBoleta, responderDte } = require('../utils/dte');
+
+router.use(auth);
+router.use(requireRole('vendedora', 'masoterapeuta', 'administradora'));
+
+const soloAdmin = requireRole('administradora');
+
+function validarDefinicion({ nombre, sesiones, precio, vigencia_dias, servicios }, parcial = false) {
+  if (!parcial && (!nombre || sesiones == null || precio == null || vigencia_dias == null || servicios == null)) {
+    return { ok: false, message: 'Campos obligatorios: nombre, sesiones, precio, vigencia_dias, servicios' };
+  }
+  if (sesiones != null && (!Number.isInteger(Number(sesiones)) || Number(sesiones) <= 0)) {
+    return { ok: false, message: 'sesiones debe ser un entero > 0' };
+  }
+  if (precio != null && (!Number.isFinite(Number(precio)) || Number(precio) <= 0)) {
+    return { ok: false, message: 'precio debe ser > 0' };
+  }
+  if (vigencia_dias != null && (!Number.isInteger(Number(vigencia_dias)) || Number(vigencia_dias) <= 0)) {
+    return { ok: false, message: 'vigencia_dias debe ser un entero > 0' };
+  }
+  if (servicios != null) {
+    if (!Array.isArray(servicios) || servicios.length === 0) {
+      return { ok: false, message: 'servicios debe ser un arreglo no vacío de id_servicio' };
+    }
+    if (servicios.some((id) => !Number.isInteger(Number(id)) || Number(id) <= 0)) {
+      return { ok: false, message: 'servicios contiene un id_servicio inválido' };
+    }
+  }
+  return { ok: true };
+}
+
+async function reemplazarServiciosPaquete(conn, id_paquete, servicios) {
+  const ids = [...new Set(servicios.map(Number))];
+  const [existentes] = await conn.query(`SELECT id_servicio FROM servicio WHERE id_servicio IN (?)`, [ids]);
+  if (existentes.length !== ids.length) {
+    return { ok: false, status: 400, message: 'Uno o más servicios no existen' };
+  }
+
+  await conn.query(`DELETE FROM paquete_servicio WHERE id_paquete = ?`, [id_paquete]);
+  await conn.query(
+    `INSERT INTO paquete_servicio (id_paquete, id_servicio) VALUES ?`,
+    [ids.map((id) => [id_paquete, id])]
+  );
+  return { ok: true };
+}
+
+async function fetchServiciosPaquete(conn, id_paquete) {
+  const [rows] = await conn.query(
+    `SELECT s.id_servicio, s.nombre, s.duracion_min, s.precio_base
+     FROM paquete_servicio ps
+     INNER JOIN servicio s ON s.id_servicio = ps.id_servicio
+     WHERE ps.id_paquete = ?
+     ORDER BY s.nombre ASC`,
+    [id_paquete]
+  );
+  return rows;
+}
+
+async function fetchServiciosVendido(conn, id_paquete_clienta) {
+  const [rows] = await conn.query(
+    `SELECT s.id_servicio, s.nombre, s.duracion_min, s.precio_base
+     FROM paquete_clienta_servicio pcs
+     INNER JOIN servicio s ON s.id_servicio = pcs.id_servicio
+     WHERE pcs.id_paquete_clienta = ?
+     ORDER BY s.nombre ASC`,
+    [id_paquete_clienta]
+  );
+  return rows;
+}
+
+const SELECT_PAQUETE_CLIENTA = `
+  SELECT pc.id_paquete_clienta, pc.id_paquete, p.nombre AS paquete, pc.id_clienta,
+         c.nombre AS clienta_nombre, c.apellido AS clienta_apellido,
+         pc.sesiones_total, pc.sesiones_usadas, pc.sesiones_total - pc.sesiones_usadas AS sesiones_restantes,
+         pc.precio, pc.medio_pago, pc.fecha_compra, pc.fecha_vencimiento,
+         pc.fecha_vencimiento < CURDATE() AS vencido, pc.vendido_por, pc.id_caja
+  FROM paquete_clienta pc
+  INNER JOIN paquete p ON p.id_paquete = pc.id_paquete
+  INNER JOIN clienta c ON c.id_clienta = pc.id_clienta
+`;
+
+const normalizarVendido = (r) => ({ ...r, vencido: Boolean(r.vencido), sesiones_restantes: Number(r.sesiones_restantes) });
+
+// ===== Venta de paquetes =====
+
+// El paquete se paga completo al venderse; el pago queda en la caja abierta.
+router.post('/vender', async (req, res) => {
+  const conn = await pool.getConnection();
+  try {
+    const { id_paquete, id_clienta, medio_pago, codigo_giftcard } = req.body;
+
+    if (!id_paquete || !id_clienta || !medio_pago) {
+      return res.status(400).json({ message: 'Campos obligatorios: id_paquete, id_clienta, medio_pago' });
+    }
+
+    const [paquetes] = await conn.query(
+      `SELECT id_paquete, nombre, sesiones, precio, vigencia_dias, activo FROM paquete WHERE id_paquete = ?`,
+      [id_paquete]
+    );
+    if (paquetes.length === 0) return res.status(404).json({ message: 'Paquete no encontrado' });
+    const paquete = paquetes[0];
+    if (!paquete.activo) return res.status(409).json({ message: 'El paquete está inactivo' });
+
+    const [clientas] = await conn.query(`SELECT id_clienta, activo FROM clienta WHERE id_clienta = ?`, [id_clienta]);
+    if (clientas.length === 0) return res.status(404).json({ message: 'Clienta no encontrada' });
+    if (!clientas[0].activo) return res.status(409).json({ message: 'La clienta está inactiva' });
+
+    await conn.beginTransaction();
+
+    const caja = await resolverCajaParaPago(conn, req.user?.id_personal);
+    if (!caja.ok) {
+      await conn.rollback();
+      return res.status(caja.status).json({ message: caja.message });
+    }
+
+    const gc = await prepararGiftcardPago(conn, { medio_pago, codigo_giftcard, monto: paquete.precio });
+    if (!gc.ok) {
+      await conn.rollback();
+      return res.status(gc.status).json({ message: gc.message, saldo: gc.saldo });
+    }
+
+    const [result] = await conn.query(
+      `INSERT INTO paquete_clienta
+         (id_paquete, id_clienta, sesiones_total, precio, tasa_iva, medio_pago, fecha_vencimiento, vendido_por, id_caja, id_giftcard)
+       VALUES (?, ?, ?, ?, ?, ?, DATE_ADD(CURDATE(), INTERVAL ? DAY), ?, ?, ?)`,
+      [
+        id_paquete,
+        id_clienta,
+        paquete.sesiones,
+        paquete.precio,
+        tasaIva(),
+        medio_pago,
+        paquete.vigencia_dias,
+        req.user?.id_personal || null,
+        caja.id_caja,
+        gc.giftcard?.id_giftcard || null
+      ]
+    );
+
+    await conn.query(
+      `INSERT INTO paquete_clienta_servicio (id_paquete_clienta, id_servicio)
+       SELECT ?, id_servicio FROM paquete_servicio WHERE id_paquete = ?`,
+      [result.insertId, id_paquete]
+    );
+
+    const canje = await aplicarGiftcardPago(conn, {
+      giftcard: gc.giftcard,
+      monto: paquete.precio,
+      origen: 'paquete',
+      id_documento: result.insertId,
+      id_personal: req.user?.id_personal
+    });
+    if (!canje.ok) {
+      await conn.rollback();
+      return res.status(canje.status).json({ message: canje.message });
+    }
+
+    await conn.commit();
+
+    const [rows] = await conn.query(`${SELECT_PAQUETE_CLIENTA} WHERE pc.id_paquete_clienta = ?`, [result.insertId]);
+
+    res.status(201).json({
+      message: 'Paquete vendido',
+      ...normalizarVendido(rows[0]),
+      ...(gc.giftcard ? { saldo_giftcard: canje.saldo } : {})
+    });
+  } catch (error) {
+    try { await conn.rollback(); } catch {}
+    res.status(500).json({ message: 'Error al vender paquete', error: error.message });
+  } finally {
+    conn.release();
+  }
+});
+
+// Paquetes vencidos con sesiones sin usar.
+router.get('/vencidos', async (req, res) => {
+  try {
+    const [rows] = await pool.query(
+      `${SELECT_PAQUETE_CLIENTA}
+       WHERE pc.fecha_vencimiento < CURDATE() AND pc.sesiones_usadas < pc.sesiones_total
+       ORDER BY pc.fecha_vencimiento DESC`
+    );
+    res.json(rows.map(normalizarVendido));
+  } catch (error) {
+    res.status(500).json({ message: 'Error al obtener paquetes vencidos', error: error.message });
+  }
+});
+
+router.get('/clienta/:id_clienta', async (req, res) => {
+  try {
+    const { id_clienta } = req.params;
+    const soloVigentes = ['1', 'true'].includes(String(req.query.vigentes || '').toLowerCase());
+
+    const [rows] = await pool.query(
+      `${SELECT_PAQUETE_CLIENTA}
+       WHERE pc.id_clienta = ?
+       ${soloVigentes ? 'AND pc.fecha_vencimiento >= CURDATE() AND pc.sesiones_usadas < pc.sesiones_total' : ''}
+       ORDER BY pc.fecha_compra DESC`,
+      [id_clienta]
+    );
+    res.json(rows.map(normalizarVendido));
+  } catch (error) {
+    res.status(500).json({ message: 'Error al obtener paquetes de la clienta', error: error.message });
+  }
+});
+
+router.get('/vendidos/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const [rows] = await pool.query(`${SELECT_PAQUETE_CLIENTA} WHERE pc.id_paquete_clienta = ?`, [id]);
+    if (rows.length === 0) return res.status(404).json({ message: 'Paquete vendido no encontrado' });
+
+    const servicios = await fetchServiciosVendido(pool, id);
+    const [consumos] = await pool.query(
+      `SELECT pco.id_consumo, pco.id_atencion, pco.id_servicio, s.nombre AS servicio,
+              a.fecha_inicio, a.estado_atencion, pco.estado, pco.fecha, pco.fecha_devolucion
+       FROM paquete_consumo pco
+       INNER JOIN atencion a ON a.id_atencion = pco.id_atencion
+       INNER JOIN servicio s ON s.id_servicio = pco.id_servicio
+       WHERE pco.id_paquete_clienta = ?
+       ORDER BY pco.fecha ASC`,
+      [id]
+    );
+
+    res.json({ ...normalizarVendido(rows[0]), servicios, consumos });
+  } catch (error) {
+    res.status(500).json({ message: 'Error al obtener paquete vendido', error: error.message });
+  }
+});
+
+const FORMATOS_DTE = ['xml', 'json'];
+
+// Genera la boleta electrónica (DTE 39) de un paquete vendido, por su precio
+// completo. Las atenciones con cargo al paquete omiten esos servicios en su
+// propia boleta.
+router.post('/vendidos/:id/dte', async (req, res) => {
+  const conn = await pool.getConnection();
+  try {
+    const { id } = req.params;
+
+    await conn.beginTransaction();
+
+    const [rows] = await conn.query(
+      `SELECT pc.id_paquete_clienta, pc.precio, pc.tasa_iva, p.nombre
+       FROM paquete_clienta pc
+       INNER JOIN paquete p ON p.id_paquete = pc.id_paquete
+       WHERE pc.id_paquete_clienta = ?
+       FOR UPDATE`,
+      [id]
+    );
+    if (rows.length === 0) {
+      await conn.rollback();
+      return res.status(404).json({ message: 'Paquete vendido no encontrado' });
+    }
+
+    const existente = await fetchDte(conn, 'paquete', Number(id));
+    if (existente) {
+      await conn.rollback();
+      return res.status(409).json({ message: 'El paquete ya tiene boleta electrónica', folio: existente.folio });
+    }
+
+    const boleta = await emitirBoleta(conn, {
+      origen: 'paquete',
+      id_documento: Number(id),
+      lineas: [{ nombre: `Paquete ${rows[0].nombre}`, cantidad: 1, precio_unitario: rows[0].precio }],
+      tasa_iva: rows[0].tasa_iva,
+      id_personal: req.user?.id_personal
+    });
+    if (!boleta.ok) {
+      await conn.rollback();
+      return res.status(boleta.status).json({ message: boleta.message });
+    }
+
+    await conn.commit();
+
+    const { xml, ...dte } = boleta.dte;
+    res.status(201).json({ message: 'Boleta electrónica generada', ...dte });
+  } catch (error) {
+    try { await conn.rollback(); } catch {}
+    res.status(500).json({ message: 'Error al generar boleta electrónica', error: error.message });
+  } finally {
+    conn.release();
+  }
+});
+
+router.get('/vendidos/:id/dte', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const formato = req.query.formato || 'xml';
+
+    if (!FORMATOS_DTE.includes(formato)) {
+      return res.status(400).json({ message: `formato debe ser uno de: ${FORMATOS_DTE.join(', ')}` });
+    }
+
+    const dte = await fetchDte(pool, 'paquete', Number(id));
+    if (!dte) return res.status(404).json({ message: 'El paquete no tiene boleta electrónica' });
+
+    responderDte(res, dte, formato);
+  } catch (error) {
+    res.status(500).json({ message: 'Error al obtener boleta electrónica', error: error.message });
+  }
+});
+
+// ===== Definiciones =====
+
+router.get('/', async (req, res) => {
+  try {
+    const [rows] = await pool.query(
+      `SELECT id_paquete, nombre, sesiones, precio, vigencia_dias, activo
+       FROM paquete
+       ORDER BY id_paquete DESC`
+    );
+    res.json(rows);
+  } catch (error) {
+    res.status(500).json({ message: 'Error al obtener paquetes', error: error.message });
+  }
+});
+
+router.get('/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const [rows] = await pool.query(
+      `SELECT id_paquete, nombre, sesiones, precio, vigencia_dias, activo
+       FROM paquete
+       WHERE id_paquete = ?`,
+      [id]
+    );
+    if (rows.length === 0) return res.status(404).json({ message: 'Paquete no encontrado' });
+
+    const servicios = await fetchServiciosPaquete(pool, id);
+    res.json({ ...rows[0], servicios });
+  } catch (error) {
+    res.status(500).json({ message: 'Error al obtener paquete', error: error.message });
+  }
+});
+
+router.post('/', soloAdmin, async (req, res) => {
+  const conn = await pool.getConnection();
+  try {
+    const { nombre, sesiones, precio, vigencia_dias, servicios } = req.body;
+
+    const v = validarDefinicion(req.body);
+    if (!v.ok) return res.status(400).json({ message: v.message });
+
+    await conn.beginTransaction();
+
+    const [result] = await conn.query(
+      `INSERT INTO paquete (nombre, sesiones, precio, vigencia_dias, activo)
+       VALUES (?, ?, ?, ?, 1)`,
+      [nombre, Number(sesiones), Number(precio), Number(vigencia_dias)]
+    );
+
+    const rs = await reemplazarServiciosPaquete(conn, result.insertId, servicios);
+    if (!rs.ok) {
+      await conn.rollback();
+      return res.status(rs.status).json({ message: rs.message });
+    }
+
+    await conn.commit();
+
+    res.status(201).json({ message: 'Paquete creado', id_paquete: result.insertId });
+  } catch (error) {
+    try { await conn.rollback(); } catch {}
+    res.status(500).json({ message: 'Error al crear paquete', error: error.message });
+  } finally {
+    conn.release();
+  }
+});
+
+// Los cambios no afectan paquetes ya vendidos: sesiones, precio y vencimiento
+// se copiaron a paquete_clienta al venderlos, y los servicios cubiertos a
+// paquete_clienta_servicio.
+router.put('/:id', soloAdmin, async (req, res) => {
+  const conn = await pool.getConnection();
+  try {
+    const { id } = req.params;
+    const { nombre, sesiones, precio, vigencia_dias, servicios } = req.body;
+
+    const v = validarDefinicion(req.body, true);
+    if (!v.ok) return res.status(400).json({ message: v.message });
+
+    const fields = [];
+    const values = [];
+
+    if (nombre !== undefined) { fields.push('nombre = ?'); values.push(nombre); }
+    if (sesiones !== undefined) { fields.push('sesiones = ?'); values.push(Number(sesiones)); }
+    if (precio !== undefined) { fields.push('precio = ?'); values.push(Number(precio)); }
+    if (vigencia_dias !== undefined) { fields.push('vigencia_dias = ?'); values.push(Number(vigencia_dias)); }
+
+    if (fields.length === 0 && servicios === undefined) {
+      return res.status(400).json({ message: 'No se enviaron campos para actualizar' });
+    }
+
+    await conn.beginTransaction();
+
+    const [existe] = await conn.query(`SELECT id_paquete FROM paquete WHERE id_paquete = ? FOR UPDATE`, [id]);
+    if (existe.length === 0) {
+      await conn.rollback();
+      return res.status(404).json({ message: 'Paquete no encontrado' });
+    }
+
+    if (fields.length > 0) {
+      await conn.query(`UPDATE paquete SET ${fields.join(', ')} WHERE id_paquete = ?`, [...values, id]);
+    }
+
+    if (servicios !== undefined) {
+      const rs = await reemplazarServiciosPaquete(conn, id, servicios);
+      if (!rs.ok) {
+        await conn.rollback();
+        return res.status(rs.status).json({ message: rs.message });
+      }
+    }
+
+    await conn.commit();
+
+    res.json({ message: 'Paquete actualizado correctamente' });
+  } catch (error) {
+    try { await conn.rollback(); } catch {}
+    res.status(500).json({ message: 'Error al actualizar paquete', error: error.message });
+  } finally {
+    conn.release();
+  }
+});
+
+router.delete('/:id', soloAdmin, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const [result] = await pool.query(
+      `UPDATE paquete SET activo = 0
+       WHERE id_paquete = ? AND activo = 1`,
+      [id]
+    );
+
+    if (result.affectedRows === 0) {
+      return res.status(404).json({ message: 'Paquete no encontrado o ya está inactivo' });
+    }
+
+    res.json({ message: 'Paquete desactivado correctamente' });
+  } catch (error) {
+    res.status(500).json({ message: 'Error al desactivar paquete', error: error.message });
+  }
+});
+
+module.exports = router;
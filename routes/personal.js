@@ -3,6 +3,7 @@ const router = express.Router();
 const pool = require("../config/db");
 const { auth, requireRole } = require("../middlewares/auth");
 const bcrypt = require("bcrypt");
+const { parsePaginacion, parseOrden, agregarBusqueda, responderListado, limitSql, limitParams } = require("../utils/listado");
 
 router.use(auth);
 router.use(requireRole("administradora"));
@@ -42,11 +43,91 @@ function generateTempPassword(length = 10) {
   return pwd;
 }
 
+// Horario
+const TIPOS_AUSENCIA = ["vacaciones", "licencia", "permiso", "otro"];
+
+function parseHoraTexto(value) {
+  const m = /^(\d{2}):(\d{2})(?::(\d{2}))?$/.exec(String(value ?? "").trim());
+  if (!m) return null;
+  const h = Number(m[1]);
+  const min = Number(m[2]);
+  if (h > 24 || min > 59 || (h === 24 && min > 0)) return null;
+  return `${m[1]}:${m[2]}:00`;
+}
+
+function normalizeTramos(tramos) {
+  if (tramos == null) return { ok: true, tramos: [] };
+  if (!Array.isArray(tramos)) return { ok: false };
+
+  const out = [];
+  for (const t of tramos) {
+    const dia = Number(t?.dia_semana);
+    const inicio = parseHoraTexto(t?.hora_inicio);
+    const fin = parseHoraTexto(t?.hora_fin);
+    if (!Number.isInteger(dia) || dia < 0 || dia > 6 || !inicio || !fin || fin <= inicio) {
+      return { ok: false };
+    }
+    out.push({ dia_semana: dia, hora_inicio: inicio, hora_fin: fin });
+  }
+  return { ok: true, tramos: out };
+}
+
+// Acepta "YYYY-MM-DD" (día completo) o "YYYY-MM-DD HH:mm[:ss]"
+function parseFechaAusencia(value, finDeDia) {
+  const s = String(value ?? "").trim().replace("T", " ");
+  if (/^\d{4}-\d{2}-\d{2}$/.test(s)) return `${s} ${finDeDia ? "23:59:59" : "00:00:00"}`;
+  const m = /^(\d{4}-\d{2}-\d{2} \d{2}:\d{2})(:\d{2})?$/.exec(s);
+  if (!m) return null;
+  return m[1] + (m[2] || ":00");
+}
+
+async function personalExists(conn, id) {
+  const [rows] = await conn.query("SELECT id_personal FROM personal WHERE id_personal = ?", [id]);
+  return rows.length > 0;
+}
+
 // ===================== GETS =====================
 
 // GET /personal -> activos + inactivos + roles (UNIFICADO)
 router.get("/", async (req, res) => {
   try {
+    const { activo, rol } = req.query;
+
+    const paginacion = parsePaginacion(req.query);
+    if (!paginacion.ok) return res.status(400).json({ message: paginacion.message });
+
+    const orden = parseOrden(req.query.sort, {
+      id_personal: "p.id_personal",
+      nombre: "p.nombre",
+      apellido: "p.apellido"
+    }, "p.id_personal DESC");
+    if (!orden.ok) return res.status(400).json({ message: orden.message });
+
+    const where = [];
+    const params = [];
+
+    if (activo !== undefined) {
+      const a = Number(activo);
+      if (Number.isNaN(a) || (a !== 0 && a !== 1)) {
+        return res.status(400).json({ message: 'Query "activo" debe ser 0 o 1' });
+      }
+      where.push("p.activo = ?");
+      params.push(a);
+    }
+    if (rol) {
+      where.push(`EXISTS (
+        SELECT 1 FROM rol_personal rpf
+        INNER JOIN rol rf ON rf.id_rol = rpf.id_rol
+        WHERE rpf.id_personal = p.id_personal AND rf.nombre = ?
+      )`);
+      params.push(String(rol));
+    }
+    agregarBusqueda(where, params, req.query.q, ["p.nombre", "p.apellido", "p.rut", "p.email"]);
+
+    const whereSql = where.length ? `WHERE ${where.join(" AND ")}` : "";
+
+    const [countRows] = await pool.query(`SELECT COUNT(*) AS total FROM personal p ${whereSql}`, params);
+
     const [rows] = await pool.query(`
       SELECT 
         p.id_personal,
@@ -70,16 +151,18 @@ router.get("/", async (req, res) => {
       FROM personal p
       LEFT JOIN rol_personal rp ON rp.id_personal = p.id_personal
       LEFT JOIN rol r ON r.id_rol = rp.id_rol
+      ${whereSql}
       GROUP BY p.id_personal
-      ORDER BY p.id_personal DESC
-    `);
+      ORDER BY ${orden.sql}
+      ${limitSql(paginacion)}
+    `, [...params, ...limitParams(paginacion)]);
 
     const normalized = rows.map((p) => ({
       ...p,
       roles: Array.isArray(p.roles) ? p.roles.filter((x) => x !== null) : [],
     }));
 
-    res.json(normalized);
+    responderListado(res, { rows: normalized, total: Number(countRows[0].total), paginacion });
   } catch (error) {
     res.status(500).json({ message: "Error al obtener personal", error: error.message });
   }
@@ -321,4 +404,153 @@ router.delete("/:id", async (req, res) => {
   }
 });
 
+// ===================== HORARIO =====================
+
+// GET /personal/:id/horario -> jornada semanal, descansos y ausencias
+router.get("/:id/horario", async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!(await personalExists(pool, id))) {
+      return res.status(404).json({ message: "Personal no encontrado" });
+    }
+
+    const [tramos] = await pool.query(
+      `SELECT id_horario, tipo, dia_semana, hora_inicio, hora_fin
+       FROM horario_personal
+       WHERE id_personal = ?
+       ORDER BY dia_semana ASC, hora_inicio ASC`,
+      [id]
+    );
+
+    const [ausencias] = await pool.query(
+      `SELECT id_ausencia, tipo, fecha_inicio, fecha_fin, motivo, created_at
+       FROM ausencia_personal
+       WHERE id_personal = ?
+       ORDER BY fecha_inicio DESC`,
+      [id]
+    );
+
+    res.json({
+      id_personal: Number(id),
+      semanal: tramos.filter((t) => t.tipo === "trabajo"),
+      descansos: tramos.filter((t) => t.tipo === "descanso"),
+      ausencias,
+    });
+  } catch (error) {
+    res.status(500).json({ message: "Error al obtener horario", error: error.message });
+  }
+});
+
+// PUT /personal/:id/horario -> reemplazar jornada semanal y descansos
+router.put("/:id/horario", async (req, res) => {
+  const conn = await pool.getConnection();
+  try {
+    const { id } = req.params;
+    const semanal = normalizeTramos(req.body.semanal);
+    const descansos = normalizeTramos(req.body.descansos);
+
+    if (!semanal.ok || !descansos.ok) {
+      return res.status(400).json({
+        message: "semanal[] y descansos[] requieren: dia_semana (0-6), hora_inicio, hora_fin (HH:mm, fin > inicio)",
+      });
+    }
+
+    await conn.beginTransaction();
+
+    if (!(await personalExists(conn, id))) {
+      await conn.rollback();
+      return res.status(404).json({ message: "Personal no encontrado" });
+    }
+
+    await conn.query("DELETE FROM horario_personal WHERE id_personal = ?", [id]);
+
+    const values = [
+      ...semanal.tramos.map((t) => [Number(id), "trabajo", t.dia_semana, t.hora_inicio, t.hora_fin]),
+      ...descansos.tramos.map((t) => [Number(id), "descanso", t.dia_semana, t.hora_inicio, t.hora_fin]),
+    ];
+
+    if (values.length > 0) {
+      await conn.query(
+        "INSERT INTO horario_personal (id_personal, tipo, dia_semana, hora_inicio, hora_fin) VALUES ?",
+        [values]
+      );
+    }
+
+    await conn.commit();
+    res.json({
+      message: "Horario actualizado",
+      semanal: semanal.tramos,
+      descansos: descansos.tramos,
+    });
+  } catch (error) {
+    try { await conn.rollback(); } catch {}
+    res.status(500).json({ message: "Error al actualizar horario", error: error.message });
+  } finally {
+    conn.release();
+  }
+});
+
+// POST /personal/:id/horario/ausencias -> registrar vacaciones, licencia, etc.
+router.post("/:id/horario/ausencias", async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { tipo, fecha_inicio, fecha_fin, motivo } = req.body;
+
+    const tipoAusencia = tipo ? String(tipo) : "otro";
+    if (!TIPOS_AUSENCIA.includes(tipoAusencia)) {
+      return res.status(400).json({ message: `tipo inválido. Usa: ${TIPOS_AUSENCIA.join(", ")}` });
+    }
+
+    const inicio = parseFechaAusencia(fecha_inicio, false);
+    const fin = parseFechaAusencia(fecha_fin ?? fecha_inicio, true);
+    if (!inicio || !fin) {
+      return res.status(400).json({ message: 'fecha_inicio/fecha_fin inválidas. Usa "YYYY-MM-DD" o "YYYY-MM-DD HH:mm:ss"' });
+    }
+    if (fin <= inicio) {
+      return res.status(400).json({ message: "fecha_fin debe ser posterior a fecha_inicio" });
+    }
+
+    if (!(await personalExists(pool, id))) {
+      return res.status(404).json({ message: "Personal no encontrado" });
+    }
+
+    const [result] = await pool.query(
+      `INSERT INTO ausencia_personal (id_personal, tipo, fecha_inicio, fecha_fin, motivo)
+       VALUES (?, ?, ?, ?, ?)`,
+      [id, tipoAusencia, inicio, fin, motivo ? String(motivo).trim() : null]
+    );
+
+    res.status(201).json({
+      message: "Ausencia registrada",
+      id_ausencia: result.insertId,
+      tipo: tipoAusencia,
+      fecha_inicio: inicio,
+      fecha_fin: fin,
+    });
+  } catch (error) {
+    res.status(500).json({ message: "Error al registrar ausencia", error: error.message });
+  }
+});
+
+// DELETE /personal/:id/horario/ausencias/:idAusencia
+router.delete("/:id/horario/ausencias/:idAusencia", async (req, res) => {
+  try {
+    const { id, idAusencia } = req.params;
+
+    const [result] = await pool.query(
+      "DELETE FROM ausencia_personal WHERE id_ausencia = ? AND id_personal = ?",
+      [idAusencia, id]
+    );
+
+    if (result.affectedRows === 0) {
+      return res.status(404).json({ message: "Ausencia no encontrada" });
+    }
+
+    res.json({ message: "Ausencia eliminada" });
+  } catch (error) {
+    res.status(500).json({ message: "Error al eliminar ausencia", error: error.message });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
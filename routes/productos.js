@@ -2,18 +2,61 @@ const express = require('express');
 const router = express.Router();
 const pool = require('../config/db');
 const { auth, requireRole } = require('../middlewares/auth');
+const { TIPOS_MOVIMIENTO, LOTE_VIGENTE_SQL, normalizarLote, moverStock } = require('../utils/inventario');
+const { parsePaginacion, parseOrden, agregarBusqueda, responderListado, limitSql, limitParams } = require('../utils/listado');
+const { registrarPrecio, fetchHistorialPrecios } = require('../utils/precios');
 
 router.use(auth);
 router.use(requireRole('vendedora', 'administradora'));
 
 router.get('/', async (req, res) => {
   try {
+    const { activo, stock_bajo } = req.query;
+
+    const paginacion = parsePaginacion(req.query);
+    if (!paginacion.ok) return res.status(400).json({ message: paginacion.message });
+
+    const orden = parseOrden(req.query.sort, {
+      id_producto: 'id_producto',
+      nombre: 'nombre',
+      marca: 'marca',
+      precio: 'precio',
+      stock: 'stock'
+    }, 'id_producto DESC');
+    if (!orden.ok) return res.status(400).json({ message: orden.message });
+
+    const where = [];
+    const params = [];
+
+    if (activo !== undefined) {
+      const a = Number(activo);
+      if (Number.isNaN(a) || (a !== 0 && a !== 1)) {
+        return res.status(400).json({ message: 'Query "activo" debe ser 0 o 1' });
+      }
+      where.push('activo = ?');
+      params.push(a);
+    }
+    if (stock_bajo !== undefined) {
+      if (!['0', '1'].includes(String(stock_bajo))) {
+        return res.status(400).json({ message: 'Query "stock_bajo" debe ser 0 o 1' });
+      }
+      where.push(String(stock_bajo) === '1' ? 'stock <= stock_minimo' : 'stock > stock_minimo');
+    }
+    agregarBusqueda(where, params, req.query.q, ['nombre', 'marca']);
+
+    const whereSql = where.length ? `WHERE ${where.join(' AND ')}` : '';
+
+    const [countRows] = await pool.query(`SELECT COUNT(*) AS total FROM producto ${whereSql}`, params);
     const [rows] = await pool.query(
-      `SELECT id_producto, nombre, marca, precio, stock, stock_minimo, activo
+      `SELECT id_producto, nombre, marca, categoria, precio, stock, stock_minimo, es_giftcard, activo
        FROM producto
-       ORDER BY id_producto DESC`
+       ${whereSql}
+       ORDER BY ${orden.sql}
+       ${limitSql(paginacion)}`,
+      [...params, ...limitParams(paginacion)]
     );
-    res.json(rows);
+
+    responderListado(res, { rows, total: Number(countRows[0].total), paginacion });
   } catch (error) {
     res.status(500).json({ message: 'Error al obtener productos', error: error.message });
   }
@@ -24,7 +67,7 @@ router.get('/stock-bajo', async (req, res) => {
     const [rows] = await pool.query(
       `SELECT id_producto, nombre, marca, precio, stock, stock_minimo, activo
        FROM producto
-       WHERE activo = 1 AND stock <= stock_minimo
+       WHERE activo = 1 AND es_giftcard = 0 AND stock <= stock_minimo
        ORDER BY stock ASC`
     );
     res.json(rows);
@@ -33,10 +76,141 @@ router.get('/stock-bajo', async (req, res) => {
   }
 });
 
+// Velocidad de venta = unidades netas vendidas (sin anuladas ni devueltas)
+// en los últimos ventana_dias. La sugerencia cubre cobertura_dias de venta
+// descontando el stock vendible y lo que viene en órdenes de compra abiertas.
+router.get('/reposicion', async (req, res) => {
+  try {
+    const intParam = (v, def) => (v == null || v === '' ? def : Number(v));
+    const ventana = intParam(req.query.ventana_dias, 30);
+    const cobertura = intParam(req.query.cobertura_dias, 30);
+    const diasSinVenta = intParam(req.query.dias_sin_venta, 60);
+
+    if (![ventana, cobertura, diasSinVenta].every((n) => Number.isInteger(n) && n > 0)) {
+      return res.status(400).json({ message: 'ventana_dias, cobertura_dias y dias_sin_venta deben ser enteros > 0' });
+    }
+
+    const [rows] = await pool.query(
+      `SELECT p.id_producto, p.nombre, p.marca, p.stock, p.stock_minimo, p.costo_promedio,
+              COALESCE(vend.unidades, 0) AS unidades_vendidas,
+              ult.ultima_venta,
+              COALESCE(lot.vendible, 0) AS stock_vendible,
+              COALESCE(oc.en_transito, 0) AS en_transito
+       FROM producto p
+       LEFT JOIN (
+         SELECT dv.id_producto, SUM(dv.cantidad - COALESCE(dd.devuelto, 0)) AS unidades
+         FROM detalle_venta dv
+         JOIN venta v ON v.id_venta = dv.id_venta
+         LEFT JOIN (
+           SELECT id_detalle, SUM(cantidad) AS devuelto
+           FROM devolucion_venta_detalle
+           GROUP BY id_detalle
+         ) dd ON dd.id_detalle = dv.id_detalle
+         WHERE v.estado_venta = 'vigente'
+           AND v.fecha >= DATE_SUB(CURDATE(), INTERVAL ? DAY)
+         GROUP BY dv.id_producto
+       ) vend ON vend.id_producto = p.id_producto
+       LEFT JOIN (
+         SELECT dv.id_producto, MAX(v.fecha) AS ultima_venta
+         FROM detalle_venta dv
+         JOIN venta v ON v.id_venta = dv.id_venta
+         WHERE v.estado_venta = 'vigente'
+         GROUP BY dv.id_producto
+       ) ult ON ult.id_producto = p.id_producto
+       LEFT JOIN (
+         SELECT id_producto, SUM(cantidad_disponible) AS vendible
+         FROM lote_producto
+         WHERE cantidad_disponible > 0 AND ${LOTE_VIGENTE_SQL}
+         GROUP BY id_producto
+       ) lot ON lot.id_producto = p.id_producto
+       LEFT JOIN (
+         SELECT d.id_producto, SUM(d.cantidad - d.cantidad_recibida) AS en_transito
+         FROM orden_compra_detalle d
+         JOIN orden_compra o ON o.id_orden = d.id_orden
+         WHERE o.estado IN ('enviada', 'parcial')
+         GROUP BY d.id_producto
+       ) oc ON oc.id_producto = p.id_producto
+       WHERE p.activo = 1 AND p.es_giftcard = 0`,
+      [ventana]
+    );
+
+    const limiteSinVenta = new Date();
+    limiteSinVenta.setDate(limiteSinVenta.getDate() - diasSinVenta);
+
+    const productos = rows.map((r) => {
+      const vendidas = Math.max(0, Number(r.unidades_vendidas));
+      const vendible = Number(r.stock_vendible);
+      const enTransito = Number(r.en_transito);
+      const promedioDiario = vendidas / ventana;
+      const diasCobertura = promedioDiario > 0 ? Math.floor(vendible / promedioDiario) : null;
+      const sugerida = promedioDiario > 0
+        ? Math.max(0, Math.ceil(promedioDiario * cobertura - vendible - enTransito))
+        : 0;
+      const sinMovimiento = vendible > 0 && (!r.ultima_venta || new Date(r.ultima_venta) < limiteSinVenta);
+
+      return {
+        ...r,
+        unidades_vendidas: vendidas,
+        stock_vendible: vendible,
+        en_transito: enTransito,
+        promedio_diario: Math.round(promedioDiario * 100) / 100,
+        dias_cobertura: diasCobertura,
+        cantidad_sugerida: sugerida,
+        sin_movimiento: sinMovimiento
+      };
+    });
+
+    productos.sort((a, b) => {
+      if (a.dias_cobertura == null) return b.dias_cobertura == null ? 0 : 1;
+      if (b.dias_cobertura == null) return -1;
+      return a.dias_cobertura - b.dias_cobertura;
+    });
+
+    res.json({
+      ventana_dias: ventana,
+      cobertura_dias: cobertura,
+      dias_sin_venta: diasSinVenta,
+      productos,
+      sin_movimiento: productos.filter((p) => p.sin_movimiento).map((p) => p.id_producto)
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Error al calcular reposición', error: error.message });
+  }
+});
+
+router.get('/por-vencer', async (req, res) => {
+  try {
+    const dias = req.query.dias == null ? 30 : Number(req.query.dias);
+
+    if (!Number.isInteger(dias) || dias < 0) {
+      return res.status(400).json({ message: 'Query "dias" debe ser un entero >= 0' });
+    }
+
+    const [rows] = await pool.query(
+      `SELECT l.id_lote, l.id_producto, p.nombre, p.marca, l.codigo_lote, l.fecha_vencimiento,
+              l.cantidad_disponible,
+              DATEDIFF(l.fecha_vencimiento, CURDATE()) AS dias_para_vencer,
+              (l.fecha_vencimiento < CURDATE()) AS vencido
+       FROM lote_producto l
+       JOIN producto p ON p.id_producto = l.id_producto
+       WHERE l.cantidad_disponible > 0
+         AND l.fecha_vencimiento IS NOT NULL
+         AND l.fecha_vencimiento <= DATE_ADD(CURDATE(), INTERVAL ? DAY)
+       ORDER BY l.fecha_vencimiento ASC, l.id_lote ASC`,
+      [dias]
+    );
+
+    res.json(rows);
+  } catch (error) {
+    res.status(500).json({ message: 'Error al consultar productos por vencer', error: error.message });
+  }
+});
+
 router.put('/:id/sumar-stock', async (req, res) => {
+  const conn = await pool.getConnection();
   try {
     const { id } = req.params;
-    const { cantidad } = req.body;
+    const { cantidad, motivo } = req.body;
 
     const cant = Number(cantidad);
 
@@ -44,29 +218,118 @@ router.put('/:id/sumar-stock', async (req, res) => {
       return res.status(400).json({ message: 'cantidad debe ser un entero mayor a 0' });
     }
 
-    const [result] = await pool.query(
-      `UPDATE producto
-       SET stock = stock + ?
-       WHERE id_producto = ?`,
-      [cant, id]
-    );
+    const lote = normalizarLote(req.body);
+    if (!lote.ok) return res.status(400).json({ message: lote.message });
 
-    if (result.affectedRows === 0) {
-      return res.status(404).json({ message: 'Producto no encontrado' });
+    await conn.beginTransaction();
+
+    const mov = await moverStock(conn, {
+      id_producto: id,
+      cantidad: cant,
+      tipo: 'ingreso',
+      motivo: motivo ? String(motivo).trim() : null,
+      id_personal: req.user?.id_personal,
+      lote: lote.lote
+    });
+
+    if (!mov.ok) {
+      await conn.rollback();
+      return res.status(mov.status).json({ message: mov.message });
     }
 
-    const [rows] = await pool.query(
-      `SELECT id_producto, stock FROM producto WHERE id_producto = ?`,
-      [id]
-    );
+    await conn.commit();
 
     res.json({
       message: 'Stock actualizado',
       id_producto: Number(id),
-      stock: rows?.[0]?.stock ?? null
+      stock: mov.saldo,
+      id_lote: mov.lotes[0]?.id_lote ?? null
     });
   } catch (error) {
+    try { await conn.rollback(); } catch {}
     res.status(500).json({ message: 'Error al sumar stock', error: error.message });
+  } finally {
+    conn.release();
+  }
+});
+
+router.get('/:id/lotes', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { todos } = req.query;
+
+    const [rows] = await pool.query(
+      `SELECT id_lote, codigo_lote, fecha_vencimiento, cantidad_inicial, cantidad_disponible, fecha_ingreso,
+              (fecha_vencimiento IS NOT NULL AND fecha_vencimiento < CURDATE()) AS vencido
+       FROM lote_producto
+       WHERE id_producto = ?
+         ${todos === '1' ? '' : 'AND cantidad_disponible > 0'}
+       ORDER BY fecha_vencimiento IS NULL, fecha_vencimiento ASC, id_lote ASC`,
+      [id]
+    );
+
+    res.json(rows);
+  } catch (error) {
+    res.status(500).json({ message: 'Error al obtener lotes', error: error.message });
+  }
+});
+
+router.get('/:id/precios', async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const [rows] = await pool.query(
+      `SELECT id_producto, nombre, precio FROM producto WHERE id_producto = ?`,
+      [id]
+    );
+    if (rows.length === 0) return res.status(404).json({ message: 'Producto no encontrado' });
+
+    const historial = await fetchHistorialPrecios(pool, 'producto', id);
+    res.json({ ...rows[0], historial });
+  } catch (error) {
+    res.status(500).json({ message: 'Error al obtener historial de precios', error: error.message });
+  }
+});
+
+router.get('/:id/movimientos', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { desde, hasta, tipo } = req.query;
+
+    const isFecha = (v) => /^\d{4}-\d{2}-\d{2}$/.test(String(v));
+    if ((desde && !isFecha(desde)) || (hasta && !isFecha(hasta))) {
+      return res.status(400).json({ message: 'desde/hasta inválidos. Usa "YYYY-MM-DD"' });
+    }
+    if (tipo && !TIPOS_MOVIMIENTO.includes(String(tipo))) {
+      return res.status(400).json({ message: `tipo inválido. Usa: ${TIPOS_MOVIMIENTO.join(', ')}` });
+    }
+
+    const [prod] = await pool.query(
+      `SELECT id_producto, nombre, stock FROM producto WHERE id_producto = ?`,
+      [id]
+    );
+    if (prod.length === 0) return res.status(404).json({ message: 'Producto no encontrado' });
+
+    const where = ['m.id_producto = ?'];
+    const params = [id];
+    if (desde) { where.push('m.fecha >= ?'); params.push(`${desde} 00:00:00`); }
+    if (hasta) { where.push('m.fecha < DATE_ADD(?, INTERVAL 1 DAY)'); params.push(hasta); }
+    if (tipo) { where.push('m.tipo = ?'); params.push(tipo); }
+
+    const [rows] = await pool.query(
+      `SELECT m.id_movimiento, m.id_lote, m.tipo, m.cantidad, m.saldo, m.documento_tipo, m.id_documento,
+              m.motivo, m.fecha, m.id_personal,
+              p.nombre AS personal_nombre, p.apellido AS personal_apellido
+       FROM movimiento_inventario m
+       LEFT JOIN personal p ON p.id_personal = m.id_personal
+       WHERE ${where.join(' AND ')}
+       ORDER BY m.fecha ASC, m.id_movimiento ASC`,
+      params
+    );
+
+    res.json({ producto: prod[0], movimientos: rows });
+  } catch (error) {
+    res.status(500).json({ message: 'Error al obtener movimientos', error: error.message });
   }
 });
 
@@ -75,7 +338,7 @@ router.get('/:id', async (req, res) => {
     const { id } = req.params;
 
     const [rows] = await pool.query(
-      `SELECT id_producto, nombre, marca, precio, stock, stock_minimo, activo
+      `SELECT id_producto, nombre, marca, categoria, precio, stock, stock_minimo, costo_promedio, es_giftcard, activo
        FROM producto
        WHERE id_producto = ?`,
       [id]
@@ -89,8 +352,35 @@ router.get('/:id', async (req, res) => {
 });
 
 router.post('/', async (req, res) => {
+  const conn = await pool.getConnection();
   try {
-    const { nombre, marca, precio, stock, stock_minimo } = req.body;
+    const { nombre, marca, categoria, precio, stock, stock_minimo } = req.body;
+    const cat = categoria ? String(categoria).trim() : null;
+    const esGiftcard = req.body.es_giftcard === true || ['1', 'true'].includes(String(req.body.es_giftcard));
+
+    // Una giftcard no maneja stock: cada unidad vendida emite una tarjeta.
+    if (esGiftcard) {
+      if (!nombre || precio == null) {
+        return res.status(400).json({ message: 'Faltan campos obligatorios: nombre, precio' });
+      }
+      if (Number(precio) < 0) return res.status(400).json({ message: 'precio no puede ser negativo' });
+
+      await conn.beginTransaction();
+      const [result] = await conn.query(
+        `INSERT INTO producto (nombre, marca, categoria, precio, stock, stock_minimo, es_giftcard, activo)
+         VALUES (?, ?, ?, ?, 0, 0, 1, 1)`,
+        [nombre, marca || null, cat, precio]
+      );
+      await registrarPrecio(conn, {
+        ambito: 'producto',
+        id_item: result.insertId,
+        precio,
+        motivo: 'Precio inicial',
+        id_personal: req.user?.id_personal
+      });
+      await conn.commit();
+      return res.status(201).json({ message: 'Producto creado', id_producto: result.insertId });
+    }
 
     if (!nombre || precio == null || stock == null || stock_minimo == null) {
       return res.status(400).json({
@@ -102,50 +392,137 @@ router.post('/', async (req, res) => {
       return res.status(400).json({ message: 'precio/stock/stock_minimo no pueden ser negativos' });
     }
 
-    const [result] = await pool.query(
-      `INSERT INTO producto (nombre, marca, precio, stock, stock_minimo, activo)
-       VALUES (?, ?, ?, ?, ?, 1)`,
-      [nombre, marca || null, precio, stock, stock_minimo]
+    const lote = normalizarLote(req.body);
+    if (!lote.ok) return res.status(400).json({ message: lote.message });
+
+    await conn.beginTransaction();
+
+    const [result] = await conn.query(
+      `INSERT INTO producto (nombre, marca, categoria, precio, stock, stock_minimo, activo)
+       VALUES (?, ?, ?, ?, 0, ?, 1)`,
+      [nombre, marca || null, cat, precio, stock_minimo]
     );
 
+    await registrarPrecio(conn, {
+      ambito: 'producto',
+      id_item: result.insertId,
+      precio,
+      motivo: 'Precio inicial',
+      id_personal: req.user?.id_personal
+    });
+
+    await moverStock(conn, {
+      id_producto: result.insertId,
+      cantidad: Number(stock),
+      tipo: 'ingreso',
+      motivo: 'Stock inicial',
+      id_personal: req.user?.id_personal,
+      lote: lote.lote
+    });
+
+    await conn.commit();
+
     res.status(201).json({ message: 'Producto creado', id_producto: result.insertId });
   } catch (error) {
+    try { await conn.rollback(); } catch {}
     res.status(500).json({ message: 'Error al crear producto', error: error.message });
+  } finally {
+    conn.release();
   }
 });
 
 router.put('/:id', async (req, res) => {
+  const conn = await pool.getConnection();
   try {
     const { id } = req.params;
-    const { nombre, marca, precio, stock, stock_minimo } = req.body;
+    const { nombre, marca, categoria, precio, stock, stock_minimo, motivo } = req.body;
 
     const fields = [];
     const values = [];
 
     if (nombre !== undefined) { fields.push('nombre = ?'); values.push(nombre); }
     if (marca !== undefined) { fields.push('marca = ?'); values.push(marca); }
+    if (categoria !== undefined) { fields.push('categoria = ?'); values.push(categoria ? String(categoria).trim() : null); }
     if (precio !== undefined) { fields.push('precio = ?'); values.push(precio); }
-    if (stock !== undefined) { fields.push('stock = ?'); values.push(stock); }
     if (stock_minimo !== undefined) { fields.push('stock_minimo = ?'); values.push(stock_minimo); }
 
-    if (fields.length === 0) {
+    if (fields.length === 0 && stock === undefined) {
       return res.status(400).json({ message: 'No se enviaron campos para actualizar' });
     }
 
-    values.push(id);
+    if (precio !== undefined && (precio === null || precio === '' || !Number.isFinite(Number(precio)) || Number(precio) < 0)) {
+      return res.status(400).json({ message: 'precio debe ser un número >= 0' });
+    }
 
-    const [result] = await pool.query(
-      `UPDATE producto SET ${fields.join(', ')} WHERE id_producto = ?`,
-      values
+    // El stock no se sobreescribe: se registra como ajuste manual con motivo.
+    if (stock !== undefined) {
+      const nuevo = Number(stock);
+      if (!Number.isInteger(nuevo) || nuevo < 0) {
+        return res.status(400).json({ message: 'stock debe ser un entero >= 0' });
+      }
+      if (!String(motivo || '').trim()) {
+        return res.status(400).json({ message: 'Para ajustar stock se requiere: motivo' });
+      }
+    }
+
+    await conn.beginTransaction();
+
+    const [prodRows] = await conn.query(
+      `SELECT id_producto, precio, stock, es_giftcard FROM producto WHERE id_producto = ? FOR UPDATE`,
+      [id]
     );
 
-    if (result.affectedRows === 0) {
+    if (prodRows.length === 0) {
+      await conn.rollback();
       return res.status(404).json({ message: 'Producto no encontrado' });
     }
+    if (prodRows[0].es_giftcard && stock !== undefined) {
+      await conn.rollback();
+      return res.status(400).json({ message: 'Las giftcards no manejan stock' });
+    }
+
+    if (fields.length > 0) {
+      await conn.query(
+        `UPDATE producto SET ${fields.join(', ')} WHERE id_producto = ?`,
+        [...values, id]
+      );
+    }
+
+    // Solo un cambio real de precio abre un nuevo tramo en el historial.
+    if (precio !== undefined && Number(precio) !== Number(prodRows[0].precio)) {
+      await registrarPrecio(conn, {
+        ambito: 'producto',
+        id_item: id,
+        precio,
+        motivo: String(motivo || '').trim() || null,
+        id_personal: req.user?.id_personal
+      });
+    }
+
+    if (stock !== undefined) {
+      const mov = await moverStock(conn, {
+        id_producto: id,
+        cantidad: Number(stock) - Number(prodRows[0].stock),
+        tipo: 'ajuste',
+        motivo: String(motivo).trim(),
+        id_personal: req.user?.id_personal,
+        permitirVencidos: true
+      });
+
+      if (!mov.ok) {
+        await conn.rollback();
+        return res.status(mov.status).json({ message: mov.message });
+      }
+    }
+
+    await conn.commit();
 
     res.json({ message: 'Producto actualizado correctamente' });
   } catch (error) {
+    try { await conn.rollback(); } catch {}
     res.status(500).json({ message: 'Error al actualizar producto', error: error.message });
+  } finally {
+    conn.release();
   }
 });
 
@@ -0,0 +1,282 @@
+const express = require('express');
+const router = express.Router();
+const pool = require('../config/db');
+const { auth, requireRole } = require('../middlewares/auth');
+const { parseFechaDia, formatFechaDia } = require('../utils/fechas');
+const { AMBITOS_PROMOCION, TIPOS_PROMOCION, normalizarCupon, evaluarPromociones } = require('../utils/promociones');
+
+router.use(auth);
+router.use(requireRole('vendedora', 'masoterapeuta', 'administradora'));
+
+const soloAdmin = requireRole('administradora');
+
+const parseOptionalId = (value) => {
+  if (value == null || value === '') return { ok: true, id: null };
+  const n = Number(value);
+  return Number.isInteger(n) && n > 0 ? { ok: true, id: n } : { ok: false };
+};
+
+const vacio = (v) => v == null || v === '';
+
+async function normalizePromocion(conn, body, excluirId = null) {
+  const { nombre, ambito, tipo, valor } = body;
+
+  if (!String(nombre || '').trim()) return { ok: false, status: 400, message: 'Campo obligatorio: nombre' };
+  if (!AMBITOS_PROMOCION.includes(ambito)) {
+    return { ok: false, status: 400, message: `ambito debe ser uno de: ${AMBITOS_PROMOCION.join(', ')}` };
+  }
+  if (!TIPOS_PROMOCION.includes(tipo)) {
+    return { ok: false, status: 400, message: `tipo debe ser uno de: ${TIPOS_PROMOCION.join(', ')}` };
+  }
+
+  const v = Number(valor);
+  if (!Number.isFinite(v) || v <= 0) return { ok: false, status: 400, message: 'valor debe ser un número > 0' };
+  if (tipo === 'porcentaje' && v > 100) return { ok: false, status: 400, message: 'Un porcentaje no puede superar 100' };
+
+  const servicio = parseOptionalId(body.id_servicio);
+  const producto = parseOptionalId(body.id_producto);
+  if (!servicio.ok || !producto.ok) {
+    return { ok: false, status: 400, message: 'id_servicio e id_producto deben ser enteros > 0' };
+  }
+  if (ambito === 'servicio' && producto.id) {
+    return { ok: false, status: 400, message: 'Una promoción de servicio no puede indicar id_producto' };
+  }
+  if (ambito === 'producto' && servicio.id) {
+    return { ok: false, status: 400, message: 'Una promoción de producto no puede indicar id_servicio' };
+  }
+
+  const categoria = vacio(body.categoria) ? null : String(body.categoria).trim();
+  if (categoria && (servicio.id || producto.id)) {
+    return { ok: false, status: 400, message: 'Indica un ítem o una categoría, no ambos' };
+  }
+
+  const diaInicio = vacio(body.fecha_inicio) ? null : parseFechaDia(body.fecha_inicio);
+  const diaFin = vacio(body.fecha_fin) ? null : parseFechaDia(body.fecha_fin);
+  const fecha_inicio = diaInicio && formatFechaDia(diaInicio);
+  const fecha_fin = diaFin && formatFechaDia(diaFin);
+  if ((!vacio(body.fecha_inicio) && !fecha_inicio) || (!vacio(body.fecha_fin) && !fecha_fin)) {
+    return { ok: false, status: 400, message: 'fecha_inicio/fecha_fin inválidas. Usa "YYYY-MM-DD"' };
+  }
+  if (fecha_inicio && fecha_fin && fecha_fin < fecha_inicio) {
+    return { ok: false, status: 400, message: '"fecha_fin" debe ser mayor o igual a "fecha_inicio"' };
+  }
+
+  const compra_minima = vacio(body.compra_minima) ? null : Number(body.compra_minima);
+  if (compra_minima != null && (!Number.isFinite(compra_minima) || compra_minima < 0)) {
+    return { ok: false, status: 400, message: 'compra_minima debe ser un número >= 0' };
+  }
+
+  const usos_maximos = vacio(body.usos_maximos) ? null : Number(body.usos_maximos);
+  if (usos_maximos != null && (!Number.isInteger(usos_maximos) || usos_maximos <= 0)) {
+    return { ok: false, status: 400, message: 'usos_maximos debe ser un entero > 0' };
+  }
+
+  const codigo_cupon = normalizarCupon(body.codigo_cupon) || null;
+  if (codigo_cupon) {
+    const [rows] = await conn.query(
+      `SELECT id_promocion FROM promocion WHERE codigo_cupon = ? AND id_promocion <> ?`,
+      [codigo_cupon, excluirId || 0]
+    );
+    if (rows.length > 0) return { ok: false, status: 409, message: 'Ya existe una promoción con ese codigo_cupon' };
+  }
+
+  if (servicio.id) {
+    const [rows] = await conn.query(`SELECT id_servicio FROM servicio WHERE id_servicio = ?`, [servicio.id]);
+    if (rows.length === 0) return { ok: false, status: 404, message: 'Servicio no encontrado' };
+  }
+  if (producto.id) {
+    const [rows] = await conn.query(`SELECT id_producto FROM producto WHERE id_producto = ?`, [producto.id]);
+    if (rows.length === 0) return { ok: false, status: 404, message: 'Producto no encontrado' };
+  }
+
+  return {
+    ok: true,
+    promocion: {
+      nombre: String(nombre).trim(),
+      ambito,
+      tipo,
+      valor: v,
+      id_producto: producto.id,
+      id_servicio: servicio.id,
+      categoria,
+      fecha_inicio,
+      fecha_fin,
+      compra_minima,
+      codigo_cupon,
+      usos_maximos
+    }
+  };
+}
+
+const COLUMNAS_PROMOCION = [
+  'nombre', 'ambito', 'tipo', 'valor', 'id_producto', 'id_servicio', 'categoria',
+  'fecha_inicio', 'fecha_fin', 'compra_minima', 'codigo_cupon', 'usos_maximos'
+];
+
+const SELECT_PROMOCION = `
+  SELECT pm.id_promocion, pm.nombre, pm.ambito, pm.tipo, pm.valor, pm.id_producto, pm.id_servicio, pm.categoria,
+         DATE_FORMAT(pm.fecha_inicio, '%Y-%m-%d') AS fecha_inicio, DATE_FORMAT(pm.fecha_fin, '%Y-%m-%d') AS fecha_fin,
+         pm.compra_minima, pm.codigo_cupon, pm.usos_maximos, pm.usos, pm.activo, pm.fecha_creacion,
+         pr.nombre AS producto_nombre, s.nombre AS servicio_nombre
+  FROM promocion pm
+  LEFT JOIN producto pr ON pr.id_producto = pm.id_producto
+  LEFT JOIN servicio s ON s.id_servicio = pm.id_servicio
+`;
+
+// Vista previa en mesón: mismos cálculos que al registrar, sin guardar nada.
+// Body: { ambito, items: [{ id_item, cantidad }], codigo_cupon? }
+router.post('/evaluar', async (req, res) => {
+  try {
+    const { ambito, items, codigo_cupon } = req.body;
+
+    if (!AMBITOS_PROMOCION.includes(ambito) || !Array.isArray(items) || items.length === 0) {
+      return res.status(400).json({ message: `Campos obligatorios: ambito (${AMBITOS_PROMOCION.join('|')}), items[]` });
+    }
+    if (items.some((it) => !Number.isInteger(Number(it?.id_item)) || !(Number(it?.cantidad ?? 1) > 0))) {
+      return res.status(400).json({ message: 'Cada item requiere id_item y cantidad > 0' });
+    }
+
+    const ev = await evaluarPromociones(pool, {
+      ambito,
+      lineas: items.map((it) => ({ id_item: it.id_item, cantidad: Number(it.cantidad ?? 1) })),
+      codigo_cupon
+    });
+    if (!ev.ok) return res.status(ev.status).json({ message: ev.message });
+
+    res.json({
+      subtotal: ev.subtotal,
+      descuento_total: ev.descuento_total,
+      total: Math.round((ev.subtotal - ev.descuento_total) * 100) / 100,
+      codigo_cupon: ev.codigo_cupon,
+      lineas: ev.lineas
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Error al evaluar promociones', error: error.message });
+  }
+});
+
+router.get('/', async (req, res) => {
+  try {
+    const { activo, ambito } = req.query;
+
+    const where = [];
+    const params = [];
+
+    if (activo !== undefined) {
+      const a = Number(activo);
+      if (Number.isNaN(a) || (a !== 0 && a !== 1)) {
+        return res.status(400).json({ message: 'Query "activo" debe ser 0 o 1' });
+      }
+      where.push('pm.activo = ?');
+      params.push(a);
+    }
+    if (ambito !== undefined) {
+      if (!AMBITOS_PROMOCION.includes(ambito)) {
+        return res.status(400).json({ message: `Query "ambito" debe ser uno de: ${AMBITOS_PROMOCION.join(', ')}` });
+      }
+      where.push('pm.ambito = ?');
+      params.push(ambito);
+    }
+
+    const [rows] = await pool.query(
+      `${SELECT_PROMOCION}
+       ${where.length ? `WHERE ${where.join(' AND ')}` : ''}
+       ORDER BY pm.id_promocion DESC`,
+      params
+    );
+    res.json(rows);
+  } catch (error) {
+    res.status(500).json({ message: 'Error al obtener promociones', error: error.message });
+  }
+});
+
+router.get('/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const [rows] = await pool.query(`${SELECT_PROMOCION} WHERE pm.id_promocion = ?`, [id]);
+    if (rows.length === 0) return res.status(404).json({ message: 'Promoción no encontrada' });
+
+    const [usos] = await pool.query(
+      `SELECT origen, COUNT(*) AS documentos, COALESCE(SUM(monto_descuento), 0) AS monto_descuento
+       FROM promocion_uso
+       WHERE id_promocion = ?
+       GROUP BY origen`,
+      [id]
+    );
+
+    res.json({ ...rows[0], resumen_usos: usos });
+  } catch (error) {
+    res.status(500).json({ message: 'Error al obtener promoción', error: error.message });
+  }
+});
+
+router.post('/', soloAdmin, async (req, res) => {
+  const conn = await pool.getConnection();
+  try {
+    const n = await normalizePromocion(conn, req.body);
+    if (!n.ok) return res.status(n.status).json({ message: n.message });
+
+    const p = n.promocion;
+    const [result] = await conn.query(
+      `INSERT INTO promocion (${COLUMNAS_PROMOCION.join(', ')}, activo)
+       VALUES (${COLUMNAS_PROMOCION.map(() => '?').join(', ')}, 1)`,
+      COLUMNAS_PROMOCION.map((c) => p[c])
+    );
+
+    res.status(201).json({ message: 'Promoción creada', id_promocion: result.insertId });
+  } catch (error) {
+    res.status(500).json({ message: 'Error al crear promoción', error: error.message });
+  } finally {
+    conn.release();
+  }
+});
+
+// Los documentos ya registrados conservan el descuento con que se guardaron.
+router.put('/:id', soloAdmin, async (req, res) => {
+  const conn = await pool.getConnection();
+  try {
+    const { id } = req.params;
+
+    const n = await normalizePromocion(conn, req.body, Number(id));
+    if (!n.ok) return res.status(n.status).json({ message: n.message });
+
+    const p = n.promocion;
+    const [result] = await conn.query(
+      `UPDATE promocion SET ${COLUMNAS_PROMOCION.map((c) => `${c} = ?`).join(', ')} WHERE id_promocion = ?`,
+      [...COLUMNAS_PROMOCION.map((c) => p[c]), id]
+    );
+
+    if (result.affectedRows === 0) {
+      return res.status(404).json({ message: 'Promoción no encontrada' });
+    }
+
+    res.json({ message: 'Promoción actualizada correctamente' });
+  } catch (error) {
+    res.status(500).json({ message: 'Error al actualizar promoción', error: error.message });
+  } finally {
+    conn.release();
+  }
+});
+
+router.delete('/:id', soloAdmin, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const [result] = await pool.query(
+      `UPDATE promocion SET activo = 0
+       WHERE id_promocion = ? AND activo = 1`,
+      [id]
+    );
+
+    if (result.affectedRows === 0) {
+      return res.status(404).json({ message: 'Promoción no encontrada o ya está inactiva' });
+    }
+
+    res.json({ message: 'Promoción desactivada correctamente' });
+  } catch (error) {
+    res.status(500).json({ message: 'Error al desactivar promoción', error: error.message });
+  }
+});
+
+module.exports = router;
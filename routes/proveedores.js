@@ -0,0 +1,155 @@
+const express = require('express');
+const router = express.Router();
+const pool = require('../config/db');
+const { auth, requireRole } = require('../middlewares/auth');
+
+router.use(auth);
+router.use(requireRole('vendedora', 'administradora'));
+
+router.get('/', async (req, res) => {
+  try {
+    const { activo } = req.query;
+
+    let sql = `SELECT id_proveedor, nombre, rut, contacto, telefono, email, direccion, activo
+               FROM proveedor`;
+    const params = [];
+
+    if (activo !== undefined) {
+      const a = Number(activo);
+      if (Number.isNaN(a) || (a !== 0 && a !== 1)) {
+        return res.status(400).json({ message: 'Query "activo" debe ser 0 o 1' });
+      }
+      sql += ' WHERE activo = ?';
+      params.push(a);
+    }
+
+    sql += ' ORDER BY nombre ASC';
+
+    const [rows] = await pool.query(sql, params);
+    res.json(rows);
+  } catch (error) {
+    res.status(500).json({ message: 'Error al obtener proveedores', error: error.message });
+  }
+});
+
+router.get('/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const [rows] = await pool.query(
+      `SELECT id_proveedor, nombre, rut, contacto, telefono, email, direccion, activo
+       FROM proveedor
+       WHERE id_proveedor = ?`,
+      [id]
+    );
+
+    if (rows.length === 0) return res.status(404).json({ message: 'Proveedor no encontrado' });
+    res.json(rows[0]);
+  } catch (error) {
+    res.status(500).json({ message: 'Error al obtener proveedor', error: error.message });
+  }
+});
+
+router.post('/', async (req, res) => {
+  try {
+    const { nombre, rut, contacto, telefono, email, direccion } = req.body;
+
+    if (!nombre || !String(nombre).trim()) {
+      return res.status(400).json({ message: 'Campo obligatorio: nombre' });
+    }
+
+    const [result] = await pool.query(
+      `INSERT INTO proveedor (nombre, rut, contacto, telefono, email, direccion, activo)
+       VALUES (?, ?, ?, ?, ?, ?, 1)`,
+      [String(nombre).trim(), rut || null, contacto || null, telefono || null, email || null, direccion || null]
+    );
+
+    res.status(201).json({ message: 'Proveedor creado', id_proveedor: result.insertId });
+  } catch (error) {
+    if (error.code === 'ER_DUP_ENTRY') {
+      return res.status(409).json({ message: 'RUT de proveedor ya existe' });
+    }
+    res.status(500).json({ message: 'Error al crear proveedor', error: error.message });
+  }
+});
+
+router.put('/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { nombre, rut, contacto, telefono, email, direccion } = req.body;
+
+    const fields = [];
+    const values = [];
+
+    if (nombre !== undefined) { fields.push('nombre = ?'); values.push(nombre); }
+    if (rut !== undefined) { fields.push('rut = ?'); values.push(rut || null); }
+    if (contacto !== undefined) { fields.push('contacto = ?'); values.push(contacto); }
+    if (telefono !== undefined) { fields.push('telefono = ?'); values.push(telefono); }
+    if (email !== undefined) { fields.push('email = ?'); values.push(email); }
+    if (direccion !== undefined) { fields.push('direccion = ?'); values.push(direccion); }
+
+    if (fields.length === 0) {
+      return res.status(400).json({ message: 'No se enviaron campos para actualizar' });
+    }
+
+    values.push(id);
+
+    const [result] = await pool.query(
+      `UPDATE proveedor SET ${fields.join(', ')} WHERE id_proveedor = ?`,
+      values
+    );
+
+    if (result.affectedRows === 0) {
+      return res.status(404).json({ message: 'Proveedor no encontrado' });
+    }
+
+    res.json({ message: 'Proveedor actualizado correctamente' });
+  } catch (error) {
+    if (error.code === 'ER_DUP_ENTRY') {
+      return res.status(409).json({ message: 'RUT de proveedor ya existe' });
+    }
+    res.status(500).json({ message: 'Error al actualizar proveedor', error: error.message });
+  }
+});
+
+router.delete('/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const [result] = await pool.query(
+      `UPDATE proveedor SET activo = 0
+       WHERE id_proveedor = ? AND activo = 1`,
+      [id]
+    );
+
+    if (result.affectedRows === 0) {
+      return res.status(404).json({ message: 'Proveedor no encontrado o ya está inactivo' });
+    }
+
+    res.json({ message: 'Proveedor desactivado correctamente' });
+  } catch (error) {
+    res.status(500).json({ message: 'Error al desactivar proveedor', error: error.message });
+  }
+});
+
+router.put('/:id/activar', async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const [result] = await pool.query(
+      `UPDATE proveedor SET activo = 1
+       WHERE id_proveedor = ? AND activo = 0`,
+      [id]
+    );
+
+    if (result.affectedRows === 0) {
+      return res.status(404).json({ message: 'Proveedor no encontrado o ya se encuentra activo' });
+    }
+
+    res.json({ message: 'Proveedor reactivado correctamente' });
+  } catch (error) {
+    res.status(500).json({ message: 'Error al reactivar proveedor', error: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,484 @@
+const express = require('express');
+const router = express.Router();
+const pool = require('../config/db');
+const { auth, requireRole } = require('../middlewares/auth');
+const { minToMs, parseFechaDia, formatFechaDia, parseHora } = require('../utils/fechas');
+
+router.use(auth);
+router.use(requireRole('administradora'));
+
+// Ventas anuladas, pagos anulados y atenciones canceladas / no_asistio
+// nunca suman en los reportes. Las devoluciones restan.
+
+const AGRUPACIONES = {
+  dia: '%Y-%m-%d',
+  semana: '%x-S%v',
+  mes: '%Y-%m'
+};
+
+const ESTADOS_NO_OCUPAN = ['cancelada', 'no_asistio'];
+
+// desde/hasta en "YYYY-MM-DD", ambos inclusive. Por defecto, el mes en curso.
+function parseFiltros(query) {
+  const hoy = new Date();
+  const desdeDia = query.desde ? parseFechaDia(query.desde) : new Date(hoy.getFullYear(), hoy.getMonth(), 1);
+  const hastaDia = query.hasta ? parseFechaDia(query.hasta) : new Date(hoy.getFullYear(), hoy.getMonth(), hoy.getDate());
+
+  if (!desdeDia || !hastaDia) {
+    return { ok: false, message: 'desde/hasta inválidos. Usa "YYYY-MM-DD"' };
+  }
+  if (hastaDia < desdeDia) {
+    return { ok: false, message: '"hasta" debe ser mayor o igual a "desde"' };
+  }
+
+  let id_personal = null;
+  if (query.id_personal != null && query.id_personal !== '') {
+    id_personal = Number(query.id_personal);
+    if (!Number.isInteger(id_personal) || id_personal <= 0) {
+      return { ok: false, message: 'id_personal inválido' };
+    }
+  }
+
+  const hastaExclusive = new Date(hastaDia);
+  hastaExclusive.setDate(hastaExclusive.getDate() + 1);
+
+  return {
+    ok: true,
+    desdeDia,
+    hastaDia,
+    hastaExclusive,
+    desde: formatFechaDia(desdeDia),
+    hasta: formatFechaDia(hastaDia),
+    hastaSql: formatFechaDia(hastaExclusive),
+    id_personal
+  };
+}
+
+function parseLimite(value, def = 10) {
+  if (value == null || value === '') return def;
+  const n = Number(value);
+  return Number.isInteger(n) && n > 0 && n <= 100 ? n : null;
+}
+
+// Minutos disponibles de una masoterapeuta en el rango: jornada semanal menos
+// descansos y ausencias. Sin jornada configurada no hay base para calcular.
+function calcularMinutosDisponibles({ desdeDia, hastaExclusive, tramos, ausencias }) {
+  const trabajo = tramos.filter((t) => t.tipo === 'trabajo');
+  if (trabajo.length === 0) return null;
+  const descansos = tramos.filter((t) => t.tipo === 'descanso');
+
+  let total = 0;
+  for (let dia = new Date(desdeDia); dia < hastaExclusive; dia.setDate(dia.getDate() + 1)) {
+    const dow = dia.getDay();
+
+    for (const t of trabajo.filter((x) => Number(x.dia_semana) === dow)) {
+      const ini = parseHora(t.hora_inicio);
+      const fin = parseHora(t.hora_fin);
+      if (ini == null || fin == null || fin <= ini) continue;
+
+      // Resta los descansos que caen dentro del tramo
+      let libres = [[ini, fin]];
+      for (const d of descansos.filter((x) => Number(x.dia_semana) === dow)) {
+        const dIni = parseHora(d.hora_inicio);
+        const dFin = parseHora(d.hora_fin);
+        libres = libres.flatMap(([a, b]) => {
+          if (dFin <= a || dIni >= b) return [[a, b]];
+          const partes = [];
+          if (dIni > a) partes.push([a, dIni]);
+          if (dFin < b) partes.push([dFin, b]);
+          return partes;
+        });
+      }
+
+      for (const [a, b] of libres) {
+        const libreInicio = dia.getTime() + minToMs(a);
+        const libreFin = dia.getTime() + minToMs(b);
+        let minutos = b - a;
+        for (const au of ausencias) {
+          const solapeIni = Math.max(libreInicio, new Date(au.fecha_inicio).getTime());
+          const solapeFin = Math.min(libreFin, new Date(au.fecha_fin).getTime());
+          if (solapeFin > solapeIni) minutos -= Math.round((solapeFin - solapeIni) / 60000);
+        }
+        total += Math.max(0, minutos);
+      }
+    }
+  }
+
+  return total;
+}
+
+router.get('/ingresos', async (req, res) => {
+  try {
+    const f = parseFiltros(req.query);
+    if (!f.ok) return res.status(400).json({ message: f.message });
+
+    const agrupar = String(req.query.agrupar || 'dia');
+    const formato = AGRUPACIONES[agrupar];
+    if (!formato) {
+      return res.status(400).json({ message: 'Query "agrupar" debe ser dia, semana o mes' });
+    }
+
+    const filtroPersonal = f.id_personal ? 'AND id_personal = ?' : '';
+    const paramsPersonal = f.id_personal ? [f.id_personal] : [];
+
+    const [ventas] = await pool.query(
+      `SELECT DATE_FORMAT(fecha, ?) AS periodo, COUNT(*) AS cantidad,
+              COALESCE(SUM(total - total_devuelto), 0) AS total
+       FROM venta
+       WHERE estado_venta = 'vigente'
+         AND fecha >= ? AND fecha < ?
+         ${filtroPersonal}
+       GROUP BY periodo
+       ORDER BY periodo ASC`,
+      [formato, f.desde, f.hastaSql, ...paramsPersonal]
+    );
+
+    const [atenciones] = await pool.query(
+      `SELECT DATE_FORMAT(fecha_inicio, ?) AS periodo, COUNT(*) AS cantidad,
+              COALESCE(SUM(total), 0) AS total
+       FROM atencion
+       WHERE estado_atencion = 'realizada'
+         AND fecha_inicio >= ? AND fecha_inicio < ?
+         ${filtroPersonal}
+       GROUP BY periodo
+       ORDER BY periodo ASC`,
+      [formato, f.desde, f.hastaSql, ...paramsPersonal]
+    );
+
+    const periodos = new Map();
+    const fila = (periodo) => {
+      if (!periodos.has(periodo)) {
+        periodos.set(periodo, { periodo, ventas: 0, cantidad_ventas: 0, atenciones: 0, cantidad_atenciones: 0, total: 0 });
+      }
+      return periodos.get(periodo);
+    };
+
+    ventas.forEach((v) => {
+      const p = fila(v.periodo);
+      p.ventas = Number(v.total);
+      p.cantidad_ventas = Number(v.cantidad);
+      p.total += p.ventas;
+    });
+    atenciones.forEach((a) => {
+      const p = fila(a.periodo);
+      p.atenciones = Number(a.total);
+      p.cantidad_atenciones = Number(a.cantidad);
+      p.total += p.atenciones;
+    });
+
+    const detalle = [...periodos.values()].sort((a, b) => a.periodo.localeCompare(b.periodo));
+
+    res.json({
+      desde: f.desde,
+      hasta: f.hasta,
+      id_personal: f.id_personal,
+      agrupar,
+      periodos: detalle,
+      totales: {
+        ventas: detalle.reduce((acc, p) => acc + p.ventas, 0),
+        atenciones: detalle.reduce((acc, p) => acc + p.atenciones, 0),
+        total: detalle.reduce((acc, p) => acc + p.total, 0)
+      }
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Error al generar reporte de ingresos', error: error.message });
+  }
+});
+
+// Cobros según la fecha del pago; el filtro por personal usa a quien lo registró.
+router.get('/cobros', async (req, res) => {
+  try {
+    const f = parseFiltros(req.query);
+    if (!f.ok) return res.status(400).json({ message: f.message });
+
+    const filtroPersonal = f.id_personal ? 'AND registrado_por = ?' : '';
+    const filtroVendedora = f.id_personal ? 'AND vendido_por = ?' : '';
+    const params = [f.desde, f.hastaSql, ...(f.id_personal ? [f.id_personal] : [])];
+
+    const [rows] = await pool.query(
+      `SELECT medio_pago,
+              COALESCE(SUM(CASE WHEN origen = 'venta' AND tipo = 'pago' THEN monto ELSE 0 END), 0) AS ventas,
+              COALESCE(SUM(CASE WHEN origen = 'atencion' AND tipo = 'pago' THEN monto ELSE 0 END), 0) AS atenciones,
+              COALESCE(SUM(CASE WHEN origen = 'paquete' THEN monto ELSE 0 END), 0) AS paquetes,
+              COALESCE(SUM(CASE WHEN tipo = 'devolucion' THEN monto ELSE 0 END), 0) AS devoluciones
+       FROM (
+         SELECT 'venta' AS origen, monto, medio_pago, tipo
+         FROM pago_venta
+         WHERE anulado = 0 AND fecha >= ? AND fecha < ? ${filtroPersonal}
+         UNION ALL
+         SELECT 'atencion' AS origen, monto, medio_pago, tipo
+         FROM pago_atencion
+         WHERE anulado = 0 AND fecha >= ? AND fecha < ? ${filtroPersonal}
+         UNION ALL
+         SELECT 'paquete' AS origen, precio AS monto, medio_pago, 'pago' AS tipo
+         FROM paquete_clienta
+         WHERE fecha_compra >= ? AND fecha_compra < ? ${filtroVendedora}
+       ) p
+       GROUP BY medio_pago
+       ORDER BY medio_pago ASC`,
+      [...params, ...params, ...params]
+    );
+
+    const medios = rows.map((r) => {
+      const ventas = Number(r.ventas);
+      const atenciones = Number(r.atenciones);
+      const paquetes = Number(r.paquetes);
+      const devoluciones = Number(r.devoluciones);
+      return { medio_pago: r.medio_pago, ventas, atenciones, paquetes, devoluciones, neto: ventas + atenciones + paquetes - devoluciones };
+    });
+
+    res.json({
+      desde: f.desde,
+      hasta: f.hasta,
+      id_personal: f.id_personal,
+      medios,
+      total: medios.reduce((acc, m) => acc + m.neto, 0)
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Error al generar reporte de cobros', error: error.message });
+  }
+});
+
+router.get('/atenciones-estado', async (req, res) => {
+  try {
+    const f = parseFiltros(req.query);
+    if (!f.ok) return res.status(400).json({ message: f.message });
+
+    const [rows] = await pool.query(
+      `SELECT estado_atencion, COUNT(*) AS cantidad, COALESCE(SUM(total), 0) AS total
+       FROM atencion
+       WHERE fecha_inicio >= ? AND fecha_inicio < ?
+         ${f.id_personal ? 'AND id_personal = ?' : ''}
+       GROUP BY estado_atencion
+       ORDER BY estado_atencion ASC`,
+      [f.desde, f.hastaSql, ...(f.id_personal ? [f.id_personal] : [])]
+    );
+
+    const estados = rows.map((r) => ({ estado_atencion: r.estado_atencion, cantidad: Number(r.cantidad), total: Number(r.total) }));
+
+    res.json({
+      desde: f.desde,
+      hasta: f.hasta,
+      id_personal: f.id_personal,
+      estados,
+      total_atenciones: estados.reduce((acc, e) => acc + e.cantidad, 0)
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Error al generar reporte de atenciones', error: error.message });
+  }
+});
+
+router.get('/top-servicios', async (req, res) => {
+  try {
+    const f = parseFiltros(req.query);
+    if (!f.ok) return res.status(400).json({ message: f.message });
+
+    const limite = parseLimite(req.query.limite);
+    if (limite == null) return res.status(400).json({ message: 'limite debe ser un entero entre 1 y 100' });
+
+    const [rows] = await pool.query(
+      `SELECT s.id_servicio, s.nombre,
+              COUNT(*) AS cantidad,
+              COALESCE(SUM(ats.precio_aplicado), 0) AS total
+       FROM atencion_servicio ats
+       JOIN atencion a ON a.id_atencion = ats.id_atencion
+       JOIN servicio s ON s.id_servicio = ats.id_servicio
+       WHERE a.estado_atencion = 'realizada'
+         AND a.fecha_inicio >= ? AND a.fecha_inicio < ?
+         ${f.id_personal ? 'AND a.id_personal = ?' : ''}
+       GROUP BY s.id_servicio, s.nombre
+       ORDER BY cantidad DESC, total DESC
+       LIMIT ?`,
+      [f.desde, f.hastaSql, ...(f.id_personal ? [f.id_personal] : []), limite]
+    );
+
+    res.json({
+      desde: f.desde,
+      hasta: f.hasta,
+      id_personal: f.id_personal,
+      servicios: rows.map((r) => ({ ...r, cantidad: Number(r.cantidad), total: Number(r.total) }))
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Error al generar reporte de servicios', error: error.message });
+  }
+});
+
+// Unidades netas de devoluciones, igual que la sugerencia de reposición.
+router.get('/top-productos', async (req, res) => {
+  try {
+    const f = parseFiltros(req.query);
+    if (!f.ok) return res.status(400).json({ message: f.message });
+
+    const limite = parseLimite(req.query.limite);
+    if (limite == null) return res.status(400).json({ message: 'limite debe ser un entero entre 1 y 100' });
+
+    const [rows] = await pool.query(
+      `SELECT p.id_producto, p.nombre, p.marca,
+              SUM(dv.cantidad - COALESCE(dd.devuelto, 0)) AS cantidad,
+              SUM((dv.cantidad - COALESCE(dd.devuelto, 0)) * dv.precio_unitario) AS total
+       FROM detalle_venta dv
+       JOIN venta v ON v.id_venta = dv.id_venta
+       JOIN producto p ON p.id_producto = dv.id_producto
+       LEFT JOIN (
+         SELECT id_detalle, SUM(cantidad) AS devuelto
+         FROM devolucion_venta_detalle
+         GROUP BY id_detalle
+       ) dd ON dd.id_detalle = dv.id_detalle
+       WHERE v.estado_venta = 'vigente'
+         AND v.fecha >= ? AND v.fecha < ?
+         ${f.id_personal ? 'AND v.id_personal = ?' : ''}
+       GROUP BY p.id_producto, p.nombre, p.marca
+       HAVING cantidad > 0
+       ORDER BY cantidad DESC, total DESC
+       LIMIT ?`,
+      [f.desde, f.hastaSql, ...(f.id_personal ? [f.id_personal] : []), limite]
+    );
+
+    res.json({
+      desde: f.desde,
+      hasta: f.hasta,
+      id_personal: f.id_personal,
+      productos: rows.map((r) => ({ ...r, cantidad: Number(r.cantidad), total: Number(r.total) }))
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Error al generar reporte de productos', error: error.message });
+  }
+});
+
+// Monto cedido en promociones y cupones, por promoción y origen. Cuenta solo
+// ventas vigentes y atenciones realizadas, por la fecha del documento.
+router.get('/descuentos', async (req, res) => {
+  try {
+    const f = parseFiltros(req.query);
+    if (!f.ok) return res.status(400).json({ message: f.message });
+
+    const [rows] = await pool.query(
+      `SELECT pm.id_promocion, pm.nombre, pm.codigo_cupon, pu.origen,
+              COUNT(*) AS documentos,
+              COALESCE(SUM(pu.monto_descuento), 0) AS monto_descuento
+       FROM promocion_uso pu
+       JOIN promocion pm ON pm.id_promocion = pu.id_promocion
+       LEFT JOIN venta v ON pu.origen = 'venta' AND v.id_venta = pu.id_documento
+       LEFT JOIN atencion a ON pu.origen = 'atencion' AND a.id_atencion = pu.id_documento
+       WHERE (
+           (pu.origen = 'venta' AND v.estado_venta = 'vigente' AND v.fecha >= ? AND v.fecha < ?
+            ${f.id_personal ? 'AND v.id_personal = ?' : ''})
+        OR (pu.origen = 'atencion' AND a.estado_atencion = 'realizada' AND a.fecha_inicio >= ? AND a.fecha_inicio < ?
+            ${f.id_personal ? 'AND a.id_personal = ?' : ''})
+       )
+       GROUP BY pm.id_promocion, pm.nombre, pm.codigo_cupon, pu.origen
+       ORDER BY monto_descuento DESC`,
+      [
+        f.desde, f.hastaSql, ...(f.id_personal ? [f.id_personal] : []),
+        f.desde, f.hastaSql, ...(f.id_personal ? [f.id_personal] : [])
+      ]
+    );
+
+    const promociones = rows.map((r) => ({
+      ...r,
+      documentos: Number(r.documentos),
+      monto_descuento: Number(r.monto_descuento)
+    }));
+    const totalPor = (origen) => Math.round(
+      promociones.filter((r) => r.origen === origen).reduce((acc, r) => acc + r.monto_descuento, 0) * 100
+    ) / 100;
+
+    res.json({
+      desde: f.desde,
+      hasta: f.hasta,
+      id_personal: f.id_personal,
+      total_ventas: totalPor('venta'),
+      total_atenciones: totalPor('atencion'),
+      total: Math.round((totalPor('venta') + totalPor('atencion')) * 100) / 100,
+      promociones
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Error al generar reporte de descuentos', error: error.message });
+  }
+});
+
+// Ocupación = minutos agendados (atención + traslado) / minutos disponibles
+// según la jornada semanal, descontando descansos y ausencias.
+router.get('/ocupacion', async (req, res) => {
+  const conn = await pool.getConnection();
+  try {
+    const f = parseFiltros(req.query);
+    if (!f.ok) return res.status(400).json({ message: f.message });
+
+    const [personal] = await conn.query(
+      `SELECT DISTINCT p.id_personal, p.nombre, p.apellido
+       FROM personal p
+       INNER JOIN rol_personal rp ON rp.id_personal = p.id_personal
+       INNER JOIN rol r ON r.id_rol = rp.id_rol
+       WHERE r.nombre = 'masoterapeuta'
+         ${f.id_personal ? 'AND p.id_personal = ?' : 'AND p.activo = 1'}
+       ORDER BY p.id_personal ASC`,
+      f.id_personal ? [f.id_personal] : []
+    );
+
+    if (f.id_personal && personal.length === 0) {
+      return res.status(404).json({ message: 'Masoterapeuta no encontrada' });
+    }
+
+    const resultado = [];
+    for (const p of personal) {
+      const [agendadas] = await conn.query(
+        `SELECT COUNT(*) AS cantidad,
+                COALESCE(SUM(TIMESTAMPDIFF(MINUTE, fecha_inicio, fecha_fin)), 0) AS minutos_atencion,
+                COALESCE(SUM(traslado_min), 0) AS minutos_traslado
+         FROM atencion
+         WHERE id_personal = ?
+           AND estado_atencion NOT IN (?)
+           AND fecha_inicio >= ? AND fecha_inicio < ?`,
+        [p.id_personal, ESTADOS_NO_OCUPAN, f.desde, f.hastaSql]
+      );
+
+      const [tramos] = await conn.query(
+        `SELECT tipo, dia_semana, hora_inicio, hora_fin
+         FROM horario_personal
+         WHERE id_personal = ?`,
+        [p.id_personal]
+      );
+
+      const [ausencias] = await conn.query(
+        `SELECT fecha_inicio, fecha_fin
+         FROM ausencia_personal
+         WHERE id_personal = ?
+           AND fecha_fin > ? AND fecha_inicio < ?`,
+        [p.id_personal, f.desde, f.hastaSql]
+      );
+
+      const minutosAtencion = Number(agendadas[0].minutos_atencion);
+      const minutosTraslado = Number(agendadas[0].minutos_traslado);
+      const minutosAgendados = minutosAtencion + minutosTraslado;
+      const minutosDisponibles = calcularMinutosDisponibles({
+        desdeDia: f.desdeDia,
+        hastaExclusive: f.hastaExclusive,
+        tramos,
+        ausencias
+      });
+
+      resultado.push({
+        id_personal: p.id_personal,
+        nombre: p.nombre,
+        apellido: p.apellido,
+        atenciones: Number(agendadas[0].cantidad),
+        minutos_atencion: minutosAtencion,
+        minutos_traslado: minutosTraslado,
+        minutos_agendados: minutosAgendados,
+        minutos_disponibles: minutosDisponibles,
+        ocupacion: minutosDisponibles
+          ? Math.round((minutosAgendados / minutosDisponibles) * 10000) / 100
+          : null
+      });
+    }
+
+    res.json({ desde: f.desde, hasta: f.hasta, personal: resultado });
+  } catch (error) {
+    res.status(500).json({ message: 'Error al generar reporte de ocupación', error: error.message });
+  } finally {
+    conn.release();
+  }
+});
+
+module.exports = router;
@@ -2,6 +2,8 @@ const express = require('express');
 const router = express.Router();
 const pool = require('../config/db');
 const { auth, requireRole } = require('../middlewares/auth');
+const { CONDICIONES_FICHA } = require('../utils/fichaClinica');
+const { registrarPrecio, fetchHistorialPrecios } = require('../utils/precios');
 
 router.use(auth);
 router.use(requireRole('masoterapeuta', 'administradora'));
@@ -9,7 +11,7 @@ router.use(requireRole('masoterapeuta', 'administradora'));
 router.get('/', async (req, res) => {
   try {
     const [rows] = await pool.query(
-      `SELECT id_servicio, nombre, duracion_min, precio_base, activo
+      `SELECT id_servicio, nombre, duracion_min, precio_base, categoria, activo
        FROM servicio
        ORDER BY id_servicio DESC`
     );
@@ -22,7 +24,7 @@ router.get('/', async (req, res) => {
 router.get('/todos', async (req, res) => {
   try {
     const [rows] = await pool.query(
-      `SELECT id_servicio, nombre, duracion_min, precio_base, activo
+      `SELECT id_servicio, nombre, duracion_min, precio_base, categoria, activo
        FROM servicio
        ORDER BY id_servicio DESC`
     );
@@ -36,22 +38,29 @@ router.get('/:id', async (req, res) => {
   try {
     const { id } = req.params;
     const [rows] = await pool.query(
-      `SELECT id_servicio, nombre, duracion_min, precio_base, activo
+      `SELECT id_servicio, nombre, duracion_min, precio_base, categoria, activo
        FROM servicio
        WHERE id_servicio = ?`,
       [id]
     );
 
     if (rows.length === 0) return res.status(404).json({ message: 'Servicio no encontrado' });
-    res.json(rows[0]);
+
+    const [contraindicaciones] = await pool.query(
+      `SELECT condicion FROM servicio_contraindicacion WHERE id_servicio = ? ORDER BY condicion ASC`,
+      [id]
+    );
+
+    res.json({ ...rows[0], contraindicaciones: contraindicaciones.map((c) => c.condicion) });
   } catch (error) {
     res.status(500).json({ message: 'Error al obtener servicio', error: error.message });
   }
 });
 
 router.post('/', async (req, res) => {
+  const conn = await pool.getConnection();
   try {
-    const { nombre, duracion_min, precio_base } = req.body;
+    const { nombre, duracion_min, precio_base, categoria } = req.body;
 
     if (!nombre || !duracion_min || !precio_base) {
       return res.status(400).json({
@@ -59,25 +68,41 @@ router.post('/', async (req, res) => {
       });
     }
 
-    const [result] = await pool.query(
-      `INSERT INTO servicio (nombre, duracion_min, precio_base, activo)
-       VALUES (?, ?, ?, 1)`,
-      [nombre, duracion_min, precio_base]
+    await conn.beginTransaction();
+
+    const [result] = await conn.query(
+      `INSERT INTO servicio (nombre, duracion_min, precio_base, categoria, activo)
+       VALUES (?, ?, ?, ?, 1)`,
+      [nombre, duracion_min, precio_base, categoria ? String(categoria).trim() : null]
     );
 
+    await registrarPrecio(conn, {
+      ambito: 'servicio',
+      id_item: result.insertId,
+      precio: precio_base,
+      motivo: 'Precio inicial',
+      id_personal: req.user?.id_personal
+    });
+
+    await conn.commit();
+
     res.status(201).json({
       message: 'Servicio creado',
       id_servicio: result.insertId
     });
   } catch (error) {
+    try { await conn.rollback(); } catch {}
     res.status(500).json({ message: 'Error al crear servicio', error: error.message });
+  } finally {
+    conn.release();
   }
 });
 
 router.put('/:id', async (req, res) => {
+  const conn = await pool.getConnection();
   try {
     const { id } = req.params;
-    const { nombre, duracion_min, precio_base } = req.body;
+    const { nombre, duracion_min, precio_base, categoria, motivo } = req.body;
 
     const fields = [];
     const values = [];
@@ -85,25 +110,71 @@ router.put('/:id', async (req, res) => {
     if (nombre !== undefined) { fields.push('nombre = ?'); values.push(nombre); }
     if (duracion_min !== undefined) { fields.push('duracion_min = ?'); values.push(duracion_min); }
     if (precio_base !== undefined) { fields.push('precio_base = ?'); values.push(precio_base); }
+    if (categoria !== undefined) { fields.push('categoria = ?'); values.push(categoria ? String(categoria).trim() : null); }
 
     if (fields.length === 0) {
       return res.status(400).json({ message: 'No se enviaron campos para actualizar' });
     }
 
+    if (precio_base !== undefined && (precio_base === null || precio_base === '' || !Number.isFinite(Number(precio_base)) || Number(precio_base) < 0)) {
+      return res.status(400).json({ message: 'precio_base debe ser un número >= 0' });
+    }
+
+    await conn.beginTransaction();
+
+    const [rows] = await conn.query(
+      `SELECT id_servicio, precio_base FROM servicio WHERE id_servicio = ? FOR UPDATE`,
+      [id]
+    );
+
+    if (rows.length === 0) {
+      await conn.rollback();
+      return res.status(404).json({ message: 'Servicio no encontrado' });
+    }
+
     values.push(id);
 
-    const [result] = await pool.query(
+    await conn.query(
       `UPDATE servicio SET ${fields.join(', ')} WHERE id_servicio = ?`,
       values
     );
 
-    if (result.affectedRows === 0) {
-      return res.status(404).json({ message: 'Servicio no encontrado' });
+    // Solo un cambio real de precio abre un nuevo tramo en el historial.
+    if (precio_base !== undefined && Number(precio_base) !== Number(rows[0].precio_base)) {
+      await registrarPrecio(conn, {
+        ambito: 'servicio',
+        id_item: id,
+        precio: precio_base,
+        motivo: String(motivo || '').trim() || null,
+        id_personal: req.user?.id_personal
+      });
     }
 
+    await conn.commit();
+
     res.json({ message: 'Servicio actualizado correctamente' });
   } catch (error) {
+    try { await conn.rollback(); } catch {}
     res.status(500).json({ message: 'Error al actualizar servicio', error: error.message });
+  } finally {
+    conn.release();
+  }
+});
+
+router.get('/:id/precios', async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const [rows] = await pool.query(
+      `SELECT id_servicio, nombre, precio_base FROM servicio WHERE id_servicio = ?`,
+      [id]
+    );
+    if (rows.length === 0) return res.status(404).json({ message: 'Servicio no encontrado' });
+
+    const historial = await fetchHistorialPrecios(pool, 'servicio', id);
+    res.json({ ...rows[0], historial });
+  } catch (error) {
+    res.status(500).json({ message: 'Error al obtener historial de precios', error: error.message });
   }
 });
 
@@ -147,4 +218,43 @@ router.put('/:id/activar', async (req, res) => {
   }
 });
 
+// Reemplaza la lista de condiciones de la ficha clínica que contraindican el servicio.
+router.put('/:id/contraindicaciones', async (req, res) => {
+  const conn = await pool.getConnection();
+  try {
+    const { id } = req.params;
+    const { condiciones } = req.body;
+
+    if (!Array.isArray(condiciones)) {
+      return res.status(400).json({ message: 'condiciones debe ser un arreglo' });
+    }
+    const invalida = condiciones.find((c) => !CONDICIONES_FICHA.includes(c));
+    if (invalida !== undefined) {
+      return res.status(400).json({ message: `Condición inválida. Usa: ${CONDICIONES_FICHA.join(', ')}` });
+    }
+
+    const [rows] = await conn.query(`SELECT id_servicio FROM servicio WHERE id_servicio = ?`, [id]);
+    if (rows.length === 0) return res.status(404).json({ message: 'Servicio no encontrado' });
+
+    const unicas = [...new Set(condiciones)];
+
+    await conn.beginTransaction();
+    await conn.query(`DELETE FROM servicio_contraindicacion WHERE id_servicio = ?`, [id]);
+    for (const c of unicas) {
+      await conn.query(
+        `INSERT INTO servicio_contraindicacion (id_servicio, condicion) VALUES (?, ?)`,
+        [id, c]
+      );
+    }
+    await conn.commit();
+
+    res.json({ message: 'Contraindicaciones actualizadas', contraindicaciones: unicas });
+  } catch (error) {
+    try { await conn.rollback(); } catch {}
+    res.status(500).json({ message: 'Error al actualizar contraindicaciones', error: error.message });
+  } finally {
+    conn.release();
+  }
+});
+
 module.exports = router;
\ No newline at end of file
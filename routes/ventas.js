@@ -2,24 +2,270 @@ const express = require('express');
 const router = express.Router();
 const pool = require('../config/db');
 const { auth, requireRole } = require('../middlewares/auth');
+const { resumirPagos, totalPagadoVenta, recalcularEstadoPagoVenta } = require('../utils/pagos');
+const { resolverCajaParaPago } = require('../utils/caja');
+const { moverStock, stockVendible } = require('../utils/inventario');
+const { evaluarPromociones, registrarUsosPromocion, liberarUsosPromocion } = require('../utils/promociones');
+const { asociarLineasExistentes, autorizarPreciosModificados } = require('../utils/precios');
+const { tasaIva, actualizarDesgloseIva } = require('../utils/iva');
+const { datosEmpresa, fetchComprobante, fetchFoliosEmitidos, emitirComprobante, renderComprobanteHtml } = require('../utils/comprobantes');
+const { fetchDte, fetchFoliosDte, emitirBoleta, responderDte } = require('../utils/dte');
+const { emitirGiftcards, prepararGiftcardPago, aplicarGiftcardPago, esLineaGiftcard, anularGiftcardsDetalle } = require('../utils/giftcards');
+const {
+  parsePaginacion,
+  parseOrden,
+  parseRangoFechas,
+  parseIdFiltro,
+  parseListaFiltro,
+  agregarBusqueda,
+  responderListado,
+  limitSql,
+  limitParams
+} = require('../utils/listado');
 
 router.use(auth);
 router.use(requireRole('vendedora', 'administradora'));
 
+async function fetchCantidadesDevueltas(conn, id_venta) {
+  const [rows] = await conn.query(
+    `
+    SELECT dd.id_detalle, COALESCE(SUM(dd.cantidad), 0) AS cantidad_devuelta
+    FROM devolucion_venta_detalle dd
+    JOIN devolucion_venta d ON d.id_devolucion = dd.id_devolucion
+    WHERE d.id_venta = ?
+    GROUP BY dd.id_detalle
+    `,
+    [id_venta]
+  );
+
+  const map = new Map();
+  rows.forEach((r) => map.set(Number(r.id_detalle), Number(r.cantidad_devuelta)));
+  return map;
+}
+
+// Repone una línea de venta en los lotes de donde salió. Lo que no tenga lote
+// registrado (ventas anteriores al control por lote) entra como lote nuevo.
+// Las líneas de giftcard no tienen stock: se anulan sus tarjetas sin usar.
+async function reponerLineaVenta(conn, { id_detalle, id_producto, cantidad, tipo, id_venta, motivo, id_personal }) {
+  if (await esLineaGiftcard(conn, id_detalle)) {
+    return anularGiftcardsDetalle(conn, { id_detalle, cantidad: Number(cantidad), motivo, id_personal });
+  }
+
+  const [consumidos] = await conn.query(
+    `SELECT id_lote, cantidad - cantidad_devuelta AS pendiente
+     FROM detalle_venta_lote
+     WHERE id_detalle = ? AND cantidad > cantidad_devuelta
+     ORDER BY id_lote DESC
+     FOR UPDATE`,
+    [id_detalle]
+  );
+
+  const lotes = [];
+  let restante = Number(cantidad);
+  for (const c of consumidos) {
+    if (restante <= 0) break;
+    const q = Math.min(restante, Number(c.pendiente));
+    lotes.push({ id_lote: c.id_lote, cantidad: q });
+    restante -= q;
+  }
+
+  for (const l of lotes) {
+    await conn.query(
+      `UPDATE detalle_venta_lote SET cantidad_devuelta = cantidad_devuelta + ? WHERE id_detalle = ? AND id_lote = ?`,
+      [l.cantidad, id_detalle, l.id_lote]
+    );
+  }
+
+  const base = { id_producto, tipo, documento_tipo: 'venta', id_documento: id_venta, motivo, id_personal };
+  if (lotes.length > 0) {
+    await moverStock(conn, { ...base, cantidad: Number(cantidad) - restante, lotes });
+  }
+  if (restante > 0) {
+    await moverStock(conn, { ...base, cantidad: restante });
+  }
+  return { ok: true };
+}
+
+async function registrarLotesDetalle(conn, id_detalle, lotes) {
+  if (!lotes || lotes.length === 0) return;
+  await conn.query(
+    `INSERT INTO detalle_venta_lote (id_detalle, id_lote, cantidad) VALUES ?`,
+    [lotes.map((l) => [id_detalle, l.id_lote, l.cantidad])]
+  );
+}
+
+// Repone stock, deja registro de las líneas devueltas y calcula lo que se le
+// adeuda a la clienta. Si viene medio_pago, el reembolso se registra como
+// devolución en pago_venta y queda enlazado (con giftcard, se reintegra a la
+// tarjeta de codigo_giftcard). Debe ejecutarse en transacción con la venta
+// bloqueada.
+async function procesarDevolucion(conn, { venta, lineas, tipo, motivo, medio_pago, codigo_giftcard, id_caja, id_personal }) {
+  let monto = 0;
+
+  for (const l of lineas) {
+    const repuesta = await reponerLineaVenta(conn, {
+      id_detalle: l.id_detalle,
+      id_producto: l.id_producto,
+      cantidad: l.cantidad,
+      tipo,
+      id_venta: venta.id_venta,
+      motivo,
+      id_personal
+    });
+    if (!repuesta.ok) return repuesta;
+    monto += l.cantidad * Number(l.precio_unitario);
+  }
+
+  const totalDevuelto = Number(venta.total_devuelto) + monto;
+  const totalNeto = Number(venta.total) - totalDevuelto;
+
+  await conn.query(
+    `UPDATE venta SET total_devuelto = ? WHERE id_venta = ?`,
+    [totalDevuelto, venta.id_venta]
+  );
+
+  const pagado = await totalPagadoVenta(conn, venta.id_venta);
+  const reembolso = Math.min(monto, Math.max(0, pagado - totalNeto));
+
+  let id_pago_reembolso = null;
+  if (medio_pago && reembolso > 0) {
+    const gc = await prepararGiftcardPago(conn, { medio_pago, codigo_giftcard, monto: reembolso, tipo: 'devolucion' });
+    if (!gc.ok) return gc;
+
+    const [insPago] = await conn.query(
+      `INSERT INTO pago_venta (id_venta, monto, medio_pago, tipo, motivo, registrado_por, id_caja, id_giftcard)
+       VALUES (?, ?, ?, 'devolucion', ?, ?, ?, ?)`,
+      [venta.id_venta, reembolso, medio_pago, motivo, id_personal || null, id_caja, gc.giftcard?.id_giftcard || null]
+    );
+    id_pago_reembolso = insPago.insertId;
+
+    await aplicarGiftcardPago(conn, {
+      giftcard: gc.giftcard,
+      tipo: 'devolucion',
+      monto: reembolso,
+      origen: 'venta',
+      id_documento: venta.id_venta,
+      id_pago: id_pago_reembolso,
+      id_personal
+    });
+  }
+
+  const [insDev] = await conn.query(
+    `INSERT INTO devolucion_venta (id_venta, tipo, motivo, monto, reembolso_adeudado, id_pago_reembolso, id_personal)
+     VALUES (?, ?, ?, ?, ?, ?, ?)`,
+    [venta.id_venta, tipo, motivo, monto, reembolso, id_pago_reembolso, id_personal || null]
+  );
+
+  const id_devolucion = insDev.insertId;
+
+  for (const l of lineas) {
+    await conn.query(
+      `INSERT INTO devolucion_venta_detalle (id_devolucion, id_detalle, id_producto, cantidad, precio_unitario)
+       VALUES (?, ?, ?, ?, ?)`,
+      [id_devolucion, l.id_detalle, l.id_producto, l.cantidad, l.precio_unitario]
+    );
+  }
+
+  // Sin nada por cobrar ni cobrado (p. ej. anular una venta impaga) el estado
+  // de pago queda como estaba: calcularEstadoPago(0, 0) la daría por pagada.
+  let totalPagado = 0;
+  let estado_pago;
+  if (totalNeto <= 0 && pagado === 0) {
+    const [estadoRows] = await conn.query(`SELECT estado_pago FROM venta WHERE id_venta = ?`, [venta.id_venta]);
+    estado_pago = estadoRows[0].estado_pago;
+  } else {
+    ({ totalPagado, estado_pago } = await recalcularEstadoPagoVenta(conn, venta.id_venta, totalNeto));
+  }
+
+  return {
+    ok: true,
+    id_devolucion,
+    monto,
+    totalNeto,
+    totalPagado,
+    estado_pago,
+    reembolso: {
+      monto: reembolso,
+      id_pago: id_pago_reembolso,
+      pendiente: id_pago_reembolso ? 0 : reembolso
+    }
+  };
+}
+
 router.get('/', async (req, res) => {
   try {
+    const paginacion = parsePaginacion(req.query);
+    if (!paginacion.ok) return res.status(400).json({ message: paginacion.message });
+
+    const orden = parseOrden(req.query.sort, {
+      fecha: 'v.fecha',
+      total: 'v.total',
+      id_venta: 'v.id_venta'
+    }, 'v.id_venta DESC');
+    if (!orden.ok) return res.status(400).json({ message: orden.message });
+
+    const rango = parseRangoFechas(req.query);
+    if (!rango.ok) return res.status(400).json({ message: rango.message });
+
+    const clienta = parseIdFiltro(req.query.id_clienta, 'id_clienta');
+    if (!clienta.ok) return res.status(400).json({ message: clienta.message });
+    const personal = parseIdFiltro(req.query.id_personal, 'id_personal');
+    if (!personal.ok) return res.status(400).json({ message: personal.message });
+
+    const estados = parseListaFiltro(req.query.estado_venta, 'estado_venta', ['vigente', 'anulada']);
+    if (!estados.ok) return res.status(400).json({ message: estados.message });
+    const estadosPago = parseListaFiltro(req.query.estado_pago, 'estado_pago', ['pendiente', 'parcial', 'pagado']);
+    if (!estadosPago.ok) return res.status(400).json({ message: estadosPago.message });
+
+    const where = [];
+    const params = [];
+
+    if (rango.desde) {
+      where.push('v.fecha >= ?');
+      params.push(rango.desde);
+    }
+    if (rango.hasta) {
+      where.push('v.fecha < DATE_ADD(?, INTERVAL 1 DAY)');
+      params.push(rango.hasta);
+    }
+    if (clienta.id) {
+      where.push('v.id_clienta = ?');
+      params.push(clienta.id);
+    }
+    if (personal.id) {
+      where.push('v.id_personal = ?');
+      params.push(personal.id);
+    }
+    if (estados.valores.length) {
+      where.push('v.estado_venta IN (?)');
+      params.push(estados.valores);
+    }
+    if (estadosPago.valores.length) {
+      where.push('v.estado_pago IN (?)');
+      params.push(estadosPago.valores);
+    }
+    agregarBusqueda(where, params, req.query.q, ['c.nombre', 'c.apellido', 'p.nombre', 'p.apellido']);
+
+    const from = `
+      FROM venta v
+      JOIN clienta c ON c.id_clienta = v.id_clienta
+      JOIN personal p ON p.id_personal = v.id_personal
+      ${where.length ? `WHERE ${where.join(' AND ')}` : ''}
+    `;
+
+    const [countRows] = await pool.query(`SELECT COUNT(*) AS total ${from}`, params);
+
     const [rows] = await pool.query(`
       SELECT 
-        v.id_venta, v.fecha, v.total, v.estado_pago,
+        v.id_venta, v.fecha, v.total, v.estado_pago, v.estado_venta, v.total_devuelto,
         c.id_clienta, c.nombre AS clienta_nombre, c.apellido AS clienta_apellido,
         p.id_personal, p.nombre AS personal_nombre, p.apellido AS personal_apellido
-      FROM venta v
-      JOIN clienta c ON c.id_clienta = v.id_clienta
-      JOIN personal p ON p.id_personal = v.id_personal
-      ORDER BY v.id_venta DESC
-    `);
+      ${from}
+      ORDER BY ${orden.sql}, v.id_venta DESC
+      ${limitSql(paginacion)}
+    `, [...params, ...limitParams(paginacion)]);
 
-    res.json(rows);
+    responderListado(res, { rows, total: Number(countRows[0].total), paginacion });
   } catch (error) {
     res.status(500).json({ message: 'Error al obtener ventas', error: error.message });
   }
@@ -33,7 +279,8 @@ router.get('/:id', async (req, res) => {
     const [ventaRows] = await conn.query(
       `
       SELECT 
-        v.id_venta, v.id_clienta, v.id_personal, v.fecha, v.total, v.estado_pago,
+        v.id_venta, v.id_clienta, v.id_personal, v.fecha, v.total, v.exento, v.neto, v.iva, v.tasa_iva, v.estado_pago,
+        v.estado_venta, v.total_devuelto, v.motivo_anulacion, v.fecha_anulacion, v.codigo_cupon, v.descuento_total,
         c.nombre AS clienta_nombre, c.apellido AS clienta_apellido, c.telefono AS clienta_telefono,
         c.email AS clienta_email, c.direccion AS clienta_direccion,
         p.nombre AS personal_nombre, p.apellido AS personal_apellido
@@ -54,7 +301,8 @@ router.get('/:id', async (req, res) => {
     const [items] = await conn.query(
       `
       SELECT 
-        dv.id_detalle, dv.id_producto, dv.cantidad, dv.precio_unitario,
+        dv.id_detalle, dv.id_producto, dv.cantidad, dv.precio_lista, dv.descuento, dv.id_promocion,
+        dv.precio_unitario, dv.costo_unitario, dv.precio_modificado_por, dv.motivo_precio,
         pr.nombre AS producto_nombre, pr.marca AS producto_marca
       FROM detalle_venta dv
       JOIN producto pr ON pr.id_producto = dv.id_producto
@@ -66,7 +314,7 @@ router.get('/:id', async (req, res) => {
 
     const [pagos] = await conn.query(
       `
-      SELECT id_pago, id_venta, monto, medio_pago, fecha
+      SELECT id_pago, id_venta, monto, medio_pago, fecha, tipo, motivo, anulado, motivo_anulacion
       FROM pago_venta
       WHERE id_venta = ?
       ORDER BY fecha ASC
@@ -74,18 +322,52 @@ router.get('/:id', async (req, res) => {
       [id]
     );
 
-    const totalVenta = Number(venta.total);
-    const totalPagado = pagos.reduce((acc, p) => acc + Number(p.monto), 0);
+    const devueltas = await fetchCantidadesDevueltas(conn, id);
+    items.forEach((it) => {
+      it.cantidad_devuelta = devueltas.get(Number(it.id_detalle)) || 0;
+    });
+
+    const [devoluciones] = await conn.query(
+      `
+      SELECT d.id_devolucion, d.tipo, d.motivo, d.monto, d.reembolso_adeudado, d.id_pago_reembolso,
+             d.id_personal, d.fecha,
+             COALESCE(
+               (SELECT JSON_ARRAYAGG(JSON_OBJECT('id_detalle', dd.id_detalle, 'id_producto', dd.id_producto,
+                                                 'cantidad', dd.cantidad, 'precio_unitario', dd.precio_unitario))
+                FROM devolucion_venta_detalle dd
+                WHERE dd.id_devolucion = d.id_devolucion),
+               JSON_ARRAY()
+             ) AS lineas
+      FROM devolucion_venta d
+      WHERE d.id_venta = ?
+      ORDER BY d.fecha ASC
+      `,
+      [id]
+    );
+
+    const [giftcards] = await conn.query(
+      `SELECT id_giftcard, codigo, id_detalle, saldo_inicial, saldo, estado, fecha_vencimiento
+       FROM giftcard
+       WHERE id_venta = ?
+       ORDER BY id_giftcard ASC`,
+      [id]
+    );
+
+    const totalVenta = Number(venta.total) - Number(venta.total_devuelto || 0);
+    const totalPagado = resumirPagos(pagos);
     const saldo = Math.max(totalVenta - totalPagado, 0);
 
     res.json({
       ...venta,
       items,
       pagos,
+      devoluciones,
+      giftcards,
       resumenPago: {
         totalVenta,
         totalPagado,
-        saldo
+        saldo,
+        saldoAFavor: Math.max(totalPagado - totalVenta, 0)
       }
     });
 
@@ -96,10 +378,251 @@ router.get('/:id', async (req, res) => {
   }
 });
 
+const FORMATOS_COMPROBANTE = ['html', 'json'];
+
+// Comprobante imprimible (HTML, o ?formato=json con los mismos datos). La
+// primera impresión asigna el folio; una venta anulada solo se reimprime si ya
+// lo tenía.
+router.get('/:id/comprobante', async (req, res) => {
+  const conn = await pool.getConnection();
+  try {
+    const { id } = req.params;
+    const formato = req.query.formato || 'html';
+
+    if (!FORMATOS_COMPROBANTE.includes(formato)) {
+      return res.status(400).json({ message: `formato debe ser uno de: ${FORMATOS_COMPROBANTE.join(', ')}` });
+    }
+
+    const [ventaRows] = await conn.query(
+      `SELECT v.id_venta, v.fecha, v.total, v.exento, v.neto, v.iva, v.tasa_iva, v.descuento_total, v.total_devuelto,
+              v.estado_venta,
+              c.nombre AS clienta_nombre, c.apellido AS clienta_apellido,
+              p.nombre AS personal_nombre, p.apellido AS personal_apellido
+       FROM venta v
+       JOIN clienta c ON c.id_clienta = v.id_clienta
+       JOIN personal p ON p.id_personal = v.id_personal
+       WHERE v.id_venta = ?`,
+      [id]
+    );
+    if (ventaRows.length === 0) return res.status(404).json({ message: 'Venta no encontrada' });
+
+    const venta = ventaRows[0];
+    const anulada = venta.estado_venta === 'anulada';
+
+    await conn.beginTransaction();
+    const comprobante = anulada
+      ? await fetchComprobante(conn, 'venta', Number(id))
+      : await emitirComprobante(conn, { origen: 'venta', id_documento: Number(id), id_personal: req.user?.id_personal });
+    await conn.commit();
+
+    if (!comprobante) {
+      return res.status(409).json({ message: 'La venta está anulada y no tiene comprobante emitido' });
+    }
+
+    const [items] = await conn.query(
+      `SELECT dv.cantidad, dv.precio_lista, dv.descuento, dv.precio_unitario,
+              pr.nombre AS producto_nombre, pr.marca AS producto_marca
+       FROM detalle_venta dv
+       JOIN producto pr ON pr.id_producto = dv.id_producto
+       WHERE dv.id_venta = ?
+       ORDER BY dv.id_detalle ASC`,
+      [id]
+    );
+
+    const [pagos] = await conn.query(
+      `SELECT fecha, monto, medio_pago, tipo, anulado
+       FROM pago_venta
+       WHERE id_venta = ? AND anulado = 0
+       ORDER BY fecha ASC`,
+      [id]
+    );
+
+    const devuelto = Number(venta.total_devuelto || 0);
+    const pagado = resumirPagos(pagos);
+
+    const datos = {
+      titulo: 'Comprobante de venta',
+      folio: comprobante.folio,
+      fecha_emision: comprobante.fecha_emision,
+      empresa: datosEmpresa(),
+      documento: { etiqueta: `Venta N° ${venta.id_venta}`, fecha: venta.fecha },
+      cliente: [venta.clienta_nombre, venta.clienta_apellido].filter(Boolean).join(' '),
+      atendido_por: [venta.personal_nombre, venta.personal_apellido].filter(Boolean).join(' '),
+      anulado: anulada ? 'ANULADO' : null,
+      lineas: items.map((it) => ({
+        descripcion: [it.producto_nombre, it.producto_marca].filter(Boolean).join(' - '),
+        detalle: Number(it.descuento) > 0 ? `Precio lista ${it.precio_lista}, descuento ${it.descuento} c/u` : null,
+        cantidad: Number(it.cantidad),
+        precio_unitario: Number(it.precio_unitario),
+        subtotal: Math.round(Number(it.cantidad) * Number(it.precio_unitario) * 100) / 100
+      })),
+      totales: {
+        descuento: Number(venta.descuento_total || 0),
+        exento: Number(venta.exento),
+        neto: Number(venta.neto),
+        iva: Number(venta.iva),
+        tasa_iva: Number(venta.tasa_iva),
+        total: Number(venta.total)
+      },
+      pagos: pagos.map((p) => ({ fecha: p.fecha, medio_pago: p.medio_pago, tipo: p.tipo, monto: Number(p.monto) })),
+      resumen: {
+        devuelto,
+        pagado,
+        saldo: Math.max(Number(venta.total) - devuelto - pagado, 0)
+      }
+    };
+
+    if (formato === 'json') return res.json(datos);
+    res.type('html').send(renderComprobanteHtml(datos));
+  } catch (error) {
+    try { await conn.rollback(); } catch {}
+    res.status(500).json({ message: 'Error al generar comprobante', error: error.message });
+  } finally {
+    conn.release();
+  }
+});
+
+const FORMATOS_DTE = ['xml', 'json'];
+
+// Genera la boleta electrónica (DTE 39) de una venta vigente y pagada. Cada
+// venta tiene a lo más una boleta. Las unidades devueltas no se boletean, ni
+// las giftcards: son un anticipo y el IVA se cobra en la venta donde se canjean.
+router.post('/:id/dte', async (req, res) => {
+  const conn = await pool.getConnection();
+  try {
+    const { id } = req.params;
+
+    await conn.beginTransaction();
+
+    const [ventaRows] = await conn.query(
+      `SELECT id_venta, estado_venta, estado_pago, tasa_iva FROM venta WHERE id_venta = ? FOR UPDATE`,
+      [id]
+    );
+    if (ventaRows.length === 0) {
+      await conn.rollback();
+      return res.status(404).json({ message: 'Venta no encontrada' });
+    }
+
+    const venta = ventaRows[0];
+    if (venta.estado_venta !== 'vigente' || venta.estado_pago !== 'pagado') {
+      await conn.rollback();
+      return res.status(409).json({ message: 'Solo se emite boleta de una venta vigente y pagada' });
+    }
+
+    const existente = await fetchDte(conn, 'venta', Number(id));
+    if (existente) {
+      await conn.rollback();
+      return res.status(409).json({ message: 'La venta ya tiene boleta electrónica', folio: existente.folio });
+    }
+
+    const [items] = await conn.query(
+      `SELECT dv.id_detalle, pr.nombre, dv.cantidad, dv.precio_unitario
+       FROM detalle_venta dv
+       JOIN producto pr ON pr.id_producto = dv.id_producto
+       WHERE dv.id_venta = ? AND pr.es_giftcard = 0
+       ORDER BY dv.id_detalle ASC`,
+      [id]
+    );
+
+    const devueltas = await fetchCantidadesDevueltas(conn, id);
+    const lineas = items
+      .map((it) => ({ ...it, cantidad: Number(it.cantidad) - (devueltas.get(Number(it.id_detalle)) || 0) }))
+      .filter((it) => it.cantidad > 0);
+
+    const boleta = await emitirBoleta(conn, {
+      origen: 'venta',
+      id_documento: Number(id),
+      lineas,
+      tasa_iva: venta.tasa_iva,
+      id_personal: req.user?.id_personal
+    });
+    if (!boleta.ok) {
+      await conn.rollback();
+      return res.status(boleta.status).json({ message: boleta.message });
+    }
+
+    await conn.commit();
+
+    const { xml, ...dte } = boleta.dte;
+    res.status(201).json({ message: 'Boleta electrónica generada', ...dte });
+  } catch (error) {
+    try { await conn.rollback(); } catch {}
+    res.status(500).json({ message: 'Error al generar boleta electrónica', error: error.message });
+  } finally {
+    conn.release();
+  }
+});
+
+router.get('/:id/dte', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const formato = req.query.formato || 'xml';
+
+    if (!FORMATOS_DTE.includes(formato)) {
+      return res.status(400).json({ message: `formato debe ser uno de: ${FORMATOS_DTE.join(', ')}` });
+    }
+
+    const dte = await fetchDte(pool, 'venta', Number(id));
+    if (!dte) return res.status(404).json({ message: 'La venta no tiene boleta electrónica' });
+
+    responderDte(res, dte, formato);
+  } catch (error) {
+    res.status(500).json({ message: 'Error al obtener boleta electrónica', error: error.message });
+  }
+});
+
+// Cada línea parte del precio de lista del producto. Un precio_unitario
+// distinto requiere permiso y motivo_precio (por línea o de la venta); si no,
+// se reemplaza por el precio final tras aplicar promociones. Las giftcards no
+// participan de promociones. Al editar, "existentes" son las líneas guardadas:
+// las que no cambian de precio se conservan como estaban y "anteriores" indica
+// qué línea guardada reemplaza cada item (o null si es nueva).
+async function aplicarPromocionesItems(conn, items, { codigo_cupon, reemplaza = [], existentes = [], user, motivo_precio }) {
+  for (const it of items) {
+    if (!it?.id_producto || !it.cantidad) {
+      return { ok: false, status: 400, message: 'Cada item requiere: id_producto, cantidad' };
+    }
+    if (Number(it.cantidad) <= 0 || (it.precio_unitario != null && Number(it.precio_unitario) < 0)) {
+      return { ok: false, status: 400, message: 'cantidad > 0 y precio_unitario >= 0' };
+    }
+  }
+
+  const [giftRows] = await conn.query(
+    `SELECT id_producto FROM producto WHERE id_producto IN (?) AND es_giftcard = 1`,
+    [[...new Set(items.map((it) => Number(it.id_producto)))]]
+  );
+  const giftcards = new Set(giftRows.map((r) => Number(r.id_producto)));
+
+  const ev = await evaluarPromociones(conn, {
+    ambito: 'producto',
+    lineas: asociarLineasExistentes(items, existentes, { id_linea: 'id_detalle', id_item: 'id_producto' }).map((it) => ({
+      ...it,
+      id_item: it.id_producto,
+      precio_manual: it.precio_unitario,
+      sin_promocion: giftcards.has(Number(it.id_producto))
+    })),
+    codigo_cupon,
+    reemplaza: { origen: 'venta', ids: reemplaza }
+  });
+  if (!ev.ok) return ev;
+
+  const precios = autorizarPreciosModificados(user, ev.lineas, motivo_precio);
+  if (!precios.ok) return precios;
+
+  return {
+    ok: true,
+    items: precios.lineas.map(({ id_item, sin_promocion, precio_final, existente, id_detalle, ...it }) => ({ ...it, precio_unitario: precio_final })),
+    anteriores: precios.lineas.map((l) => l.existente || null),
+    descuento_total: ev.descuento_total,
+    codigo_cupon: ev.codigo_cupon
+  };
+}
+
 router.post('/', async (req, res) => {
   const conn = await pool.getConnection();
   try {
-    const { id_clienta, items, id_personal: id_personal_body } = req.body;
+    const { id_clienta, id_personal: id_personal_body, codigo_cupon } = req.body;
+    let { items } = req.body;
 
     if (!id_clienta || !Array.isArray(items) || items.length === 0) {
       return res.status(400).json({ message: 'Campos obligatorios: id_clienta, items[]' });
@@ -134,19 +657,31 @@ router.post('/', async (req, res) => {
       return res.status(400).json({ message: 'La persona seleccionada no es una vendedora activa' });
     }
 
+    const promo = await aplicarPromocionesItems(conn, items, {
+      codigo_cupon,
+      user: req.user,
+      motivo_precio: req.body.motivo_precio
+    });
+    if (!promo.ok) {
+      await conn.rollback();
+      return res.status(promo.status).json({ message: promo.message });
+    }
+    items = promo.items;
+
     const [ventaResult] = await conn.query(
-      `INSERT INTO venta (id_clienta, id_personal, total, estado_pago)
-       VALUES (?, ?, 0, 'pendiente')`,
-      [id_clienta, id_personal]
+      `INSERT INTO venta (id_clienta, id_personal, total, estado_pago, codigo_cupon, descuento_total, tasa_iva)
+       VALUES (?, ?, 0, 'pendiente', ?, ?, ?)`,
+      [id_clienta, id_personal, promo.codigo_cupon, promo.descuento_total, tasaIva()]
     );
 
     const id_venta = ventaResult.insertId;
 
     let total = 0;
     const warnings = [];
+    const giftcards = [];
 
     for (const it of items) {
-      const { id_producto, cantidad, precio_unitario } = it;
+      const { id_producto, cantidad, precio_unitario, precio_lista, descuento, id_promocion, precio_modificado_por, motivo_precio } = it;
 
       if (!id_producto || !cantidad || precio_unitario == null) {
         await conn.rollback();
@@ -159,7 +694,7 @@ router.post('/', async (req, res) => {
       }
 
       const [prodRows] = await conn.query(
-        `SELECT id_producto, nombre, stock, stock_minimo
+        `SELECT id_producto, nombre, stock, stock_minimo, costo_promedio, es_giftcard
          FROM producto
          WHERE id_producto = ? FOR UPDATE`,
         [id_producto]
@@ -171,21 +706,49 @@ router.post('/', async (req, res) => {
       }
 
       const prod = prodRows[0];
-      const stockActual = Number(prod.stock);
       const stockMinimo = Number(prod.stock_minimo ?? 0);
       const cant = Number(cantidad);
 
-      if (stockActual < cant) {
+      if (prod.es_giftcard) {
+        if (!Number.isInteger(cant) || Number(precio_unitario) <= 0) {
+          await conn.rollback();
+          return res.status(400).json({ message: 'Las giftcards requieren cantidad entera y precio_unitario > 0' });
+        }
+
+        const [insDet] = await conn.query(
+          `INSERT INTO detalle_venta
+             (id_venta, id_producto, cantidad, precio_unitario, costo_unitario, precio_lista, precio_modificado_por, motivo_precio)
+           VALUES (?, ?, ?, ?, 0, ?, ?, ?)`,
+          [id_venta, id_producto, cant, Number(precio_unitario), precio_lista, precio_modificado_por, motivo_precio]
+        );
+
+        giftcards.push(...(await emitirGiftcards(conn, {
+          id_venta,
+          id_detalle: insDet.insertId,
+          cantidad: cant,
+          monto: Number(precio_unitario),
+          id_personal: req.user?.id_personal
+        })));
+
+        total += cant * Number(precio_unitario);
+        continue;
+      }
+
+      if ((await stockVendible(conn, id_producto)) < cant) {
         await conn.rollback();
-        return res.status(400).json({ message: `Stock insuficiente para producto ${id_producto}` });
+        return res.status(400).json({ message: `Stock insuficiente para producto ${id_producto} (se excluyen lotes vencidos)` });
       }
 
-      await conn.query(
-        `UPDATE producto SET stock = stock - ? WHERE id_producto = ?`,
-        [cant, id_producto]
-      );
+      const mov = await moverStock(conn, {
+        id_producto,
+        cantidad: -cant,
+        tipo: 'venta',
+        documento_tipo: 'venta',
+        id_documento: id_venta,
+        id_personal: req.user?.id_personal
+      });
 
-      const stockNuevo = stockActual - cant;
+      const stockNuevo = mov.saldo;
 
       if (!Number.isNaN(stockMinimo) && stockNuevo <= stockMinimo) {
         warnings.push({
@@ -196,12 +759,19 @@ router.post('/', async (req, res) => {
         });
       }
 
-      await conn.query(
-        `INSERT INTO detalle_venta (id_venta, id_producto, cantidad, precio_unitario)
-         VALUES (?, ?, ?, ?)`,
-        [id_venta, id_producto, cant, Number(precio_unitario)]
+      const [insDet] = await conn.query(
+        `INSERT INTO detalle_venta
+           (id_venta, id_producto, cantidad, precio_unitario, costo_unitario, precio_lista, descuento, id_promocion,
+            precio_modificado_por, motivo_precio)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+          id_venta, id_producto, cant, Number(precio_unitario), prod.costo_promedio, precio_lista, descuento, id_promocion,
+          precio_modificado_por, motivo_precio
+        ]
       );
 
+      await registrarLotesDetalle(conn, insDet.insertId, mov.lotes);
+
       total += cant * Number(precio_unitario);
     }
 
@@ -209,6 +779,13 @@ router.post('/', async (req, res) => {
       `UPDATE venta SET total = ? WHERE id_venta = ?`,
       [total, id_venta]
     );
+    await actualizarDesgloseIva(conn, 'venta', id_venta);
+
+    const usos = await registrarUsosPromocion(conn, { origen: 'venta', id_documento: id_venta, lineas: items });
+    if (!usos.ok) {
+      await conn.rollback();
+      return res.status(usos.status).json({ message: usos.message });
+    }
 
     await conn.commit();
 
@@ -216,7 +793,10 @@ router.post('/', async (req, res) => {
       message: 'Venta registrada',
       id_venta,
       total,
-      warnings
+      descuento_total: promo.descuento_total,
+      items,
+      warnings,
+      giftcards
     });
 
   } catch (error) {
@@ -233,7 +813,7 @@ router.put('/:id', async (req, res) => {
     const { id } = req.params;
 
     const id_clienta = req.body?.id_clienta ?? req.body?.id_cliente;
-    const items = req.body?.items;
+    let items = req.body?.items;
     const id_personal_body = req.body?.id_personal;
 
     if (!id_clienta || !Array.isArray(items) || items.length === 0) {
@@ -251,7 +831,7 @@ router.put('/:id', async (req, res) => {
     await conn.beginTransaction();
 
     const [ventaRows] = await conn.query(
-      `SELECT id_venta, id_personal, id_clienta FROM venta WHERE id_venta = ? FOR UPDATE`,
+      `SELECT id_venta, id_personal, id_clienta, estado_venta, total_devuelto FROM venta WHERE id_venta = ? FOR UPDATE`,
       [id]
     );
 
@@ -260,6 +840,23 @@ router.put('/:id', async (req, res) => {
       return res.status(404).json({ message: 'Venta no encontrada' });
     }
 
+    if (ventaRows[0].estado_venta === 'anulada' || Number(ventaRows[0].total_devuelto) > 0) {
+      await conn.rollback();
+      return res.status(409).json({ message: 'No se puede editar una venta anulada o con devoluciones' });
+    }
+
+    const [emitido] = await fetchFoliosEmitidos(conn, 'venta', [Number(id)]);
+    if (emitido) {
+      await conn.rollback();
+      return res.status(409).json({ message: `La venta ya tiene comprobante emitido (folio ${emitido.folio}) y no se puede editar` });
+    }
+
+    const [boletaDte] = await fetchFoliosDte(conn, 'venta', [Number(id)]);
+    if (boletaDte) {
+      await conn.rollback();
+      return res.status(409).json({ message: `La venta tiene boleta electrónica (folio ${boletaDte.folio}); requiere nota de crédito` });
+    }
+
     const [vendedorRows] = await conn.query(
       `
       SELECT p.id_personal
@@ -281,7 +878,8 @@ router.put('/:id', async (req, res) => {
 
     const [oldItems] = await conn.query(
       `
-      SELECT id_producto, cantidad
+      SELECT id_detalle, id_producto, cantidad, precio_lista, precio_unitario, descuento, id_promocion,
+             precio_modificado_por, motivo_precio
       FROM detalle_venta
       WHERE id_venta = ?
       FOR UPDATE
@@ -289,23 +887,66 @@ router.put('/:id', async (req, res) => {
       [id]
     );
 
+    const promo = await aplicarPromocionesItems(conn, items, {
+      codigo_cupon: req.body?.codigo_cupon,
+      reemplaza: [Number(id)],
+      existentes: oldItems,
+      user: req.user,
+      motivo_precio: req.body?.motivo_precio
+    });
+    if (!promo.ok) {
+      await conn.rollback();
+      return res.status(promo.status).json({ message: promo.message });
+    }
+    items = promo.items;
+
+    // Una línea de giftcard que sigue en la venta con el mismo precio conserva
+    // sus tarjetas: solo se emiten o anulan las unidades que cambian.
+    const giftcardsConservadas = new Set();
+    for (const [i, anterior] of promo.anteriores.entries()) {
+      if (
+        anterior &&
+        Number(items[i].precio_unitario) === Number(anterior.precio_unitario) &&
+        (await esLineaGiftcard(conn, anterior.id_detalle))
+      ) {
+        giftcardsConservadas.add(Number(anterior.id_detalle));
+      }
+    }
+
     for (const it of oldItems) {
+      if (giftcardsConservadas.has(Number(it.id_detalle))) continue;
       const cant = Number(it.cantidad || 0);
       if (cant > 0) {
-        await conn.query(
-          `UPDATE producto SET stock = stock + ? WHERE id_producto = ?`,
-          [cant, it.id_producto]
-        );
+        const repuesta = await reponerLineaVenta(conn, {
+          id_detalle: it.id_detalle,
+          id_producto: it.id_producto,
+          cantidad: cant,
+          tipo: 'edicion_venta',
+          id_venta: Number(id),
+          motivo: 'Reposición por edición de venta',
+          id_personal: req.user?.id_personal
+        });
+        if (!repuesta.ok) {
+          await conn.rollback();
+          return res.status(repuesta.status).json({ message: repuesta.message });
+        }
       }
     }
 
+    await conn.query(
+      `DELETE dvl FROM detalle_venta_lote dvl
+       JOIN detalle_venta dv ON dv.id_detalle = dvl.id_detalle
+       WHERE dv.id_venta = ?`,
+      [id]
+    );
     await conn.query(`DELETE FROM detalle_venta WHERE id_venta = ?`, [id]);
 
     let total = 0;
     const warnings = [];
+    const giftcards = [];
 
-    for (const it of items) {
-      const { id_producto, cantidad, precio_unitario } = it;
+    for (const [i, it] of items.entries()) {
+      const { id_producto, cantidad, precio_unitario, precio_lista, descuento, id_promocion, precio_modificado_por, motivo_precio } = it;
 
       if (!id_producto || !cantidad || precio_unitario == null) {
         await conn.rollback();
@@ -318,7 +959,7 @@ router.put('/:id', async (req, res) => {
       }
 
       const [prodRows] = await conn.query(
-        `SELECT id_producto, nombre, stock, stock_minimo
+        `SELECT id_producto, nombre, stock, stock_minimo, costo_promedio, es_giftcard
          FROM producto
          WHERE id_producto = ? FOR UPDATE`,
         [id_producto]
@@ -330,21 +971,73 @@ router.put('/:id', async (req, res) => {
       }
 
       const prod = prodRows[0];
-      const stockActual = Number(prod.stock);
       const stockMinimo = Number(prod.stock_minimo ?? 0);
       const cant = Number(cantidad);
 
-      if (stockActual < cant) {
+      if (prod.es_giftcard) {
+        if (!Number.isInteger(cant) || Number(precio_unitario) <= 0) {
+          await conn.rollback();
+          return res.status(400).json({ message: 'Las giftcards requieren cantidad entera y precio_unitario > 0' });
+        }
+
+        const [insDet] = await conn.query(
+          `INSERT INTO detalle_venta
+             (id_venta, id_producto, cantidad, precio_unitario, costo_unitario, precio_lista, precio_modificado_por, motivo_precio)
+           VALUES (?, ?, ?, ?, 0, ?, ?, ?)`,
+          [id, id_producto, cant, Number(precio_unitario), precio_lista, precio_modificado_por, motivo_precio]
+        );
+
+        const anterior = promo.anteriores[i];
+        let porEmitir = cant;
+        if (anterior && giftcardsConservadas.has(Number(anterior.id_detalle))) {
+          await conn.query(
+            `UPDATE giftcard SET id_detalle = ? WHERE id_detalle = ? AND id_venta = ?`,
+            [insDet.insertId, anterior.id_detalle, id]
+          );
+          porEmitir = cant - Number(anterior.cantidad);
+          if (porEmitir < 0) {
+            const anuladas = await anularGiftcardsDetalle(conn, {
+              id_detalle: insDet.insertId,
+              cantidad: -porEmitir,
+              motivo: 'Reducción por edición de venta',
+              id_personal: req.user?.id_personal
+            });
+            if (!anuladas.ok) {
+              await conn.rollback();
+              return res.status(anuladas.status).json({ message: anuladas.message, sin_usar: anuladas.sin_usar });
+            }
+          }
+        }
+
+        if (porEmitir > 0) {
+          giftcards.push(...(await emitirGiftcards(conn, {
+            id_venta: Number(id),
+            id_detalle: insDet.insertId,
+            cantidad: porEmitir,
+            monto: Number(precio_unitario),
+            id_personal: req.user?.id_personal
+          })));
+        }
+
+        total += cant * Number(precio_unitario);
+        continue;
+      }
+
+      if ((await stockVendible(conn, id_producto)) < cant) {
         await conn.rollback();
-        return res.status(400).json({ message: `Stock insuficiente para producto ${id_producto}` });
+        return res.status(400).json({ message: `Stock insuficiente para producto ${id_producto} (se excluyen lotes vencidos)` });
       }
 
-      await conn.query(
-        `UPDATE producto SET stock = stock - ? WHERE id_producto = ?`,
-        [cant, id_producto]
-      );
+      const mov = await moverStock(conn, {
+        id_producto,
+        cantidad: -cant,
+        tipo: 'edicion_venta',
+        documento_tipo: 'venta',
+        id_documento: Number(id),
+        id_personal: req.user?.id_personal
+      });
 
-      const stockNuevo = stockActual - cant;
+      const stockNuevo = mov.saldo;
 
       if (!Number.isNaN(stockMinimo) && stockNuevo <= stockMinimo) {
         warnings.push({
@@ -355,21 +1048,36 @@ router.put('/:id', async (req, res) => {
         });
       }
 
-      await conn.query(
-        `INSERT INTO detalle_venta (id_venta, id_producto, cantidad, precio_unitario)
-         VALUES (?, ?, ?, ?)`,
-        [id, id_producto, cant, Number(precio_unitario)]
+      const [insDet] = await conn.query(
+        `INSERT INTO detalle_venta
+           (id_venta, id_producto, cantidad, precio_unitario, costo_unitario, precio_lista, descuento, id_promocion,
+            precio_modificado_por, motivo_precio)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+          id, id_producto, cant, Number(precio_unitario), prod.costo_promedio, precio_lista, descuento, id_promocion,
+          precio_modificado_por, motivo_precio
+        ]
       );
 
+      await registrarLotesDetalle(conn, insDet.insertId, mov.lotes);
+
       total += cant * Number(precio_unitario);
     }
 
     await conn.query(
       `UPDATE venta
-       SET id_clienta = ?, id_personal = ?, total = ?
+       SET id_clienta = ?, id_personal = ?, total = ?, codigo_cupon = ?, descuento_total = ?
        WHERE id_venta = ?`,
-      [Number(id_clienta), id_personal, total, id]
+      [Number(id_clienta), id_personal, total, promo.codigo_cupon, promo.descuento_total, id]
     );
+    await actualizarDesgloseIva(conn, 'venta', Number(id));
+
+    await liberarUsosPromocion(conn, { origen: 'venta', id_documento: Number(id) });
+    const usos = await registrarUsosPromocion(conn, { origen: 'venta', id_documento: Number(id), lineas: items });
+    if (!usos.ok) {
+      await conn.rollback();
+      return res.status(usos.status).json({ message: usos.message });
+    }
 
     await conn.commit();
 
@@ -377,7 +1085,10 @@ router.put('/:id', async (req, res) => {
       message: 'Venta actualizada',
       id_venta: Number(id),
       total,
-      warnings
+      descuento_total: promo.descuento_total,
+      items,
+      warnings,
+      giftcards
     });
 
   } catch (error) {
@@ -388,4 +1099,220 @@ router.put('/:id', async (req, res) => {
   }
 });
 
+router.post('/:id/anular', async (req, res) => {
+  const conn = await pool.getConnection();
+  try {
+    const { id } = req.params;
+    const { motivo, medio_pago, codigo_giftcard } = req.body;
+
+    if (!String(motivo || '').trim()) {
+      return res.status(400).json({ message: 'Campo obligatorio: motivo' });
+    }
+
+    await conn.beginTransaction();
+
+    let id_caja = null;
+    if (medio_pago) {
+      const caja = await resolverCajaParaPago(conn, req.user?.id_personal);
+      if (!caja.ok) {
+        await conn.rollback();
+        return res.status(caja.status).json({ message: caja.message });
+      }
+      id_caja = caja.id_caja;
+    }
+
+    const [ventaRows] = await conn.query(
+      `SELECT id_venta, total, total_devuelto, estado_venta FROM venta WHERE id_venta = ? FOR UPDATE`,
+      [id]
+    );
+
+    if (ventaRows.length === 0) {
+      await conn.rollback();
+      return res.status(404).json({ message: 'Venta no encontrada' });
+    }
+
+    const venta = ventaRows[0];
+    if (venta.estado_venta === 'anulada') {
+      await conn.rollback();
+      return res.status(409).json({ message: 'La venta ya está anulada' });
+    }
+
+    const [boletaDte] = await fetchFoliosDte(conn, 'venta', [Number(id)]);
+    if (boletaDte) {
+      await conn.rollback();
+      return res.status(409).json({ message: `La venta tiene boleta electrónica (folio ${boletaDte.folio}); requiere nota de crédito` });
+    }
+
+    const [detalle] = await conn.query(
+      `SELECT id_detalle, id_producto, cantidad, precio_unitario FROM detalle_venta WHERE id_venta = ? FOR UPDATE`,
+      [id]
+    );
+    const devueltas = await fetchCantidadesDevueltas(conn, id);
+
+    const lineas = detalle
+      .map((d) => ({
+        id_detalle: d.id_detalle,
+        id_producto: d.id_producto,
+        cantidad: Number(d.cantidad) - (devueltas.get(Number(d.id_detalle)) || 0),
+        precio_unitario: d.precio_unitario
+      }))
+      .filter((l) => l.cantidad > 0);
+
+    const { ok, ...resultado } = await procesarDevolucion(conn, {
+      venta,
+      lineas,
+      tipo: 'anulacion',
+      motivo: String(motivo).trim(),
+      medio_pago,
+      codigo_giftcard,
+      id_caja,
+      id_personal: req.user?.id_personal
+    });
+    if (!ok) {
+      await conn.rollback();
+      return res.status(resultado.status).json({ message: resultado.message });
+    }
+
+    await conn.query(
+      `UPDATE venta
+       SET estado_venta = 'anulada', motivo_anulacion = ?, anulada_por = ?, fecha_anulacion = NOW()
+       WHERE id_venta = ?`,
+      [String(motivo).trim(), req.user?.id_personal || null, id]
+    );
+    await liberarUsosPromocion(conn, { origen: 'venta', id_documento: Number(id) });
+
+    await conn.commit();
+
+    res.json({
+      message: 'Venta anulada',
+      id_venta: Number(id),
+      lineas_repuestas: lineas,
+      ...resultado
+    });
+  } catch (error) {
+    try { await conn.rollback(); } catch {}
+    res.status(500).json({ message: 'Error al anular venta', error: error.message });
+  } finally {
+    conn.release();
+  }
+});
+
+router.post('/:id/devoluciones', async (req, res) => {
+  const conn = await pool.getConnection();
+  try {
+    const { id } = req.params;
+    const { items, motivo, medio_pago, codigo_giftcard } = req.body;
+
+    if (!Array.isArray(items) || items.length === 0 || !String(motivo || '').trim()) {
+      return res.status(400).json({ message: 'Campos obligatorios: items[] (id_detalle, cantidad), motivo' });
+    }
+
+    await conn.beginTransaction();
+
+    let id_caja = null;
+    if (medio_pago) {
+      const caja = await resolverCajaParaPago(conn, req.user?.id_personal);
+      if (!caja.ok) {
+        await conn.rollback();
+        return res.status(caja.status).json({ message: caja.message });
+      }
+      id_caja = caja.id_caja;
+    }
+
+    const [ventaRows] = await conn.query(
+      `SELECT id_venta, total, total_devuelto, estado_venta FROM venta WHERE id_venta = ? FOR UPDATE`,
+      [id]
+    );
+
+    if (ventaRows.length === 0) {
+      await conn.rollback();
+      return res.status(404).json({ message: 'Venta no encontrada' });
+    }
+
+    const venta = ventaRows[0];
+    if (venta.estado_venta === 'anulada') {
+      await conn.rollback();
+      return res.status(409).json({ message: 'La venta está anulada' });
+    }
+
+    const [boletaDte] = await fetchFoliosDte(conn, 'venta', [Number(id)]);
+    if (boletaDte) {
+      await conn.rollback();
+      return res.status(409).json({ message: `La venta tiene boleta electrónica (folio ${boletaDte.folio}); requiere nota de crédito` });
+    }
+
+    const [detalle] = await conn.query(
+      `SELECT id_detalle, id_producto, cantidad, precio_unitario FROM detalle_venta WHERE id_venta = ? FOR UPDATE`,
+      [id]
+    );
+    const porDetalle = new Map(detalle.map((d) => [Number(d.id_detalle), d]));
+    const devueltas = await fetchCantidadesDevueltas(conn, id);
+
+    const lineas = [];
+    for (const it of items) {
+      const d = porDetalle.get(Number(it?.id_detalle));
+      const cant = Number(it?.cantidad);
+
+      if (!d) {
+        await conn.rollback();
+        return res.status(400).json({ message: `La línea ${it?.id_detalle} no pertenece a la venta` });
+      }
+      if (!Number.isInteger(cant) || cant <= 0) {
+        await conn.rollback();
+        return res.status(400).json({ message: 'cantidad debe ser un entero mayor a 0' });
+      }
+
+      const yaDevuelto = (devueltas.get(Number(d.id_detalle)) || 0) + lineas
+        .filter((l) => l.id_detalle === d.id_detalle)
+        .reduce((acc, l) => acc + l.cantidad, 0);
+      const disponible = Number(d.cantidad) - yaDevuelto;
+
+      if (cant > disponible) {
+        await conn.rollback();
+        return res.status(409).json({
+          message: `Cantidad a devolver supera lo vendido en la línea ${d.id_detalle}`,
+          id_detalle: d.id_detalle,
+          disponible
+        });
+      }
+
+      lineas.push({
+        id_detalle: d.id_detalle,
+        id_producto: d.id_producto,
+        cantidad: cant,
+        precio_unitario: d.precio_unitario
+      });
+    }
+
+    const { ok, ...resultado } = await procesarDevolucion(conn, {
+      venta,
+      lineas,
+      tipo: 'devolucion',
+      motivo: String(motivo).trim(),
+      medio_pago,
+      codigo_giftcard,
+      id_caja,
+      id_personal: req.user?.id_personal
+    });
+    if (!ok) {
+      await conn.rollback();
+      return res.status(resultado.status).json({ message: resultado.message });
+    }
+
+    await conn.commit();
+
+    res.status(201).json({
+      message: 'Devolución registrada',
+      id_venta: Number(id),
+      lineas,
+      ...resultado
+    });
+  } catch (error) {
+    try { await conn.rollback(); } catch {}
+    res.status(500).json({ message: 'Error al registrar devolución', error: error.message });
+  } finally {
+    conn.release();
+  }
+});
+
 module.exports = router;
@@ -0,0 +1,66 @@
+// Sesiones de caja: cada pago se asocia a la caja abierta de quien lo registra.
+// Con CAJA_OBLIGATORIA=1 en el entorno, los pagos sin caja abierta se rechazan.
+
+const MEDIO_EFECTIVO = 'efectivo';
+
+function cajaObligatoria() {
+  return ['1', 'true', 'si'].includes(String(process.env.CAJA_OBLIGATORIA || '').toLowerCase());
+}
+
+async function obtenerCajaAbierta(conn, id_personal, { forUpdate = false } = {}) {
+  const [rows] = await conn.query(
+    `SELECT id_caja, id_personal, fecha_apertura, monto_inicial
+     FROM caja_sesion
+     WHERE id_personal = ? AND estado = 'abierta'
+     ORDER BY id_caja DESC
+     LIMIT 1
+     ${forUpdate ? 'FOR UPDATE' : ''}`,
+    [id_personal]
+  );
+  return rows[0] || null;
+}
+
+// Debe llamarse dentro de la transacción del pago: el bloqueo sobre
+// caja_sesion espera a un cierre en curso (que congela los totales) y la
+// lectura bloqueante ya no ve abierta una caja recién cerrada.
+async function resolverCajaParaPago(conn, id_personal) {
+  const caja = id_personal ? await obtenerCajaAbierta(conn, id_personal, { forUpdate: true }) : null;
+
+  if (!caja && cajaObligatoria()) {
+    return { ok: false, status: 409, message: 'No tienes una caja abierta. Abre caja antes de registrar pagos' };
+  }
+
+  return { ok: true, id_caja: caja ? caja.id_caja : null };
+}
+
+async function calcularTotalesCaja(conn, id_caja) {
+  const [rows] = await conn.query(
+    `SELECT medio_pago,
+            COUNT(*) AS cantidad,
+            COALESCE(SUM(CASE WHEN tipo = 'devolucion' THEN -monto ELSE monto END), 0) AS total
+     FROM (
+       SELECT medio_pago, monto, tipo FROM pago_venta WHERE id_caja = ? AND anulado = 0
+       UNION ALL
+       SELECT medio_pago, monto, tipo FROM pago_atencion WHERE id_caja = ? AND anulado = 0
+       UNION ALL
+       SELECT medio_pago, precio AS monto, 'pago' AS tipo FROM paquete_clienta WHERE id_caja = ?
+     ) t
+     GROUP BY medio_pago
+     ORDER BY medio_pago ASC`,
+    [id_caja, id_caja, id_caja]
+  );
+
+  return rows.map((r) => ({
+    medio_pago: r.medio_pago,
+    cantidad: Number(r.cantidad),
+    total: Number(r.total)
+  }));
+}
+
+module.exports = {
+  MEDIO_EFECTIVO,
+  cajaObligatoria,
+  obtenerCajaAbierta,
+  resolverCajaParaPago,
+  calcularTotalesCaja
+};
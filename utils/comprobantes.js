@@ -0,0 +1,180 @@
+// Comprobantes imprimibles de ventas y atenciones. El folio sale de
+// secuencia_folio ('comprobante') y se asigna una sola vez por documento; al
+// reimprimir se reutiliza. Los datos del negocio vienen del entorno
+// (EMPRESA_NOMBRE, EMPRESA_RUT, EMPRESA_GIRO, EMPRESA_DIRECCION,
+// EMPRESA_TELEFONO, EMPRESA_EMAIL). Un documento con folio ya no se edita:
+// reimprimir ese folio debe mostrar siempre las mismas líneas y montos.
+
+const SECUENCIA_COMPROBANTE = 'comprobante';
+const DOCUMENTOS = {
+  venta: { tabla: 'venta', id: 'id_venta' },
+  atencion: { tabla: 'atencion', id: 'id_atencion' }
+};
+
+function datosEmpresa() {
+  return {
+    nombre: process.env.EMPRESA_NOMBRE || '',
+    rut: process.env.EMPRESA_RUT || '',
+    giro: process.env.EMPRESA_GIRO || '',
+    direccion: process.env.EMPRESA_DIRECCION || '',
+    telefono: process.env.EMPRESA_TELEFONO || '',
+    email: process.env.EMPRESA_EMAIL || ''
+  };
+}
+
+async function fetchComprobante(conn, origen, id_documento) {
+  const [rows] = await conn.query(
+    `SELECT folio, fecha_emision, emitido_por FROM comprobante WHERE origen = ? AND id_documento = ?`,
+    [origen, id_documento]
+  );
+  return rows[0] || null;
+}
+
+async function fetchFoliosEmitidos(conn, origen, ids) {
+  if (ids.length === 0) return [];
+  const [rows] = await conn.query(
+    `SELECT id_documento, folio FROM comprobante WHERE origen = ? AND id_documento IN (?)`,
+    [origen, ids]
+  );
+  return rows;
+}
+
+// Debe llamarse dentro de una transacción: el bloqueo del documento espera a
+// una edición en curso, el de la secuencia serializa las emisiones y el
+// rollback no deja folios perdidos.
+async function emitirComprobante(conn, { origen, id_documento, id_personal }) {
+  const { tabla, id } = DOCUMENTOS[origen];
+  await conn.query(`SELECT ${id} FROM ${tabla} WHERE ${id} = ? FOR UPDATE`, [id_documento]);
+
+  const [secRows] = await conn.query(
+    `SELECT ultimo FROM secuencia_folio WHERE nombre = ? FOR UPDATE`,
+    [SECUENCIA_COMPROBANTE]
+  );
+  const existente = await fetchComprobante(conn, origen, id_documento);
+  if (existente) return existente;
+
+  const folio = Number(secRows[0].ultimo) + 1;
+  await conn.query(`UPDATE secuencia_folio SET ultimo = ? WHERE nombre = ?`, [folio, SECUENCIA_COMPROBANTE]);
+  await conn.query(
+    `INSERT INTO comprobante (folio, origen, id_documento, emitido_por) VALUES (?, ?, ?, ?)`,
+    [folio, origen, id_documento, id_personal || null]
+  );
+  return fetchComprobante(conn, origen, id_documento);
+}
+
+const escapeHtml = (value) =>
+  String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+
+const formatoMonto = (n) =>
+  `$${Number(n || 0).toLocaleString('es-CL', { minimumFractionDigits: 0, maximumFractionDigits: 2 })}`;
+
+function formatoFecha(value) {
+  if (!value) return '';
+  const d = value instanceof Date ? value : new Date(value);
+  if (isNaN(d.getTime())) return String(value);
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${pad(d.getDate())}-${pad(d.getMonth() + 1)}-${d.getFullYear()} ${pad(d.getHours())}:${pad(d.getMinutes())}`;
+}
+
+// comprobante: { titulo, folio, fecha_emision, empresa, documento, cliente,
+// atendido_por, lineas[], totales, pagos[], resumen, anulado }
+function renderComprobanteHtml(c) {
+  const e = c.empresa;
+  const filaTotal = (label, monto) =>
+    `<tr><td>${escapeHtml(label)}</td><td class="num">${formatoMonto(monto)}</td></tr>`;
+
+  const lineas = c.lineas.map((l) => `
+        <tr>
+          <td>${escapeHtml(l.descripcion)}${l.detalle ? `<div class="sub">${escapeHtml(l.detalle)}</div>` : ''}</td>
+          <td class="num">${escapeHtml(l.cantidad)}</td>
+          <td class="num">${formatoMonto(l.precio_unitario)}</td>
+          <td class="num">${formatoMonto(l.subtotal)}</td>
+        </tr>`).join('');
+
+  const pagos = c.pagos.length === 0
+    ? '<tr><td colspan="3">Sin pagos registrados</td></tr>'
+    : c.pagos.map((p) => `
+        <tr>
+          <td>${formatoFecha(p.fecha)}</td>
+          <td>${escapeHtml(p.medio_pago)}${p.tipo === 'devolucion' ? ' (devolución)' : ''}</td>
+          <td class="num">${formatoMonto(p.tipo === 'devolucion' ? -p.monto : p.monto)}</td>
+        </tr>`).join('');
+
+  return `<!DOCTYPE html>
+<html lang="es">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(c.titulo)} N° ${escapeHtml(c.folio)}</title>
+<style>
+  body { font-family: Arial, Helvetica, sans-serif; font-size: 12px; color: #222; max-width: 720px; margin: 24px auto; }
+  h1 { font-size: 16px; margin: 0; }
+  .cabecera { display: flex; justify-content: space-between; align-items: flex-start; margin-bottom: 16px; }
+  .folio { border: 2px solid #222; padding: 8px 12px; text-align: center; font-weight: bold; }
+  .anulado { color: #b00; font-weight: bold; font-size: 14px; margin: 8px 0; }
+  table { width: 100%; border-collapse: collapse; margin-bottom: 12px; }
+  th, td { padding: 4px 6px; border-bottom: 1px solid #ddd; text-align: left; vertical-align: top; }
+  th { background: #f2f2f2; }
+  .num { text-align: right; white-space: nowrap; }
+  .sub { color: #666; font-size: 11px; }
+  .totales { width: 50%; margin-left: auto; }
+  .totales tr:last-child td { font-weight: bold; }
+  @media print { body { margin: 0; } }
+</style>
+</head>
+<body>
+  <div class="cabecera">
+    <div>
+      <h1>${escapeHtml(e.nombre)}</h1>
+      ${e.rut ? `<div>RUT: ${escapeHtml(e.rut)}</div>` : ''}
+      ${e.giro ? `<div>${escapeHtml(e.giro)}</div>` : ''}
+      ${e.direccion ? `<div>${escapeHtml(e.direccion)}</div>` : ''}
+      ${e.telefono || e.email ? `<div>${escapeHtml([e.telefono, e.email].filter(Boolean).join(' · '))}</div>` : ''}
+    </div>
+    <div class="folio">
+      <div>${escapeHtml(c.titulo)}</div>
+      <div>N° ${escapeHtml(c.folio)}</div>
+    </div>
+  </div>
+  ${c.anulado ? `<div class="anulado">DOCUMENTO ${escapeHtml(c.anulado)}</div>` : ''}
+  <table>
+    <tr><td>Emisión</td><td>${formatoFecha(c.fecha_emision)}</td><td>${escapeHtml(c.documento.etiqueta)}</td><td>${formatoFecha(c.documento.fecha)}</td></tr>
+    <tr><td>Clienta</td><td>${escapeHtml(c.cliente)}</td><td>Atendida por</td><td>${escapeHtml(c.atendido_por)}</td></tr>
+  </table>
+  <table>
+    <thead><tr><th>Detalle</th><th class="num">Cant.</th><th class="num">Precio</th><th class="num">Subtotal</th></tr></thead>
+    <tbody>${lineas}
+    </tbody>
+  </table>
+  <table class="totales">
+    ${c.totales.descuento > 0 ? filaTotal('Descuentos', -c.totales.descuento) : ''}
+    ${c.totales.exento > 0 ? filaTotal('Exento', c.totales.exento) : ''}
+    ${filaTotal('Neto', c.totales.neto)}
+    ${filaTotal(`IVA (${Math.round(Number(c.totales.tasa_iva) * 10000) / 100}%)`, c.totales.iva)}
+    ${filaTotal('Total', c.totales.total)}
+  </table>
+  <table>
+    <thead><tr><th>Fecha pago</th><th>Medio</th><th class="num">Monto</th></tr></thead>
+    <tbody>${pagos}
+    </tbody>
+  </table>
+  <table class="totales">
+    ${c.resumen.devuelto > 0 ? filaTotal('Devuelto', -c.resumen.devuelto) : ''}
+    ${filaTotal('Pagado', c.resumen.pagado)}
+    ${filaTotal('Saldo', c.resumen.saldo)}
+  </table>
+</body>
+</html>`;
+}
+
+module.exports = {
+  datosEmpresa,
+  fetchComprobante,
+  fetchFoliosEmitidos,
+  emitirComprobante,
+  renderComprobanteHtml
+};
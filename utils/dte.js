@@ -0,0 +1,328 @@
+const crypto = require('crypto');
+const fs = require('fs');
+
+// Boleta electrónica (DTE tipo 39) en formato SII. El XML se arma ya
+// canonicalizado (sin espacios entre etiquetas, sin elementos vacíos
+// abreviados y escapando solo &, < y >) para que el digest del Documento y la
+// firma de SignedInfo coincidan con lo que recalcula el SII. Emisor desde
+// EMPRESA_RUT, EMPRESA_NOMBRE, EMPRESA_GIRO, EMPRESA_DIRECCION y
+// EMPRESA_COMUNA; certificado y clave en PEM desde DTE_CERT_PATH,
+// DTE_KEY_PATH y DTE_KEY_PASSPHRASE (un .pfx se convierte antes con openssl).
+
+const TIPO_BOLETA = 39;
+const NS_SII = 'http://www.sii.cl/SiiDte';
+const NS_DSIG = 'http://www.w3.org/2000/09/xmldsig#';
+const RUT_CONSUMIDOR_FINAL = '66666666-6';
+
+const normalizarRut = (rut) => String(rut || '').replace(/\./g, '').trim().toUpperCase();
+
+// Solo caracteres representables en ISO-8859-1, que es la codificación del DTE.
+const textoLatin1 = (value) => String(value ?? '').replace(/[^\x09\x0A\x0D\x20-\x7E\xA0-\xFF]/g, '');
+
+const escapeXml = (value) =>
+  textoLatin1(value).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/\r/g, '&#xD;');
+
+const escapeAtributo = (value) =>
+  textoLatin1(value).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/"/g, '&quot;');
+
+// contenido: texto (se escapa) o arreglo de nodos ya serializados.
+function nodo(nombre, contenido, atributos = {}) {
+  const attrs = Object.keys(atributos)
+    .sort()
+    .map((k) => ` ${k}="${escapeAtributo(atributos[k])}"`)
+    .join('');
+  const cuerpo = Array.isArray(contenido) ? contenido.filter(Boolean).join('') : escapeXml(contenido);
+  return `<${nombre}${attrs}>${cuerpo}</${nombre}>`;
+}
+
+const etiqueta = (xml, nombre) => {
+  const m = new RegExp(`<${nombre}(?:\\s[^>]*)?>([\\s\\S]*?)</${nombre}>`).exec(xml);
+  return m ? m[1].trim() : null;
+};
+
+// Lee el archivo de autorización de folios entregado por el SII.
+function parseCaf(archivo) {
+  const xml = String(archivo || '');
+  const caf = /<CAF\b[\s\S]*?<\/CAF>/.exec(xml);
+  const rsask = etiqueta(xml, 'RSASK');
+  if (!caf || !rsask) return { ok: false, status: 400, message: 'Archivo CAF inválido: faltan CAF o RSASK' };
+
+  const da = etiqueta(caf[0], 'DA');
+  const rng = da && etiqueta(da, 'RNG');
+  const tipo_dte = Number(da && etiqueta(da, 'TD'));
+  const folio_desde = Number(rng && etiqueta(rng, 'D'));
+  const folio_hasta = Number(rng && etiqueta(rng, 'H'));
+
+  if (!Number.isInteger(tipo_dte) || !Number.isInteger(folio_desde) || !Number.isInteger(folio_hasta) || folio_hasta < folio_desde) {
+    return { ok: false, status: 400, message: 'Archivo CAF inválido: tipo o rango de folios' };
+  }
+
+  let clave_privada;
+  try {
+    clave_privada = crypto.createPrivateKey(rsask).export({ type: 'pkcs1', format: 'pem' });
+  } catch {
+    return { ok: false, status: 400, message: 'Archivo CAF inválido: la clave RSASK no se puede leer' };
+  }
+
+  return {
+    ok: true,
+    caf: {
+      tipo_dte,
+      rut_emisor: normalizarRut(etiqueta(da, 'RE')),
+      razon_social: etiqueta(da, 'RS'),
+      folio_desde,
+      folio_hasta,
+      fecha_autorizacion: etiqueta(da, 'FA'),
+      caf_xml: caf[0].replace(/>\s+</g, '><').trim(),
+      clave_privada
+    }
+  };
+}
+
+function datosEmisor() {
+  return {
+    rut: normalizarRut(process.env.EMPRESA_RUT),
+    razon_social: process.env.EMPRESA_NOMBRE || '',
+    giro: process.env.EMPRESA_GIRO || '',
+    direccion: process.env.EMPRESA_DIRECCION || '',
+    comuna: process.env.EMPRESA_COMUNA || ''
+  };
+}
+
+function cargarCertificado() {
+  const certPath = process.env.DTE_CERT_PATH;
+  const keyPath = process.env.DTE_KEY_PATH;
+  if (!certPath || !keyPath) {
+    return { ok: false, status: 500, message: 'Falta configurar DTE_CERT_PATH y DTE_KEY_PATH' };
+  }
+  try {
+    const certificado = new crypto.X509Certificate(fs.readFileSync(certPath));
+    const clave = crypto.createPrivateKey({
+      key: fs.readFileSync(keyPath),
+      passphrase: process.env.DTE_KEY_PASSPHRASE || undefined
+    });
+    if (!certificado.checkPrivateKey(clave)) {
+      return { ok: false, status: 500, message: 'La clave privada no corresponde al certificado' };
+    }
+    return { ok: true, certificado, clave };
+  } catch (error) {
+    return { ok: false, status: 500, message: `No se pudo leer el certificado: ${error.message}` };
+  }
+}
+
+const base64DeJwk = (valor) => Buffer.from(valor, 'base64url').toString('base64');
+
+function fechaLocal(d = new Date()) {
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+}
+
+const timestampLocal = (d = new Date()) =>
+  `${fechaLocal(d)}T${[d.getHours(), d.getMinutes(), d.getSeconds()].map((n) => String(n).padStart(2, '0')).join(':')}`;
+
+// Montos enteros en pesos. PrcItem y MontoItem van con IVA incluido, como
+// corresponde a boletas; las líneas en 0 (p. ej. con cargo a paquete) se omiten.
+function calcularTotales(lineas, tasa_iva) {
+  const detalle = lineas
+    .map((l) => ({
+      nombre: textoLatin1(l.nombre).slice(0, 80),
+      cantidad: Number(l.cantidad),
+      precio: Math.round(Number(l.precio_unitario)),
+      monto: Math.round(Number(l.cantidad) * Number(l.precio_unitario))
+    }))
+    .filter((l) => l.monto > 0);
+
+  const total = detalle.reduce((acc, l) => acc + l.monto, 0);
+  const neto = Math.round(total / (1 + Number(tasa_iva)));
+  return { detalle, total, neto, iva: total - neto };
+}
+
+function timbrarDocumento({ caf, emisor, folio, fecha, receptor, totales, ts }) {
+  const dd = nodo('DD', [
+    nodo('RE', emisor.rut),
+    nodo('TD', TIPO_BOLETA),
+    nodo('F', folio),
+    nodo('FE', fecha),
+    nodo('RR', receptor.rut),
+    nodo('RSR', textoLatin1(receptor.razon_social).slice(0, 40)),
+    nodo('MNT', totales.total),
+    nodo('IT1', totales.detalle[0].nombre.slice(0, 40)),
+    caf.caf_xml,
+    nodo('TSTED', ts)
+  ]);
+  const frmt = crypto.sign('sha1', Buffer.from(dd, 'latin1'), caf.clave_privada).toString('base64');
+  return nodo('TED', [dd, nodo('FRMT', frmt, { algoritmo: 'SHA1withRSA' })], { version: '1.0' });
+}
+
+// Firma XMLDSig del Documento (referencia por ID, C14N inclusivo, RSA-SHA1).
+// En la forma canónica los elementos heredan el xmlns del padre, que se
+// declara explícitamente al calcular digest y firma.
+function firmarDocumento(documento, id, { certificado, clave }) {
+  const canonico = documento.replace(/^<Documento /, `<Documento xmlns="${NS_SII}" `);
+  const digest = crypto.createHash('sha1').update(canonico, 'utf8').digest('base64');
+
+  const signedInfo = nodo('SignedInfo', [
+    nodo('CanonicalizationMethod', '', { Algorithm: 'http://www.w3.org/TR/2001/REC-xml-c14n-20010315' }),
+    nodo('SignatureMethod', '', { Algorithm: `${NS_DSIG}rsa-sha1` }),
+    nodo('Reference', [
+      nodo('DigestMethod', '', { Algorithm: `${NS_DSIG}sha1` }),
+      nodo('DigestValue', digest)
+    ], { URI: `#${id}` })
+  ]);
+  const signedInfoCanonico = signedInfo.replace(/^<SignedInfo>/, `<SignedInfo xmlns="${NS_DSIG}">`);
+  const firma = crypto.sign('sha1', Buffer.from(signedInfoCanonico, 'utf8'), clave).toString('base64');
+
+  const jwk = certificado.publicKey.export({ format: 'jwk' });
+  return nodo('Signature', [
+    signedInfo,
+    nodo('SignatureValue', firma),
+    nodo('KeyInfo', [
+      nodo('KeyValue', [
+        nodo('RSAKeyValue', [nodo('Modulus', base64DeJwk(jwk.n)), nodo('Exponent', base64DeJwk(jwk.e))])
+      ]),
+      nodo('X509Data', [nodo('X509Certificate', certificado.raw.toString('base64'))])
+    ])
+  ], { xmlns: NS_DSIG });
+}
+
+// Arma, timbra y firma la boleta. No toca la base de datos: el folio y el CAF
+// los entrega quien llama, dentro de su transacción.
+function generarBoletaXml({ caf, folio, lineas, tasa_iva, firma, fecha = new Date() }) {
+  const emisor = datosEmisor();
+  if (!emisor.rut || !emisor.razon_social) {
+    return { ok: false, status: 500, message: 'Falta configurar EMPRESA_RUT y EMPRESA_NOMBRE' };
+  }
+  if (caf.rut_emisor !== emisor.rut) {
+    return { ok: false, status: 409, message: 'El CAF no corresponde al RUT de la empresa' };
+  }
+
+  const totales = calcularTotales(lineas, tasa_iva);
+  if (totales.total <= 0) return { ok: false, status: 409, message: 'No se emite boleta por un monto 0' };
+
+  const receptor = { rut: RUT_CONSUMIDOR_FINAL, razon_social: 'Consumidor final' };
+  const fe = fechaLocal(fecha);
+  const ts = timestampLocal(fecha);
+  const id = `T${TIPO_BOLETA}F${folio}`;
+
+  const documento = nodo('Documento', [
+    nodo('Encabezado', [
+      nodo('IdDoc', [
+        nodo('TipoDTE', TIPO_BOLETA),
+        nodo('Folio', folio),
+        nodo('FchEmis', fe),
+        nodo('IndServicio', 3)
+      ]),
+      nodo('Emisor', [
+        nodo('RUTEmisor', emisor.rut),
+        nodo('RznSocEmisor', textoLatin1(emisor.razon_social).slice(0, 100)),
+        emisor.giro ? nodo('GiroEmisor', textoLatin1(emisor.giro).slice(0, 80)) : null,
+        emisor.direccion ? nodo('DirOrigen', textoLatin1(emisor.direccion).slice(0, 70)) : null,
+        emisor.comuna ? nodo('CmnaOrigen', textoLatin1(emisor.comuna).slice(0, 20)) : null
+      ]),
+      nodo('Receptor', [nodo('RUTRecep', receptor.rut), nodo('RznSocRecep', receptor.razon_social)]),
+      nodo('Totales', [
+        nodo('MntNeto', totales.neto),
+        nodo('IVA', totales.iva),
+        nodo('MntTotal', totales.total)
+      ])
+    ]),
+    ...totales.detalle.map((l, i) => nodo('Detalle', [
+      nodo('NroLinDet', i + 1),
+      nodo('NmbItem', l.nombre),
+      nodo('QtyItem', l.cantidad),
+      nodo('PrcItem', l.precio),
+      nodo('MontoItem', l.monto)
+    ])),
+    timbrarDocumento({ caf, emisor, folio, fecha: fe, receptor, totales, ts }),
+    nodo('TmstFirma', ts)
+  ], { ID: id });
+
+  const signature = firmarDocumento(documento, id, firma);
+  const xml = `<?xml version="1.0" encoding="ISO-8859-1"?>\n<DTE version="1.0" xmlns="${NS_SII}">${documento}${signature}</DTE>`;
+
+  return { ok: true, xml, totales };
+}
+
+async function fetchDte(conn, origen, id_documento) {
+  const [rows] = await conn.query(
+    `SELECT id_dte, tipo_dte, folio, origen, id_documento, monto_neto, iva, monto_total, xml, estado,
+            track_id, respuesta_envio, fecha_envio, generado_por, fecha_generacion
+     FROM dte
+     WHERE origen = ? AND id_documento = ?`,
+    [origen, id_documento]
+  );
+  return rows[0] || null;
+}
+
+// Un documento con boleta electrónica no se edita, anula, devuelve ni cancela:
+// eso requiere una nota de crédito, que todavía no se emite.
+async function fetchFoliosDte(conn, origen, ids) {
+  if (ids.length === 0) return [];
+  const [rows] = await conn.query(
+    `SELECT id_documento, folio FROM dte WHERE origen = ? AND id_documento IN (?)`,
+    [origen, ids]
+  );
+  return rows;
+}
+
+// Toma el siguiente folio del CAF más antiguo con folios libres, genera la
+// boleta y la guarda. Debe llamarse dentro de una transacción: si algo falla
+// el rollback devuelve el folio y nunca queda uno repetido ni saltado.
+async function emitirBoleta(conn, { origen, id_documento, lineas, tasa_iva, id_personal }) {
+  const firma = cargarCertificado();
+  if (!firma.ok) return firma;
+
+  const [cafRows] = await conn.query(
+    `SELECT id_caf, rut_emisor, siguiente_folio, folio_hasta, caf_xml, clave_privada
+     FROM dte_caf
+     WHERE tipo_dte = ? AND siguiente_folio <= folio_hasta
+     ORDER BY folio_desde ASC
+     LIMIT 1
+     FOR UPDATE`,
+    [TIPO_BOLETA]
+  );
+  if (cafRows.length === 0) {
+    return { ok: false, status: 409, message: 'No quedan folios de boleta disponibles. Carga un nuevo CAF' };
+  }
+
+  const caf = cafRows[0];
+  const folio = Number(caf.siguiente_folio);
+
+  const gen = generarBoletaXml({ caf, folio, lineas, tasa_iva, firma });
+  if (!gen.ok) return gen;
+
+  await conn.query(`UPDATE dte_caf SET siguiente_folio = siguiente_folio + 1 WHERE id_caf = ?`, [caf.id_caf]);
+  await conn.query(
+    `INSERT INTO dte
+       (tipo_dte, folio, id_caf, origen, id_documento, monto_neto, iva, monto_total, xml, generado_por)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      TIPO_BOLETA, folio, caf.id_caf, origen, id_documento,
+      gen.totales.neto, gen.totales.iva, gen.totales.total, gen.xml, id_personal || null
+    ]
+  );
+
+  return { ok: true, dte: await fetchDte(conn, origen, id_documento) };
+}
+
+// GET /:id/dte de ventas, atenciones y paquetes vendidos: el XML tal como se firmó, o sus datos
+// con ?formato=json.
+function responderDte(res, dte, formato) {
+  if (formato === 'json') {
+    const { xml, ...datos } = dte;
+    return res.json(datos);
+  }
+  res.type('application/xml; charset=ISO-8859-1');
+  res.set('Content-Disposition', `inline; filename="T${dte.tipo_dte}F${dte.folio}.xml"`);
+  res.send(Buffer.from(dte.xml, 'latin1'));
+}
+
+module.exports = {
+  TIPO_BOLETA,
+  normalizarRut,
+  parseCaf,
+  fetchDte,
+  fetchFoliosDte,
+  emitirBoleta,
+  responderDte
+};
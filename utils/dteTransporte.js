@@ -0,0 +1,42 @@
+const fs = require('fs');
+const path = require('path');
+
+// Envío de DTE al SII detrás de un transporte intercambiable, elegido con
+// DTE_TRANSPORTE. Un transporte es una función async que recibe
+// { id_dte, tipo_dte, folio, xml } y devuelve { ok, track_id, respuesta } o
+// { ok: false, message }. Por ahora solo existe 'local', que no sale de la
+// máquina: deja el XML en DTE_DIR_LOCAL (si está definido) y responde con un
+// track id propio.
+
+async function enviarLocal({ id_dte, tipo_dte, folio, xml }) {
+  const dir = process.env.DTE_DIR_LOCAL;
+  if (dir) {
+    await fs.promises.mkdir(dir, { recursive: true });
+    await fs.promises.writeFile(path.join(dir, `T${tipo_dte}F${folio}.xml`), Buffer.from(xml, 'latin1'));
+  }
+  return { ok: true, track_id: `LOCAL-${id_dte}`, respuesta: dir ? `Guardado en ${dir}` : 'Envío simulado' };
+}
+
+const transportes = {
+  local: enviarLocal
+};
+
+function registrarTransporte(nombre, enviar) {
+  transportes[nombre] = enviar;
+}
+
+async function enviarDte(dte) {
+  const nombre = process.env.DTE_TRANSPORTE || 'local';
+  const enviar = transportes[nombre];
+  if (!enviar) return { ok: false, message: `Transporte DTE desconocido: ${nombre}` };
+  try {
+    return await enviar(dte);
+  } catch (error) {
+    return { ok: false, message: error.message };
+  }
+}
+
+module.exports = {
+  registrarTransporte,
+  enviarDte
+};
@@ -0,0 +1,28 @@
+// Fechas y horas que llegan como texto en query y body. Los días son
+// "YYYY-MM-DD" en hora local y las horas "HH:MM" (o "HH:MM:SS" desde MySQL),
+// que se manejan como minutos desde la medianoche.
+
+const minToMs = (min) => Number(min) * 60 * 1000;
+
+// Devuelve el Date a medianoche local, o null si el texto no es un día válido
+// (se rechazan fechas como 2025-02-30 en vez de correrlas al mes siguiente).
+function parseFechaDia(value) {
+  const m = /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(value || '').trim());
+  if (!m) return null;
+  const dt = new Date(Number(m[1]), Number(m[2]) - 1, Number(m[3]));
+  return isNaN(dt.getTime()) || dt.getMonth() !== Number(m[2]) - 1 ? null : dt;
+}
+
+function formatFechaDia(date) {
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+function parseHora(value) {
+  const m = /^(\d{2}):(\d{2})(?::\d{2})?$/.exec(String(value || '').trim());
+  if (!m) return null;
+  const min = Number(m[1]) * 60 + Number(m[2]);
+  return min >= 0 && min <= 24 * 60 ? min : null;
+}
+
+module.exports = { minToMs, parseFechaDia, formatFechaDia, parseHora };
@@ -0,0 +1,79 @@
+// Ficha clínica y contraindicaciones. Solo masoterapeuta y administradora
+// pueden leer o escribir estos datos; vendedora nunca los recibe.
+
+const CONDICIONES_FICHA = ['embarazo', 'lesiones', 'alergias', 'medicamentos'];
+const ROLES_FICHA = ['masoterapeuta', 'administradora'];
+
+const puedeVerFicha = (user) => (user?.roles || []).some((r) => ROLES_FICHA.includes(r));
+
+async function fetchFichaVigente(conn, id_clienta) {
+  const [rows] = await conn.query(
+    `SELECT id_ficha, id_clienta, version, embarazo, lesiones, alergias, medicamentos, observaciones,
+            registrado_por, fecha
+     FROM ficha_clinica
+     WHERE id_clienta = ?
+     ORDER BY version DESC
+     LIMIT 1`,
+    [id_clienta]
+  );
+  return rows[0] || null;
+}
+
+// Condiciones registradas: embarazo marcado o texto no vacío en el campo.
+function condicionesPresentes(ficha) {
+  if (!ficha) return [];
+  return CONDICIONES_FICHA.filter((c) =>
+    c === 'embarazo' ? Number(ficha.embarazo) === 1 : String(ficha[c] || '').trim() !== ''
+  );
+}
+
+// Une dos fichas vigentes (al fusionar clientas duplicadas) sin perder
+// condiciones: embarazo si alguna lo marca y, en cada texto, lo distinto de
+// ambas separado por " / ".
+function combinarFichas(a, b) {
+  const unir = (x, y) => {
+    const partes = [...new Set([x, y].map((v) => String(v || '').trim()).filter(Boolean))];
+    return partes.length ? partes.join(' / ') : null;
+  };
+  return {
+    embarazo: Number(a.embarazo) === 1 || Number(b.embarazo) === 1 ? 1 : 0,
+    lesiones: unir(a.lesiones, b.lesiones),
+    alergias: unir(a.alergias, b.alergias),
+    medicamentos: unir(a.medicamentos, b.medicamentos),
+    observaciones: unir(a.observaciones, b.observaciones)
+  };
+}
+
+// No bloquea la reserva: devuelve advertencias para que quien agenda decida.
+async function evaluarContraindicaciones(conn, id_clienta, idsServicio) {
+  const ficha = await fetchFichaVigente(conn, id_clienta);
+  const presentes = condicionesPresentes(ficha);
+  if (presentes.length === 0 || idsServicio.length === 0) return [];
+
+  const [rows] = await conn.query(
+    `SELECT sc.id_servicio, s.nombre AS servicio_nombre, sc.condicion
+     FROM servicio_contraindicacion sc
+     INNER JOIN servicio s ON s.id_servicio = sc.id_servicio
+     WHERE sc.id_servicio IN (?) AND sc.condicion IN (?)
+     ORDER BY sc.id_servicio ASC, sc.condicion ASC`,
+    [idsServicio, presentes]
+  );
+
+  return rows.map((r) => ({
+    id_servicio: r.id_servicio,
+    servicio_nombre: r.servicio_nombre,
+    condicion: r.condicion,
+    detalle: r.condicion === 'embarazo' ? 'Embarazo registrado en la ficha clínica' : ficha[r.condicion],
+    version_ficha: ficha.version
+  }));
+}
+
+module.exports = {
+  CONDICIONES_FICHA,
+  ROLES_FICHA,
+  puedeVerFicha,
+  fetchFichaVigente,
+  condicionesPresentes,
+  combinarFichas,
+  evaluarContraindicaciones
+};
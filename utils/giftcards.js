@@ -0,0 +1,207 @@
+const crypto = require('crypto');
+
+// Giftcards: cada unidad vendida de un producto con es_giftcard emite una
+// tarjeta. Se canjea con medio_pago 'giftcard' y codigo_giftcard, solo cuando
+// la venta que la emitió está vigente y pagada. Todo cambio de saldo pasa por
+// moverSaldoGiftcard para dejar el movimiento.
+
+const MEDIO_GIFTCARD = 'giftcard';
+const ALFABETO_CODIGO = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+const esMedioGiftcard = (medio_pago) => String(medio_pago || '').trim().toLowerCase() === MEDIO_GIFTCARD;
+const normalizarCodigo = (codigo) => String(codigo || '').trim().toUpperCase();
+
+// Vigencia en días desde la emisión; GIFTCARD_VIGENCIA_DIAS en el entorno.
+function vigenciaDias() {
+  const n = Number(process.env.GIFTCARD_VIGENCIA_DIAS);
+  return Number.isInteger(n) && n > 0 ? n : 365;
+}
+
+function generarCodigo() {
+  let s = '';
+  for (let i = 0; i < 8; i++) s += ALFABETO_CODIGO[crypto.randomInt(ALFABETO_CODIGO.length)];
+  return `GC-${s.slice(0, 4)}-${s.slice(4)}`;
+}
+
+async function moverSaldoGiftcard(conn, { id_giftcard, tipo, monto, origen = null, id_documento = null, id_pago = null, motivo = null, id_personal = null }) {
+  const [upd] = await conn.query(
+    `UPDATE giftcard SET saldo = saldo + ? WHERE id_giftcard = ? AND saldo + ? >= 0`,
+    [monto, id_giftcard, monto]
+  );
+  if (upd.affectedRows === 0) {
+    return { ok: false, status: 409, message: 'Saldo insuficiente en la giftcard' };
+  }
+
+  const [rows] = await conn.query(`SELECT saldo FROM giftcard WHERE id_giftcard = ?`, [id_giftcard]);
+  const saldo = Number(rows[0].saldo);
+
+  await conn.query(
+    `INSERT INTO giftcard_movimiento
+       (id_giftcard, tipo, monto, saldo_resultante, origen, id_documento, id_pago, motivo, registrado_por)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [id_giftcard, tipo, monto, saldo, origen, id_documento, id_pago, motivo, id_personal || null]
+  );
+
+  return { ok: true, saldo };
+}
+
+async function emitirGiftcards(conn, { id_venta, id_detalle, cantidad, monto, id_personal }) {
+  const emitidas = [];
+  for (let i = 0; i < cantidad; i++) {
+    let codigo = generarCodigo();
+    for (;;) {
+      const [existe] = await conn.query(`SELECT 1 FROM giftcard WHERE codigo = ?`, [codigo]);
+      if (existe.length === 0) break;
+      codigo = generarCodigo();
+    }
+
+    const [ins] = await conn.query(
+      `INSERT INTO giftcard (codigo, saldo_inicial, saldo, fecha_vencimiento, id_venta, id_detalle, emitida_por)
+       VALUES (?, ?, 0, DATE_ADD(CURDATE(), INTERVAL ? DAY), ?, ?, ?)`,
+      [codigo, monto, vigenciaDias(), id_venta, id_detalle, id_personal || null]
+    );
+    await moverSaldoGiftcard(conn, {
+      id_giftcard: ins.insertId,
+      tipo: 'emision',
+      monto,
+      origen: 'venta',
+      id_documento: id_venta,
+      id_personal
+    });
+
+    emitidas.push({ id_giftcard: ins.insertId, codigo, saldo: monto });
+  }
+  return emitidas;
+}
+
+// Bloquea y valida la giftcard de un pago (tipo 'pago') o de un reembolso a
+// la tarjeta (tipo 'devolucion'). Si el medio no es giftcard no hace nada.
+// saldo_pendiente es lo que aún debe el documento: un pago con giftcard no
+// puede superarlo, para que el saldo de la tarjeta no quede como sobrepago.
+async function prepararGiftcardPago(conn, { medio_pago, codigo_giftcard, monto, tipo = 'pago', saldo_pendiente = null }) {
+  if (!esMedioGiftcard(medio_pago)) return { ok: true, giftcard: null };
+  if (tipo === 'pago' && saldo_pendiente != null && Number(monto) > Number(saldo_pendiente)) {
+    return {
+      ok: false,
+      status: 409,
+      message: 'El pago con giftcard supera el saldo pendiente del documento',
+      saldo_pendiente: Math.max(Number(saldo_pendiente), 0)
+    };
+  }
+
+  const codigo = normalizarCodigo(codigo_giftcard);
+  if (!codigo) return { ok: false, status: 400, message: 'Con medio_pago giftcard se requiere: codigo_giftcard' };
+
+  const [rows] = await conn.query(
+    `SELECT g.id_giftcard, g.codigo, g.saldo, g.estado, g.fecha_vencimiento,
+            g.fecha_vencimiento < CURDATE() AS vencida,
+            v.estado_venta, v.estado_pago
+     FROM giftcard g
+     INNER JOIN venta v ON v.id_venta = g.id_venta
+     WHERE g.codigo = ?
+     FOR UPDATE`,
+    [codigo]
+  );
+  if (rows.length === 0) return { ok: false, status: 404, message: 'Giftcard no encontrada' };
+
+  const g = rows[0];
+  if (g.estado !== 'activa') return { ok: false, status: 409, message: 'La giftcard está anulada' };
+  if (g.estado_venta !== 'vigente' || g.estado_pago !== 'pagado') {
+    return { ok: false, status: 409, message: 'La giftcard no está habilitada: su venta no está pagada' };
+  }
+  if (Number(g.vencida)) {
+    return { ok: false, status: 409, message: `La giftcard venció el ${g.fecha_vencimiento}` };
+  }
+  if (tipo === 'pago' && Number(monto) > Number(g.saldo)) {
+    return { ok: false, status: 409, message: 'Saldo insuficiente en la giftcard', saldo: Number(g.saldo) };
+  }
+
+  return { ok: true, giftcard: g };
+}
+
+// Descuenta (pago) o reintegra (devolución) el monto ya registrado en id_pago.
+async function aplicarGiftcardPago(conn, { giftcard, tipo = 'pago', monto, origen, id_documento, id_pago = null, id_personal }) {
+  if (!giftcard) return { ok: true, saldo: null };
+  const esPago = tipo === 'pago';
+  return moverSaldoGiftcard(conn, {
+    id_giftcard: giftcard.id_giftcard,
+    tipo: esPago ? 'canje' : 'reintegro',
+    monto: esPago ? -Number(monto) : Number(monto),
+    origen,
+    id_documento,
+    id_pago,
+    id_personal
+  });
+}
+
+// Al anular un pago hecho con giftcard se deshace su efecto en el saldo.
+async function revertirGiftcardPago(conn, { pago, origen, id_documento, motivo, id_personal }) {
+  if (!pago.id_giftcard) return { ok: true };
+  const monto = pago.tipo === 'devolucion' ? -Number(pago.monto) : Number(pago.monto);
+  const r = await moverSaldoGiftcard(conn, {
+    id_giftcard: pago.id_giftcard,
+    tipo: 'reverso',
+    monto,
+    origen,
+    id_documento,
+    id_pago: pago.id_pago,
+    motivo,
+    id_personal
+  });
+  if (!r.ok) return { ok: false, status: 409, message: 'No se puede anular: el saldo reintegrado a la giftcard ya fue usado' };
+  return r;
+}
+
+async function esLineaGiftcard(conn, id_detalle) {
+  const [rows] = await conn.query(`SELECT COUNT(*) AS n FROM giftcard WHERE id_detalle = ?`, [id_detalle]);
+  return Number(rows[0].n) > 0;
+}
+
+// Anula "cantidad" tarjetas sin usar de una línea de venta (devolución,
+// anulación o edición). Las ya canjeadas, aunque sea en parte, no se anulan.
+async function anularGiftcardsDetalle(conn, { id_detalle, cantidad, motivo, id_personal }) {
+  const [libres] = await conn.query(
+    `SELECT g.id_giftcard, g.saldo
+     FROM giftcard g
+     WHERE g.id_detalle = ? AND g.estado = 'activa'
+       AND NOT EXISTS (
+         SELECT 1 FROM giftcard_movimiento m
+         WHERE m.id_giftcard = g.id_giftcard AND m.tipo <> 'emision'
+       )
+     ORDER BY g.id_giftcard DESC
+     FOR UPDATE`,
+    [id_detalle]
+  );
+  if (libres.length < cantidad) {
+    return { ok: false, status: 409, message: `La línea ${id_detalle} tiene giftcards ya usadas; no se pueden devolver`, sin_usar: libres.length };
+  }
+
+  const anuladas = libres.slice(0, cantidad);
+  for (const g of anuladas) {
+    await moverSaldoGiftcard(conn, {
+      id_giftcard: g.id_giftcard,
+      tipo: 'anulacion',
+      monto: -Number(g.saldo),
+      motivo,
+      id_personal
+    });
+    await conn.query(
+      `UPDATE giftcard SET estado = 'anulada', motivo_anulacion = ?, fecha_anulacion = NOW() WHERE id_giftcard = ?`,
+      [motivo, g.id_giftcard]
+    );
+  }
+  return { ok: true, anuladas: anuladas.map((g) => g.id_giftcard) };
+}
+
+module.exports = {
+  MEDIO_GIFTCARD,
+  esMedioGiftcard,
+  normalizarCodigo,
+  emitirGiftcards,
+  moverSaldoGiftcard,
+  prepararGiftcardPago,
+  aplicarGiftcardPago,
+  revertirGiftcardPago,
+  esLineaGiftcard,
+  anularGiftcardsDetalle
+};
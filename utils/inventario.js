@@ -0,0 +1,147 @@
+// Todo cambio de producto.stock pasa por aquí para dejar rastro en el kardex.
+// cantidad es con signo: positiva ingresa stock, negativa lo descuenta.
+//
+// El stock vive en lotes (lote_producto); producto.stock es su suma. Los
+// ingresos crean un lote nuevo salvo que se indique a qué lotes reponer, y los
+// egresos consumen FEFO (primero el que vence antes) sin tocar lotes vencidos,
+// salvo en ajustes manuales.
+
+const TIPOS_MOVIMIENTO = ['venta', 'edicion_venta', 'ingreso', 'ajuste', 'devolucion', 'anulacion'];
+
+const LOTE_VIGENTE_SQL = '(fecha_vencimiento IS NULL OR fecha_vencimiento >= CURDATE())';
+
+// Valida los datos opcionales de lote que llegan en un ingreso.
+function normalizarLote({ codigo_lote, fecha_vencimiento } = {}) {
+  if (fecha_vencimiento != null && fecha_vencimiento !== '') {
+    const m = /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(fecha_vencimiento).trim());
+    const d = m ? new Date(Number(m[1]), Number(m[2]) - 1, Number(m[3])) : null;
+    if (!d || d.getMonth() !== Number(m[2]) - 1) {
+      return { ok: false, message: 'fecha_vencimiento inválida. Usa "YYYY-MM-DD"' };
+    }
+  }
+
+  return {
+    ok: true,
+    lote: {
+      codigo_lote: codigo_lote ? String(codigo_lote).trim() : null,
+      fecha_vencimiento: fecha_vencimiento ? String(fecha_vencimiento).trim() : null
+    }
+  };
+}
+
+async function stockVendible(conn, id_producto) {
+  const [rows] = await conn.query(
+    `SELECT COALESCE(SUM(cantidad_disponible), 0) AS disponible
+     FROM lote_producto
+     WHERE id_producto = ? AND cantidad_disponible > 0 AND ${LOTE_VIGENTE_SQL}`,
+    [id_producto]
+  );
+  return Number(rows[0].disponible);
+}
+
+async function planificarConsumo(conn, id_producto, cantidad, permitirVencidos) {
+  const [lotes] = await conn.query(
+    `SELECT id_lote, cantidad_disponible
+     FROM lote_producto
+     WHERE id_producto = ? AND cantidad_disponible > 0
+       ${permitirVencidos ? '' : `AND ${LOTE_VIGENTE_SQL}`}
+     ORDER BY fecha_vencimiento IS NULL, fecha_vencimiento ASC, id_lote ASC
+     FOR UPDATE`,
+    [id_producto]
+  );
+
+  const plan = [];
+  let restante = cantidad;
+  for (const l of lotes) {
+    if (restante <= 0) break;
+    const tomar = Math.min(restante, Number(l.cantidad_disponible));
+    plan.push({ id_lote: l.id_lote, cantidad: tomar });
+    restante -= tomar;
+  }
+
+  return restante > 0 ? null : plan;
+}
+
+async function crearLote(conn, id_producto, cantidad, lote) {
+  const [result] = await conn.query(
+    `INSERT INTO lote_producto (id_producto, codigo_lote, fecha_vencimiento, cantidad_inicial, cantidad_disponible)
+     VALUES (?, ?, ?, ?, 0)`,
+    [id_producto, lote?.codigo_lote || null, lote?.fecha_vencimiento || null, cantidad]
+  );
+  return result.insertId;
+}
+
+// Opciones de lote:
+//  - lote: { codigo_lote, fecha_vencimiento } para el lote nuevo de un ingreso.
+//  - lotes: [{ id_lote, cantidad }] lotes concretos a reponer o descontar.
+//  - permitirVencidos: el egreso FEFO puede consumir lotes vencidos.
+// Devuelve { ok, saldo, lotes } o { ok: false, message } si no hay stock vendible.
+async function moverStock(conn, {
+  id_producto,
+  cantidad,
+  tipo,
+  documento_tipo = null,
+  id_documento = null,
+  motivo = null,
+  id_personal = null,
+  lote = null,
+  lotes = null,
+  permitirVencidos = false
+}) {
+  const cant = Number(cantidad);
+
+  const [prod] = await conn.query(
+    `SELECT id_producto FROM producto WHERE id_producto = ? FOR UPDATE`,
+    [id_producto]
+  );
+  if (prod.length === 0) return { ok: false, status: 404, message: 'Producto no encontrado' };
+
+  let plan = [];
+  if (cant > 0) {
+    plan = lotes && lotes.length > 0
+      ? lotes.map((l) => ({ id_lote: l.id_lote, cantidad: Number(l.cantidad) }))
+      : [{ id_lote: await crearLote(conn, id_producto, cant, lote), cantidad: cant }];
+  } else if (cant < 0) {
+    plan = lotes && lotes.length > 0
+      ? lotes.map((l) => ({ id_lote: l.id_lote, cantidad: Number(l.cantidad) }))
+      : await planificarConsumo(conn, id_producto, -cant, permitirVencidos);
+
+    if (!plan) {
+      return { ok: false, status: 400, message: `Stock vendible insuficiente para producto ${id_producto}` };
+    }
+  }
+
+  const signo = cant < 0 ? -1 : 1;
+  let saldo = null;
+
+  for (const p of plan) {
+    const delta = signo * p.cantidad;
+
+    await conn.query(
+      `UPDATE lote_producto SET cantidad_disponible = cantidad_disponible + ? WHERE id_lote = ?`,
+      [delta, p.id_lote]
+    );
+    await conn.query(
+      `UPDATE producto SET stock = stock + ? WHERE id_producto = ?`,
+      [delta, id_producto]
+    );
+
+    const [rows] = await conn.query(`SELECT stock FROM producto WHERE id_producto = ?`, [id_producto]);
+    saldo = Number(rows[0].stock);
+
+    await conn.query(
+      `INSERT INTO movimiento_inventario (id_producto, id_lote, tipo, cantidad, saldo, documento_tipo, id_documento, motivo, id_personal)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [id_producto, p.id_lote, tipo, delta, saldo, documento_tipo, id_documento, motivo, id_personal || null]
+    );
+  }
+
+  if (saldo == null) {
+    const [rows] = await conn.query(`SELECT stock FROM producto WHERE id_producto = ?`, [id_producto]);
+    saldo = Number(rows[0].stock);
+  }
+
+  return { ok: true, saldo, lotes: plan };
+}
+
+module.exports = { TIPOS_MOVIMIENTO, LOTE_VIGENTE_SQL, normalizarLote, stockVendible, moverStock };
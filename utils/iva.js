@@ -0,0 +1,52 @@
+// Los precios incluyen IVA. Cada venta y atención guarda su total bruto
+// desglosado en neto e iva con la tasa vigente al registrarla: la tasa se fija
+// al insertar el documento (tasaIva) y las ediciones la conservan. IVA_TASA en
+// el entorno acepta 0.19 o 19 (19% por defecto). Las giftcards vendidas no son
+// base imponible: son un anticipo, su monto queda como exento en la venta y el
+// IVA se cobra donde se canjean.
+
+const DOCUMENTOS_IVA = {
+  venta: { tabla: 'venta', id: 'id_venta', exento: 'exento' },
+  atencion: { tabla: 'atencion', id: 'id_atencion', exento: '0' }
+};
+
+function tasaIva() {
+  const raw = process.env.IVA_TASA;
+  const n = Number(raw);
+  if (raw == null || raw === '' || !Number.isFinite(n) || n < 0 || n >= 100) return 0.19;
+  return n >= 1 ? n / 100 : n;
+}
+
+// Recalcula exento, neto e iva desde total y las líneas con la tasa guardada;
+// llamar después de cada cambio de total.
+async function actualizarDesgloseIva(conn, origen, ids) {
+  const { tabla, id, exento } = DOCUMENTOS_IVA[origen];
+  const lista = Array.isArray(ids) ? ids : [ids];
+  if (lista.length === 0) return;
+
+  if (origen === 'venta') {
+    await conn.query(
+      `UPDATE venta v
+       SET v.exento = (
+         SELECT COALESCE(SUM(dv.cantidad * dv.precio_unitario), 0)
+         FROM detalle_venta dv
+         INNER JOIN producto pr ON pr.id_producto = dv.id_producto
+         WHERE dv.id_venta = v.id_venta AND pr.es_giftcard = 1
+       )
+       WHERE v.id_venta IN (?)`,
+      [lista]
+    );
+  }
+
+  await conn.query(
+    `UPDATE ${tabla}
+     SET neto = ROUND((total - ${exento}) / (1 + tasa_iva), 2), iva = total - ${exento} - neto
+     WHERE ${id} IN (?)`,
+    [lista]
+  );
+}
+
+module.exports = {
+  tasaIva,
+  actualizarDesgloseIva
+};
@@ -0,0 +1,123 @@
+// Parámetros comunes de los listados: page/limit, sort, desde/hasta y q.
+// Sin page ni limit se responde un arreglo como antes, pero con a lo más
+// LIMIT_MAXIMO filas y el total en la cabecera X-Total-Count; con paginación
+// se responde { data, total, ... }.
+
+const LIMIT_DEFECTO = 50;
+const LIMIT_MAXIMO = 200;
+
+function parsePaginacion(query) {
+  const { page, limit } = query;
+  if (page === undefined && limit === undefined) {
+    return { ok: true, paginado: false, page: 1, limit: LIMIT_MAXIMO, offset: 0 };
+  }
+
+  const p = page === undefined || page === '' ? 1 : Number(page);
+  const l = limit === undefined || limit === '' ? LIMIT_DEFECTO : Number(limit);
+
+  if (!Number.isInteger(p) || p < 1) {
+    return { ok: false, message: 'Query "page" debe ser un entero >= 1' };
+  }
+  if (!Number.isInteger(l) || l < 1 || l > LIMIT_MAXIMO) {
+    return { ok: false, message: `Query "limit" debe ser un entero entre 1 y ${LIMIT_MAXIMO}` };
+  }
+
+  return { ok: true, paginado: true, page: p, limit: l, offset: (p - 1) * l };
+}
+
+// sort=campo o sort=-campo (descendente), varios separados por coma.
+// "columnas" traduce el nombre público a la columna SQL permitida.
+function parseOrden(sort, columnas, defecto) {
+  if (sort === undefined || sort === '') return { ok: true, sql: defecto };
+
+  const partes = [];
+  for (const raw of String(sort).split(',')) {
+    const campo = raw.trim();
+    const desc = campo.startsWith('-');
+    const nombre = desc ? campo.slice(1) : campo;
+    if (!Object.prototype.hasOwnProperty.call(columnas, nombre)) {
+      return { ok: false, message: `Query "sort" admite: ${Object.keys(columnas).join(', ')}` };
+    }
+    partes.push(`${columnas[nombre]} ${desc ? 'DESC' : 'ASC'}`);
+  }
+
+  return { ok: true, sql: partes.join(', ') };
+}
+
+// desde/hasta en "YYYY-MM-DD", ambos inclusive.
+function parseRangoFechas(query) {
+  const formato = /^\d{4}-\d{2}-\d{2}$/;
+  const desde = query.desde ? String(query.desde).trim() : null;
+  const hasta = query.hasta ? String(query.hasta).trim() : null;
+
+  if ((desde && !formato.test(desde)) || (hasta && !formato.test(hasta))) {
+    return { ok: false, message: 'desde/hasta inválidos. Usa "YYYY-MM-DD"' };
+  }
+  if (desde && hasta && hasta < desde) {
+    return { ok: false, message: '"hasta" debe ser mayor o igual a "desde"' };
+  }
+
+  return { ok: true, desde, hasta };
+}
+
+function parseIdFiltro(value, nombre) {
+  if (value === undefined || value === '') return { ok: true, id: null };
+  const n = Number(value);
+  if (!Number.isInteger(n) || n <= 0) return { ok: false, message: `Query "${nombre}" inválido` };
+  return { ok: true, id: n };
+}
+
+// Acepta un valor o varios separados por coma, todos dentro de "permitidos".
+function parseListaFiltro(value, nombre, permitidos) {
+  if (value === undefined || value === '') return { ok: true, valores: [] };
+  const valores = [].concat(value).flatMap((v) => String(v).split(',')).map((v) => v.trim()).filter(Boolean);
+  const invalido = valores.find((v) => !permitidos.includes(v));
+  if (invalido) {
+    return { ok: false, message: `Query "${nombre}" debe ser uno de: ${permitidos.join(', ')}` };
+  }
+  return { ok: true, valores };
+}
+
+function patronBusqueda(q) {
+  const texto = String(q || '').trim();
+  if (!texto) return null;
+  return `%${texto.replace(/[\\%_]/g, (c) => `\\${c}`)}%`;
+}
+
+// Agrega a "where"/"params" un LIKE sobre cualquiera de las columnas.
+function agregarBusqueda(where, params, q, columnas) {
+  const patron = patronBusqueda(q);
+  if (!patron) return;
+  where.push(`(${columnas.map((c) => `${c} LIKE ?`).join(' OR ')})`);
+  columnas.forEach(() => params.push(patron));
+}
+
+function responderListado(res, { rows, total, paginacion }) {
+  if (!paginacion.paginado) {
+    res.set('X-Total-Count', String(total));
+    return res.json(rows);
+  }
+
+  res.json({
+    data: rows,
+    total,
+    page: paginacion.page,
+    limit: paginacion.limit,
+    pages: Math.ceil(total / paginacion.limit)
+  });
+}
+
+const limitSql = () => 'LIMIT ? OFFSET ?';
+const limitParams = (paginacion) => [paginacion.limit, paginacion.offset];
+
+module.exports = {
+  parsePaginacion,
+  parseOrden,
+  parseRangoFechas,
+  parseIdFiltro,
+  parseListaFiltro,
+  agregarBusqueda,
+  responderListado,
+  limitSql,
+  limitParams
+};
@@ -0,0 +1,5 @@
+// Montos en pesos con hasta dos decimales, como los guardan las columnas DECIMAL.
+
+const redondear = (n) => Math.round(Number(n) * 100) / 100;
+
+module.exports = { redondear };
@@ -0,0 +1,72 @@
+// Lógica de saldo compartida por pagos de venta y de atención.
+// Los pagos anulados no cuentan y las devoluciones restan de lo pagado.
+
+const SUMA_PAGADO_SQL = `COALESCE(SUM(CASE WHEN tipo = 'devolucion' THEN -monto ELSE monto END), 0)`;
+
+function calcularEstadoPago(total, totalPagado) {
+  let estado_pago = 'pendiente';
+  if (totalPagado >= total) estado_pago = 'pagado';
+  else if (totalPagado > 0) estado_pago = 'parcial';
+  return estado_pago;
+}
+
+function resumirPagos(pagos) {
+  return pagos.reduce((acc, p) => {
+    if (Number(p.anulado) === 1) return acc;
+    return acc + (p.tipo === 'devolucion' ? -Number(p.monto || 0) : Number(p.monto || 0));
+  }, 0);
+}
+
+async function totalPagadoVenta(conn, id_venta) {
+  const [rows] = await conn.query(
+    `SELECT ${SUMA_PAGADO_SQL} AS total_pagado FROM pago_venta WHERE id_venta = ? AND anulado = 0`,
+    [id_venta]
+  );
+  return Number(rows[0].total_pagado);
+}
+
+async function totalPagadoAtencion(conn, id_atencion) {
+  const [rows] = await conn.query(
+    `SELECT ${SUMA_PAGADO_SQL} AS total_pagado FROM pago_atencion WHERE id_atencion = ? AND anulado = 0`,
+    [id_atencion]
+  );
+  return Number(rows[0].total_pagado);
+}
+
+// Debe llamarse dentro de la transacción que modificó los pagos, con la
+// fila de venta/atención ya bloqueada (FOR UPDATE).
+async function recalcularEstadoPagoVenta(conn, id_venta, totalVenta) {
+  const totalPagado = await totalPagadoVenta(conn, id_venta);
+  const estado_pago = calcularEstadoPago(Number(totalVenta), totalPagado);
+
+  await conn.query(
+    `UPDATE venta SET estado_pago = ? WHERE id_venta = ?`,
+    [estado_pago, id_venta]
+  );
+
+  return { totalPagado, estado_pago };
+}
+
+// Debe llamarse cada vez que cambia el total de la atención. Un total 0 (todo
+// con cargo a paquete) no tiene nada que cobrar y queda pagado.
+async function recalcularEstadoPagoAtencion(conn, id_atencion, totalAtencion) {
+  const totalPagado = await totalPagadoAtencion(conn, id_atencion);
+  const estado_pago = Number(totalAtencion) === 0 ? 'pagado' : calcularEstadoPago(Number(totalAtencion), totalPagado);
+
+  await conn.query(
+    `UPDATE atencion SET estado_pago = ? WHERE id_atencion = ?`,
+    [estado_pago, id_atencion]
+  );
+
+  return { totalPagado, estado_pago };
+}
+
+module.exports = {
+  SUMA_PAGADO_SQL,
+  calcularEstadoPago,
+  resumirPagos,
+  totalPagadoVenta,
+  totalPagadoAtencion,
+  recalcularEstadoPagoVenta,
+  recalcularEstadoPagoAtencion
+};
@@ -0,0 +1,132 @@
+// Paquetes prepagados: un servicio de la atención con id_paquete_clienta no
+// suma al total y descuenta una sesión del paquete de la clienta.
+
+const usaPaquete = (s) => s.id_paquete_clienta != null && s.id_paquete_clienta !== '';
+
+// Total a cobrar de la atención: solo los servicios que no van con paquete.
+function totalServicios(servicios) {
+  return servicios.reduce((acc, s) => acc + (usaPaquete(s) ? 0 : Number(s.precio_aplicado || 0)), 0);
+}
+
+// Valida propiedad, cobertura, vigencia en cada fecha y sesiones disponibles.
+// "fechas" son los inicios de las atenciones (varias en una serie). Las
+// sesiones que hoy consumen las atenciones en "reemplaza" se cuentan como
+// libres porque se devuelven al reemplazar sus servicios.
+async function validarUsoPaquetes(conn, { id_clienta, servicios, fechas, reemplaza = [] }) {
+  const usos = new Map();
+  for (const s of servicios.filter(usaPaquete)) {
+    const id = Number(s.id_paquete_clienta);
+    if (!Number.isInteger(id) || id <= 0) {
+      return { ok: false, status: 400, message: 'id_paquete_clienta inválido' };
+    }
+    if (!usos.has(id)) usos.set(id, []);
+    usos.get(id).push(Number(s.id_servicio));
+  }
+  if (usos.size === 0) return { ok: true };
+
+  for (const [id, idsServicio] of usos) {
+    const [rows] = await conn.query(
+      `SELECT pc.id_paquete_clienta, pc.id_paquete, pc.id_clienta, pc.sesiones_total, pc.sesiones_usadas,
+              pc.fecha_vencimiento, p.nombre
+       FROM paquete_clienta pc
+       INNER JOIN paquete p ON p.id_paquete = pc.id_paquete
+       WHERE pc.id_paquete_clienta = ?`,
+      [id]
+    );
+    if (rows.length === 0) return { ok: false, status: 404, message: `Paquete ${id} no encontrado` };
+
+    const pq = rows[0];
+    if (Number(pq.id_clienta) !== Number(id_clienta)) {
+      return { ok: false, status: 400, message: `El paquete ${id} pertenece a otra clienta` };
+    }
+
+    const [cubiertos] = await conn.query(
+      `SELECT id_servicio FROM paquete_clienta_servicio WHERE id_paquete_clienta = ? AND id_servicio IN (?)`,
+      [id, idsServicio]
+    );
+    const idsCubiertos = new Set(cubiertos.map((c) => Number(c.id_servicio)));
+    const noCubierto = idsServicio.find((s) => !idsCubiertos.has(s));
+    if (noCubierto !== undefined) {
+      return { ok: false, status: 400, message: `El servicio ${noCubierto} no está incluido en el paquete "${pq.nombre}"` };
+    }
+
+    const vence = new Date(pq.fecha_vencimiento);
+    vence.setHours(23, 59, 59, 999);
+    if (fechas.some((f) => f > vence)) {
+      return { ok: false, status: 409, message: `El paquete "${pq.nombre}" vence antes de la fecha de la atención` };
+    }
+
+    let liberadas = 0;
+    if (reemplaza.length > 0) {
+      const [r] = await conn.query(
+        `SELECT COUNT(*) AS n FROM paquete_consumo
+         WHERE id_paquete_clienta = ? AND id_atencion IN (?) AND estado = 'consumida'`,
+        [id, reemplaza]
+      );
+      liberadas = Number(r[0].n);
+    }
+
+    const disponibles = Number(pq.sesiones_total) - Number(pq.sesiones_usadas) + liberadas;
+    const requeridas = idsServicio.length * fechas.length;
+    if (requeridas > disponibles) {
+      return {
+        ok: false,
+        status: 409,
+        message: `El paquete "${pq.nombre}" no tiene sesiones suficientes`,
+        disponibles,
+        requeridas
+      };
+    }
+  }
+
+  return { ok: true };
+}
+
+// Descuenta la sesión de forma atómica; falla si ya no quedan.
+async function consumirSesion(conn, { id_paquete_clienta, id_atencion, id_servicio }) {
+  const [upd] = await conn.query(
+    `UPDATE paquete_clienta
+     SET sesiones_usadas = sesiones_usadas + 1
+     WHERE id_paquete_clienta = ? AND sesiones_usadas < sesiones_total AND fecha_vencimiento >= CURDATE()`,
+    [id_paquete_clienta]
+  );
+  if (upd.affectedRows === 0) {
+    return { ok: false, status: 409, message: `El paquete ${id_paquete_clienta} no tiene sesiones disponibles o está vencido` };
+  }
+
+  await conn.query(
+    `INSERT INTO paquete_consumo (id_paquete_clienta, id_atencion, id_servicio) VALUES (?, ?, ?)`,
+    [id_paquete_clienta, id_atencion, id_servicio]
+  );
+  return { ok: true };
+}
+
+async function devolverSesionesAtencion(conn, id_atencion) {
+  const [consumos] = await conn.query(
+    `SELECT id_consumo, id_paquete_clienta FROM paquete_consumo
+     WHERE id_atencion = ? AND estado = 'consumida'
+     FOR UPDATE`,
+    [id_atencion]
+  );
+
+  for (const c of consumos) {
+    await conn.query(
+      `UPDATE paquete_consumo SET estado = 'devuelta', fecha_devolucion = NOW() WHERE id_consumo = ?`,
+      [c.id_consumo]
+    );
+    await conn.query(
+      `UPDATE paquete_clienta SET sesiones_usadas = sesiones_usadas - 1 WHERE id_paquete_clienta = ?`,
+      [c.id_paquete_clienta]
+    );
+  }
+
+  return consumos.length;
+}
+
+module.exports = {
+  usaPaquete,
+  totalServicios,
+  validarUsoPaquetes,
+  consumirSesion,
+  devolverSesionesAtencion
+};
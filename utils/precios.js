@@ -0,0 +1,109 @@
+// Precios de lista: producto.precio y servicio.precio_base guardan el precio
+// vigente y cada cambio queda en precio_historial con su tramo de vigencia.
+// En ventas y atenciones solo los roles de ROLES_CAMBIO_PRECIO (por defecto
+// administradora) pueden cobrar un precio distinto, y deben indicar motivo.
+
+const { redondear } = require('./montos');
+
+const CATALOGO_PRECIOS = {
+  producto: { tabla: 'producto', id: 'id_producto', precio: 'precio' },
+  servicio: { tabla: 'servicio', id: 'id_servicio', precio: 'precio_base' }
+};
+
+// ROLES_CAMBIO_PRECIO en el entorno: lista separada por comas.
+function rolesCambioPrecio() {
+  const roles = String(process.env.ROLES_CAMBIO_PRECIO || '')
+    .split(',')
+    .map((r) => r.trim())
+    .filter(Boolean);
+  return roles.length > 0 ? roles : ['administradora'];
+}
+
+const puedeCambiarPrecio = (user) => (user?.roles || []).some((r) => rolesCambioPrecio().includes(r));
+
+// Cierra el tramo vigente y abre uno nuevo. No toca la columna del catálogo:
+// quien llama la actualiza en la misma transacción.
+async function registrarPrecio(conn, { ambito, id_item, precio, motivo = null, id_personal = null }) {
+  const { id } = CATALOGO_PRECIOS[ambito];
+  await conn.query(
+    `UPDATE precio_historial SET vigente_hasta = NOW() WHERE ${id} = ? AND vigente_hasta IS NULL`,
+    [id_item]
+  );
+  await conn.query(
+    `INSERT INTO precio_historial (ambito, ${id}, precio, motivo, registrado_por) VALUES (?, ?, ?, ?, ?)`,
+    [ambito, id_item, redondear(precio), motivo, id_personal || null]
+  );
+}
+
+async function fetchHistorialPrecios(conn, ambito, id_item) {
+  const { id } = CATALOGO_PRECIOS[ambito];
+  const [rows] = await conn.query(
+    `SELECT ph.id_precio, ph.precio, ph.vigente_desde, ph.vigente_hasta, ph.motivo, ph.registrado_por,
+            p.nombre AS personal_nombre, p.apellido AS personal_apellido
+     FROM precio_historial ph
+     LEFT JOIN personal p ON p.id_personal = ph.registrado_por
+     WHERE ph.${id} = ?
+     ORDER BY ph.vigente_desde DESC, ph.id_precio DESC`,
+    [id_item]
+  );
+  return rows.map((r) => ({ ...r, precio: Number(r.precio) }));
+}
+
+// Al editar un documento, asocia cada línea recibida con la línea guardada que
+// reemplaza: la indicada en "id_linea" si viene, o la primera libre del mismo
+// ítem. Cada línea sale con "existente" (la fila guardada o null) para que
+// evaluarPromociones conserve lo que no cambió.
+function asociarLineasExistentes(lineas, existentes, { id_linea, id_item }) {
+  const libres = [...existentes];
+  const tomar = (coincide) => {
+    const i = libres.findIndex(coincide);
+    return i >= 0 ? libres.splice(i, 1)[0] : null;
+  };
+  const mismoItem = (l) => (e) => Number(e[id_item]) === Number(l[id_item]);
+
+  const explicitas = lineas.map((l) =>
+    l[id_linea] == null ? undefined : tomar((e) => mismoItem(l)(e) && Number(e[id_linea]) === Number(l[id_linea]))
+  );
+  return lineas.map((l, i) => ({
+    ...l,
+    existente: explicitas[i] !== undefined ? explicitas[i] : tomar(mismoItem(l))
+  }));
+}
+
+// Revisa las líneas ya evaluadas (con precio_modificado) y les agrega quién
+// fijó el precio y por qué. El motivo puede venir por línea o para todo el
+// documento. Las líneas conservadas de una edición mantienen la autorización
+// que ya tenían.
+function autorizarPreciosModificados(user, lineas, motivoDocumento = null) {
+  const modificadas = lineas.filter((l) => l.precio_modificado);
+  if (modificadas.length > 0 && !puedeCambiarPrecio(user)) {
+    return { ok: false, status: 403, message: 'No autorizado para cobrar un precio distinto al de lista' };
+  }
+
+  const resultado = [];
+  for (const { precio_modificado, conservada, ...l } of lineas) {
+    if (conservada) {
+      resultado.push({ ...l, ...conservada });
+      continue;
+    }
+    if (!precio_modificado) {
+      resultado.push({ ...l, precio_modificado_por: null, motivo_precio: null });
+      continue;
+    }
+    const motivo = String(l.motivo_precio || motivoDocumento || '').trim();
+    if (!motivo) {
+      return { ok: false, status: 400, message: 'Para cobrar un precio distinto al de lista se requiere: motivo_precio' };
+    }
+    resultado.push({ ...l, precio_modificado_por: user?.id_personal || null, motivo_precio: motivo });
+  }
+  return { ok: true, lineas: resultado };
+}
+
+module.exports = {
+  CATALOGO_PRECIOS,
+  puedeCambiarPrecio,
+  registrarPrecio,
+  fetchHistorialPrecios,
+  asociarLineasExistentes,
+  autorizarPreciosModificados
+};
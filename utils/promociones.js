@@ -0,0 +1,272 @@
+// Motor de promociones para ventas (ámbito producto) y atenciones (ámbito
+// servicio). A cada línea se le aplica la promoción que más descuenta entre
+// las vigentes hoy que la cubren: por ítem, por categoría o general. Las que
+// tienen codigo_cupon solo participan si se ingresa ese cupón.
+
+const { CATALOGO_PRECIOS } = require('./precios');
+const { redondear } = require('./montos');
+
+const AMBITOS_PROMOCION = ['producto', 'servicio'];
+const TIPOS_PROMOCION = ['porcentaje', 'fijo'];
+
+const PROMOCION_VIGENTE_SQL = `activo = 1
+  AND (fecha_inicio IS NULL OR fecha_inicio <= CURDATE())
+  AND (fecha_fin IS NULL OR fecha_fin >= CURDATE())`;
+
+const normalizarCupon = (codigo) => String(codigo || '').trim().toUpperCase();
+
+async function fetchCatalogo(conn, ambito, ids) {
+  const { tabla, id, precio } = CATALOGO_PRECIOS[ambito];
+  const [rows] = await conn.query(
+    `SELECT ${id} AS id_item, ${precio} AS precio, categoria FROM ${tabla} WHERE ${id} IN (?)`,
+    [ids]
+  );
+  return new Map(rows.map((r) => [Number(r.id_item), r]));
+}
+
+function descuentoUnitario(promo, precio) {
+  const d = promo.tipo === 'porcentaje' ? (precio * Number(promo.valor)) / 100 : Number(promo.valor);
+  return redondear(Math.min(Math.max(d, 0), precio));
+}
+
+function promocionCubre(promo, ambito, id_item, categoria) {
+  const col = CATALOGO_PRECIOS[ambito].id;
+  if (promo[col] != null) return Number(promo[col]) === Number(id_item);
+  if (promo.categoria) return categoria != null && String(promo.categoria).toLowerCase() === String(categoria).toLowerCase();
+  return true;
+}
+
+// Usos que hoy ocupan los documentos que se están editando: se descuentan del
+// tope porque se liberan al reemplazar sus líneas.
+async function fetchUsosPropios(conn, reemplaza) {
+  if (!reemplaza || reemplaza.ids.length === 0) return new Map();
+  const [rows] = await conn.query(
+    `SELECT id_promocion, COUNT(*) AS n FROM promocion_uso
+     WHERE origen = ? AND id_documento IN (?)
+     GROUP BY id_promocion`,
+    [reemplaza.origen, reemplaza.ids]
+  );
+  return new Map(rows.map((r) => [Number(r.id_promocion), Number(r.n)]));
+}
+
+// "documentos" es cuántos usos registrará la evaluación: una serie de
+// atenciones ocupa uno por ocurrencia.
+const usosDisponibles = (promo, propios, documentos = 1) =>
+  promo.usos_maximos == null ||
+  Number(promo.usos) - (propios.get(Number(promo.id_promocion)) || 0) + documentos <= Number(promo.usos_maximos);
+
+async function validarCupon(conn, { cupon, ambito, subtotal, propios, documentos }) {
+  const [rows] = await conn.query(
+    `SELECT id_promocion, ambito, activo, usos, usos_maximos, compra_minima,
+            (${PROMOCION_VIGENTE_SQL}) AS vigente
+     FROM promocion
+     WHERE codigo_cupon = ?`,
+    [cupon]
+  );
+  if (rows.length === 0 || !Number(rows[0].activo)) return { ok: false, status: 400, message: 'Cupón no válido' };
+
+  const c = rows[0];
+  if (c.ambito !== ambito) return { ok: false, status: 400, message: `El cupón no aplica a ${ambito}s` };
+  if (!Number(c.vigente)) return { ok: false, status: 409, message: 'El cupón no está vigente' };
+  if (!usosDisponibles(c, propios, documentos)) {
+    return {
+      ok: false,
+      status: 409,
+      message: documentos > 1
+        ? `Al cupón no le quedan usos para ${documentos} atenciones`
+        : 'El cupón alcanzó su máximo de usos'
+    };
+  }
+  if (c.compra_minima != null && subtotal < Number(c.compra_minima)) {
+    return { ok: false, status: 409, message: `El cupón requiere una compra mínima de ${Number(c.compra_minima)}` };
+  }
+  return { ok: true, id_promocion: c.id_promocion };
+}
+
+// Cupón de las promociones que traen las líneas guardadas, para saber si
+// pueden conservarse con el cupón que trae la edición.
+async function fetchCuponesPromociones(conn, lineas) {
+  const ids = [...new Set(lineas.map((l) => l.existente?.id_promocion).filter(Boolean).map(Number))];
+  if (ids.length === 0) return new Map();
+  const [rows] = await conn.query(`SELECT id_promocion, codigo_cupon FROM promocion WHERE id_promocion IN (?)`, [ids]);
+  return new Map(rows.map((r) => [Number(r.id_promocion), r.codigo_cupon]));
+}
+
+// lineas: [{ id_item, cantidad, precio_manual, sin_promocion, existente }].
+// El precio de lista es el del catálogo; un precio_manual distinto marca la
+// línea con precio_modificado y la deja fuera de promociones. Devuelve cada
+// línea con precio_lista, descuento (unitario), precio_final e id_promocion.
+//
+// Al editar, "existente" es la fila guardada que la línea reemplaza (ver
+// asociarLineasExistentes). Si llega sin precio o con el mismo precio cobrado
+// se conserva tal cual (lista, descuento, promoción y autorización); si el
+// precio cambia, se compara con el precio de lista guardado y no con el de
+// hoy. "reemplaza" ({ origen, ids }) indica los documentos cuyos usos se
+// liberan y "documentos" en cuántos se registrará el resultado.
+async function evaluarPromociones(conn, { ambito, lineas, codigo_cupon = null, reemplaza = null, documentos = 1 }) {
+  const cupon = normalizarCupon(codigo_cupon) || null;
+  const catalogo = await fetchCatalogo(conn, ambito, [...new Set(lineas.map((l) => Number(l.id_item)))]);
+  const cuponesGuardados = await fetchCuponesPromociones(conn, lineas);
+
+  const conPrecio = [];
+  for (const l of lineas) {
+    const item = catalogo.get(Number(l.id_item));
+    if (!item) return { ok: false, status: 404, message: `No existe ${ambito} ${l.id_item}` };
+
+    const manual = l.precio_manual == null || l.precio_manual === '' ? null : Number(l.precio_manual);
+    if (manual != null && (!Number.isFinite(manual) || manual < 0)) {
+      return { ok: false, status: 400, message: `Precio inválido para ${ambito} ${l.id_item}` };
+    }
+    const { precio_manual, ...linea } = l;
+    const e = l.existente;
+
+    if (e) {
+      const cobrado = redondear(e.precio_unitario);
+      const descuento = redondear(e.descuento || 0);
+      const cuponPromo = e.id_promocion ? cuponesGuardados.get(Number(e.id_promocion)) : null;
+      if ((manual == null || redondear(manual) === cobrado) && (!cuponPromo || cuponPromo === cupon)) {
+        conPrecio.push({
+          ...linea,
+          precio_lista: e.precio_lista == null ? redondear(cobrado + descuento) : redondear(e.precio_lista),
+          precio_base: redondear(cobrado + descuento),
+          conservada: e,
+          categoria: item.categoria
+        });
+        continue;
+      }
+    }
+
+    const precio_lista = e
+      ? redondear(e.precio_lista == null ? Number(e.precio_unitario) + Number(e.descuento || 0) : e.precio_lista)
+      : redondear(item.precio);
+    const precio_modificado = manual != null && redondear(manual) !== precio_lista;
+    conPrecio.push({
+      ...linea,
+      precio_lista,
+      precio_base: precio_modificado ? redondear(manual) : precio_lista,
+      precio_modificado,
+      categoria: item.categoria
+    });
+  }
+
+  const subtotal = redondear(
+    conPrecio.filter((l) => !l.sin_promocion).reduce((acc, l) => acc + Number(l.cantidad) * l.precio_base, 0)
+  );
+
+  const propios = await fetchUsosPropios(conn, reemplaza);
+
+  let id_cupon = null;
+  if (cupon) {
+    const c = await validarCupon(conn, { cupon, ambito, subtotal, propios, documentos });
+    if (!c.ok) return c;
+    id_cupon = c.id_promocion;
+  }
+
+  const [promos] = await conn.query(
+    `SELECT id_promocion, tipo, valor, id_producto, id_servicio, categoria, compra_minima, usos, usos_maximos
+     FROM promocion
+     WHERE ambito = ? AND ${PROMOCION_VIGENTE_SQL}
+       AND (codigo_cupon IS NULL OR codigo_cupon = ?)`,
+    [ambito, cupon]
+  );
+  const aplicables = promos.filter((p) =>
+    usosDisponibles(p, propios, documentos) && (p.compra_minima == null || subtotal >= Number(p.compra_minima))
+  );
+
+  const resultado = conPrecio.map(({ categoria, precio_base, conservada, ...l }) => {
+    if (conservada) {
+      return {
+        ...l,
+        precio_modificado: false,
+        descuento: redondear(conservada.descuento || 0),
+        precio_final: redondear(conservada.precio_unitario),
+        id_promocion: conservada.id_promocion || null,
+        conservada: {
+          precio_modificado_por: conservada.precio_modificado_por || null,
+          motivo_precio: conservada.motivo_precio || null
+        }
+      };
+    }
+
+    let mejor = null;
+    let descuento = 0;
+    if (!l.sin_promocion && !l.precio_modificado) {
+      for (const p of aplicables) {
+        if (!promocionCubre(p, ambito, l.id_item, categoria)) continue;
+        const d = descuentoUnitario(p, l.precio_lista);
+        if (d > descuento) {
+          descuento = d;
+          mejor = p;
+        }
+      }
+    }
+    return {
+      ...l,
+      descuento,
+      precio_final: redondear(precio_base - descuento),
+      id_promocion: mejor ? mejor.id_promocion : null
+    };
+  });
+
+  if (id_cupon && !resultado.some((l) => l.id_promocion === id_cupon)) {
+    return { ok: false, status: 409, message: 'El cupón no aplica a los ítems del documento' };
+  }
+
+  return {
+    ok: true,
+    lineas: resultado,
+    subtotal,
+    descuento_total: redondear(resultado.reduce((acc, l) => acc + l.descuento * Number(l.cantidad), 0)),
+    codigo_cupon: cupon
+  };
+}
+
+// Registra un uso por promoción aplicada. El tope de usos se revisa de nuevo
+// aquí, dentro de la transacción, porque la evaluación pudo ser anterior.
+async function registrarUsosPromocion(conn, { origen, id_documento, lineas }) {
+  const porPromocion = new Map();
+  for (const l of lineas) {
+    if (!l.id_promocion) continue;
+    const monto = Number(l.descuento || 0) * Number(l.cantidad ?? 1);
+    porPromocion.set(l.id_promocion, redondear((porPromocion.get(l.id_promocion) || 0) + monto));
+  }
+
+  for (const [id_promocion, monto] of porPromocion) {
+    const [upd] = await conn.query(
+      `UPDATE promocion SET usos = usos + 1
+       WHERE id_promocion = ? AND (usos_maximos IS NULL OR usos < usos_maximos)`,
+      [id_promocion]
+    );
+    if (upd.affectedRows === 0) {
+      return { ok: false, status: 409, message: `La promoción ${id_promocion} alcanzó su máximo de usos` };
+    }
+    await conn.query(
+      `INSERT INTO promocion_uso (id_promocion, origen, id_documento, monto_descuento) VALUES (?, ?, ?, ?)`,
+      [id_promocion, origen, id_documento, monto]
+    );
+  }
+  return { ok: true };
+}
+
+async function liberarUsosPromocion(conn, { origen, id_documento }) {
+  const [usos] = await conn.query(
+    `SELECT id_uso, id_promocion FROM promocion_uso WHERE origen = ? AND id_documento = ? FOR UPDATE`,
+    [origen, id_documento]
+  );
+  for (const u of usos) {
+    await conn.query(`UPDATE promocion SET usos = GREATEST(usos - 1, 0) WHERE id_promocion = ?`, [u.id_promocion]);
+  }
+  if (usos.length > 0) {
+    await conn.query(`DELETE FROM promocion_uso WHERE origen = ? AND id_documento = ?`, [origen, id_documento]);
+  }
+  return usos.length;
+}
+
+module.exports = {
+  AMBITOS_PROMOCION,
+  TIPOS_PROMOCION,
+  normalizarCupon,
+  evaluarPromociones,
+  registrarUsosPromocion,
+  liberarUsosPromocion
+};